@@ -3,7 +3,7 @@
  * Primary responsibility: Wire up the application components
  */
 const { ConfigManager } = require('./config');
-const { DNSManager, TraefikMonitor, DockerMonitor, StatusReporter } = require('./services');
+const { DNSManager, TraefikMonitor, DirectMonitor, KubernetesMonitor, DockerMonitor, StatusReporter, ApiServer, MetricsCollector, MetricsServer } = require('./services');
 const { EventBus } = require('./events/EventBus');
 const logger = require('./utils/logger');
 
@@ -18,29 +18,56 @@ async function start() {
     // Initialize configuration
     const config = new ConfigManager();
     
+    // Collect metrics from the start, so provider initialisation is included
+    const metricsCollector = config.metricsEnabled ? new MetricsCollector(config, eventBus) : null;
+    
     // Initialize services
     const statusReporter = new StatusReporter(config, eventBus);
     const dnsManager = new DNSManager(config, eventBus);
-    const traefikMonitor = new TraefikMonitor(config, eventBus);
     const dockerMonitor = new DockerMonitor(config, eventBus);
     
-    // Connect monitors for container name resolution
-    traefikMonitor.dockerMonitor = dockerMonitor;
+    // Hostnames come from the Traefik API, from container labels alone in direct mode, or from Kubernetes objects
+    let hostnameMonitor;
+    if (config.operationMode === 'direct') {
+      hostnameMonitor = new DirectMonitor(config, eventBus, dockerMonitor);
+    } else if (config.operationMode === 'kubernetes') {
+      hostnameMonitor = new KubernetesMonitor(config, eventBus);
+    } else {
+      hostnameMonitor = new TraefikMonitor(config, eventBus);
+      
+      // Connect monitors for container name resolution
+      hostnameMonitor.dockerMonitor = dockerMonitor;
+    }
     
     // Display startup configuration
     await statusReporter.displaySettings();
     
     // Initialize all services
     await dnsManager.init();
-    await traefikMonitor.init();
+    await hostnameMonitor.init();
+    
+    // Start the management API if enabled
+    if (config.apiEnabled) {
+      const apiServer = new ApiServer(config, eventBus, { dnsManager, hostnameMonitor });
+      await apiServer.start();
+    }
     
-    // Start monitoring
-    if (config.watchDockerEvents) {
+    // Serve Prometheus metrics if enabled
+    if (metricsCollector) {
+      const metricsServer = new MetricsServer(config, metricsCollector);
+      await metricsServer.start();
+    }
+    
+    // Start monitoring, Docker isn't used in Kubernetes mode
+    if (config.watchDockerEvents && config.operationMode !== 'kubernetes') {
       await dockerMonitor.startWatching();
     }
     
     // Start main polling
-    await traefikMonitor.startPolling();
+    await hostnameMonitor.startPolling();
+    
+    // Re-apply the configuration file and secrets when they change
+    config.watchConfigFiles(eventBus);
     
     logger.complete('TráfegoDNS running successfully');
   } catch (error) {
@@ -0,0 +1,317 @@
+/**
+ * Configuration file loader
+ * Reads the optional YAML or JSON configuration file and maps its settings
+ * onto the environment variable names used by the ConfigManager
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Describe a setting of the configuration file
+ * @param {string} env - Environment variable the setting maps to
+ * @param {string} type - Value type: string, integer, boolean or list
+ */
+function setting(env, type = 'string') {
+  return { env, type };
+}
+
+// Per-type record default settings, the fields follow ConfigManager.createRecordDefaults
+const RECORD_DEFAULT_FIELDS = {
+  A: { content: 'string', proxied: 'boolean', ttl: 'integer' },
+  AAAA: { content: 'string', proxied: 'boolean', ttl: 'integer' },
+  CNAME: { content: 'string', proxied: 'boolean', ttl: 'integer' },
+  MX: { content: 'string', priority: 'integer', ttl: 'integer' },
+  TXT: { content: 'string', ttl: 'integer' },
+  SRV: { content: 'string', priority: 'integer', weight: 'integer', port: 'integer', ttl: 'integer' },
+  CAA: { content: 'string', flags: 'integer', tag: 'string', ttl: 'integer' }
+};
+
+const recordDefaults = {};
+for (const [type, fields] of Object.entries(RECORD_DEFAULT_FIELDS)) {
+  recordDefaults[type] = {};
+  for (const [field, fieldType] of Object.entries(fields)) {
+    recordDefaults[type][field] = setting(`DNS_DEFAULT_${type}_${field.toUpperCase()}`, fieldType);
+  }
+}
+
+// Layout of the configuration file
+const SCHEMA = {
+  providers: setting('DNS_PROVIDER', 'list'),
+  operationMode: setting('OPERATION_MODE'),
+  cloudflare: {
+    token: setting('CLOUDFLARE_TOKEN'),
+    zones: setting('CLOUDFLARE_ZONE', 'list')
+  },
+  route53: {
+    accessKey: setting('ROUTE53_ACCESS_KEY'),
+    secretKey: setting('ROUTE53_SECRET_KEY'),
+    zones: setting('ROUTE53_ZONE', 'list'),
+    zoneId: setting('ROUTE53_ZONE_ID'),
+    region: setting('ROUTE53_REGION')
+  },
+  digitalocean: {
+    token: setting('DO_TOKEN'),
+    zones: setting('DO_DOMAIN', 'list')
+  },
+  hetzner: {
+    token: setting('HETZNER_TOKEN'),
+    zones: setting('HETZNER_ZONE', 'list')
+  },
+  rfc2136: {
+    server: setting('RFC2136_SERVER'),
+    port: setting('RFC2136_PORT', 'integer'),
+    zones: setting('RFC2136_ZONE', 'list'),
+    keyName: setting('RFC2136_KEY_NAME'),
+    keySecret: setting('RFC2136_KEY_SECRET'),
+    keyAlgorithm: setting('RFC2136_KEY_ALGORITHM'),
+    timeout: setting('RFC2136_TIMEOUT', 'integer')
+  },
+  powerdns: {
+    apiUrl: setting('POWERDNS_API_URL'),
+    apiKey: setting('POWERDNS_API_KEY'),
+    zones: setting('POWERDNS_ZONE', 'list'),
+    serverId: setting('POWERDNS_SERVER_ID')
+  },
+  pihole: {
+    url: setting('PIHOLE_URL'),
+    password: setting('PIHOLE_PASSWORD'),
+    zones: setting('PIHOLE_DOMAIN', 'list')
+  },
+  adguard: {
+    url: setting('ADGUARD_URL'),
+    username: setting('ADGUARD_USERNAME'),
+    password: setting('ADGUARD_PASSWORD'),
+    zones: setting('ADGUARD_DOMAIN', 'list')
+  },
+  traefik: {
+    apiUrl: setting('TRAEFIK_API_URL'),
+    username: setting('TRAEFIK_API_USERNAME'),
+    password: setting('TRAEFIK_API_PASSWORD'),
+    labelPrefix: setting('TRAEFIK_LABEL_PREFIX'),
+    include: {
+      entrypoints: setting('TRAEFIK_INCLUDE_ENTRYPOINTS', 'list'),
+      providers: setting('TRAEFIK_INCLUDE_PROVIDERS', 'list'),
+      statuses: setting('TRAEFIK_INCLUDE_STATUSES', 'list'),
+      routers: setting('TRAEFIK_INCLUDE_ROUTERS')
+    },
+    exclude: {
+      entrypoints: setting('TRAEFIK_EXCLUDE_ENTRYPOINTS', 'list'),
+      providers: setting('TRAEFIK_EXCLUDE_PROVIDERS', 'list'),
+      statuses: setting('TRAEFIK_EXCLUDE_STATUSES', 'list'),
+      routers: setting('TRAEFIK_EXCLUDE_ROUTERS')
+    }
+  },
+  kubernetes: {
+    apiUrl: setting('KUBERNETES_API_URL'),
+    token: setting('KUBERNETES_TOKEN'),
+    caFile: setting('KUBERNETES_CA_FILE'),
+    namespace: setting('KUBERNETES_NAMESPACE'),
+    annotationPrefix: setting('KUBERNETES_ANNOTATION_PREFIX')
+  },
+  labelPrefix: setting('DNS_LABEL_PREFIX'),
+  defaults: {
+    type: setting('DNS_DEFAULT_TYPE'),
+    content: setting('DNS_DEFAULT_CONTENT'),
+    proxied: setting('DNS_DEFAULT_PROXIED', 'boolean'),
+    ttl: setting('DNS_DEFAULT_TTL', 'integer'),
+    manage: setting('DNS_DEFAULT_MANAGE', 'boolean')
+  },
+  recordDefaults,
+  publicIp: {
+    ipv4: setting('PUBLIC_IP'),
+    ipv6: setting('PUBLIC_IPV6'),
+    refreshInterval: setting('IP_REFRESH_INTERVAL', 'integer')
+  },
+  dockerSocket: setting('DOCKER_SOCKET'),
+  dockerHosts: setting('DOCKER_HOSTS', 'list'),
+  dockerCertPath: setting('DOCKER_CERT_PATH'),
+  dockerSwarmMode: setting('DOCKER_SWARM_MODE', 'boolean'),
+  pollInterval: setting('POLL_INTERVAL', 'integer'),
+  watchDockerEvents: setting('WATCH_DOCKER_EVENTS', 'boolean'),
+  cleanupOrphaned: setting('CLEANUP_ORPHANED', 'boolean'),
+  cleanupGracePolls: setting('CLEANUP_GRACE_POLLS', 'integer'),
+  cleanupGracePeriod: setting('CLEANUP_GRACE_PERIOD', 'integer'),
+  preservedHostnames: setting('PRESERVED_HOSTNAMES', 'list'),
+  dryRun: setting('DRY_RUN', 'boolean'),
+  txtRegistry: {
+    enabled: setting('TXT_REGISTRY_ENABLED', 'boolean'),
+    ownerId: setting('TXT_REGISTRY_OWNER_ID'),
+    prefix: setting('TXT_REGISTRY_PREFIX')
+  },
+  dataDir: setting('DATA_DIR'),
+  tracker: {
+    store: setting('TRACKER_STORE'),
+    database: setting('TRACKER_DATABASE')
+  },
+  cacheRefreshInterval: setting('DNS_CACHE_REFRESH_INTERVAL', 'integer'),
+  api: {
+    enabled: setting('API_ENABLED', 'boolean'),
+    host: setting('API_HOST'),
+    port: setting('API_PORT', 'integer'),
+    token: setting('API_TOKEN')
+  },
+  metrics: {
+    enabled: setting('METRICS_ENABLED', 'boolean'),
+    host: setting('METRICS_HOST'),
+    port: setting('METRICS_PORT', 'integer'),
+    token: setting('METRICS_TOKEN')
+  }
+};
+
+/**
+ * Check if a schema node describes a single setting
+ */
+function isSetting(node) {
+  return typeof node.env === 'string' && typeof node.type === 'string';
+}
+
+/**
+ * Convert a setting value to the string form of its environment variable
+ * @param {*} value - Value from the configuration file
+ * @param {string} type - Expected value type
+ * @returns {string} - Environment variable value
+ * @throws {Error} If the value does not have the expected type
+ */
+function convertValue(value, type) {
+  switch (type) {
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        throw new Error(`must be an integer, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`must be true or false, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+    
+    case 'list':
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`must be a list of strings, got ${JSON.stringify(value)}`);
+      }
+      return value.join(',');
+    
+    default:
+      // Numbers are accepted for strings, YAML reads unquoted numeric passwords as numbers
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`must be a string, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+  }
+}
+
+/**
+ * Validate a section of the configuration file and collect its values
+ * @param {Object} section - Section of the parsed file
+ * @param {Object} schema - Schema of the section
+ * @param {string} prefix - Path of the section, used in error messages
+ * @param {Object} values - Collected values keyed by environment variable name
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function collectValues(section, schema, prefix, values, errors) {
+  for (const [key, value] of Object.entries(section)) {
+    const settingPath = `${prefix}${key}`;
+    const node = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : null;
+    
+    if (!node) {
+      errors.push(`${settingPath}: unknown setting`);
+      continue;
+    }
+    
+    // Empty values leave the setting unset
+    if (value === null || value === undefined) {
+      continue;
+    }
+    
+    if (isSetting(node)) {
+      try {
+        values[node.env] = convertValue(value, node.type);
+      } catch (error) {
+        errors.push(`${settingPath}: ${error.message}`);
+      }
+      continue;
+    }
+    
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${settingPath}: must be a section with the settings ${Object.keys(node).join(', ')}`);
+      continue;
+    }
+    
+    collectValues(value, node, `${settingPath}.`, values, errors);
+  }
+}
+
+/**
+ * Parse the contents of a configuration file
+ * @param {string} filePath - Path of the file, its extension selects the format
+ * @param {string} contents - File contents
+ * @returns {Object} - Parsed document
+ */
+function parseContents(filePath, contents) {
+  const extension = path.extname(filePath).toLowerCase();
+  
+  if (extension === '.json') {
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+  
+  if (extension === '.yaml' || extension === '.yml') {
+    try {
+      return yaml.load(contents);
+    } catch (error) {
+      const location = error.mark ? ` (line ${error.mark.line + 1}, column ${error.mark.column + 1})` : '';
+      throw new Error(`Invalid YAML in ${filePath}: ${error.reason || error.message}${location}`);
+    }
+  }
+  
+  throw new Error(`Unsupported configuration file type ${extension || '(none)'} for ${filePath}, use .yaml, .yml or .json`);
+}
+
+/**
+ * Load and validate a configuration file
+ * @param {string} filePath - Path of the YAML or JSON file
+ * @returns {Object} - Setting values keyed by environment variable name
+ * @throws {Error} If the file can't be read, parsed or fails validation
+ */
+function loadConfigFile(filePath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read configuration file ${filePath}: ${error.message}`);
+  }
+  
+  const document = parseContents(filePath, contents);
+  
+  // An empty file has no settings
+  if (document === null || document === undefined) {
+    return {};
+  }
+  
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`Configuration file ${filePath} must contain a mapping of settings`);
+  }
+  
+  const values = {};
+  const errors = [];
+  collectValues(document, SCHEMA, '', values, errors);
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration file ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  
+  return values;
+}
+
+module.exports = {
+  loadConfigFile,
+  SCHEMA
+};
@@ -1,24 +1,127 @@
 /**
  * Configuration management for Traefik DNS Manager
  */
+const fs = require('fs');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
 const EnvironmentLoader = require('./EnvironmentLoader');
+const { loadConfigFile } = require('./ConfigFile');
+const { parseDockerHost } = require('../utils/docker');
 
 // Semaphore for IP update process
 let ipUpdateInProgress = false;
 
+/**
+ * Split a comma-separated setting into its trimmed, non-empty items
+ * @param {string} value - Setting value
+ * @returns {Array<string>} - Items of the list
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+// Settings holding the zone (domain) of each provider
+const PROVIDER_ZONE_SETTINGS = {
+  cloudflare: 'cloudflareZone',
+  route53: 'route53Zone',
+  digitalocean: 'digitalOceanDomain',
+  hetzner: 'hetznerZone',
+  rfc2136: 'rfc2136Zone',
+  powerdns: 'powerdnsZone',
+  pihole: 'piholeDomain',
+  adguard: 'adguardDomain'
+};
+
+// How often the configuration file is checked for changes (ms)
+const CONFIG_FILE_CHECK_INTERVAL = 5000;
+
+// Settings that are only read at startup
+const RESTART_REQUIRED_SETTINGS = [
+  'operationMode',
+  'kubernetesApiUrl',
+  'kubernetesCaFile',
+  'kubernetesNamespace',
+  'dockerSocket',
+  'dockerHosts',
+  'dockerCertPath',
+  'dockerSwarmMode',
+  'watchDockerEvents',
+  'apiEnabled',
+  'apiHost',
+  'apiPort',
+  'metricsEnabled',
+  'metricsHost',
+  'metricsPort',
+  'dataDir',
+  'trackerStore',
+  'trackerDatabase'
+];
+
+// Where hostnames come from: the Traefik API, Docker container labels alone, or Kubernetes objects
+const OPERATION_MODES = ['traefik', 'direct', 'kubernetes'];
+
+// CA certificate mounted into every pod for its service account
+const KUBERNETES_SERVICE_ACCOUNT_CA_FILE = '/var/run/secrets/kubernetes.io/serviceaccount/ca.crt';
+
+// Stores the record tracker can keep tracked records in
+const TRACKER_STORES = ['json', 'sqlite'];
+
+// Providers that can't store the TXT records of the ownership registry
+const TXT_UNSUPPORTED_PROVIDERS = ['pihole', 'adguard'];
+
+// Router statuses reported by the Traefik API
+const ROUTER_STATUSES = ['enabled', 'disabled', 'warning'];
+
+// Properties that hold runtime state rather than settings
+const RUNTIME_PROPERTIES = new Set(['ipCache', 'providerConfigs', 'configFile', 'ipRefreshTimer']);
+
 class ConfigManager {
   constructor() {
+    // Optional YAML or JSON configuration file, environment variables take precedence over it
+    this.configFile = EnvironmentLoader.getString('CONFIG_FILE') || null;
+    if (this.configFile) {
+      EnvironmentLoader.setFileValues(loadConfigFile(this.configFile));
+      logger.debug(`Loaded configuration file ${this.configFile}`);
+    }
+    
     // Initialize IP cache first to avoid reference errors
     this.ipCache = {
-      ipv4: process.env.PUBLIC_IP || null,
-      ipv6: process.env.PUBLIC_IPV6 || null,
+      ipv4: EnvironmentLoader.getString('PUBLIC_IP') || null,
+      ipv6: EnvironmentLoader.getString('PUBLIC_IPV6') || null,
       lastCheck: 0
     };
     
+    // Per-provider configuration views, created on demand and kept across reloads
+    this.providerConfigs = new Map();
+    
+    this.loadSettings();
+    
+    // Schedule immediate IP update and then periodic refresh
+    this.updatePublicIPs().then(() => {
+      // Update A record defaults after IP discovery
+      this.updateRecordDefaultIPs();
+    });
+    
+    // Set up periodic IP refresh
+    this.scheduleIpRefresh();
+  }
+  
+  /**
+   * Read all settings from the environment and the configuration file
+   * Called again when the configuration file changes
+   */
+  loadSettings() {
     // DNS Provider configuration
-    this.dnsProvider = EnvironmentLoader.getString('DNS_PROVIDER', 'cloudflare');
+    // Several providers can be listed (comma separated), the first one is the primary provider
+    this.dnsProviders = EnvironmentLoader.getString('DNS_PROVIDER', 'cloudflare')
+      .split(',')
+      .map(provider => provider.trim().toLowerCase())
+      .filter(provider => provider.length > 0);
+    this.dnsProvider = this.dnsProviders[0] || 'cloudflare';
     
     // Provider-specific settings
     // Cloudflare settings
@@ -36,14 +139,95 @@ class ConfigManager {
     this.digitalOceanToken = EnvironmentLoader.getString('DO_TOKEN');
     this.digitalOceanDomain = EnvironmentLoader.getString('DO_DOMAIN');
     
+    // Hetzner settings
+    this.hetznerToken = EnvironmentLoader.getString('HETZNER_TOKEN');
+    this.hetznerZone = EnvironmentLoader.getString('HETZNER_ZONE');
+    
+    // RFC 2136 settings
+    this.rfc2136Server = EnvironmentLoader.getString('RFC2136_SERVER');
+    this.rfc2136Port = EnvironmentLoader.getInt('RFC2136_PORT', 53);
+    this.rfc2136Zone = EnvironmentLoader.getString('RFC2136_ZONE');
+    this.rfc2136KeyName = EnvironmentLoader.getString('RFC2136_KEY_NAME');
+    this.rfc2136KeySecret = EnvironmentLoader.getString('RFC2136_KEY_SECRET');
+    this.rfc2136KeyAlgorithm = EnvironmentLoader.getString('RFC2136_KEY_ALGORITHM', 'hmac-sha256');
+    this.rfc2136Timeout = EnvironmentLoader.getInt('RFC2136_TIMEOUT', 10000);
+    
+    // PowerDNS settings
+    this.powerdnsApiUrl = EnvironmentLoader.getString('POWERDNS_API_URL');
+    this.powerdnsApiKey = EnvironmentLoader.getString('POWERDNS_API_KEY');
+    this.powerdnsZone = EnvironmentLoader.getString('POWERDNS_ZONE');
+    this.powerdnsServerId = EnvironmentLoader.getString('POWERDNS_SERVER_ID', 'localhost');
+    
+    // Pi-hole settings
+    this.piholeUrl = EnvironmentLoader.getString('PIHOLE_URL');
+    this.piholePassword = EnvironmentLoader.getString('PIHOLE_PASSWORD');
+    this.piholeDomain = EnvironmentLoader.getString('PIHOLE_DOMAIN');
+    
+    // AdGuard Home settings
+    this.adguardUrl = EnvironmentLoader.getString('ADGUARD_URL');
+    this.adguardUsername = EnvironmentLoader.getString('ADGUARD_USERNAME');
+    this.adguardPassword = EnvironmentLoader.getString('ADGUARD_PASSWORD');
+    this.adguardDomain = EnvironmentLoader.getString('ADGUARD_DOMAIN');
+    
+    // Zone settings accept a comma-separated list of zones, the first one is the primary zone
+    this.providerZones = {};
+    for (const [provider, setting] of Object.entries(PROVIDER_ZONE_SETTINGS)) {
+      const zones = (this[setting] || '')
+        .split(',')
+        .map(zone => zone.trim())
+        .filter(zone => zone.length > 0);
+      
+      this.providerZones[provider] = zones;
+      if (zones.length > 0) {
+        this[setting] = zones[0];
+      }
+    }
+    
     // Validate required settings based on provider
-    this.validateProviderConfig();
+    this.validateProviders();
+    
+    // Hostname source
+    this.operationMode = EnvironmentLoader.getString('OPERATION_MODE', 'traefik').toLowerCase();
+    
+    if (!OPERATION_MODES.includes(this.operationMode)) {
+      throw new Error(`OPERATION_MODE must be one of ${OPERATION_MODES.join(', ')}, got ${this.operationMode}`);
+    }
+    
+    // Kubernetes API settings, inside a cluster the pod's service account is used by default
+    this.kubernetesApiUrl = EnvironmentLoader.getString('KUBERNETES_API_URL', this.getInClusterApiUrl());
+    this.kubernetesToken = EnvironmentLoader.getString('KUBERNETES_TOKEN');
+    this.kubernetesCaFile = EnvironmentLoader.getString('KUBERNETES_CA_FILE',
+      fs.existsSync(KUBERNETES_SERVICE_ACCOUNT_CA_FILE) ? KUBERNETES_SERVICE_ACCOUNT_CA_FILE : '');
+    this.kubernetesNamespace = EnvironmentLoader.getString('KUBERNETES_NAMESPACE');
+    this.kubernetesAnnotationPrefix = EnvironmentLoader.getString('KUBERNETES_ANNOTATION_PREFIX', 'trafegodns.io/');
+    
+    if (this.operationMode === 'kubernetes' && !this.kubernetesApiUrl) {
+      throw new Error('KUBERNETES_API_URL environment variable is required when running outside a Kubernetes cluster');
+    }
     
     // Traefik API settings
     this.traefikApiUrl = EnvironmentLoader.getString('TRAEFIK_API_URL', 'http://traefik:8080/api');
     this.traefikApiUsername = EnvironmentLoader.getString('TRAEFIK_API_USERNAME');
     this.traefikApiPassword = EnvironmentLoader.getString('TRAEFIK_API_PASSWORD');
     
+    // Only routers passing these filters get DNS records, empty include lists allow everything
+    this.traefikIncludeEntrypoints = parseList(EnvironmentLoader.getString('TRAEFIK_INCLUDE_ENTRYPOINTS'));
+    this.traefikExcludeEntrypoints = parseList(EnvironmentLoader.getString('TRAEFIK_EXCLUDE_ENTRYPOINTS'));
+    
+    // Traefik providers are named without the @ of the router name suffix
+    this.traefikIncludeProviders = parseList(EnvironmentLoader.getString('TRAEFIK_INCLUDE_PROVIDERS'))
+      .map(provider => provider.replace(/^@/, '').toLowerCase());
+    this.traefikExcludeProviders = parseList(EnvironmentLoader.getString('TRAEFIK_EXCLUDE_PROVIDERS'))
+      .map(provider => provider.replace(/^@/, '').toLowerCase());
+    
+    this.traefikIncludeStatuses = parseList(EnvironmentLoader.getString('TRAEFIK_INCLUDE_STATUSES')).map(status => status.toLowerCase());
+    this.traefikExcludeStatuses = parseList(EnvironmentLoader.getString('TRAEFIK_EXCLUDE_STATUSES')).map(status => status.toLowerCase());
+    
+    // Regular expressions matched against the full router name, e.g. my-app@docker
+    this.traefikIncludeRouters = EnvironmentLoader.getString('TRAEFIK_INCLUDE_ROUTERS');
+    this.traefikExcludeRouters = EnvironmentLoader.getString('TRAEFIK_EXCLUDE_ROUTERS');
+    this.validateRouterFilters();
+    
     // Label prefixes
     this.genericLabelPrefix = EnvironmentLoader.getString('DNS_LABEL_PREFIX', 'dns.');
     this.dnsLabelPrefix = `${this.genericLabelPrefix}${this.dnsProvider}.`;
@@ -55,100 +239,439 @@ class ConfigManager {
     this.defaultProxied = EnvironmentLoader.getBool('DNS_DEFAULT_PROXIED', true);
     
     // Set default TTL based on the provider
-    switch (this.dnsProvider.toLowerCase()) {
+    this.defaultTTL = this.getProviderDefaultTTL(this.dnsProvider);
+    
+    this.defaultManage = EnvironmentLoader.getBool('DNS_DEFAULT_MANAGE', true);
+    
+    // Record type specific defaults - we'll set A content after IP discovery
+    this.recordDefaults = this.createRecordDefaults(this.defaultTTL, this.defaultContent);
+    
+    // Application behavior
+    this.dockerSocket = EnvironmentLoader.getString('DOCKER_SOCKET', '/var/run/docker.sock');
+    // Docker hosts to watch, DOCKER_SOCKET alone unless a list of sockets and tcp:// addresses is given
+    this.dockerHosts = parseList(EnvironmentLoader.getString('DOCKER_HOSTS'));
+    this.dockerCertPath = EnvironmentLoader.getString('DOCKER_CERT_PATH');
+    this.validateDockerHosts();
+    // Read the labels of Swarm services as well, which is where Traefik reads them from in a Swarm
+    this.dockerSwarmMode = EnvironmentLoader.getBool('DOCKER_SWARM_MODE', false);
+    this.pollInterval = EnvironmentLoader.getInt('POLL_INTERVAL', 60000);
+    this.watchDockerEvents = EnvironmentLoader.getBool('WATCH_DOCKER_EVENTS', true);
+    this.cleanupOrphaned = EnvironmentLoader.getBool('CLEANUP_ORPHANED', false);
+    
+    // Orphaned records are only deleted after they have been missing for this many polls and this long (ms),
+    // by default they are deleted as soon as they are found
+    this.cleanupGracePolls = EnvironmentLoader.getInt('CLEANUP_GRACE_POLLS', 0);
+    this.cleanupGracePeriod = EnvironmentLoader.getInt('CLEANUP_GRACE_PERIOD', 0);
+    this.preservedHostnames = EnvironmentLoader.getString('PRESERVED_HOSTNAMES');
+    
+    // Report the planned DNS changes without applying them
+    this.dryRun = EnvironmentLoader.getBool('DRY_RUN', false);
+    
+    // Ownership registry, companion TXT records naming the instance that manages each record
+    this.txtRegistryEnabled = EnvironmentLoader.getBool('TXT_REGISTRY_ENABLED', false);
+    this.txtRegistryOwnerId = EnvironmentLoader.getString('TXT_REGISTRY_OWNER_ID');
+    this.txtRegistryPrefix = EnvironmentLoader.getString('TXT_REGISTRY_PREFIX', '_tdns.');
+    this.validateTxtRegistry();
+    
+    // Directory of the tracker file and database, relative paths are resolved against the working directory
+    this.dataDir = EnvironmentLoader.getString('DATA_DIR', process.cwd());
+    
+    // Where tracked records are kept, the SQLite store also keeps a history of every change
+    this.trackerStore = EnvironmentLoader.getString('TRACKER_STORE', 'json').toLowerCase();
+    this.trackerDatabase = EnvironmentLoader.getString('TRACKER_DATABASE', 'dns-records.db');
+    
+    if (!TRACKER_STORES.includes(this.trackerStore)) {
+      throw new Error(`TRACKER_STORE must be one of ${TRACKER_STORES.join(', ')}, got ${this.trackerStore}`);
+    }
+    
+    // Management API
+    this.apiEnabled = EnvironmentLoader.getBool('API_ENABLED', false);
+    this.apiHost = EnvironmentLoader.getString('API_HOST', '0.0.0.0');
+    this.apiPort = EnvironmentLoader.getInt('API_PORT', 3000);
+    this.apiToken = EnvironmentLoader.getString('API_TOKEN');
+    
+    // Prometheus metrics
+    this.metricsEnabled = EnvironmentLoader.getBool('METRICS_ENABLED', false);
+    this.metricsHost = EnvironmentLoader.getString('METRICS_HOST', '0.0.0.0');
+    this.metricsPort = EnvironmentLoader.getInt('METRICS_PORT', 9090);
+    this.metricsToken = EnvironmentLoader.getString('METRICS_TOKEN');
+    
+    if (this.apiEnabled && this.metricsEnabled && this.apiPort === this.metricsPort) {
+      throw new Error(`METRICS_PORT must differ from API_PORT, both are ${this.apiPort}`);
+    }
+    
+    // Cache refresh interval in milliseconds (default: 1 hour)
+    this.cacheRefreshInterval = EnvironmentLoader.getInt('DNS_CACHE_REFRESH_INTERVAL', 3600000);
+    
+    // IP refresh interval in milliseconds (default: 1 hour)
+    this.ipRefreshInterval = EnvironmentLoader.getInt('IP_REFRESH_INTERVAL', 3600000);
+  }
+  
+  /**
+   * Get the URL of the Kubernetes API from the service environment variables set in every pod
+   * @returns {string} - API URL, empty outside a cluster
+   */
+  getInClusterApiUrl() {
+    const host = process.env.KUBERNETES_SERVICE_HOST;
+    const port = process.env.KUBERNETES_SERVICE_PORT || '443';
+    
+    if (!host) {
+      return '';
+    }
+    
+    return `https://${host.includes(':') ? `[${host}]` : host}:${port}`;
+  }
+  
+  /**
+   * Fill in the A and AAAA record defaults with the public IPs, unless they are configured
+   */
+  updateRecordDefaultIPs() {
+    const aContent = EnvironmentLoader.getString('DNS_DEFAULT_A_CONTENT') || this.ipCache.ipv4 || '';
+    const aaaaContent = EnvironmentLoader.getString('DNS_DEFAULT_AAAA_CONTENT') || this.ipCache.ipv6 || '';
+    
+    for (const config of [this, ...this.providerConfigs.values()]) {
+      config.recordDefaults.A.content = aContent;
+      config.recordDefaults.AAAA.content = aaaaContent;
+    }
+    logger.debug(`Updated A record defaults with IP: ${this.recordDefaults.A.content}`);
+  }
+  
+  /**
+   * (Re)start the periodic public IP refresh
+   */
+  scheduleIpRefresh() {
+    if (this.ipRefreshTimer) {
+      clearInterval(this.ipRefreshTimer);
+      this.ipRefreshTimer = null;
+    }
+    
+    if (this.ipRefreshInterval > 0) {
+      this.ipRefreshTimer = setInterval(() => this.updatePublicIPs(), this.ipRefreshInterval);
+    }
+  }
+  
+  /**
+   * Get the statically configured public IPs
+   * @returns {string} - PUBLIC_IP and PUBLIC_IPV6 values, for change detection
+   */
+  getConfiguredPublicIPs() {
+    return `${EnvironmentLoader.getString('PUBLIC_IP')},${EnvironmentLoader.getString('PUBLIC_IPV6')}`;
+  }
+  
+  /**
+   * Get a copy of the current settings, used to detect and roll back changes
+   * @returns {Object} - Settings keyed by property name
+   */
+  getSettingsSnapshot() {
+    const snapshot = {};
+    
+    for (const [key, value] of Object.entries(this)) {
+      if (!RUNTIME_PROPERTIES.has(key)) {
+        snapshot[key] = value;
+      }
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * Re-read the configuration file and secret files and apply their settings
+   * An invalid file is rejected and the current settings are kept
+   * @returns {Array<string>|null} - Names of the changed settings, null if the file was rejected
+   */
+  reload() {
+    const previousSettings = this.getSettingsSnapshot();
+    const previousFileValues = EnvironmentLoader.fileValues;
+    const previousPublicIPs = this.getConfiguredPublicIPs();
+    
+    try {
+      if (this.configFile) {
+        EnvironmentLoader.setFileValues(loadConfigFile(this.configFile));
+      }
+      this.loadSettings();
+    } catch (error) {
+      // Roll back to the settings that were working
+      EnvironmentLoader.setFileValues(previousFileValues);
+      Object.assign(this, previousSettings);
+      
+      logger.error(`Configuration change not applied, keeping the current settings: ${error.message}`);
+      return null;
+    }
+    
+    // Providers and the DNS manager hold on to their views, so update them rather than replacing them
+    for (const [key, view] of this.providerConfigs) {
+      const [provider, zone] = key.split(/:(.*)/);
+      this.configureProviderView(view, provider, zone || null);
+    }
+    
+    this.updateRecordDefaultIPs();
+    
+    const currentSettings = this.getSettingsSnapshot();
+    const changed = Object.keys(currentSettings).filter(key =>
+      JSON.stringify(currentSettings[key]) !== JSON.stringify(previousSettings[key])
+    );
+    
+    if (changed.includes('ipRefreshInterval')) {
+      this.scheduleIpRefresh();
+    }
+    
+    // Pick up changed static public IPs straight away
+    if (this.getConfiguredPublicIPs() !== previousPublicIPs) {
+      this.updatePublicIPs().then(() => this.updateRecordDefaultIPs());
+    }
+    
+    return changed;
+  }
+  
+  /**
+   * Watch the configuration file and secret files and publish CONFIG_UPDATED when settings change
+   * The files are polled, so it keeps working when editors replace them, they are bind mounted
+   * or secrets are rotated by swapping symlinks
+   * @param {EventBus} eventBus - Event bus to publish the changes on
+   */
+  watchConfigFiles(eventBus) {
+    const files = [this.configFile, ...EnvironmentLoader.getSecretFiles()].filter(Boolean);
+    
+    for (const file of files) {
+      fs.watchFile(file, { interval: CONFIG_FILE_CHECK_INTERVAL }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+          return;
+        }
+        
+        logger.debug(`${file} changed, reloading configuration`);
+        this.applyConfigChanges(eventBus, file);
+      });
+      
+      logger.debug(`Watching ${file} for changes`);
+    }
+  }
+  
+  /**
+   * Reload the configuration and publish the changed settings
+   * @param {EventBus} eventBus - Event bus to publish the changes on
+   * @param {string} file - File that changed
+   */
+  applyConfigChanges(eventBus, file) {
+    const changed = this.reload();
+      
+    if (!changed) {
+      return;
+    }
+    
+    if (changed.length === 0) {
+      logger.debug('Configuration reloaded, no settings changed');
+      return;
+    }
+    
+    logger.info(`🔁 Configuration reloaded, changed settings: ${changed.join(', ')}`);
+    
+    const restartRequired = changed.filter(setting => RESTART_REQUIRED_SETTINGS.includes(setting));
+    if (restartRequired.length > 0) {
+      logger.warn(`Restart TráfegoDNS to apply changes to: ${restartRequired.join(', ')}`);
+    }
+    
+    eventBus.publish(EventTypes.CONFIG_UPDATED, {
+      file,
+      changed
+    });
+  }
+  
+  /**
+   * Get the default TTL for a provider, honouring DNS_DEFAULT_TTL when set
+   * @param {string} provider - DNS provider name
+   * @returns {number} - Default TTL in seconds
+   */
+  getProviderDefaultTTL(provider) {
+    switch (provider.toLowerCase()) {
       case 'cloudflare':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Cloudflare minimum is 1 (Auto)
-        break;
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Cloudflare minimum is 1 (Auto)
       case 'digitalocean':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 30); // DigitalOcean minimum is 30
-        break;
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 30); // DigitalOcean minimum is 30
       case 'route53':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 60); // Route53 minimum is 60
-        break;
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 60); // Route53 minimum is 60
+      case 'hetzner':
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 60); // Hetzner minimum is 60
+      case 'rfc2136':
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 300); // No minimum, use a common zone default
+      case 'powerdns':
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 300); // No minimum, use a common zone default
       default:
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Default fallback
+        return EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Default fallback
     }
-    
-    this.defaultManage = EnvironmentLoader.getBool('DNS_DEFAULT_MANAGE', true);
-    
-    // Record type specific defaults - we'll set A content after IP discovery
-    this.recordDefaults = {
+  }
+  
+  /**
+   * Build the record type specific defaults
+   * A and AAAA content is filled in after IP discovery
+   * @param {number} defaultTTL - Default TTL for the provider
+   * @param {string} defaultContent - Default record content for the provider
+   * @returns {Object} - Defaults keyed by record type
+   */
+  createRecordDefaults(defaultTTL, defaultContent) {
+    return {
       A: {
         content: '',  // Will be set after IP discovery
-        proxied: process.env.DNS_DEFAULT_A_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_A_PROXIED !== 'false' : 
-                 this.defaultProxied,
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_A_TTL', this.defaultTTL)
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_A_PROXIED', this.defaultProxied),
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_A_TTL', defaultTTL)
       },
       AAAA: {
         content: '',  // Will be set after IP discovery
-        proxied: process.env.DNS_DEFAULT_AAAA_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_AAAA_PROXIED !== 'false' : 
-                 this.defaultProxied,
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_AAAA_TTL', this.defaultTTL)
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_AAAA_PROXIED', this.defaultProxied),
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_AAAA_TTL', defaultTTL)
       },
       CNAME: {
-        content: EnvironmentLoader.getString('DNS_DEFAULT_CNAME_CONTENT', this.defaultContent || ''),
-        proxied: process.env.DNS_DEFAULT_CNAME_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_CNAME_PROXIED !== 'false' : 
-                 this.defaultProxied,
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CNAME_TTL', this.defaultTTL)
+        content: EnvironmentLoader.getString('DNS_DEFAULT_CNAME_CONTENT', defaultContent || ''),
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_CNAME_PROXIED', this.defaultProxied),
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CNAME_TTL', defaultTTL)
       },
       MX: {
         content: EnvironmentLoader.getString('DNS_DEFAULT_MX_CONTENT', ''),
         priority: EnvironmentLoader.getInt('DNS_DEFAULT_MX_PRIORITY', 10),
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_MX_TTL', this.defaultTTL)
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_MX_TTL', defaultTTL)
       },
       TXT: {
         content: EnvironmentLoader.getString('DNS_DEFAULT_TXT_CONTENT', ''),
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_TXT_TTL', this.defaultTTL)
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_TXT_TTL', defaultTTL)
       },
       SRV: {
         content: EnvironmentLoader.getString('DNS_DEFAULT_SRV_CONTENT', ''),
         priority: EnvironmentLoader.getInt('DNS_DEFAULT_SRV_PRIORITY', 1),
         weight: EnvironmentLoader.getInt('DNS_DEFAULT_SRV_WEIGHT', 1),
         port: EnvironmentLoader.getInt('DNS_DEFAULT_SRV_PORT', 80),
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_SRV_TTL', this.defaultTTL)
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_SRV_TTL', defaultTTL)
       },
       CAA: {
         content: EnvironmentLoader.getString('DNS_DEFAULT_CAA_CONTENT', ''),
         flags: EnvironmentLoader.getInt('DNS_DEFAULT_CAA_FLAGS', 0),
         tag: EnvironmentLoader.getString('DNS_DEFAULT_CAA_TAG', 'issue'),
-        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CAA_TTL', this.defaultTTL)
+        ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CAA_TTL', defaultTTL)
       }
     };
+  }
+  
+  /**
+   * Validate every configured provider
+   * Every zone can only be managed once so hostnames can be routed to it
+   */
+  validateProviders() {
+    if (this.dnsProviders.length === 0) {
+      throw new Error('DNS_PROVIDER environment variable must name at least one DNS provider');
+    }
     
-    // Application behavior
-    this.dockerSocket = EnvironmentLoader.getString('DOCKER_SOCKET', '/var/run/docker.sock');
-    this.pollInterval = EnvironmentLoader.getInt('POLL_INTERVAL', 60000);
-    this.watchDockerEvents = EnvironmentLoader.getBool('WATCH_DOCKER_EVENTS', true);
-    this.cleanupOrphaned = EnvironmentLoader.getBool('CLEANUP_ORPHANED', false);
+    const validatedProviders = new Set();
+    const zones = new Map();
     
-    // Cache refresh interval in milliseconds (default: 1 hour)
-    this.cacheRefreshInterval = EnvironmentLoader.getInt('DNS_CACHE_REFRESH_INTERVAL', 3600000);
+    for (const provider of this.dnsProviders) {
+      if (validatedProviders.has(provider)) {
+        throw new Error(`DNS provider ${provider} is listed more than once in DNS_PROVIDER`);
+      }
+      
+      this.validateProviderConfig(provider);
+      validatedProviders.add(provider);
+      
+      for (const zone of this.getProviderZones(provider)) {
+        const zoneName = zone.toLowerCase();
+        
+        if (!zoneName) {
+          if (this.dnsProviders.length > 1) {
+            throw new Error(`A zone name is required for ${provider} provider when using multiple DNS providers`);
+          }
+          continue;
+        }
+        
+        if (zones.has(zoneName)) {
+          const otherProvider = zones.get(zoneName);
+          throw new Error(otherProvider === provider
+            ? `Zone ${zoneName} is listed more than once for ${provider} provider`
+            : `DNS providers ${otherProvider} and ${provider} are both configured for zone ${zoneName}`);
+        }
+        
+        zones.set(zoneName, provider);
+      }
+    }
+  }
+  
+  /**
+   * Validate the Docker hosts, every host needs a valid address and a unique name
+   */
+  validateDockerHosts() {
+    const names = new Set();
     
-    // IP refresh interval in milliseconds (default: 1 hour)
-    this.ipRefreshInterval = EnvironmentLoader.getInt('IP_REFRESH_INTERVAL', 3600000);
+    for (const value of this.dockerHosts) {
+      const { name } = parseDockerHost(value);
+      
+      if (names.has(name)) {
+        throw new Error(`DOCKER_HOSTS contains the host name ${name} twice, name the hosts with name=address`);
+      }
+      names.add(name);
+    }
+  }
+  
+  /**
+   * Validate the Traefik router filter settings
+   */
+  validateRouterFilters() {
+    const statuses = {
+      TRAEFIK_INCLUDE_STATUSES: this.traefikIncludeStatuses,
+      TRAEFIK_EXCLUDE_STATUSES: this.traefikExcludeStatuses
+    };
     
-    // Schedule immediate IP update and then periodic refresh
-    this.updatePublicIPs().then(() => {
-      // Update A record defaults after IP discovery
-      this.recordDefaults.A.content = process.env.DNS_DEFAULT_A_CONTENT || this.ipCache.ipv4 || '';
-      this.recordDefaults.AAAA.content = process.env.DNS_DEFAULT_AAAA_CONTENT || this.ipCache.ipv6 || '';
-      logger.debug(`Updated A record defaults with IP: ${this.recordDefaults.A.content}`);
-    });
-
-    // Set up periodic IP refresh
-    if (this.ipRefreshInterval > 0) {
-      setInterval(() => this.updatePublicIPs(), this.ipRefreshInterval);
+    for (const [name, values] of Object.entries(statuses)) {
+      const unknown = values.filter(status => !ROUTER_STATUSES.includes(status));
+      if (unknown.length > 0) {
+        throw new Error(`${name} can only contain ${ROUTER_STATUSES.join(', ')}, got ${unknown.join(', ')}`);
+      }
+    }
+    
+    const patterns = {
+      TRAEFIK_INCLUDE_ROUTERS: this.traefikIncludeRouters,
+      TRAEFIK_EXCLUDE_ROUTERS: this.traefikExcludeRouters
+    };
+    
+    for (const [name, pattern] of Object.entries(patterns)) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${name} must be a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Validate the TXT ownership registry settings
+   * Registry records are only written when the registry is enabled, so the settings are only checked then
+   */
+  validateTxtRegistry() {
+    if (!this.txtRegistryEnabled) {
+      return;
+    }
+    
+    if (!this.txtRegistryOwnerId) {
+      throw new Error('TXT_REGISTRY_OWNER_ID environment variable is required when TXT_REGISTRY_ENABLED is true');
+    }
+    
+    // The owner ID is stored as a key=value field of the TXT record
+    if (!/^[A-Za-z0-9._-]+$/.test(this.txtRegistryOwnerId)) {
+      throw new Error('TXT_REGISTRY_OWNER_ID can only contain letters, digits, dots, dashes and underscores');
+    }
+    
+    if (!/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*\.$/.test(this.txtRegistryPrefix)) {
+      throw new Error('TXT_REGISTRY_PREFIX must be one or more DNS labels ending with a dot, such as _tdns.');
+    }
+    
+    for (const provider of this.dnsProviders) {
+      if (TXT_UNSUPPORTED_PROVIDERS.includes(provider)) {
+        throw new Error(`The TXT registry is not supported by the ${provider} provider, it can't store TXT records`);
+      }
     }
   }
   
   /**
    * Validate that required config is present for the selected provider
+   * @param {string} provider - DNS provider name (defaults to the primary provider)
    */
-  validateProviderConfig() {
-    switch (this.dnsProvider.toLowerCase()) {
+  validateProviderConfig(provider = this.dnsProvider) {
+    switch (provider.toLowerCase()) {
       case 'cloudflare':
         if (!this.cloudflareToken) {
           throw new Error('CLOUDFLARE_TOKEN environment variable is required for Cloudflare provider');
@@ -181,27 +704,164 @@ class ConfigManager {
         }
         break;
         
+      case 'hetzner':
+        if (!this.hetznerToken) {
+          throw new Error('HETZNER_TOKEN environment variable is required for Hetzner provider');
+        }
+        if (!this.hetznerZone) {
+          throw new Error('HETZNER_ZONE environment variable is required for Hetzner provider');
+        }
+        break;
+        
+      case 'rfc2136':
+        if (!this.rfc2136Server) {
+          throw new Error('RFC2136_SERVER environment variable is required for RFC 2136 provider');
+        }
+        if (!this.rfc2136Zone) {
+          throw new Error('RFC2136_ZONE environment variable is required for RFC 2136 provider');
+        }
+        
+        // A TSIG key needs both its name and secret
+        if (!!this.rfc2136KeyName !== !!this.rfc2136KeySecret) {
+          throw new Error('RFC2136_KEY_NAME and RFC2136_KEY_SECRET must be set together for RFC 2136 provider');
+        }
+        break;
+        
+      case 'powerdns':
+        if (!this.powerdnsApiUrl) {
+          throw new Error('POWERDNS_API_URL environment variable is required for PowerDNS provider');
+        }
+        if (!this.powerdnsApiKey) {
+          throw new Error('POWERDNS_API_KEY environment variable is required for PowerDNS provider');
+        }
+        if (!this.powerdnsZone) {
+          throw new Error('POWERDNS_ZONE environment variable is required for PowerDNS provider');
+        }
+        break;
+        
+      case 'pihole':
+        if (!this.piholeUrl) {
+          throw new Error('PIHOLE_URL environment variable is required for Pi-hole provider');
+        }
+        if (!this.piholeDomain) {
+          throw new Error('PIHOLE_DOMAIN environment variable is required for Pi-hole provider');
+        }
+        break;
+        
+      case 'adguard':
+        if (!this.adguardUrl) {
+          throw new Error('ADGUARD_URL environment variable is required for AdGuard Home provider');
+        }
+        if (!this.adguardDomain) {
+          throw new Error('ADGUARD_DOMAIN environment variable is required for AdGuard Home provider');
+        }
+        break;
+        
       default:
-        throw new Error(`Unsupported DNS provider: ${this.dnsProvider}`);
+        throw new Error(`Unsupported DNS provider: ${provider}`);
     }
   }
   
   /**
    * Get the main domain for the current provider
+   * @param {string} provider - DNS provider name (defaults to the current provider)
    */
-  getProviderDomain() {
-    switch (this.dnsProvider.toLowerCase()) {
+  getProviderDomain(provider = this.dnsProvider) {
+    switch (provider.toLowerCase()) {
       case 'cloudflare':
         return this.cloudflareZone;
       case 'route53':
         return this.route53Zone;
       case 'digitalocean':
         return this.digitalOceanDomain;
+      case 'hetzner':
+        return this.hetznerZone;
+      case 'rfc2136':
+        return this.rfc2136Zone;
+      case 'powerdns':
+        return this.powerdnsZone;
+      case 'pihole':
+        return this.piholeDomain;
+      case 'adguard':
+        return this.adguardDomain;
       default:
         return '';
     }
   }
   
+  /**
+   * Get all zones managed by a provider
+   * @param {string} provider - DNS provider name (defaults to the current provider)
+   * @returns {Array<string>} - Zone names, the primary zone first
+   */
+  getProviderZones(provider = this.dnsProvider) {
+    const zones = this.providerZones[provider.toLowerCase()];
+    
+    if (zones && zones.length > 0) {
+      return zones;
+    }
+    
+    // Route53 can be configured with only a zone ID
+    return [this.getProviderDomain(provider) || ''];
+  }
+  
+  /**
+   * Get a configuration view for one zone of a configured provider
+   * The view shares all settings with this config, but reports the given provider
+   * as its DNS provider and uses that provider's zone, label prefix and TTL defaults
+   * @param {string} provider - DNS provider name
+   * @param {string} zone - Zone managed through the view (defaults to the primary zone)
+   * @returns {Object} - Configuration view for the provider
+   */
+  forProvider(provider, zone = this.getProviderDomain(provider)) {
+    const key = `${provider}:${zone || ''}`;
+    
+    if (this.providerConfigs.has(key)) {
+      return this.providerConfigs.get(key);
+    }
+    
+    const view = Object.create(this);
+    this.configureProviderView(view, provider, zone);
+    
+    // Keep the IP cache shared with the main config
+    view.updatePublicIPs = () => this.updatePublicIPs();
+    
+    this.providerConfigs.set(key, view);
+    return view;
+  }
+  
+  /**
+   * Set the provider-specific settings of a configuration view from the current settings
+   * @param {Object} view - Configuration view created by forProvider
+   * @param {string} provider - DNS provider name
+   * @param {string} zone - Zone managed through the view
+   */
+  configureProviderView(view, provider, zone) {
+    view.dnsProvider = provider;
+    view.dnsLabelPrefix = `${this.genericLabelPrefix}${provider}.`;
+    
+    // Fall back to the shared settings unless the view overrides them below
+    if (PROVIDER_ZONE_SETTINGS[provider]) {
+      delete view[PROVIDER_ZONE_SETTINGS[provider]];
+    }
+    delete view.route53ZoneId;
+    
+    if (PROVIDER_ZONE_SETTINGS[provider] && zone) {
+      view[PROVIDER_ZONE_SETTINGS[provider]] = zone;
+    }
+    
+    // A Route53 zone ID can't identify several zones, they are looked up by name instead
+    if (provider === 'route53' && this.getProviderZones(provider).length > 1) {
+      view.route53ZoneId = null;
+    }
+    
+    view.defaultTTL = this.getProviderDefaultTTL(provider);
+    view.defaultContent = EnvironmentLoader.getString('DNS_DEFAULT_CONTENT', view.getProviderDomain(provider));
+    view.recordDefaults = this.createRecordDefaults(view.defaultTTL, view.defaultContent);
+    view.recordDefaults.A.content = this.recordDefaults.A.content;
+    view.recordDefaults.AAAA.content = this.recordDefaults.AAAA.content;
+  }
+  
   /**
    * Get defaults for a specific record type
    */
@@ -279,8 +939,8 @@ class ConfigManager {
       const oldIpv6 = this.ipCache.ipv6;
       
       // Use environment variables if provided, otherwise fetch from IP service
-      let ipv4 = process.env.PUBLIC_IP;
-      let ipv6 = process.env.PUBLIC_IPV6;
+      let ipv4 = EnvironmentLoader.getString('PUBLIC_IP');
+      let ipv6 = EnvironmentLoader.getString('PUBLIC_IPV6');
       
       // If IP not set via environment, fetch from service
       if (!ipv4) {
@@ -1,8 +1,64 @@
 /**
  * Environment variable loader
  * Handles loading and validating environment variables
+ * Settings from the optional configuration file are used when a variable is not set
  */
+const fs = require('fs');
+
 class EnvironmentLoader {
+    /**
+     * Replace the values loaded from the configuration file
+     * @param {Object} values - Setting values keyed by environment variable name
+     */
+    static setFileValues(values) {
+      this.fileValues = values || {};
+    }
+    
+    /**
+     * Get the raw value of a setting
+     * Precedence: the variable itself, a secret file named by <NAME>_FILE, then the configuration file
+     * @param {string} name - Environment variable name
+     * @returns {string|undefined} The raw value
+     */
+    static getRaw(name) {
+      if (process.env[name] !== undefined) {
+        return process.env[name];
+      }
+      
+      // Docker secrets, e.g. CLOUDFLARE_TOKEN_FILE=/run/secrets/cloudflare_token
+      const secretFile = process.env[`${name}_FILE`];
+      if (secretFile) {
+        return this.readSecretFile(name, secretFile);
+      }
+      
+      return this.fileValues[name];
+    }
+    
+    /**
+     * Read a setting from a secret file
+     * @param {string} name - Environment variable name
+     * @param {string} filePath - Path of the secret file
+     * @returns {string} The file contents without surrounding whitespace
+     * @throws {Error} If the file can't be read
+     */
+    static readSecretFile(name, filePath) {
+      try {
+        const value = fs.readFileSync(filePath, 'utf8').trim();
+        this.secretFiles.set(name, filePath);
+        return value;
+      } catch (error) {
+        throw new Error(`Unable to read ${name}_FILE (${filePath}): ${error.message}`);
+      }
+    }
+    
+    /**
+     * Get the secret files that settings have been read from
+     * @returns {Array<string>} Paths of the secret files
+     */
+    static getSecretFiles() {
+      return Array.from(new Set(this.secretFiles.values()));
+    }
+    
     /**
      * Get environment variable with type conversion
      * @param {string} name - Environment variable name
@@ -11,7 +67,7 @@ class EnvironmentLoader {
      * @returns {*} The environment variable value
      */
     static get(name, defaultValue, converter = null) {
-      const value = process.env[name];
+      const value = this.getRaw(name);
       
       if (value === undefined) {
         return defaultValue;
@@ -62,7 +118,7 @@ class EnvironmentLoader {
      * @throws {Error} If the variable is not set
      */
     static getRequired(name) {
-      const value = process.env[name];
+      const value = this.getRaw(name);
       
       if (value === undefined) {
         throw new Error(`Required environment variable ${name} is not set`);
@@ -72,4 +128,10 @@ class EnvironmentLoader {
     }
   }
   
+  // Values loaded from the configuration file, keyed by environment variable name
+  EnvironmentLoader.fileValues = {};
+  
+  // Secret files that have been read, keyed by environment variable name
+  EnvironmentLoader.secretFiles = new Map();
+  
   module.exports = EnvironmentLoader;
\ No newline at end of file
@@ -4,8 +4,10 @@
  */
 const ConfigManager = require('./ConfigManager');
 const EnvironmentLoader = require('./EnvironmentLoader');
+const { loadConfigFile } = require('./ConfigFile');
 
 module.exports = {
   ConfigManager,
-  EnvironmentLoader
+  EnvironmentLoader,
+  loadConfigFile
 };
\ No newline at end of file
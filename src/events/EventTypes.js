@@ -22,6 +22,7 @@ module.exports = {
     DNS_RECORD_UPDATED: 'dns:record:updated', 
     DNS_RECORD_DELETED: 'dns:record:deleted',
     DNS_CACHE_REFRESHED: 'dns:cache:refreshed',
+    DNS_PROVIDER_CALL: 'dns:provider:call',
     
     // Status events
     STATUS_UPDATE: 'status:update',
@@ -0,0 +1,64 @@
+/**
+ * AdGuard Home record format converter utilities
+ * Handles conversion between internal format and AdGuard Home DNS rewrites
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Convert standard record format to an AdGuard Home rewrite
+ * @param {Object} record - Record in standard format
+ * @returns {Object} - Rewrite in AdGuard Home format
+ */
+function convertToAdguardFormat(record) {
+  logger.trace(`adguard.converter: Converting record to AdGuard Home format: ${JSON.stringify(record)}`);
+
+  const rewrite = {
+    domain: record.name,
+    answer: record.type === 'CNAME' ? record.content.replace(/\.$/, '') : record.content
+  };
+
+  logger.trace(`adguard.converter: Converted to AdGuard Home format: ${JSON.stringify(rewrite)}`);
+  return rewrite;
+}
+
+/**
+ * Convert an AdGuard Home rewrite to standard format
+ * Rewrites don't store a type, so it is inferred from the answer
+ * @param {Object} rewrite - Rewrite in AdGuard Home format
+ * @returns {Object|null} - Record in standard format, null for rewrites we don't manage
+ */
+function convertRecord(rewrite) {
+  const answer = rewrite.answer || '';
+  let type;
+
+  if (net.isIPv4(answer)) {
+    type = 'A';
+  } else if (net.isIPv6(answer)) {
+    type = 'AAAA';
+  } else if (answer === 'A' || answer === 'AAAA') {
+    // Special answers that keep the upstream records, not a real rewrite
+    logger.trace(`adguard.converter: Skipping pass-through rewrite for ${rewrite.domain}`);
+    return null;
+  } else {
+    type = 'CNAME';
+  }
+
+  const standardRecord = {
+    type,
+    name: rewrite.domain.toLowerCase(),
+    content: answer,
+    domain: rewrite.domain,
+    answer
+  };
+
+  // AdGuard Home has no record IDs, the rewrite itself identifies the record
+  standardRecord.id = `${type}:${standardRecord.name}:${answer}`;
+
+  return standardRecord;
+}
+
+module.exports = {
+  convertToAdguardFormat,
+  convertRecord
+};
@@ -0,0 +1,15 @@
+/**
+ * AdGuard Home Provider module
+ * Exports the AdGuard Home DNS rewrite provider implementation
+ */
+const AdguardProvider = require('./provider');
+const { convertRecord, convertToAdguardFormat } = require('./converter');
+const { validateRecord } = require('./validator');
+
+// Export the provider class as default
+module.exports = AdguardProvider;
+
+// Also export utility functions
+module.exports.convertRecord = convertRecord;
+module.exports.convertToAdguardFormat = convertToAdguardFormat;
+module.exports.validateRecord = validateRecord;
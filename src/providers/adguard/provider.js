@@ -0,0 +1,541 @@
+/**
+ * AdGuard Home DNS Provider
+ * Core implementation of the DNSProvider interface for AdGuard Home DNS rewrites
+ */
+const axios = require('axios');
+const DNSProvider = require('../base');
+const logger = require('../../utils/logger');
+const { convertToAdguardFormat, convertRecord } = require('./converter');
+const { validateRecord } = require('./validator');
+
+class AdguardProvider extends DNSProvider {
+  constructor(config) {
+    super(config);
+
+    logger.trace('AdguardProvider.constructor: Initialising with config');
+
+    this.zone = config.adguardDomain;
+
+    // Initialize Axios client
+    const apiUrl = config.adguardUrl.replace(/\/+$/, '');
+    const clientConfig = {
+      baseURL: `${apiUrl}/control`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    };
+
+    if (config.adguardUsername) {
+      clientConfig.auth = {
+        username: config.adguardUsername,
+        password: config.adguardPassword || ''
+      };
+    }
+
+    this.client = axios.create(clientConfig);
+
+    logger.trace('AdguardProvider.constructor: Axios client initialized');
+  }
+
+  /**
+   * Get the error message returned by the AdGuard Home API
+   * AdGuard Home returns plain text error bodies
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    const body = error.response?.data;
+    if (typeof body === 'string' && body.trim()) {
+      return body.trim();
+    }
+
+    return error.message;
+  }
+
+  /**
+   * Initialize API by checking the server status
+   */
+  async init() {
+    logger.trace(`AdguardProvider.init: Starting initialization for domain "${this.zone}"`);
+
+    try {
+      const response = await this.client.get('/status');
+      logger.debug(`AdGuard Home version: ${response.data.version}`);
+      logger.success('AdGuard Home authenticated successfully');
+
+      // Initialize the DNS record cache
+      logger.trace('AdguardProvider.init: Initialising DNS record cache');
+      await this.refreshRecordCache();
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        logger.error('Invalid AdGuard Home credentials');
+        throw new Error('Invalid AdGuard Home credentials. Please check your ADGUARD_USERNAME and ADGUARD_PASSWORD environment variables.');
+      }
+
+      logger.error(`Failed to initialize AdGuard Home API: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.init: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw new Error(`Failed to initialize AdGuard Home API: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh the DNS record cache
+   */
+  async refreshRecordCache() {
+    logger.trace('AdguardProvider.refreshRecordCache: Starting cache refresh');
+
+    try {
+      logger.debug('Refreshing DNS record cache from AdGuard Home');
+
+      const records = await this.fetchAllRecords();
+      const oldRecordCount = this.recordCache.records.length;
+
+      this.recordCache = {
+        records: records,
+        lastUpdated: Date.now()
+      };
+
+      logger.debug(`Cached ${this.recordCache.records.length} DNS records from AdGuard Home`);
+      logger.trace(`AdguardProvider.refreshRecordCache: Cache updated from ${oldRecordCount} to ${this.recordCache.records.length} records`);
+
+      // In TRACE mode, output the entire cache for debugging
+      if (logger.level >= 4) { // TRACE level
+        logger.trace('AdguardProvider.refreshRecordCache: Current cache contents:');
+        this.recordCache.records.forEach((record, index) => {
+          logger.trace(`Record[${index}]: type=${record.type}, name=${record.name}, content=${record.content}`);
+        });
+      }
+
+      return this.recordCache.records;
+    } catch (error) {
+      logger.error(`Failed to refresh DNS record cache: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.refreshRecordCache: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all DNS rewrites
+   */
+  async fetchAllRecords() {
+    logger.trace('AdguardProvider.fetchAllRecords: Fetching DNS rewrites');
+
+    const response = await this.client.get('/rewrite/list');
+    const rewrites = response.data || [];
+
+    logger.trace(`AdguardProvider.fetchAllRecords: Received ${rewrites.length} rewrites`);
+
+    return rewrites
+      // Newer versions can disable rewrites, treat those as absent
+      .filter(rewrite => rewrite.enabled !== false)
+      .map(rewrite => convertRecord(rewrite))
+      .filter(Boolean);
+  }
+
+  /**
+   * Add a DNS rewrite
+   */
+  async addRewrite(rewrite) {
+    logger.trace(`AdguardProvider.addRewrite: Adding rewrite ${rewrite.domain} -> ${rewrite.answer}`);
+    await this.client.post('/rewrite/add', rewrite);
+  }
+
+  /**
+   * Remove a DNS rewrite
+   */
+  async removeRewrite(rewrite) {
+    logger.trace(`AdguardProvider.removeRewrite: Removing rewrite ${rewrite.domain} -> ${rewrite.answer}`);
+    await this.client.post('/rewrite/delete', rewrite);
+  }
+
+  /**
+   * Build the cache entry for a record that was written to AdGuard Home
+   */
+  toCachedRecord(record) {
+    return convertRecord(convertToAdguardFormat(record));
+  }
+
+  /**
+   * Update a record in the cache
+   */
+  updateRecordInCache(record) {
+    logger.trace(`AdguardProvider.updateRecordInCache: Updating record in cache: ID=${record.id}, type=${record.type}, name=${record.name}`);
+
+    const index = this.recordCache.records.findIndex(
+      r => r.id === record.id
+    );
+
+    if (index !== -1) {
+      logger.trace(`AdguardProvider.updateRecordInCache: Found existing record at index ${index}, replacing`);
+      this.recordCache.records[index] = record;
+    } else {
+      logger.trace(`AdguardProvider.updateRecordInCache: Record not found in cache, adding new record`);
+      this.recordCache.records.push(record);
+    }
+  }
+
+  /**
+   * Remove a record from the cache
+   */
+  removeRecordFromCache(id) {
+    logger.trace(`AdguardProvider.removeRecordFromCache: Removing record ID=${id} from cache`);
+
+    const initialLength = this.recordCache.records.length;
+    this.recordCache.records = this.recordCache.records.filter(
+      record => record.id !== id
+    );
+
+    const removed = initialLength - this.recordCache.records.length;
+    logger.trace(`AdguardProvider.removeRecordFromCache: Removed ${removed} records from cache`);
+  }
+
+  /**
+   * List DNS records with optional filtering
+   */
+  async listRecords(params = {}) {
+    logger.trace(`AdguardProvider.listRecords: Listing records with params: ${JSON.stringify(params)}`);
+
+    try {
+      // If specific filters are used other than type and name, bypass cache
+      const bypassCache = Object.keys(params).some(
+        key => !['type', 'name'].includes(key)
+      );
+
+      const records = bypassCache
+        ? await this.fetchAllRecords()
+        : await this.getRecordsFromCache();
+
+      if (bypassCache) {
+        logger.debug('Bypassing cache due to complex filters');
+      }
+
+      // AdGuard Home returns all rewrites, so apply filters manually
+      const filteredRecords = records.filter(record => {
+        let match = true;
+
+        if (params.type && record.type !== params.type) {
+          match = false;
+        }
+
+        if (params.name && record.name !== params.name) {
+          match = false;
+        }
+
+        return match;
+      });
+
+      logger.trace(`AdguardProvider.listRecords: Filtering returned ${filteredRecords.length} records`);
+
+      return filteredRecords;
+    } catch (error) {
+      logger.error(`Failed to list DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.listRecords: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new DNS record
+   */
+  async createRecord(record) {
+    logger.trace(`AdguardProvider.createRecord: Creating record type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      // Validate the record first
+      validateRecord(record);
+
+      await this.addRewrite(convertToAdguardFormat(record));
+
+      const createdRecord = this.toCachedRecord(record);
+      logger.trace(`AdguardProvider.createRecord: Record created successfully, ID=${createdRecord.id}`);
+
+      // Update the cache with the new record
+      this.updateRecordInCache(createdRecord);
+
+      // Log at INFO level which record was created
+      logger.info(`✨ Created ${record.type} record for ${record.name}`);
+      logger.success(`Created ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.created++;
+        logger.trace(`AdguardProvider.createRecord: Incremented global.statsCounter.created to ${global.statsCounter.created}`);
+      }
+
+      return createdRecord;
+    } catch (error) {
+      logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.createRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing DNS record
+   * The old rewrite is removed and a new one added, which works on all AdGuard Home versions
+   */
+  async updateRecord(id, record) {
+    logger.trace(`AdguardProvider.updateRecord: Updating record ID=${id}, type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      // Validate the record first
+      validateRecord(record);
+
+      const existing = this.recordCache.records.find(r => r.id === id);
+      if (!existing) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      await this.removeRewrite({ domain: existing.domain, answer: existing.answer });
+      await this.addRewrite(convertToAdguardFormat(record));
+
+      const updatedRecord = this.toCachedRecord(record);
+      logger.trace(`AdguardProvider.updateRecord: Record updated successfully, ID=${updatedRecord.id}`);
+
+      // Record IDs are derived from the answer, so replace the old entry
+      this.removeRecordFromCache(id);
+      this.updateRecordInCache(updatedRecord);
+
+      // Log at INFO level which record was updated
+      logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+      logger.success(`Updated ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.updated++;
+        logger.trace(`AdguardProvider.updateRecord: Incremented global.statsCounter.updated to ${global.statsCounter.updated}`);
+      }
+
+      return updatedRecord;
+    } catch (error) {
+      logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.updateRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a DNS record
+   */
+  async deleteRecord(id) {
+    logger.trace(`AdguardProvider.deleteRecord: Deleting record ID=${id}`);
+
+    try {
+      // The original rewrite is needed to delete the record
+      const recordToDelete = this.recordCache.records.find(r => r.id === id);
+      if (!recordToDelete) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      logger.info(`🗑️ Deleting DNS record: ${recordToDelete.name} (${recordToDelete.type})`);
+
+      logger.trace('AdguardProvider.deleteRecord: Sending delete request to AdGuard Home API');
+      await this.removeRewrite({ domain: recordToDelete.domain, answer: recordToDelete.answer });
+
+      // Update the cache
+      this.removeRecordFromCache(id);
+
+      logger.debug(`Deleted DNS record with ID ${id}`);
+      logger.trace('AdguardProvider.deleteRecord: Record deletion successful');
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete DNS record with ID ${id}: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.deleteRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch process multiple DNS records at once
+   */
+  async batchEnsureRecords(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      logger.trace('AdguardProvider.batchEnsureRecords: No record configs provided, skipping');
+      return [];
+    }
+
+    logger.debug(`Batch processing ${recordConfigs.length} DNS records`);
+    logger.trace(`AdguardProvider.batchEnsureRecords: Starting batch processing of ${recordConfigs.length} records`);
+
+    try {
+      // Refresh cache if needed
+      await this.getRecordsFromCache();
+
+      // Process each record configuration
+      const results = [];
+      const pendingChanges = {
+        create: [],
+        update: [],
+        unchanged: []
+      };
+
+      // First pass: examine all records and sort into categories
+      logger.trace('AdguardProvider.batchEnsureRecords: First pass - examining records');
+
+      for (const recordConfig of recordConfigs) {
+        try {
+          logger.trace(`AdguardProvider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
+
+          // Handle apex domains that need IP lookup
+          if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+            logger.trace(`AdguardProvider.batchEnsureRecords: Record needs IP lookup: ${recordConfig.name}`);
+
+            // Get public IP asynchronously
+            const ip = await this.config.getPublicIP();
+            if (ip) {
+              logger.trace(`AdguardProvider.batchEnsureRecords: Retrieved IP address: ${ip}`);
+              recordConfig.content = ip;
+              logger.debug(`Retrieved public IP for apex domain ${recordConfig.name}: ${ip}`);
+            } else {
+              logger.trace(`AdguardProvider.batchEnsureRecords: Failed to retrieve IP address`);
+              throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+            }
+            // Remove the flag to avoid confusion
+            delete recordConfig.needsIpLookup;
+          }
+
+          // Validate the record
+          validateRecord(recordConfig);
+
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
+
+          if (existing) {
+            logger.trace(`AdguardProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
+
+            // Check if update is needed
+            const needsUpdate = this.recordNeedsUpdate(existing, recordConfig);
+            logger.trace(`AdguardProvider.batchEnsureRecords: Record ${recordConfig.name} needs update: ${needsUpdate}`);
+
+            if (needsUpdate) {
+              pendingChanges.update.push({
+                id: existing.id,
+                record: recordConfig,
+                existing
+              });
+            } else {
+              pendingChanges.unchanged.push({
+                record: recordConfig,
+                existing
+              });
+
+              // Update stats counter if available
+              if (global.statsCounter) {
+                global.statsCounter.upToDate++;
+                logger.trace(`AdguardProvider.batchEnsureRecords: Incremented global.statsCounter.upToDate to ${global.statsCounter.upToDate}`);
+              }
+            }
+          } else {
+            logger.trace(`AdguardProvider.batchEnsureRecords: No existing record found, needs creation`);
+
+            // Need to create a new record
+            pendingChanges.create.push({
+              record: recordConfig
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing ${recordConfig.name}: ${error.message}`);
+          logger.trace(`AdguardProvider.batchEnsureRecords: Error details: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+            logger.trace(`AdguardProvider.batchEnsureRecords: Incremented global.statsCounter.errors to ${global.statsCounter.errors}`);
+          }
+        }
+      }
+
+      // Second pass: apply all changes
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
+      logger.trace('AdguardProvider.batchEnsureRecords: Second pass - applying changes');
+
+      // Create new records
+      for (const { record } of pendingChanges.create) {
+        try {
+          logger.trace(`AdguardProvider.batchEnsureRecords: Creating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be created
+          logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+          const result = await this.createRecord(record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+          logger.trace(`AdguardProvider.batchEnsureRecords: Create error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Update existing records
+      for (const { id, record } of pendingChanges.update) {
+        try {
+          logger.trace(`AdguardProvider.batchEnsureRecords: Updating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be updated
+          logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+          const result = await this.updateRecord(id, record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+          logger.trace(`AdguardProvider.batchEnsureRecords: Update error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Add unchanged records to results too
+      for (const { existing } of pendingChanges.unchanged) {
+        results.push(existing);
+      }
+
+      logger.trace(`AdguardProvider.batchEnsureRecords: Batch processing complete, returning ${results.length} results`);
+      return results;
+    } catch (error) {
+      logger.error(`Failed to batch process DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`AdguardProvider.batchEnsureRecords: Error details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a record needs to be updated
+   * Rewrites have no TTL, so only the content is compared
+   */
+  recordNeedsUpdate(existing, newRecord) {
+    logger.trace(`AdguardProvider.recordNeedsUpdate: Comparing records for ${newRecord.name}`);
+    logger.trace(`AdguardProvider.recordNeedsUpdate: Existing: ${JSON.stringify(existing)}`);
+    logger.trace(`AdguardProvider.recordNeedsUpdate: New: ${JSON.stringify(newRecord)}`);
+
+    let existingContent = existing.content;
+    let newContent = newRecord.content;
+
+    if (newRecord.type === 'CNAME') {
+      existingContent = existingContent.replace(/\.$/, '').toLowerCase();
+      newContent = newContent.replace(/\.$/, '').toLowerCase();
+    }
+
+    const needsUpdate = existingContent !== newContent;
+
+    // If an update is needed, log the specific differences at DEBUG level
+    if (needsUpdate && logger.level >= 3) { // DEBUG level or higher
+      logger.debug(`Record ${newRecord.name} needs update:`);
+      logger.debug(` - Content: ${existingContent} → ${newContent}`);
+    }
+
+    logger.trace(`AdguardProvider.recordNeedsUpdate: Final result - needs update: ${needsUpdate}`);
+    return needsUpdate;
+  }
+}
+
+module.exports = AdguardProvider;
@@ -0,0 +1,78 @@
+/**
+ * AdGuard Home-specific record validation utilities
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Validate a AdGuard Home DNS rewrite configuration
+ * @param {Object} record - The record to validate
+ * @throws {Error} - If validation fails
+ */
+function validateRecord(record) {
+  logger.trace(`adguard.validator: Validating record ${record.name} (${record.type})`);
+
+  // Common validations
+  if (!record.type) {
+    logger.trace(`adguard.validator: Record type is missing`);
+    throw new Error('Record type is required');
+  }
+
+  if (!record.name) {
+    logger.trace(`adguard.validator: Record name is missing`);
+    throw new Error('Record name is required');
+  }
+
+  // Type-specific validations
+  switch (record.type) {
+    case 'A':
+      if (!record.content) {
+        logger.trace(`adguard.validator: IP address is missing for A record`);
+        throw new Error('IP address is required for A records');
+      }
+
+      if (!net.isIPv4(record.content)) {
+        logger.trace(`adguard.validator: Invalid IPv4 format: ${record.content}`);
+        throw new Error(`Invalid IPv4 address format: ${record.content}`);
+      }
+      break;
+
+    case 'AAAA':
+      if (!record.content) {
+        logger.trace(`adguard.validator: IPv6 address is missing for AAAA record`);
+        throw new Error('IPv6 address is required for AAAA records');
+      }
+
+      if (!net.isIPv6(record.content)) {
+        logger.trace(`adguard.validator: Invalid IPv6 format: ${record.content}`);
+        throw new Error(`Invalid IPv6 address format: ${record.content}`);
+      }
+      break;
+
+    case 'CNAME':
+      if (!record.content) {
+        logger.trace(`adguard.validator: Content is missing for CNAME record`);
+        throw new Error('Content is required for CNAME records');
+      }
+      break;
+
+    default:
+      // AdGuard Home rewrites only support address and CNAME answers
+      logger.trace(`adguard.validator: Unsupported record type: ${record.type}`);
+      throw new Error(`Record type ${record.type} is not supported by AdGuard Home rewrites (only A, AAAA and CNAME)`);
+  }
+
+  // AdGuard Home-specific validations
+
+  // Silently remove 'proxied' property if present since AdGuard Home doesn't support proxying
+  if (record.proxied !== undefined) {
+    delete record.proxied;
+    logger.trace(`adguard.validator: Removed 'proxied' property as AdGuard Home doesn't support it`);
+  }
+
+  logger.trace(`adguard.validator: Record validation successful`);
+}
+
+module.exports = {
+  validateRecord
+};
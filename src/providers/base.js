@@ -2,6 +2,34 @@
  * Abstract DNS Provider Interface
  * Base class for all DNS provider implementations
  */
+
+// Record fields shown in dry-run plans
+const PLAN_FIELDS = ['content', 'ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag'];
+
+// Record fields that make up the value of a record, records of a set differ in these
+const VALUE_FIELDS = ['content', 'priority', 'weight', 'port', 'flags', 'tag'];
+
+// Value fields besides the content that each record type uses
+const TYPE_VALUE_FIELDS = {
+  MX: ['priority'],
+  SRV: ['priority', 'weight', 'port'],
+  CAA: ['flags', 'tag']
+};
+
+/**
+ * Get the key of the record set (RRset) a record or record configuration belongs to
+ */
+function getRecordSetKey(type, name) {
+  return `${type}:${String(name).toLowerCase().replace(/\.$/, '')}`;
+}
+
+/**
+ * Normalize a record field value for comparison, ignoring case, quotes and trailing dots
+ */
+function normalizeValue(value) {
+  return String(value).replace(/^"(.*)"$/, '$1').replace(/\.$/, '').toLowerCase();
+}
+
 class DNSProvider {
   /**
    * Constructor for the DNS provider
@@ -19,6 +47,15 @@ class DNSProvider {
       records: [],
       lastUpdated: 0
     };
+    
+    // Changes of the last batch when running in dry-run mode
+    this.plannedChanges = [];
+    
+    // Cached records paired with the record configurations of each batch
+    this.recordSetBatches = new WeakMap();
+    
+    // Record tracker of the provider zone, set by the DNS manager
+    this.recordTracker = null;
   }
   
   /**
@@ -66,6 +103,186 @@ class DNSProvider {
     );
   }
   
+  /**
+   * Find all records of a record set (RRset) in the cache
+   * @param {string} type - Record type
+   * @param {string} name - Record name
+   * @returns {Array<Object>} - Records with the type and name
+   */
+  findRecordsInCache(type, name) {
+    return this.recordCache.records.filter(
+      record => record.type === type && record.name === name
+    );
+  }
+  
+  /**
+   * Find the cached record a record configuration of a batch is compared with
+   * Configurations with the same type and name share a record set, each one is paired with a record of its
+   * own: one with the same value if there is one, otherwise a managed one that no other configuration of the batch
+   * has the value of. A record that isn't managed is only taken over by the only configuration of its set,
+   * so values added by hand to a set of several values are kept
+   * @param {Object} recordConfig - Record configuration, with its name as the provider caches it
+   * @param {Array<Object>} recordConfigs - All record configurations of the batch
+   * @returns {Object|null} - The paired record or null if the record set has no record left for it
+   */
+  findRecordForConfig(recordConfig, recordConfigs) {
+    let batch = this.recordSetBatches.get(recordConfigs);
+    if (!batch) {
+      batch = { recordSets: new Map(), paired: new Set() };
+      this.recordSetBatches.set(recordConfigs, batch);
+    }
+    
+    // The records of a set are read once per batch, so a record that was just created isn't paired again
+    const key = getRecordSetKey(recordConfig.type, recordConfig.name);
+    if (!batch.recordSets.has(key)) {
+      batch.recordSets.set(key, {
+        records: this.findRecordsInCache(recordConfig.type, recordConfig.name),
+        configs: new Set()
+      });
+    }
+    
+    const recordSet = batch.recordSets.get(key);
+    recordSet.configs.add(recordConfig);
+    
+    const available = recordSet.records.filter(record => !batch.paired.has(record));
+    const siblings = recordConfigs.filter(other =>
+      other !== recordConfig && getRecordSetKey(other.type, other.name) === key
+    );
+    
+    const unclaimed = available.filter(record => !siblings.some(other => this.isSameRecordValue(record, other)));
+    
+    const existing = available.find(record => this.isSameRecordValue(record, recordConfig)) ||
+      unclaimed.find(record => this.isManagedRecord(record)) ||
+      (siblings.length === 0 ? unclaimed[0] : null) ||
+      null;
+    
+    if (existing) {
+      batch.paired.add(existing);
+    }
+    
+    return existing;
+  }
+  
+  /**
+   * Check if a cached record was created by this instance
+   * @param {Object} record - Cached record
+   * @returns {boolean} - True if the record tracker knows the record, or there is no record tracker
+   */
+  isManagedRecord(record) {
+    return !this.recordTracker || this.recordTracker.isTracked(record);
+  }
+  
+  /**
+   * Get the records of the record sets of a batch that no record configuration was paired with
+   * Record sets with a configuration that failed before it was paired are skipped, its record may still be wanted
+   * @param {Array<Object>} recordConfigs - All record configurations of the batch
+   * @returns {Array<Object>} - Cached records beyond the configured values of their record set
+   */
+  getSurplusRecords(recordConfigs) {
+    const batch = this.recordSetBatches.get(recordConfigs);
+    if (!batch) {
+      return [];
+    }
+    
+    const surplus = [];
+    for (const [key, recordSet] of batch.recordSets) {
+      const complete = recordConfigs
+        .filter(recordConfig => getRecordSetKey(recordConfig.type, recordConfig.name) === key)
+        .every(recordConfig => recordSet.configs.has(recordConfig));
+      
+      if (complete) {
+        surplus.push(...recordSet.records.filter(record => !batch.paired.has(record)));
+      }
+    }
+    
+    return surplus;
+  }
+  
+  /**
+   * Merge the changes of a batch into one change per record set, for providers that write whole record sets
+   * A changed set is written with all its configured values and the cached values no configuration was paired with,
+   * so values added by hand survive; values that are no longer configured are deleted afterwards with deleteRecordValue
+   * if the record tracker knows them as values this instance created
+   * @param {Object} pendingChanges - Changes sorted by the first pass of batchEnsureRecords
+   * @param {Array<Object>} recordConfigs - All record configurations of the batch
+   * @returns {Object} - Pending changes, records written as a set carry all their values in recordSet
+   */
+  mergeRecordSetChanges(pendingChanges, recordConfigs) {
+    const batch = this.recordSetBatches.get(recordConfigs);
+    const merged = { create: [], update: [], unchanged: [] };
+    const recordSetChanges = new Map();
+    
+    for (const action of ['create', 'update', 'unchanged']) {
+      for (const change of pendingChanges[action]) {
+        const key = getRecordSetKey(change.record.type, change.record.name);
+        if (!recordSetChanges.has(key)) {
+          recordSetChanges.set(key, []);
+        }
+        recordSetChanges.get(key).push({ action, change });
+      }
+    }
+    
+    for (const [key, changes] of recordSetChanges) {
+      const recordSet = batch ? batch.recordSets.get(key) : null;
+      const unpaired = recordSet ? recordSet.records.filter(record => !batch.paired.has(record)) : [];
+      
+      // Sets without changes and sets of a single value are written as before
+      if (changes.every(({ action }) => action === 'unchanged') || (changes.length === 1 && unpaired.length === 0)) {
+        for (const { action, change } of changes) {
+          merged[action].push(change);
+        }
+        continue;
+      }
+      
+      const record = {
+        ...changes[0].change.record,
+        recordSet: [...changes.map(({ change }) => change.record), ...unpaired]
+      };
+      const existing = recordSet && recordSet.records.length > 0 ? recordSet.records[0] : null;
+      
+      if (existing) {
+        merged.update.push({ id: existing.id, record, existing });
+      } else {
+        merged.create.push({ record });
+      }
+    }
+    
+    return merged;
+  }
+  
+  /**
+   * Delete a single value of a record set
+   * Providers that write whole record sets override this to keep the other values
+   * @param {Object} record - Cached record
+   * @returns {Promise<boolean>} - True if deletion was successful
+   */
+  async deleteRecordValue(record) {
+    return this.deleteRecord(record.id);
+  }
+  
+  /**
+   * Check if a cached record has the value of a record configuration, other fields like the TTL may still differ
+   * @param {Object} record - Cached record
+   * @param {Object} recordConfig - Record configuration
+   * @returns {boolean} - True if the values are the same
+   */
+  isSameRecordValue(record, recordConfig) {
+    return VALUE_FIELDS
+      .filter(field => recordConfig[field] !== undefined)
+      .every(field => normalizeValue(this.getRecordFieldValue(record, field)) === normalizeValue(recordConfig[field]));
+  }
+  
+  /**
+   * Get the value of a cached record as a single string, which tells the records of a set apart
+   * @param {Object} record - Cached record
+   * @returns {string} - Normalized content and the other value fields of the record type, separated by spaces
+   */
+  getRecordValue(record) {
+    return ['content', ...(TYPE_VALUE_FIELDS[record.type] || [])]
+      .map(field => normalizeValue(this.getRecordFieldValue(record, field)))
+      .join(' ');
+  }
+  
   /**
    * List DNS records with optional filtering
    * @param {Object} params - Filter parameters
@@ -129,6 +346,48 @@ class DNSProvider {
   validateRecord(record) {
     throw new Error('Method validateRecord() must be implemented by subclass');
   }
+  
+  /**
+   * Record the changes of a batch instead of applying them (dry-run mode)
+   * The plan is left in plannedChanges for the DNS manager to report
+   * @param {Object} pendingChanges - Changes sorted by the first pass of batchEnsureRecords
+   * @returns {Array<Object>} - Existing records that are already up to date
+   */
+  planChanges(pendingChanges) {
+    const { create = [], update = [], unchanged = [] } = pendingChanges;
+    
+    this.plannedChanges = [
+      ...create.map(({ record }) => ({
+        action: 'create',
+        type: record.type,
+        name: record.name,
+        changes: PLAN_FIELDS
+          .filter(field => record[field] !== undefined)
+          .map(field => `${field}: ${record[field]}`)
+      })),
+      ...update.map(({ record, existing }) => ({
+        action: 'update',
+        type: record.type,
+        name: record.name,
+        changes: PLAN_FIELDS
+          .filter(field => record[field] !== undefined && this.getRecordFieldValue(existing, field) !== undefined)
+          .filter(field => String(this.getRecordFieldValue(existing, field)) !== String(record[field]))
+          .map(field => `${field}: ${this.getRecordFieldValue(existing, field)} → ${record[field]}`)
+      }))
+    ];
+    
+    return unchanged.map(({ existing }) => existing);
+  }
+  
+  /**
+   * Get a field of a cached record for comparison with a record configuration
+   * @param {Object} record - Cached record
+   * @param {string} field - Field name in the record configuration format
+   * @returns {*} - Field value
+   */
+  getRecordFieldValue(record, field) {
+    return record[field];
+  }
 }
 
 module.exports = DNSProvider;
\ No newline at end of file
@@ -431,8 +431,8 @@ class CloudflareProvider extends DNSProvider {
           // Validate the record
           validateRecord(recordConfig);
           
-          // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
           
           if (existing) {
             logger.trace(`CloudflareProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
@@ -480,6 +480,12 @@ class CloudflareProvider extends DNSProvider {
       
       // Second pass: apply all changes
       logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
       logger.trace('CloudflareProvider.batchEnsureRecords: Second pass - applying changes');
       
       // Create new records
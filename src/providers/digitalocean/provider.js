@@ -248,6 +248,46 @@ class DigitalOceanProvider extends DNSProvider {
     }
   }
   
+  /**
+   * Record the changes of a batch instead of applying them (dry-run mode)
+   * Override the base method to sort apex domain records into creates and updates first
+   */
+  planChanges(pendingChanges) {
+    const create = [...pendingChanges.create];
+    const update = [...pendingChanges.update];
+    const unchanged = [...pendingChanges.unchanged];
+    
+    for (const { record } of pendingChanges.apex) {
+      const existing = this.findRecordInCache(record.type, record.name);
+      
+      if (!existing) {
+        create.push({ record });
+      } else if (this.recordNeedsUpdate(existing, record)) {
+        update.push({ id: existing.id, record, existing });
+      } else {
+        unchanged.push({ record, existing });
+        
+        if (global.statsCounter) {
+          global.statsCounter.upToDate++;
+        }
+      }
+    }
+    
+    return super.planChanges({ create, update, unchanged });
+  }
+  
+  /**
+   * Get a field of a cached record for comparison with a record configuration
+   * DigitalOcean keeps the content in "data", with a trailing dot for hostnames
+   */
+  getRecordFieldValue(record, field) {
+    if (field === 'content' && typeof record.data === 'string') {
+      return record.data.replace(/\.$/, '');
+    }
+    
+    return record[field];
+  }
+  
   /**
    * Find a record in the cache
    * Override the base method to handle DigitalOcean's @ symbol for apex domains
@@ -301,6 +341,23 @@ class DigitalOceanProvider extends DNSProvider {
     return null;
   }
   
+  /**
+   * Find all records of a record set in the cache
+   * Override the base method to handle DigitalOcean's relative names and @ for apex domains
+   */
+  findRecordsInCache(type, name) {
+    const domainPart = `.${this.domain}`;
+    
+    let recordName = name;
+    if (name === this.domain) {
+      recordName = '@';
+    } else if (name.endsWith(domainPart)) {
+      recordName = name.slice(0, -domainPart.length);
+    }
+    
+    return this.recordCache.records.filter(r => r.type === type && r.name === recordName);
+  }
+  
   /**
    * Prepare record for creation by formatting it for DigitalOcean
    */
@@ -701,7 +758,8 @@ async handleApexDomain(record) {
     }
     
     if (existingRecords && existingRecords.length > 0) {
-      const existing = existingRecords[0];
+      // Prefer the value of the record set that is already configured
+      const existing = existingRecords.find(r => r.data === record.content) || existingRecords[0];
       logger.debug(`Found existing apex domain record: ${JSON.stringify(existing)}`);
       
       // Update cache to ensure we know about this record
@@ -830,14 +888,14 @@ async handleApexDomain(record) {
         try {
           logger.trace(`DigitalOceanProvider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
           
-          // Check if we've already processed this hostname+type combination
-          const recordKey = `${recordConfig.type}-${recordConfig.name}`;
+          // Check if we've already processed this hostname, type and value combination
+          const recordKey = `${recordConfig.type}-${recordConfig.name}-${recordConfig.content}`;
           if (processedHostnames.has(recordKey)) {
             logger.debug(`Skipping duplicate record: ${recordConfig.name} (${recordConfig.type})`);
             continue;
           }
           
-          // Mark this hostname+type as processed
+          // Mark this hostname, type and value as processed
           processedHostnames.add(recordKey);
           
           // Handle apex domains that need IP lookup
@@ -894,8 +952,8 @@ async handleApexDomain(record) {
             continue; // Skip the normal processing flow
           }
           
-          // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
           
           if (existing) {
             logger.trace(`DigitalOceanProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
@@ -943,6 +1001,12 @@ async handleApexDomain(record) {
       
       // Second pass: apply all changes
       logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged, ${pendingChanges.apex.length} apex domains`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
       logger.trace('DigitalOceanProvider.batchEnsureRecords: Second pass - applying changes');
       
       // Handle apex domains first
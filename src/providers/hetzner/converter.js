@@ -0,0 +1,185 @@
+/**
+ * Hetzner record format converter utilities
+ * Handles conversion between internal format and Hetzner DNS API format
+ */
+const logger = require('../../utils/logger');
+
+/**
+ * Ensure a hostname ends with a trailing dot (fully qualified for Hetzner)
+ * @param {string} value - Hostname value
+ * @returns {string} - Hostname with trailing dot
+ */
+function ensureTrailingDot(value) {
+  if (!value || value.endsWith('.')) {
+    return value;
+  }
+
+  return `${value}.`;
+}
+
+/**
+ * Remove a trailing dot from a hostname if present
+ * @param {string} value - Hostname value
+ * @returns {string} - Hostname without trailing dot
+ */
+function stripTrailingDot(value) {
+  if (typeof value === 'string' && value.endsWith('.')) {
+    return value.slice(0, -1);
+  }
+
+  return value;
+}
+
+/**
+ * Get the zone-relative record name Hetzner expects
+ * @param {string} name - Fully qualified record name
+ * @param {string} zone - The zone name
+ * @returns {string} - Relative name, '@' for the apex
+ */
+function toRelativeName(name, zone) {
+  const cleanName = stripTrailingDot(name);
+  const cleanZone = stripTrailingDot(zone);
+
+  if (cleanName === cleanZone) {
+    return '@';
+  }
+
+  const zoneSuffix = `.${cleanZone}`;
+  if (cleanName.endsWith(zoneSuffix)) {
+    return cleanName.slice(0, -zoneSuffix.length);
+  }
+
+  return cleanName;
+}
+
+/**
+ * Convert standard record format to Hetzner API format
+ * @param {Object} record - Record in standard format
+ * @param {string} zone - The zone name
+ * @param {string} zoneId - The Hetzner zone ID
+ * @returns {Object} - Record in Hetzner format
+ */
+function convertToHetznerFormat(record, zone, zoneId) {
+  logger.trace(`hetzner.converter: Converting record to Hetzner format: ${JSON.stringify(record)}`);
+
+  // Hetzner uses zone-relative names and a single "value" field
+  const hetznerRecord = {
+    zone_id: zoneId,
+    type: record.type,
+    name: toRelativeName(record.name, zone),
+    ttl: record.ttl
+  };
+
+  // Type-specific value formatting
+  switch (record.type) {
+    case 'CNAME':
+    case 'NS':
+      hetznerRecord.value = ensureTrailingDot(record.content);
+      break;
+
+    case 'MX':
+      hetznerRecord.value = `${record.priority || 10} ${ensureTrailingDot(record.content)}`;
+      break;
+
+    case 'SRV':
+      hetznerRecord.value = `${record.priority || 1} ${record.weight || 1} ${record.port || 80} ${ensureTrailingDot(record.content)}`;
+      break;
+
+    case 'CAA':
+      hetznerRecord.value = `${record.flags || 0} ${record.tag || 'issue'} "${record.content}"`;
+      break;
+
+    case 'TXT':
+      // Hetzner stores TXT values quoted, quote them if they aren't already
+      hetznerRecord.value = record.content.startsWith('"') ? record.content : `"${record.content}"`;
+      break;
+
+    default:
+      hetznerRecord.value = record.content;
+  }
+
+  logger.trace(`hetzner.converter: Converted to Hetzner format: ${JSON.stringify(hetznerRecord)}`);
+  return hetznerRecord;
+}
+
+/**
+ * Convert Hetzner record format to standard format
+ * @param {Object} hetznerRecord - Record in Hetzner format
+ * @param {string} zone - The zone name
+ * @returns {Object} - Record in standard format
+ */
+function convertRecord(hetznerRecord, zone) {
+  logger.trace(`hetzner.converter: Converting from Hetzner format: ${JSON.stringify(hetznerRecord)}`);
+
+  const cleanZone = stripTrailingDot(zone);
+
+  // Basic record format
+  const standardRecord = {
+    id: hetznerRecord.id,
+    type: hetznerRecord.type,
+    ttl: hetznerRecord.ttl
+  };
+
+  // Hetzner uses @ for the apex and relative names for everything else
+  if (hetznerRecord.name === '@' || hetznerRecord.name === '') {
+    standardRecord.name = cleanZone;
+  } else {
+    standardRecord.name = `${hetznerRecord.name}.${cleanZone}`;
+  }
+
+  const value = hetznerRecord.value || '';
+
+  // Type-specific fields
+  switch (hetznerRecord.type) {
+    case 'MX': {
+      const parts = value.split(' ');
+      standardRecord.priority = parseInt(parts[0], 10);
+      standardRecord.content = stripTrailingDot(parts.slice(1).join(' '));
+      break;
+    }
+
+    case 'SRV': {
+      const parts = value.split(' ');
+      standardRecord.priority = parseInt(parts[0], 10);
+      standardRecord.weight = parseInt(parts[1], 10);
+      standardRecord.port = parseInt(parts[2], 10);
+      standardRecord.content = stripTrailingDot(parts.slice(3).join(' '));
+      break;
+    }
+
+    case 'CAA': {
+      const matches = value.match(/^(\d+)\s+(\S+)\s+"?(.*?)"?$/);
+      if (matches) {
+        standardRecord.flags = parseInt(matches[1], 10);
+        standardRecord.tag = matches[2];
+        standardRecord.content = matches[3];
+      } else {
+        standardRecord.content = value;
+      }
+      break;
+    }
+
+    case 'TXT':
+      // Remove surrounding quotes if present
+      standardRecord.content = value.replace(/^"(.*)"$/, '$1');
+      break;
+
+    case 'CNAME':
+    case 'NS':
+      standardRecord.content = stripTrailingDot(value);
+      break;
+
+    default:
+      standardRecord.content = value;
+  }
+
+  logger.trace(`hetzner.converter: Converted to standard format: ${JSON.stringify(standardRecord)}`);
+  return standardRecord;
+}
+
+module.exports = {
+  convertToHetznerFormat,
+  convertRecord,
+  toRelativeName,
+  stripTrailingDot
+};
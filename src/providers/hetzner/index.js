@@ -0,0 +1,15 @@
+/**
+ * Hetzner Provider module
+ * Exports the Hetzner DNS provider implementation
+ */
+const HetznerProvider = require('./provider');
+const { convertRecord, convertToHetznerFormat } = require('./converter');
+const { validateRecord } = require('./validator');
+
+// Export the provider class as default
+module.exports = HetznerProvider;
+
+// Also export utility functions
+module.exports.convertRecord = convertRecord;
+module.exports.convertToHetznerFormat = convertToHetznerFormat;
+module.exports.validateRecord = validateRecord;
@@ -0,0 +1,589 @@
+/**
+ * Hetzner DNS Provider
+ * Core implementation of the DNSProvider interface for Hetzner DNS
+ */
+const axios = require('axios');
+const DNSProvider = require('../base');
+const logger = require('../../utils/logger');
+const { convertToHetznerFormat, convertRecord } = require('./converter');
+const { validateRecord } = require('./validator');
+
+class HetznerProvider extends DNSProvider {
+  constructor(config) {
+    super(config);
+
+    logger.trace('HetznerProvider.constructor: Initialising with config');
+
+    this.token = config.hetznerToken;
+    this.zone = config.hetznerZone;
+    this.zoneId = null;
+
+    // Initialize Axios client
+    this.client = axios.create({
+      baseURL: 'https://dns.hetzner.com/api/v1',
+      headers: {
+        'Auth-API-Token': this.token,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    logger.trace('HetznerProvider.constructor: Axios client initialized');
+  }
+
+  /**
+   * Initialize API by fetching zone ID
+   */
+  async init() {
+    logger.trace(`HetznerProvider.init: Starting initialization for zone "${this.zone}"`);
+
+    try {
+      // Look up zone ID
+      logger.trace('HetznerProvider.init: Fetching zone ID from Hetzner');
+      const response = await this.client.get('/zones', {
+        params: { name: this.zone }
+      });
+
+      const zones = response.data.zones || [];
+      logger.trace(`HetznerProvider.init: Received ${zones.length} zones from API`);
+
+      const matchingZone = zones.find(zone => zone.name === this.zone);
+
+      if (!matchingZone) {
+        logger.trace(`HetznerProvider.init: Zone "${this.zone}" not found in Hetzner`);
+        throw new Error(`Zone not found: ${this.zone}`);
+      }
+
+      this.zoneId = matchingZone.id;
+      logger.debug(`Hetzner zone ID for ${this.zone}: ${this.zoneId}`);
+      logger.success('Hetzner zone authenticated successfully');
+
+      // Initialize the DNS record cache
+      logger.trace('HetznerProvider.init: Initialising DNS record cache');
+      await this.refreshRecordCache();
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        logger.error('Invalid Hetzner DNS API token');
+        throw new Error('Invalid Hetzner DNS API token. Please check your HETZNER_TOKEN environment variable.');
+      }
+
+      logger.error(`Failed to initialize Hetzner API: ${error.message}`);
+      logger.trace(`HetznerProvider.init: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw new Error(`Failed to initialize Hetzner API: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refresh the DNS record cache
+   */
+  async refreshRecordCache() {
+    logger.trace('HetznerProvider.refreshRecordCache: Starting cache refresh');
+
+    try {
+      logger.debug('Refreshing DNS record cache from Hetzner');
+
+      if (!this.zoneId) {
+        logger.trace('HetznerProvider.refreshRecordCache: No zoneId, initialising first');
+        await this.init();
+        return;
+      }
+
+      // Get all records for the zone, converted to standard format
+      logger.trace(`HetznerProvider.refreshRecordCache: Fetching records for zone ${this.zoneId}`);
+
+      const records = await this.fetchAllRecords();
+      const oldRecordCount = this.recordCache.records.length;
+
+      this.recordCache = {
+        records: records,
+        lastUpdated: Date.now()
+      };
+
+      logger.debug(`Cached ${this.recordCache.records.length} DNS records from Hetzner`);
+      logger.trace(`HetznerProvider.refreshRecordCache: Cache updated from ${oldRecordCount} to ${this.recordCache.records.length} records`);
+
+      // In TRACE mode, output the entire cache for debugging
+      if (logger.level >= 4) { // TRACE level
+        logger.trace('HetznerProvider.refreshRecordCache: Current cache contents:');
+        this.recordCache.records.forEach((record, index) => {
+          logger.trace(`Record[${index}]: type=${record.type}, name=${record.name}, content=${record.content}`);
+        });
+      }
+
+      return this.recordCache.records;
+    } catch (error) {
+      logger.error(`Failed to refresh DNS record cache: ${error.message}`);
+      logger.trace(`HetznerProvider.refreshRecordCache: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all records for the zone, handling pagination
+   */
+  async fetchAllRecords() {
+    let allRecords = [];
+    let page = 1;
+    let lastPage = 1;
+
+    do {
+      logger.trace(`HetznerProvider.fetchAllRecords: Fetching page ${page}`);
+
+      const response = await this.client.get('/records', {
+        params: { zone_id: this.zoneId, page, per_page: 100 }
+      });
+
+      const records = (response.data.records || []).map(record => convertRecord(record, this.zone));
+      allRecords = allRecords.concat(records);
+
+      lastPage = response.data.meta?.pagination?.last_page || 1;
+      page++;
+    } while (page <= lastPage);
+
+    return allRecords;
+  }
+
+  /**
+   * Update a record in the cache
+   */
+  updateRecordInCache(record) {
+    logger.trace(`HetznerProvider.updateRecordInCache: Updating record in cache: ID=${record.id}, type=${record.type}, name=${record.name}`);
+
+    const index = this.recordCache.records.findIndex(
+      r => r.id === record.id
+    );
+
+    if (index !== -1) {
+      logger.trace(`HetznerProvider.updateRecordInCache: Found existing record at index ${index}, replacing`);
+      this.recordCache.records[index] = record;
+    } else {
+      logger.trace(`HetznerProvider.updateRecordInCache: Record not found in cache, adding new record`);
+      this.recordCache.records.push(record);
+    }
+  }
+
+  /**
+   * Remove a record from the cache
+   */
+  removeRecordFromCache(id) {
+    logger.trace(`HetznerProvider.removeRecordFromCache: Removing record ID=${id} from cache`);
+
+    const initialLength = this.recordCache.records.length;
+    this.recordCache.records = this.recordCache.records.filter(
+      record => record.id !== id
+    );
+
+    const removed = initialLength - this.recordCache.records.length;
+    logger.trace(`HetznerProvider.removeRecordFromCache: Removed ${removed} records from cache`);
+  }
+
+  /**
+   * List DNS records with optional filtering
+   */
+  async listRecords(params = {}) {
+    logger.trace(`HetznerProvider.listRecords: Listing records with params: ${JSON.stringify(params)}`);
+
+    try {
+      // If specific filters are used other than type and name, bypass cache
+      const bypassCache = Object.keys(params).some(
+        key => !['type', 'name'].includes(key)
+      );
+
+      const records = bypassCache
+        ? await this.fetchAllRecords()
+        : await this.getRecordsFromCache();
+
+      if (bypassCache) {
+        logger.debug('Bypassing cache due to complex filters');
+      }
+
+      // Hetzner's API only filters by zone, so apply filters manually
+      const filteredRecords = records.filter(record => {
+        let match = true;
+
+        if (params.type && record.type !== params.type) {
+          match = false;
+        }
+
+        if (params.name && record.name !== params.name) {
+          match = false;
+        }
+
+        return match;
+      });
+
+      logger.trace(`HetznerProvider.listRecords: Filtering returned ${filteredRecords.length} records`);
+
+      return filteredRecords;
+    } catch (error) {
+      logger.error(`Failed to list DNS records: ${error.message}`);
+      logger.trace(`HetznerProvider.listRecords: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new DNS record
+   */
+  async createRecord(record) {
+    logger.trace(`HetznerProvider.createRecord: Creating record type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('HetznerProvider.createRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      // Convert to Hetzner format
+      const hetznerRecord = convertToHetznerFormat(record, this.zone, this.zoneId);
+
+      logger.trace(`HetznerProvider.createRecord: Sending create request to Hetzner API: ${JSON.stringify(hetznerRecord)}`);
+
+      const response = await this.client.post('/records', hetznerRecord);
+
+      const createdRecord = convertRecord(response.data.record, this.zone);
+      logger.trace(`HetznerProvider.createRecord: Record created successfully, ID=${createdRecord.id}`);
+
+      // Update the cache with the new record
+      this.updateRecordInCache(createdRecord);
+
+      // Log at INFO level which record was created
+      logger.info(`✨ Created ${record.type} record for ${record.name}`);
+      logger.success(`Created ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.created++;
+        logger.trace(`HetznerProvider.createRecord: Incremented global.statsCounter.created to ${global.statsCounter.created}`);
+      }
+
+      return createdRecord;
+    } catch (error) {
+      logger.error(`Failed to create ${record.type} record for ${record.name}: ${error.message}`);
+      logger.trace(`HetznerProvider.createRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing DNS record
+   */
+  async updateRecord(id, record) {
+    logger.trace(`HetznerProvider.updateRecord: Updating record ID=${id}, type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('HetznerProvider.updateRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      // Convert to Hetzner format
+      const hetznerRecord = convertToHetznerFormat(record, this.zone, this.zoneId);
+
+      logger.trace(`HetznerProvider.updateRecord: Sending update request to Hetzner API: ${JSON.stringify(hetznerRecord)}`);
+
+      const response = await this.client.put(`/records/${id}`, hetznerRecord);
+
+      const updatedRecord = convertRecord(response.data.record, this.zone);
+      logger.trace(`HetznerProvider.updateRecord: Record updated successfully, ID=${updatedRecord.id}`);
+
+      // Update the cache
+      this.updateRecordInCache(updatedRecord);
+
+      // Log at INFO level which record was updated
+      logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+      logger.success(`Updated ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.updated++;
+        logger.trace(`HetznerProvider.updateRecord: Incremented global.statsCounter.updated to ${global.statsCounter.updated}`);
+      }
+
+      return updatedRecord;
+    } catch (error) {
+      logger.error(`Failed to update ${record.type} record for ${record.name}: ${error.message}`);
+      logger.trace(`HetznerProvider.updateRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a DNS record
+   */
+  async deleteRecord(id) {
+    logger.trace(`HetznerProvider.deleteRecord: Deleting record ID=${id}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('HetznerProvider.deleteRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // Find the record in cache before deleting to log info
+      const recordToDelete = this.recordCache.records.find(r => r.id === id);
+      if (recordToDelete) {
+        logger.info(`🗑️ Deleting DNS record: ${recordToDelete.name} (${recordToDelete.type})`);
+      }
+
+      logger.trace(`HetznerProvider.deleteRecord: Sending delete request to Hetzner API`);
+      await this.client.delete(`/records/${id}`);
+
+      // Update the cache
+      this.removeRecordFromCache(id);
+
+      logger.debug(`Deleted DNS record with ID ${id}`);
+      logger.trace(`HetznerProvider.deleteRecord: Record deletion successful`);
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete DNS record with ID ${id}: ${error.message}`);
+      logger.trace(`HetznerProvider.deleteRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch process multiple DNS records at once
+   */
+  async batchEnsureRecords(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      logger.trace('HetznerProvider.batchEnsureRecords: No record configs provided, skipping');
+      return [];
+    }
+
+    logger.debug(`Batch processing ${recordConfigs.length} DNS records`);
+    logger.trace(`HetznerProvider.batchEnsureRecords: Starting batch processing of ${recordConfigs.length} records`);
+
+    try {
+      // Refresh cache if needed
+      await this.getRecordsFromCache();
+
+      // Process each record configuration
+      const results = [];
+      const pendingChanges = {
+        create: [],
+        update: [],
+        unchanged: []
+      };
+
+      // First pass: examine all records and sort into categories
+      logger.trace('HetznerProvider.batchEnsureRecords: First pass - examining records');
+
+      for (const recordConfig of recordConfigs) {
+        try {
+          logger.trace(`HetznerProvider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
+
+          // Handle apex domains that need IP lookup
+          if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+            logger.trace(`HetznerProvider.batchEnsureRecords: Record needs IP lookup: ${recordConfig.name}`);
+
+            // Get public IP asynchronously
+            const ip = await this.config.getPublicIP();
+            if (ip) {
+              logger.trace(`HetznerProvider.batchEnsureRecords: Retrieved IP address: ${ip}`);
+              recordConfig.content = ip;
+              logger.debug(`Retrieved public IP for apex domain ${recordConfig.name}: ${ip}`);
+            } else {
+              logger.trace(`HetznerProvider.batchEnsureRecords: Failed to retrieve IP address`);
+              throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+            }
+            // Remove the flag to avoid confusion
+            delete recordConfig.needsIpLookup;
+          }
+
+          // Validate the record
+          validateRecord(recordConfig);
+
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
+
+          if (existing) {
+            logger.trace(`HetznerProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
+
+            // Check if update is needed
+            const needsUpdate = this.recordNeedsUpdate(existing, recordConfig);
+            logger.trace(`HetznerProvider.batchEnsureRecords: Record ${recordConfig.name} needs update: ${needsUpdate}`);
+
+            if (needsUpdate) {
+              pendingChanges.update.push({
+                id: existing.id,
+                record: recordConfig,
+                existing
+              });
+            } else {
+              pendingChanges.unchanged.push({
+                record: recordConfig,
+                existing
+              });
+
+              // Update stats counter if available
+              if (global.statsCounter) {
+                global.statsCounter.upToDate++;
+                logger.trace(`HetznerProvider.batchEnsureRecords: Incremented global.statsCounter.upToDate to ${global.statsCounter.upToDate}`);
+              }
+            }
+          } else {
+            logger.trace(`HetznerProvider.batchEnsureRecords: No existing record found, needs creation`);
+
+            // Need to create a new record
+            pendingChanges.create.push({
+              record: recordConfig
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing ${recordConfig.name}: ${error.message}`);
+          logger.trace(`HetznerProvider.batchEnsureRecords: Error details: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+            logger.trace(`HetznerProvider.batchEnsureRecords: Incremented global.statsCounter.errors to ${global.statsCounter.errors}`);
+          }
+        }
+      }
+
+      // Second pass: apply all changes
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
+      logger.trace('HetznerProvider.batchEnsureRecords: Second pass - applying changes');
+
+      // Create new records
+      for (const { record } of pendingChanges.create) {
+        try {
+          logger.trace(`HetznerProvider.batchEnsureRecords: Creating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be created
+          logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+          const result = await this.createRecord(record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to create ${record.type} record for ${record.name}: ${error.message}`);
+          logger.trace(`HetznerProvider.batchEnsureRecords: Create error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Update existing records
+      for (const { id, record } of pendingChanges.update) {
+        try {
+          logger.trace(`HetznerProvider.batchEnsureRecords: Updating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be updated
+          logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+          const result = await this.updateRecord(id, record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to update ${record.type} record for ${record.name}: ${error.message}`);
+          logger.trace(`HetznerProvider.batchEnsureRecords: Update error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Add unchanged records to results too
+      for (const { existing } of pendingChanges.unchanged) {
+        results.push(existing);
+      }
+
+      logger.trace(`HetznerProvider.batchEnsureRecords: Batch processing complete, returning ${results.length} results`);
+      return results;
+    } catch (error) {
+      logger.error(`Failed to batch process DNS records: ${error.message}`);
+      logger.trace(`HetznerProvider.batchEnsureRecords: Error details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a record needs to be updated
+   */
+  recordNeedsUpdate(existing, newRecord) {
+    logger.trace(`HetznerProvider.recordNeedsUpdate: Comparing records for ${newRecord.name}`);
+    logger.trace(`HetznerProvider.recordNeedsUpdate: Existing: ${JSON.stringify(existing)}`);
+    logger.trace(`HetznerProvider.recordNeedsUpdate: New: ${JSON.stringify(newRecord)}`);
+
+    // Cached records are already in standard format, just normalise trailing dots
+    let existingContent = existing.content;
+    let newContent = newRecord.content;
+
+    if (['CNAME', 'MX', 'SRV', 'NS'].includes(newRecord.type)) {
+      if (existingContent && existingContent.endsWith('.')) {
+        existingContent = existingContent.slice(0, -1);
+      }
+      if (newContent && newContent.endsWith('.')) {
+        newContent = newContent.slice(0, -1);
+      }
+    }
+
+    let needsUpdate = false;
+
+    // Compare content
+    if (existingContent !== newContent) {
+      logger.trace(`HetznerProvider.recordNeedsUpdate: Content different: ${existingContent} vs ${newContent}`);
+      needsUpdate = true;
+    }
+
+    // Compare TTL
+    if (existing.ttl !== newRecord.ttl) {
+      logger.trace(`HetznerProvider.recordNeedsUpdate: TTL different: ${existing.ttl} vs ${newRecord.ttl}`);
+      needsUpdate = true;
+    }
+
+    // Type-specific field comparisons
+    switch (newRecord.type) {
+      case 'MX':
+        if (existing.priority !== newRecord.priority) {
+          logger.trace(`HetznerProvider.recordNeedsUpdate: MX priority different: ${existing.priority} vs ${newRecord.priority}`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'SRV':
+        if (existing.priority !== newRecord.priority ||
+            existing.weight !== newRecord.weight ||
+            existing.port !== newRecord.port) {
+          logger.trace(`HetznerProvider.recordNeedsUpdate: SRV fields different`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'CAA':
+        if (existing.flags !== newRecord.flags ||
+            existing.tag !== newRecord.tag) {
+          logger.trace(`HetznerProvider.recordNeedsUpdate: CAA fields different`);
+          needsUpdate = true;
+        }
+        break;
+    }
+
+    // If an update is needed, log the specific differences at DEBUG level
+    if (needsUpdate && logger.level >= 3) { // DEBUG level or higher
+      logger.debug(`Record ${newRecord.name} needs update:`);
+      if (existingContent !== newContent)
+        logger.debug(` - Content: ${existingContent} → ${newContent}`);
+      if (existing.ttl !== newRecord.ttl)
+        logger.debug(` - TTL: ${existing.ttl} → ${newRecord.ttl}`);
+    }
+
+    logger.trace(`HetznerProvider.recordNeedsUpdate: Final result - needs update: ${needsUpdate}`);
+    return needsUpdate;
+  }
+}
+
+module.exports = HetznerProvider;
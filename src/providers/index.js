@@ -7,12 +7,22 @@ const DNSProviderFactory = require('./factory');
 const CloudflareProvider = require('./cloudflare');
 const DigitalOceanProvider = require('./digitalocean');
 const Route53Provider = require('./route53');
+const HetznerProvider = require('./hetzner');
+const RFC2136Provider = require('./rfc2136');
+const PowerDNSProvider = require('./powerdns');
+const PiholeProvider = require('./pihole');
+const AdguardProvider = require('./adguard');
 
 // Provider types enum for easier reference
 const ProviderTypes = {
   CLOUDFLARE: 'cloudflare',
   DIGITALOCEAN: 'digitalocean',
-  ROUTE53: 'route53'
+  ROUTE53: 'route53',
+  HETZNER: 'hetzner',
+  RFC2136: 'rfc2136',
+  POWERDNS: 'powerdns',
+  PIHOLE: 'pihole',
+  ADGUARD: 'adguard'
 };
 
 // Export all providers and utilities
@@ -25,6 +35,11 @@ module.exports = {
   CloudflareProvider,
   DigitalOceanProvider,
   Route53Provider,
+  HetznerProvider,
+  RFC2136Provider,
+  PowerDNSProvider,
+  PiholeProvider,
+  AdguardProvider,
   
   // Constants
   ProviderTypes
@@ -0,0 +1,93 @@
+/**
+ * Pi-hole record format converter utilities
+ * Handles conversion between internal format and Pi-hole local DNS entries
+ *
+ * Pi-hole stores local DNS records as strings:
+ * - dns.hosts entries: "<ip> <hostname> [<hostname>...]"
+ * - dns.cnameRecords entries: "<hostname>,<target>[,<ttl>]"
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the Pi-hole config element that stores a record type
+ * @param {string} type - Record type
+ * @returns {string} - Config element path
+ */
+function getConfigElement(type) {
+  return type === 'CNAME' ? 'dns/cnameRecords' : 'dns/hosts';
+}
+
+/**
+ * Convert standard record format to a Pi-hole config entry
+ * @param {Object} record - Record in standard format
+ * @returns {string} - Pi-hole config entry
+ */
+function convertToPiholeFormat(record) {
+  logger.trace(`pihole.converter: Converting record to Pi-hole format: ${JSON.stringify(record)}`);
+
+  const entry = record.type === 'CNAME'
+    ? `${record.name},${record.content}`
+    : `${record.content} ${record.name}`;
+
+  logger.trace(`pihole.converter: Converted to Pi-hole format: ${entry}`);
+  return entry;
+}
+
+/**
+ * Convert a Pi-hole hosts entry to standard format records
+ * A single hosts entry may list several hostnames for one IP
+ * @param {string} entry - Pi-hole dns.hosts entry
+ * @returns {Array<Object>} - Records in standard format
+ */
+function convertHostsEntry(entry) {
+  const [ip, ...hostnames] = entry.trim().split(/\s+/);
+
+  if (!ip || hostnames.length === 0) {
+    logger.trace(`pihole.converter: Skipping malformed hosts entry: ${entry}`);
+    return [];
+  }
+
+  const type = net.isIPv6(ip) ? 'AAAA' : 'A';
+
+  return hostnames.map(hostname => ({
+    id: entry,
+    type,
+    name: hostname.toLowerCase(),
+    content: ip
+  }));
+}
+
+/**
+ * Convert a Pi-hole CNAME entry to a standard format record
+ * @param {string} entry - Pi-hole dns.cnameRecords entry
+ * @returns {Object|null} - Record in standard format
+ */
+function convertCnameEntry(entry) {
+  const [hostname, target, ttl] = entry.split(',').map(part => part.trim());
+
+  if (!hostname || !target) {
+    logger.trace(`pihole.converter: Skipping malformed CNAME entry: ${entry}`);
+    return null;
+  }
+
+  const record = {
+    id: entry,
+    type: 'CNAME',
+    name: hostname.toLowerCase(),
+    content: target
+  };
+
+  if (ttl) {
+    record.ttl = parseInt(ttl, 10);
+  }
+
+  return record;
+}
+
+module.exports = {
+  getConfigElement,
+  convertToPiholeFormat,
+  convertHostsEntry,
+  convertCnameEntry
+};
@@ -0,0 +1,16 @@
+/**
+ * Pi-hole Provider module
+ * Exports the Pi-hole local DNS provider implementation
+ */
+const PiholeProvider = require('./provider');
+const { convertToPiholeFormat, convertHostsEntry, convertCnameEntry } = require('./converter');
+const { validateRecord } = require('./validator');
+
+// Export the provider class as default
+module.exports = PiholeProvider;
+
+// Also export utility functions
+module.exports.convertToPiholeFormat = convertToPiholeFormat;
+module.exports.convertHostsEntry = convertHostsEntry;
+module.exports.convertCnameEntry = convertCnameEntry;
+module.exports.validateRecord = validateRecord;
@@ -0,0 +1,642 @@
+/**
+ * Pi-hole DNS Provider
+ * Core implementation of the DNSProvider interface for Pi-hole local DNS records
+ * Uses the Pi-hole v6 REST API
+ */
+const axios = require('axios');
+const DNSProvider = require('../base');
+const logger = require('../../utils/logger');
+const { getConfigElement, convertToPiholeFormat, convertHostsEntry, convertCnameEntry } = require('./converter');
+const { validateRecord } = require('./validator');
+
+class PiholeProvider extends DNSProvider {
+  constructor(config) {
+    super(config);
+
+    logger.trace('PiholeProvider.constructor: Initialising with config');
+
+    this.password = config.piholePassword;
+    this.zone = config.piholeDomain;
+    this.sid = null;
+
+    // Initialize Axios client
+    const apiUrl = config.piholeUrl.replace(/\/+$/, '');
+    this.client = axios.create({
+      baseURL: `${apiUrl}/api`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    logger.trace('PiholeProvider.constructor: Axios client initialized');
+  }
+
+  /**
+   * Get the error message returned by the Pi-hole API
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    const apiError = error.response?.data?.error;
+    if (apiError) {
+      return apiError.hint ? `${apiError.message} (${apiError.hint})` : apiError.message;
+    }
+
+    return error.message;
+  }
+
+  /**
+   * Build a record ID that is unique per hostname
+   * A single hosts entry can hold several hostnames, so the raw entry isn't enough
+   */
+  getRecordId(record) {
+    return `${record.type}:${record.name}:${record.content}`;
+  }
+
+  /**
+   * Log in to the Pi-hole API and store the session ID
+   */
+  async authenticate() {
+    logger.trace('PiholeProvider.authenticate: Requesting session from Pi-hole');
+
+    try {
+      const response = await this.client.post('/auth', { password: this.password || '' });
+      const session = response.data.session || {};
+
+      if (!session.valid) {
+        throw new Error(session.message || 'Pi-hole did not accept the session');
+      }
+
+      // sid is null when the Pi-hole has no password configured
+      this.sid = session.sid || null;
+
+      if (this.sid) {
+        this.client.defaults.headers.common['X-FTL-SID'] = this.sid;
+      }
+
+      logger.trace(`PiholeProvider.authenticate: Session established (validity ${session.validity}s)`);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        logger.error('Invalid Pi-hole password');
+        throw new Error('Invalid Pi-hole password. Please check your PIHOLE_PASSWORD environment variable (an app password is recommended).');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, logging in again if the session has expired
+   * @param {Object} options - Axios request options
+   */
+  async request(options) {
+    try {
+      return await this.client.request(options);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+
+      logger.debug('Pi-hole session expired, logging in again');
+      await this.authenticate();
+      return this.client.request(options);
+    }
+  }
+
+  /**
+   * Initialize API by logging in
+   */
+  async init() {
+    logger.trace(`PiholeProvider.init: Starting initialization for domain "${this.zone}"`);
+
+    try {
+      await this.authenticate();
+      logger.success('Pi-hole authenticated successfully');
+
+      // Initialize the DNS record cache
+      logger.trace('PiholeProvider.init: Initialising DNS record cache');
+      await this.refreshRecordCache();
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to initialize Pi-hole API: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.init: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw new Error(`Failed to initialize Pi-hole API: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh the DNS record cache
+   */
+  async refreshRecordCache() {
+    logger.trace('PiholeProvider.refreshRecordCache: Starting cache refresh');
+
+    try {
+      logger.debug('Refreshing DNS record cache from Pi-hole');
+
+      const records = await this.fetchAllRecords();
+      const oldRecordCount = this.recordCache.records.length;
+
+      this.recordCache = {
+        records: records,
+        lastUpdated: Date.now()
+      };
+
+      logger.debug(`Cached ${this.recordCache.records.length} DNS records from Pi-hole`);
+      logger.trace(`PiholeProvider.refreshRecordCache: Cache updated from ${oldRecordCount} to ${this.recordCache.records.length} records`);
+
+      // In TRACE mode, output the entire cache for debugging
+      if (logger.level >= 4) { // TRACE level
+        logger.trace('PiholeProvider.refreshRecordCache: Current cache contents:');
+        this.recordCache.records.forEach((record, index) => {
+          logger.trace(`Record[${index}]: type=${record.type}, name=${record.name}, content=${record.content}`);
+        });
+      }
+
+      return this.recordCache.records;
+    } catch (error) {
+      logger.error(`Failed to refresh DNS record cache: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.refreshRecordCache: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all local DNS and CNAME records
+   */
+  async fetchAllRecords() {
+    logger.trace('PiholeProvider.fetchAllRecords: Fetching local DNS records');
+
+    const hostsResponse = await this.request({ method: 'get', url: '/config/dns/hosts' });
+    const cnameResponse = await this.request({ method: 'get', url: '/config/dns/cnameRecords' });
+
+    const hosts = hostsResponse.data.config?.dns?.hosts || [];
+    const cnames = cnameResponse.data.config?.dns?.cnameRecords || [];
+
+    logger.trace(`PiholeProvider.fetchAllRecords: Received ${hosts.length} hosts entries and ${cnames.length} CNAME entries`);
+
+    const records = [
+      ...hosts.flatMap(entry => convertHostsEntry(entry)),
+      ...cnames.map(entry => convertCnameEntry(entry)).filter(Boolean)
+    ];
+
+    // Keep the raw entry for deletion and use a per-hostname ID
+    return records.map(record => ({
+      ...record,
+      entry: record.id,
+      id: this.getRecordId(record)
+    }));
+  }
+
+  /**
+   * Add an entry to a Pi-hole config array
+   */
+  async addEntry(type, entry) {
+    logger.trace(`PiholeProvider.addEntry: Adding "${entry}" to ${getConfigElement(type)}`);
+    await this.request({
+      method: 'put',
+      url: `/config/${getConfigElement(type)}/${encodeURIComponent(entry)}`
+    });
+  }
+
+  /**
+   * Remove an entry from a Pi-hole config array
+   */
+  async removeEntry(type, entry) {
+    logger.trace(`PiholeProvider.removeEntry: Removing "${entry}" from ${getConfigElement(type)}`);
+    await this.request({
+      method: 'delete',
+      url: `/config/${getConfigElement(type)}/${encodeURIComponent(entry)}`
+    });
+  }
+
+  /**
+   * Remove a single hostname from Pi-hole
+   * Other hostnames sharing the same hosts entry are kept
+   * @param {Object} record - Cached record to remove
+   * @returns {boolean} - True if other records were affected and the cache needs a refresh
+   */
+  async removeHostname(record) {
+    await this.removeEntry(record.type, record.entry);
+
+    if (record.type === 'CNAME') {
+      return false;
+    }
+
+    const [ip, ...hostnames] = record.entry.trim().split(/\s+/);
+    const remaining = hostnames.filter(hostname => hostname.toLowerCase() !== record.name);
+
+    if (remaining.length === 0) {
+      return false;
+    }
+
+    logger.debug(`Keeping ${remaining.length} other hostnames from shared Pi-hole entry for ${ip}`);
+    await this.addEntry(record.type, `${ip} ${remaining.join(' ')}`);
+    return true;
+  }
+
+  /**
+   * Build the cache entry for a record that was written to Pi-hole
+   */
+  toCachedRecord(record) {
+    const cachedRecord = {
+      type: record.type,
+      name: record.name,
+      content: record.content,
+      entry: convertToPiholeFormat(record)
+    };
+
+    cachedRecord.id = this.getRecordId(cachedRecord);
+    return cachedRecord;
+  }
+
+  /**
+   * Update a record in the cache
+   */
+  updateRecordInCache(record) {
+    logger.trace(`PiholeProvider.updateRecordInCache: Updating record in cache: ID=${record.id}, type=${record.type}, name=${record.name}`);
+
+    const index = this.recordCache.records.findIndex(
+      r => r.id === record.id
+    );
+
+    if (index !== -1) {
+      logger.trace(`PiholeProvider.updateRecordInCache: Found existing record at index ${index}, replacing`);
+      this.recordCache.records[index] = record;
+    } else {
+      logger.trace(`PiholeProvider.updateRecordInCache: Record not found in cache, adding new record`);
+      this.recordCache.records.push(record);
+    }
+  }
+
+  /**
+   * Remove a record from the cache
+   */
+  removeRecordFromCache(id) {
+    logger.trace(`PiholeProvider.removeRecordFromCache: Removing record ID=${id} from cache`);
+
+    const initialLength = this.recordCache.records.length;
+    this.recordCache.records = this.recordCache.records.filter(
+      record => record.id !== id
+    );
+
+    const removed = initialLength - this.recordCache.records.length;
+    logger.trace(`PiholeProvider.removeRecordFromCache: Removed ${removed} records from cache`);
+  }
+
+  /**
+   * List DNS records with optional filtering
+   */
+  async listRecords(params = {}) {
+    logger.trace(`PiholeProvider.listRecords: Listing records with params: ${JSON.stringify(params)}`);
+
+    try {
+      // If specific filters are used other than type and name, bypass cache
+      const bypassCache = Object.keys(params).some(
+        key => !['type', 'name'].includes(key)
+      );
+
+      const records = bypassCache
+        ? await this.fetchAllRecords()
+        : await this.getRecordsFromCache();
+
+      if (bypassCache) {
+        logger.debug('Bypassing cache due to complex filters');
+      }
+
+      // Pi-hole returns all local records, so apply filters manually
+      const filteredRecords = records.filter(record => {
+        let match = true;
+
+        if (params.type && record.type !== params.type) {
+          match = false;
+        }
+
+        if (params.name && record.name !== params.name) {
+          match = false;
+        }
+
+        return match;
+      });
+
+      logger.trace(`PiholeProvider.listRecords: Filtering returned ${filteredRecords.length} records`);
+
+      return filteredRecords;
+    } catch (error) {
+      logger.error(`Failed to list DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.listRecords: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new DNS record
+   */
+  async createRecord(record) {
+    logger.trace(`PiholeProvider.createRecord: Creating record type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      // Validate the record first
+      validateRecord(record);
+
+      await this.addEntry(record.type, convertToPiholeFormat(record));
+
+      const createdRecord = this.toCachedRecord(record);
+      logger.trace(`PiholeProvider.createRecord: Record created successfully, ID=${createdRecord.id}`);
+
+      // Update the cache with the new record
+      this.updateRecordInCache(createdRecord);
+
+      // Log at INFO level which record was created
+      logger.info(`✨ Created ${record.type} record for ${record.name}`);
+      logger.success(`Created ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.created++;
+        logger.trace(`PiholeProvider.createRecord: Incremented global.statsCounter.created to ${global.statsCounter.created}`);
+      }
+
+      return createdRecord;
+    } catch (error) {
+      logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.createRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing DNS record
+   * Pi-hole has no update operation, so the old entry is removed and a new one added
+   */
+  async updateRecord(id, record) {
+    logger.trace(`PiholeProvider.updateRecord: Updating record ID=${id}, type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      // Validate the record first
+      validateRecord(record);
+
+      const existing = this.recordCache.records.find(r => r.id === id);
+      if (!existing) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      const sharedEntry = await this.removeHostname(existing);
+      await this.addEntry(record.type, convertToPiholeFormat(record));
+
+      const updatedRecord = this.toCachedRecord(record);
+      logger.trace(`PiholeProvider.updateRecord: Record updated successfully, ID=${updatedRecord.id}`);
+
+      // Update the cache, reloading it if other hostnames were rewritten
+      if (sharedEntry) {
+        await this.refreshRecordCache();
+      } else {
+        this.removeRecordFromCache(id);
+        this.updateRecordInCache(updatedRecord);
+      }
+
+      // Log at INFO level which record was updated
+      logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+      logger.success(`Updated ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.updated++;
+        logger.trace(`PiholeProvider.updateRecord: Incremented global.statsCounter.updated to ${global.statsCounter.updated}`);
+      }
+
+      return updatedRecord;
+    } catch (error) {
+      logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.updateRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a DNS record
+   */
+  async deleteRecord(id) {
+    logger.trace(`PiholeProvider.deleteRecord: Deleting record ID=${id}`);
+
+    try {
+      // The raw entry is needed to delete the record
+      const recordToDelete = this.recordCache.records.find(r => r.id === id);
+      if (!recordToDelete) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      logger.info(`🗑️ Deleting DNS record: ${recordToDelete.name} (${recordToDelete.type})`);
+
+      logger.trace('PiholeProvider.deleteRecord: Sending delete request to Pi-hole API');
+      const sharedEntry = await this.removeHostname(recordToDelete);
+
+      // Update the cache
+      if (sharedEntry) {
+        await this.refreshRecordCache();
+      } else {
+        this.removeRecordFromCache(id);
+      }
+
+      logger.debug(`Deleted DNS record with ID ${id}`);
+      logger.trace('PiholeProvider.deleteRecord: Record deletion successful');
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete DNS record with ID ${id}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.deleteRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch process multiple DNS records at once
+   */
+  async batchEnsureRecords(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      logger.trace('PiholeProvider.batchEnsureRecords: No record configs provided, skipping');
+      return [];
+    }
+
+    logger.debug(`Batch processing ${recordConfigs.length} DNS records`);
+    logger.trace(`PiholeProvider.batchEnsureRecords: Starting batch processing of ${recordConfigs.length} records`);
+
+    try {
+      // Refresh cache if needed
+      await this.getRecordsFromCache();
+
+      // Process each record configuration
+      const results = [];
+      const pendingChanges = {
+        create: [],
+        update: [],
+        unchanged: []
+      };
+
+      // First pass: examine all records and sort into categories
+      logger.trace('PiholeProvider.batchEnsureRecords: First pass - examining records');
+
+      for (const recordConfig of recordConfigs) {
+        try {
+          logger.trace(`PiholeProvider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
+
+          // Handle apex domains that need IP lookup
+          if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+            logger.trace(`PiholeProvider.batchEnsureRecords: Record needs IP lookup: ${recordConfig.name}`);
+
+            // Get public IP asynchronously
+            const ip = await this.config.getPublicIP();
+            if (ip) {
+              logger.trace(`PiholeProvider.batchEnsureRecords: Retrieved IP address: ${ip}`);
+              recordConfig.content = ip;
+              logger.debug(`Retrieved public IP for apex domain ${recordConfig.name}: ${ip}`);
+            } else {
+              logger.trace(`PiholeProvider.batchEnsureRecords: Failed to retrieve IP address`);
+              throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+            }
+            // Remove the flag to avoid confusion
+            delete recordConfig.needsIpLookup;
+          }
+
+          // Validate the record
+          validateRecord(recordConfig);
+
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
+
+          if (existing) {
+            logger.trace(`PiholeProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
+
+            // Check if update is needed
+            const needsUpdate = this.recordNeedsUpdate(existing, recordConfig);
+            logger.trace(`PiholeProvider.batchEnsureRecords: Record ${recordConfig.name} needs update: ${needsUpdate}`);
+
+            if (needsUpdate) {
+              pendingChanges.update.push({
+                id: existing.id,
+                record: recordConfig,
+                existing
+              });
+            } else {
+              pendingChanges.unchanged.push({
+                record: recordConfig,
+                existing
+              });
+
+              // Update stats counter if available
+              if (global.statsCounter) {
+                global.statsCounter.upToDate++;
+                logger.trace(`PiholeProvider.batchEnsureRecords: Incremented global.statsCounter.upToDate to ${global.statsCounter.upToDate}`);
+              }
+            }
+          } else {
+            logger.trace(`PiholeProvider.batchEnsureRecords: No existing record found, needs creation`);
+
+            // Need to create a new record
+            pendingChanges.create.push({
+              record: recordConfig
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing ${recordConfig.name}: ${error.message}`);
+          logger.trace(`PiholeProvider.batchEnsureRecords: Error details: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+            logger.trace(`PiholeProvider.batchEnsureRecords: Incremented global.statsCounter.errors to ${global.statsCounter.errors}`);
+          }
+        }
+      }
+
+      // Second pass: apply all changes
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
+      logger.trace('PiholeProvider.batchEnsureRecords: Second pass - applying changes');
+
+      // Create new records
+      for (const { record } of pendingChanges.create) {
+        try {
+          logger.trace(`PiholeProvider.batchEnsureRecords: Creating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be created
+          logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+          const result = await this.createRecord(record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+          logger.trace(`PiholeProvider.batchEnsureRecords: Create error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Update existing records
+      for (const { id, record } of pendingChanges.update) {
+        try {
+          logger.trace(`PiholeProvider.batchEnsureRecords: Updating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be updated
+          logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+          const result = await this.updateRecord(id, record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+          logger.trace(`PiholeProvider.batchEnsureRecords: Update error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Add unchanged records to results too
+      for (const { existing } of pendingChanges.unchanged) {
+        results.push(existing);
+      }
+
+      logger.trace(`PiholeProvider.batchEnsureRecords: Batch processing complete, returning ${results.length} results`);
+      return results;
+    } catch (error) {
+      logger.error(`Failed to batch process DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`PiholeProvider.batchEnsureRecords: Error details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a record needs to be updated
+   * Pi-hole entries have no TTL, so only the content is compared
+   */
+  recordNeedsUpdate(existing, newRecord) {
+    logger.trace(`PiholeProvider.recordNeedsUpdate: Comparing records for ${newRecord.name}`);
+    logger.trace(`PiholeProvider.recordNeedsUpdate: Existing: ${JSON.stringify(existing)}`);
+    logger.trace(`PiholeProvider.recordNeedsUpdate: New: ${JSON.stringify(newRecord)}`);
+
+    let existingContent = existing.content;
+    let newContent = newRecord.content;
+
+    if (newRecord.type === 'CNAME') {
+      existingContent = existingContent.replace(/\.$/, '').toLowerCase();
+      newContent = newContent.replace(/\.$/, '').toLowerCase();
+    }
+
+    const needsUpdate = existingContent !== newContent;
+
+    // If an update is needed, log the specific differences at DEBUG level
+    if (needsUpdate && logger.level >= 3) { // DEBUG level or higher
+      logger.debug(`Record ${newRecord.name} needs update:`);
+      logger.debug(` - Content: ${existingContent} → ${newContent}`);
+    }
+
+    logger.trace(`PiholeProvider.recordNeedsUpdate: Final result - needs update: ${needsUpdate}`);
+    return needsUpdate;
+  }
+}
+
+module.exports = PiholeProvider;
@@ -0,0 +1,84 @@
+/**
+ * Pi-hole-specific record validation utilities
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Validate a Pi-hole local DNS record configuration
+ * @param {Object} record - The record to validate
+ * @throws {Error} - If validation fails
+ */
+function validateRecord(record) {
+  logger.trace(`pihole.validator: Validating record ${record.name} (${record.type})`);
+
+  // Common validations
+  if (!record.type) {
+    logger.trace(`pihole.validator: Record type is missing`);
+    throw new Error('Record type is required');
+  }
+
+  if (!record.name) {
+    logger.trace(`pihole.validator: Record name is missing`);
+    throw new Error('Record name is required');
+  }
+
+  // Type-specific validations
+  switch (record.type) {
+    case 'A':
+      if (!record.content) {
+        logger.trace(`pihole.validator: IP address is missing for A record`);
+        throw new Error('IP address is required for A records');
+      }
+
+      if (!net.isIPv4(record.content)) {
+        logger.trace(`pihole.validator: Invalid IPv4 format: ${record.content}`);
+        throw new Error(`Invalid IPv4 address format: ${record.content}`);
+      }
+      break;
+
+    case 'AAAA':
+      if (!record.content) {
+        logger.trace(`pihole.validator: IPv6 address is missing for AAAA record`);
+        throw new Error('IPv6 address is required for AAAA records');
+      }
+
+      if (!net.isIPv6(record.content)) {
+        logger.trace(`pihole.validator: Invalid IPv6 format: ${record.content}`);
+        throw new Error(`Invalid IPv6 address format: ${record.content}`);
+      }
+      break;
+
+    case 'CNAME':
+      if (!record.content) {
+        logger.trace(`pihole.validator: Content is missing for CNAME record`);
+        throw new Error('Content is required for CNAME records');
+      }
+      break;
+
+    default:
+      // Pi-hole local DNS only supports address and CNAME records
+      logger.trace(`pihole.validator: Unsupported record type: ${record.type}`);
+      throw new Error(`Record type ${record.type} is not supported by Pi-hole local DNS (only A, AAAA and CNAME)`);
+  }
+
+  // Pi-hole-specific validations
+
+  // Silently remove 'proxied' property if present since Pi-hole doesn't support proxying
+  if (record.proxied !== undefined) {
+    delete record.proxied;
+    logger.trace(`pihole.validator: Removed 'proxied' property as Pi-hole doesn't support it`);
+  }
+
+  // Pi-hole entries are whitespace and comma separated, so values can't contain either
+  if (/[\s,]/.test(record.name) || /[\s,]/.test(record.content)) {
+    logger.trace(`pihole.validator: Record contains whitespace or commas`);
+    throw new Error(`Record ${record.name} contains characters Pi-hole cannot store`);
+  }
+
+  logger.trace(`pihole.validator: Record validation successful`);
+}
+
+module.exports = {
+  validateRecord
+};
@@ -0,0 +1,184 @@
+/**
+ * PowerDNS record format converter utilities
+ * Handles conversion between internal format and PowerDNS API RRsets
+ */
+const logger = require('../../utils/logger');
+
+/**
+ * Ensure a name ends with a trailing dot (PowerDNS requires canonical names)
+ * @param {string} value - Name value
+ * @returns {string} - Name with trailing dot
+ */
+function ensureTrailingDot(value) {
+  if (!value || value.endsWith('.')) {
+    return value;
+  }
+
+  return `${value}.`;
+}
+
+/**
+ * Remove a trailing dot from a name if present
+ * @param {string} value - Name value
+ * @returns {string} - Name without trailing dot
+ */
+function stripTrailingDot(value) {
+  if (typeof value === 'string' && value.endsWith('.')) {
+    return value.slice(0, -1);
+  }
+
+  return value;
+}
+
+/**
+ * Format record content the way PowerDNS expects it in an RRset
+ * @param {Object} record - Record in standard format
+ * @returns {string} - Record content in zone file presentation format
+ */
+function formatContent(record) {
+  switch (record.type) {
+    case 'CNAME':
+    case 'NS':
+      return ensureTrailingDot(record.content);
+
+    case 'MX':
+      return `${record.priority || 10} ${ensureTrailingDot(record.content)}`;
+
+    case 'SRV':
+      return `${record.priority || 1} ${record.weight || 1} ${record.port || 80} ${ensureTrailingDot(record.content)}`;
+
+    case 'CAA':
+      return `${record.flags || 0} ${record.tag || 'issue'} "${record.content}"`;
+
+    case 'TXT':
+      // PowerDNS stores TXT content quoted, quote it if it isn't already
+      return record.content.startsWith('"') ? record.content : `"${record.content}"`;
+
+    default:
+      return record.content;
+  }
+}
+
+/**
+ * Convert standard record format to a PowerDNS RRset change
+ * @param {Object} record - Record in standard format
+ * @param {string} changetype - RRset change type (REPLACE or DELETE)
+ * @returns {Object} - RRset in PowerDNS format
+ */
+function convertToPowerDNSFormat(record, changetype = 'REPLACE') {
+  logger.trace(`powerdns.converter: Converting record to PowerDNS format: ${JSON.stringify(record)}`);
+
+  const rrset = {
+    name: ensureTrailingDot(record.name),
+    type: record.type,
+    changetype
+  };
+
+  // Deleting an RRset only needs the name and type, an RRset written with several values lists them in recordSet
+  if (changetype === 'REPLACE') {
+    rrset.ttl = record.ttl;
+    rrset.records = (record.recordSet || [record]).map(member => ({
+      content: formatContent(member),
+      disabled: false
+    }));
+  }
+
+  logger.trace(`powerdns.converter: Converted to PowerDNS format: ${JSON.stringify(rrset)}`);
+  return rrset;
+}
+
+/**
+ * Convert a single record from a PowerDNS RRset to standard format
+ * @param {Object} rrset - RRset the record belongs to
+ * @param {Object} powerDNSRecord - Record entry from the RRset
+ * @returns {Object} - Record in standard format
+ */
+function convertRecord(rrset, powerDNSRecord) {
+  const value = powerDNSRecord.content || '';
+
+  // PowerDNS has no record IDs, RRsets are identified by name and type
+  const standardRecord = {
+    id: `${rrset.name}:${rrset.type}`,
+    type: rrset.type,
+    name: stripTrailingDot(rrset.name),
+    ttl: rrset.ttl
+  };
+
+  // Type-specific fields
+  switch (rrset.type) {
+    case 'MX': {
+      const parts = value.split(' ');
+      standardRecord.priority = parseInt(parts[0], 10);
+      standardRecord.content = stripTrailingDot(parts.slice(1).join(' '));
+      break;
+    }
+
+    case 'SRV': {
+      const parts = value.split(' ');
+      standardRecord.priority = parseInt(parts[0], 10);
+      standardRecord.weight = parseInt(parts[1], 10);
+      standardRecord.port = parseInt(parts[2], 10);
+      standardRecord.content = stripTrailingDot(parts.slice(3).join(' '));
+      break;
+    }
+
+    case 'CAA': {
+      const matches = value.match(/^(\d+)\s+(\S+)\s+"?(.*?)"?$/);
+      if (matches) {
+        standardRecord.flags = parseInt(matches[1], 10);
+        standardRecord.tag = matches[2];
+        standardRecord.content = matches[3];
+      } else {
+        standardRecord.content = value;
+      }
+      break;
+    }
+
+    case 'TXT':
+      // Remove surrounding quotes if present
+      standardRecord.content = value.replace(/^"(.*)"$/, '$1');
+      break;
+
+    case 'CNAME':
+    case 'NS':
+      standardRecord.content = stripTrailingDot(value);
+      break;
+
+    default:
+      standardRecord.content = value;
+  }
+
+  return standardRecord;
+}
+
+/**
+ * Convert PowerDNS RRsets to a flat list of standard format records
+ * @param {Array<Object>} rrsets - RRsets returned by the PowerDNS API
+ * @returns {Array<Object>} - Records in standard format
+ */
+function convertRRsets(rrsets) {
+  const records = [];
+
+  for (const rrset of rrsets || []) {
+    for (const powerDNSRecord of rrset.records || []) {
+      // Disabled records are not served, so treat them as absent
+      if (powerDNSRecord.disabled) {
+        logger.trace(`powerdns.converter: Skipping disabled record ${rrset.name} (${rrset.type})`);
+        continue;
+      }
+
+      records.push(convertRecord(rrset, powerDNSRecord));
+    }
+  }
+
+  return records;
+}
+
+module.exports = {
+  convertToPowerDNSFormat,
+  convertRecord,
+  convertRRsets,
+  formatContent,
+  ensureTrailingDot,
+  stripTrailingDot
+};
@@ -0,0 +1,16 @@
+/**
+ * PowerDNS Provider module
+ * Exports the PowerDNS Authoritative API provider implementation
+ */
+const PowerDNSProvider = require('./provider');
+const { convertRecord, convertRRsets, convertToPowerDNSFormat } = require('./converter');
+const { validateRecord } = require('./validator');
+
+// Export the provider class as default
+module.exports = PowerDNSProvider;
+
+// Also export utility functions
+module.exports.convertRecord = convertRecord;
+module.exports.convertRRsets = convertRRsets;
+module.exports.convertToPowerDNSFormat = convertToPowerDNSFormat;
+module.exports.validateRecord = validateRecord;
@@ -0,0 +1,686 @@
+/**
+ * PowerDNS DNS Provider
+ * Core implementation of the DNSProvider interface for the PowerDNS Authoritative HTTP API
+ */
+const axios = require('axios');
+const DNSProvider = require('../base');
+const logger = require('../../utils/logger');
+const { convertToPowerDNSFormat, convertRRsets, ensureTrailingDot, stripTrailingDot } = require('./converter');
+const { validateRecord } = require('./validator');
+
+class PowerDNSProvider extends DNSProvider {
+  constructor(config) {
+    super(config);
+
+    logger.trace('PowerDNSProvider.constructor: Initialising with config');
+
+    this.apiKey = config.powerdnsApiKey;
+    this.zone = config.powerdnsZone;
+    this.serverId = config.powerdnsServerId;
+    this.zoneId = null;
+
+    // Initialize Axios client
+    const apiUrl = config.powerdnsApiUrl.replace(/\/+$/, '');
+    this.client = axios.create({
+      baseURL: `${apiUrl}/api/v1/servers/${encodeURIComponent(this.serverId)}`,
+      headers: {
+        'X-API-Key': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    logger.trace('PowerDNSProvider.constructor: Axios client initialized');
+  }
+
+  /**
+   * Get the error message returned by the PowerDNS API
+   * @param {Error} error - Axios error
+   * @returns {string} - Error message
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error || error.message;
+  }
+
+  /**
+   * Initialize API by looking up the zone
+   */
+  async init() {
+    logger.trace(`PowerDNSProvider.init: Starting initialization for zone "${this.zone}"`);
+
+    try {
+      // PowerDNS zone IDs are the canonical zone name
+      const zoneName = ensureTrailingDot(this.zone);
+
+      logger.trace(`PowerDNSProvider.init: Fetching zone ${zoneName} from PowerDNS`);
+      const response = await this.client.get(`/zones/${encodeURIComponent(zoneName)}`, {
+        params: { rrsets: false }
+      });
+
+      this.zoneId = response.data.id;
+      logger.debug(`PowerDNS zone ID for ${this.zone}: ${this.zoneId} (kind: ${response.data.kind})`);
+      logger.success('PowerDNS zone authenticated successfully');
+
+      // Initialize the DNS record cache
+      logger.trace('PowerDNSProvider.init: Initialising DNS record cache');
+      await this.refreshRecordCache();
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        logger.error('Invalid PowerDNS API key');
+        throw new Error('Invalid PowerDNS API key. Please check your POWERDNS_API_KEY environment variable.');
+      }
+
+      if (error.response?.status === 404 || error.response?.status === 422) {
+        logger.trace(`PowerDNSProvider.init: Zone "${this.zone}" not found in PowerDNS`);
+        throw new Error(`Zone not found: ${this.zone}`);
+      }
+
+      logger.error(`Failed to initialize PowerDNS API: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.init: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw new Error(`Failed to initialize PowerDNS API: ${this.getErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh the DNS record cache
+   */
+  async refreshRecordCache() {
+    logger.trace('PowerDNSProvider.refreshRecordCache: Starting cache refresh');
+
+    try {
+      logger.debug('Refreshing DNS record cache from PowerDNS');
+
+      if (!this.zoneId) {
+        logger.trace('PowerDNSProvider.refreshRecordCache: No zoneId, initialising first');
+        await this.init();
+        return;
+      }
+
+      // Get all records for the zone, converted to standard format
+      const records = await this.fetchAllRecords();
+      const oldRecordCount = this.recordCache.records.length;
+
+      this.recordCache = {
+        records: records,
+        lastUpdated: Date.now()
+      };
+
+      logger.debug(`Cached ${this.recordCache.records.length} DNS records from PowerDNS`);
+      logger.trace(`PowerDNSProvider.refreshRecordCache: Cache updated from ${oldRecordCount} to ${this.recordCache.records.length} records`);
+
+      // In TRACE mode, output the entire cache for debugging
+      if (logger.level >= 4) { // TRACE level
+        logger.trace('PowerDNSProvider.refreshRecordCache: Current cache contents:');
+        this.recordCache.records.forEach((record, index) => {
+          logger.trace(`Record[${index}]: type=${record.type}, name=${record.name}, content=${record.content}`);
+        });
+      }
+
+      return this.recordCache.records;
+    } catch (error) {
+      logger.error(`Failed to refresh DNS record cache: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.refreshRecordCache: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all records for the zone
+   * PowerDNS returns the whole zone in a single response
+   */
+  async fetchAllRecords() {
+    logger.trace(`PowerDNSProvider.fetchAllRecords: Fetching RRsets for zone ${this.zoneId}`);
+
+    const response = await this.client.get(`/zones/${encodeURIComponent(this.zoneId)}`);
+    const rrsets = response.data.rrsets || [];
+
+    logger.trace(`PowerDNSProvider.fetchAllRecords: Received ${rrsets.length} RRsets`);
+    return convertRRsets(rrsets);
+  }
+
+  /**
+   * Apply RRset changes to the zone in a single atomic PATCH
+   * @param {Array<Object>} rrsets - RRset changes in PowerDNS format
+   */
+  async patchRRsets(rrsets) {
+    logger.trace(`PowerDNSProvider.patchRRsets: Sending PATCH with ${rrsets.length} RRset changes`);
+
+    await this.client.patch(`/zones/${encodeURIComponent(this.zoneId)}`, { rrsets });
+
+    logger.trace('PowerDNSProvider.patchRRsets: PATCH accepted');
+  }
+
+  /**
+   * Build the cache entry for a record that was written to PowerDNS
+   * @param {Object} record - Record configuration
+   * @returns {Object} - Record in standard format
+   */
+  toCachedRecord(record) {
+    return {
+      ...record,
+      id: `${ensureTrailingDot(record.name)}:${record.type}`,
+      name: stripTrailingDot(record.name)
+    };
+  }
+
+  /**
+   * Replace the cached records for an RRset
+   * REPLACE leaves exactly the written values in the RRset, so drop any others first
+   */
+  updateRecordInCache(record) {
+    logger.trace(`PowerDNSProvider.updateRecordInCache: Updating record in cache: ID=${record.id}, type=${record.type}, name=${record.name}`);
+
+    this.removeRecordFromCache(record.id);
+
+    // An RRset written with several values is cached as one record per value
+    const { recordSet, ...cachedRecord } = record;
+    this.recordCache.records.push(...(recordSet ? recordSet.map(member => this.toCachedRecord(member)) : [cachedRecord]));
+  }
+
+  /**
+   * Remove all cached records for an RRset
+   */
+  removeRecordFromCache(id) {
+    logger.trace(`PowerDNSProvider.removeRecordFromCache: Removing record ID=${id} from cache`);
+
+    const initialLength = this.recordCache.records.length;
+    this.recordCache.records = this.recordCache.records.filter(
+      record => record.id !== id
+    );
+
+    const removed = initialLength - this.recordCache.records.length;
+    logger.trace(`PowerDNSProvider.removeRecordFromCache: Removed ${removed} records from cache`);
+  }
+
+  /**
+   * Find all records of an RRset in the cache, cached names have no trailing dot
+   */
+  findRecordsInCache(type, name) {
+    return super.findRecordsInCache(type, stripTrailingDot(name));
+  }
+
+  /**
+   * List DNS records with optional filtering
+   */
+  async listRecords(params = {}) {
+    logger.trace(`PowerDNSProvider.listRecords: Listing records with params: ${JSON.stringify(params)}`);
+
+    try {
+      // If specific filters are used other than type and name, bypass cache
+      const bypassCache = Object.keys(params).some(
+        key => !['type', 'name'].includes(key)
+      );
+
+      if (bypassCache && !this.zoneId) {
+        logger.trace('PowerDNSProvider.listRecords: No zoneId, initialising first');
+        await this.init();
+      }
+
+      const records = bypassCache
+        ? await this.fetchAllRecords()
+        : await this.getRecordsFromCache();
+
+      if (bypassCache) {
+        logger.debug('Bypassing cache due to complex filters');
+      }
+
+      // Apply filters manually, normalising trailing dots on names
+      const filteredRecords = records.filter(record => {
+        let match = true;
+
+        if (params.type && record.type !== params.type) {
+          match = false;
+        }
+
+        if (params.name && record.name !== stripTrailingDot(params.name)) {
+          match = false;
+        }
+
+        return match;
+      });
+
+      logger.trace(`PowerDNSProvider.listRecords: Filtering returned ${filteredRecords.length} records`);
+
+      return filteredRecords;
+    } catch (error) {
+      logger.error(`Failed to list DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.listRecords: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new DNS record
+   */
+  async createRecord(record) {
+    logger.trace(`PowerDNSProvider.createRecord: Creating record type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('PowerDNSProvider.createRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      await this.patchRRsets([convertToPowerDNSFormat(record)]);
+
+      const createdRecord = this.toCachedRecord(record);
+      logger.trace(`PowerDNSProvider.createRecord: Record created successfully, ID=${createdRecord.id}`);
+
+      // Update the cache with the new record
+      this.updateRecordInCache(createdRecord);
+
+      // Log at INFO level which record was created
+      logger.info(`✨ Created ${record.type} record for ${record.name}`);
+      logger.success(`Created ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.created++;
+        logger.trace(`PowerDNSProvider.createRecord: Incremented global.statsCounter.created to ${global.statsCounter.created}`);
+      }
+
+      return createdRecord;
+    } catch (error) {
+      logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.createRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing DNS record
+   */
+  async updateRecord(id, record) {
+    logger.trace(`PowerDNSProvider.updateRecord: Updating record ID=${id}, type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('PowerDNSProvider.updateRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      // REPLACE overwrites the whole RRset, so no separate delete is needed
+      await this.patchRRsets([convertToPowerDNSFormat(record)]);
+
+      const updatedRecord = this.toCachedRecord(record);
+      logger.trace(`PowerDNSProvider.updateRecord: Record updated successfully, ID=${updatedRecord.id}`);
+
+      // Update the cache
+      this.updateRecordInCache(updatedRecord);
+
+      // Log at INFO level which record was updated
+      logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+      logger.success(`Updated ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.updated++;
+        logger.trace(`PowerDNSProvider.updateRecord: Incremented global.statsCounter.updated to ${global.statsCounter.updated}`);
+      }
+
+      return updatedRecord;
+    } catch (error) {
+      logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.updateRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a DNS record
+   */
+  async deleteRecord(id) {
+    logger.trace(`PowerDNSProvider.deleteRecord: Deleting record ID=${id}`);
+
+    try {
+      if (!this.zoneId) {
+        logger.trace('PowerDNSProvider.deleteRecord: No zoneId, initialising first');
+        await this.init();
+      }
+
+      // The RRset name and type are needed to delete it
+      const recordToDelete = this.recordCache.records.find(r => r.id === id);
+      if (!recordToDelete) {
+        // Deleting one value of an RRset deletes all of them
+        logger.debug(`Record ${id} not found in cache, already deleted with its RRset`);
+        return true;
+      }
+
+      logger.info(`🗑️ Deleting DNS record: ${recordToDelete.name} (${recordToDelete.type})`);
+
+      logger.trace('PowerDNSProvider.deleteRecord: Sending delete request to PowerDNS API');
+      await this.patchRRsets([convertToPowerDNSFormat(recordToDelete, 'DELETE')]);
+
+      // Update the cache
+      this.removeRecordFromCache(id);
+
+      logger.debug(`Deleted DNS record with ID ${id}`);
+      logger.trace('PowerDNSProvider.deleteRecord: Record deletion successful');
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete DNS record with ID ${id}: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.deleteRecord: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a single value of an RRset by replacing the RRset with its other values
+   */
+  async deleteRecordValue(record) {
+    const values = this.recordCache.records.filter(r => r.id === record.id);
+    const remaining = values.filter(r => !this.isSameRecordValue(r, record));
+
+    if (remaining.length === values.length) {
+      logger.debug(`Value ${record.content} of ${record.name} (${record.type}) not found in cache`);
+      return true;
+    }
+
+    if (remaining.length === 0) {
+      return this.deleteRecord(record.id);
+    }
+
+    logger.info(`🗑️ Deleting DNS record value: ${record.name} (${record.type} ${record.content})`);
+
+    const recordSet = { ...remaining[0], recordSet: remaining };
+    await this.patchRRsets([convertToPowerDNSFormat(recordSet)]);
+    this.updateRecordInCache(recordSet);
+
+    return true;
+  }
+
+  /**
+   * Batch process multiple DNS records at once
+   * All creates and updates are sent as one atomic PATCH for the zone
+   */
+  async batchEnsureRecords(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      logger.trace('PowerDNSProvider.batchEnsureRecords: No record configs provided, skipping');
+      return [];
+    }
+
+    logger.debug(`Batch processing ${recordConfigs.length} DNS records`);
+    logger.trace(`PowerDNSProvider.batchEnsureRecords: Starting batch processing of ${recordConfigs.length} records`);
+
+    try {
+      // Refresh cache if needed
+      await this.getRecordsFromCache();
+
+      // Process each record configuration
+      const results = [];
+      const pendingChanges = {
+        create: [],
+        update: [],
+        unchanged: []
+      };
+
+      // First pass: examine all records and sort into categories
+      logger.trace('PowerDNSProvider.batchEnsureRecords: First pass - examining records');
+
+      for (const recordConfig of recordConfigs) {
+        try {
+          logger.trace(`PowerDNSProvider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
+
+          // Handle apex domains that need IP lookup
+          if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Record needs IP lookup: ${recordConfig.name}`);
+
+            // Get public IP asynchronously
+            const ip = await this.config.getPublicIP();
+            if (ip) {
+              logger.trace(`PowerDNSProvider.batchEnsureRecords: Retrieved IP address: ${ip}`);
+              recordConfig.content = ip;
+              logger.debug(`Retrieved public IP for apex domain ${recordConfig.name}: ${ip}`);
+            } else {
+              logger.trace(`PowerDNSProvider.batchEnsureRecords: Failed to retrieve IP address`);
+              throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+            }
+            // Remove the flag to avoid confusion
+            delete recordConfig.needsIpLookup;
+          }
+
+          // Validate the record
+          validateRecord(recordConfig);
+
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
+
+          if (existing) {
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
+
+            // Check if update is needed
+            const needsUpdate = this.recordNeedsUpdate(existing, recordConfig);
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Record ${recordConfig.name} needs update: ${needsUpdate}`);
+
+            if (needsUpdate) {
+              pendingChanges.update.push({
+                id: existing.id,
+                record: recordConfig,
+                existing
+              });
+            } else {
+              pendingChanges.unchanged.push({
+                record: recordConfig,
+                existing
+              });
+
+              // Update stats counter if available
+              if (global.statsCounter) {
+                global.statsCounter.upToDate++;
+                logger.trace(`PowerDNSProvider.batchEnsureRecords: Incremented global.statsCounter.upToDate to ${global.statsCounter.upToDate}`);
+              }
+            }
+          } else {
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: No existing record found, needs creation`);
+
+            // Need to create a new record
+            pendingChanges.create.push({
+              record: recordConfig
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing ${recordConfig.name}: ${error.message}`);
+          logger.trace(`PowerDNSProvider.batchEnsureRecords: Error details: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Incremented global.statsCounter.errors to ${global.statsCounter.errors}`);
+          }
+        }
+      }
+
+      // Second pass: apply all changes
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
+      logger.trace('PowerDNSProvider.batchEnsureRecords: Second pass - applying changes');
+
+      // The values of an RRset are replaced together, one REPLACE per value would keep only the last
+      const changes = this.mergeRecordSetChanges(pendingChanges, recordConfigs);
+
+      let batchSucceeded = true;
+
+      if (changes.create.length > 0 || changes.update.length > 0) {
+        // Creates and updates are both RRset REPLACE operations
+        const rrsets = [
+          ...changes.create.map(({ record }) => convertToPowerDNSFormat(record)),
+          ...changes.update.map(({ record }) => convertToPowerDNSFormat(record))
+        ];
+
+        try {
+          logger.debug(`Sending ${rrsets.length} RRset changes to PowerDNS in a single PATCH`);
+          await this.patchRRsets(rrsets);
+        } catch (error) {
+          // PowerDNS rejects the whole PATCH if any RRset is invalid
+          if (error.response?.status === 422 || error.response?.status === 400) {
+            logger.warn(`PowerDNS rejected batch update: ${this.getErrorMessage(error)}`);
+            logger.debug('Falling back to individual record processing');
+            batchSucceeded = false;
+          } else {
+            throw error;
+          }
+        }
+      }
+
+      if (batchSucceeded) {
+        // Everything was applied atomically, update the cache and stats
+        for (const { record } of changes.create) {
+          const createdRecord = this.toCachedRecord(record);
+          this.updateRecordInCache(createdRecord);
+          results.push(createdRecord);
+
+          logger.info(`✨ Created ${record.type} record for ${record.name}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.created++;
+          }
+        }
+
+        for (const { record } of changes.update) {
+          const updatedRecord = this.toCachedRecord(record);
+          this.updateRecordInCache(updatedRecord);
+          results.push(updatedRecord);
+
+          logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.updated++;
+          }
+        }
+      } else {
+        // Fallback so one invalid record doesn't block the others
+        for (const { record } of changes.create) {
+          try {
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Creating record ${record.name} (${record.type})`);
+            // Log at INFO level which record will be created
+            logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+            const result = await this.createRecord(record);
+            results.push(result);
+          } catch (error) {
+            logger.error(`Failed to create ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Create error: ${error.message}`);
+
+            if (global.statsCounter) {
+              global.statsCounter.errors++;
+            }
+          }
+        }
+
+        for (const { id, record } of changes.update) {
+          try {
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Updating record ${record.name} (${record.type})`);
+            // Log at INFO level which record will be updated
+            logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+            const result = await this.updateRecord(id, record);
+            results.push(result);
+          } catch (error) {
+            logger.error(`Failed to update ${record.type} record for ${record.name}: ${this.getErrorMessage(error)}`);
+            logger.trace(`PowerDNSProvider.batchEnsureRecords: Update error: ${error.message}`);
+
+            if (global.statsCounter) {
+              global.statsCounter.errors++;
+            }
+          }
+        }
+      }
+
+      // Add unchanged records to results too
+      for (const { existing } of changes.unchanged) {
+        results.push(existing);
+      }
+
+      logger.trace(`PowerDNSProvider.batchEnsureRecords: Batch processing complete, returning ${results.length} results`);
+      return results;
+    } catch (error) {
+      logger.error(`Failed to batch process DNS records: ${this.getErrorMessage(error)}`);
+      logger.trace(`PowerDNSProvider.batchEnsureRecords: Error details: ${JSON.stringify(error.response?.data || error.message)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a record needs to be updated
+   */
+  recordNeedsUpdate(existing, newRecord) {
+    logger.trace(`PowerDNSProvider.recordNeedsUpdate: Comparing records for ${newRecord.name}`);
+    logger.trace(`PowerDNSProvider.recordNeedsUpdate: Existing: ${JSON.stringify(existing)}`);
+    logger.trace(`PowerDNSProvider.recordNeedsUpdate: New: ${JSON.stringify(newRecord)}`);
+
+    // Cached records are already in standard format, just normalise trailing dots
+    let existingContent = existing.content;
+    let newContent = newRecord.content;
+
+    if (['CNAME', 'MX', 'SRV', 'NS'].includes(newRecord.type)) {
+      existingContent = stripTrailingDot(existingContent);
+      newContent = stripTrailingDot(newContent);
+    }
+
+    let needsUpdate = false;
+
+    // Compare content
+    if (existingContent !== newContent) {
+      logger.trace(`PowerDNSProvider.recordNeedsUpdate: Content different: ${existingContent} vs ${newContent}`);
+      needsUpdate = true;
+    }
+
+    // Compare TTL
+    if (existing.ttl !== newRecord.ttl) {
+      logger.trace(`PowerDNSProvider.recordNeedsUpdate: TTL different: ${existing.ttl} vs ${newRecord.ttl}`);
+      needsUpdate = true;
+    }
+
+    // Type-specific field comparisons
+    switch (newRecord.type) {
+      case 'MX':
+        if (existing.priority !== newRecord.priority) {
+          logger.trace(`PowerDNSProvider.recordNeedsUpdate: MX priority different: ${existing.priority} vs ${newRecord.priority}`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'SRV':
+        if (existing.priority !== newRecord.priority ||
+            existing.weight !== newRecord.weight ||
+            existing.port !== newRecord.port) {
+          logger.trace(`PowerDNSProvider.recordNeedsUpdate: SRV fields different`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'CAA':
+        if (existing.flags !== newRecord.flags ||
+            existing.tag !== newRecord.tag) {
+          logger.trace(`PowerDNSProvider.recordNeedsUpdate: CAA fields different`);
+          needsUpdate = true;
+        }
+        break;
+    }
+
+    // If an update is needed, log the specific differences at DEBUG level
+    if (needsUpdate && logger.level >= 3) { // DEBUG level or higher
+      logger.debug(`Record ${newRecord.name} needs update:`);
+      if (existingContent !== newContent)
+        logger.debug(` - Content: ${existingContent} → ${newContent}`);
+      if (existing.ttl !== newRecord.ttl)
+        logger.debug(` - TTL: ${existing.ttl} → ${newRecord.ttl}`);
+    }
+
+    logger.trace(`PowerDNSProvider.recordNeedsUpdate: Final result - needs update: ${needsUpdate}`);
+    return needsUpdate;
+  }
+}
+
+module.exports = PowerDNSProvider;
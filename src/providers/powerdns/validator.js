@@ -0,0 +1,127 @@
+/**
+ * PowerDNS-specific record validation utilities
+ */
+const logger = require('../../utils/logger');
+
+/**
+ * Validate a PowerDNS record configuration
+ * @param {Object} record - The record to validate
+ * @throws {Error} - If validation fails
+ */
+function validateRecord(record) {
+  logger.trace(`powerdns.validator: Validating record ${record.name} (${record.type})`);
+
+  // Common validations
+  if (!record.type) {
+    logger.trace(`powerdns.validator: Record type is missing`);
+    throw new Error('Record type is required');
+  }
+
+  if (!record.name) {
+    logger.trace(`powerdns.validator: Record name is missing`);
+    throw new Error('Record name is required');
+  }
+
+  // Type-specific validations
+  switch (record.type) {
+    case 'A':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: IP address is missing for A record`);
+        throw new Error('IP address is required for A records');
+      }
+
+      // Simple IP validation
+      if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(record.content)) {
+        logger.trace(`powerdns.validator: Invalid IPv4 format: ${record.content}`);
+        throw new Error(`Invalid IPv4 address format: ${record.content}`);
+      }
+      break;
+
+    case 'AAAA':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: IPv6 address is missing for AAAA record`);
+        throw new Error('IPv6 address is required for AAAA records');
+      }
+      break;
+
+    case 'CNAME':
+    case 'TXT':
+    case 'NS':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: Content is missing for ${record.type} record`);
+        throw new Error(`Content is required for ${record.type} records`);
+      }
+      break;
+
+    case 'MX':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: Mail server is missing for MX record`);
+        throw new Error('Mail server is required for MX records');
+      }
+      // Set default priority if missing
+      if (record.priority === undefined) {
+        logger.trace(`powerdns.validator: Setting default priority (10) for MX record`);
+        record.priority = 10;
+      }
+      break;
+
+    case 'SRV':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: Target is missing for SRV record`);
+        throw new Error('Target is required for SRV records');
+      }
+      // Set defaults for SRV fields
+      if (record.priority === undefined) {
+        logger.trace(`powerdns.validator: Setting default priority (1) for SRV record`);
+        record.priority = 1;
+      }
+      if (record.weight === undefined) {
+        logger.trace(`powerdns.validator: Setting default weight (1) for SRV record`);
+        record.weight = 1;
+      }
+      if (record.port === undefined) {
+        logger.trace(`powerdns.validator: Port is missing for SRV record`);
+        throw new Error('Port is required for SRV records');
+      }
+      break;
+
+    case 'CAA':
+      if (!record.content) {
+        logger.trace(`powerdns.validator: Value is missing for CAA record`);
+        throw new Error('Value is required for CAA records');
+      }
+      if (record.flags === undefined) {
+        logger.trace(`powerdns.validator: Setting default flags (0) for CAA record`);
+        record.flags = 0;
+      }
+      if (!record.tag) {
+        logger.trace(`powerdns.validator: Tag is missing for CAA record`);
+        throw new Error('Tag is required for CAA records');
+      }
+      break;
+
+    default:
+      logger.warn(`Record type ${record.type} may not be fully supported by PowerDNS`);
+      logger.trace(`powerdns.validator: Unknown record type: ${record.type}`);
+  }
+
+  // PowerDNS-specific validations
+
+  // Silently remove 'proxied' property if present since PowerDNS doesn't support proxying
+  if (record.proxied !== undefined) {
+    delete record.proxied;
+    logger.trace(`powerdns.validator: Removed 'proxied' property as PowerDNS doesn't support it`);
+  }
+
+  // PowerDNS requires a TTL on every RRset
+  if (record.ttl === undefined || record.ttl < 0) {
+    logger.trace(`powerdns.validator: Setting TTL to 0 from ${record.ttl}`);
+    record.ttl = 0;
+  }
+
+  logger.trace(`powerdns.validator: Record validation successful`);
+}
+
+module.exports = {
+  validateRecord
+};
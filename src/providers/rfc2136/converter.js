@@ -0,0 +1,164 @@
+/**
+ * RFC 2136 record format converter utilities
+ * Handles conversion between internal format and DNS wire record data
+ */
+const logger = require('../../utils/logger');
+const { stripTrailingDot } = require('./wire');
+
+/**
+ * Build the identifier used for a record in the cache
+ * Dynamic DNS has no record IDs, so the name, type and value identify a record
+ * @param {Object} record - Record in standard format
+ * @returns {string} - Record identifier
+ */
+function getRecordId(record) {
+  let value;
+
+  switch (record.type) {
+    case 'MX':
+      value = `${record.priority} ${record.content}`;
+      break;
+
+    case 'SRV':
+      value = `${record.priority} ${record.weight} ${record.port} ${record.content}`;
+      break;
+
+    case 'CAA':
+      value = `${record.flags} ${record.tag} ${record.content}`;
+      break;
+
+    default:
+      value = record.content;
+  }
+
+  return `${record.name}:${record.type}:${value}`;
+}
+
+/**
+ * Convert standard record format to the record data used in UPDATE messages
+ * @param {Object} record - Record in standard format
+ * @returns {Object} - { name, type, ttl, data } ready for wire encoding
+ */
+function convertToRfc2136Format(record) {
+  logger.trace(`rfc2136.converter: Converting record to wire format: ${JSON.stringify(record)}`);
+
+  const wireRecord = {
+    name: stripTrailingDot(record.name),
+    type: record.type,
+    ttl: record.ttl
+  };
+
+  // Type-specific record data
+  switch (record.type) {
+    case 'A':
+    case 'AAAA':
+      wireRecord.data = { address: record.content };
+      break;
+
+    case 'CNAME':
+    case 'NS':
+      wireRecord.data = { target: stripTrailingDot(record.content) };
+      break;
+
+    case 'MX':
+      wireRecord.data = {
+        priority: record.priority || 10,
+        target: stripTrailingDot(record.content)
+      };
+      break;
+
+    case 'TXT':
+      wireRecord.data = { text: record.content };
+      break;
+
+    case 'SRV':
+      wireRecord.data = {
+        priority: record.priority || 1,
+        weight: record.weight || 1,
+        port: record.port || 80,
+        target: stripTrailingDot(record.content)
+      };
+      break;
+
+    case 'CAA':
+      wireRecord.data = {
+        flags: record.flags || 0,
+        tag: record.tag || 'issue',
+        value: record.content
+      };
+      break;
+
+    default:
+      throw new Error(`Record type ${record.type} is not supported by the RFC 2136 provider`);
+  }
+
+  logger.trace(`rfc2136.converter: Converted to wire format: ${JSON.stringify(wireRecord)}`);
+  return wireRecord;
+}
+
+/**
+ * Convert a decoded wire record to standard format
+ * @param {Object} wireRecord - Record decoded by wire.decodeMessage
+ * @returns {Object|null} - Record in standard format, null for unsupported types
+ */
+function convertRecord(wireRecord) {
+  if (!wireRecord.data) {
+    return null;
+  }
+
+  const standardRecord = {
+    type: wireRecord.type,
+    name: stripTrailingDot(wireRecord.name).toLowerCase(),
+    ttl: wireRecord.ttl
+  };
+
+  // Type-specific fields
+  switch (wireRecord.type) {
+    case 'A':
+    case 'AAAA':
+      standardRecord.content = wireRecord.data.address;
+      break;
+
+    case 'CNAME':
+    case 'NS':
+      standardRecord.content = wireRecord.data.target;
+      break;
+
+    case 'MX':
+      standardRecord.priority = wireRecord.data.priority;
+      standardRecord.content = wireRecord.data.target;
+      break;
+
+    case 'TXT':
+      standardRecord.content = wireRecord.data.text;
+      break;
+
+    case 'SRV':
+      standardRecord.priority = wireRecord.data.priority;
+      standardRecord.weight = wireRecord.data.weight;
+      standardRecord.port = wireRecord.data.port;
+      standardRecord.content = wireRecord.data.target;
+      break;
+
+    case 'CAA':
+      standardRecord.flags = wireRecord.data.flags;
+      standardRecord.tag = wireRecord.data.tag;
+      standardRecord.content = wireRecord.data.value;
+      break;
+
+    default:
+      // SOA and other types are not managed by this tool
+      return null;
+  }
+
+  standardRecord.id = getRecordId(standardRecord);
+
+  logger.trace(`rfc2136.converter: Converted to standard format: ${JSON.stringify(standardRecord)}`);
+  return standardRecord;
+}
+
+module.exports = {
+  convertToRfc2136Format,
+  convertRecord,
+  getRecordId
+};
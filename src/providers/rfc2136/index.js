@@ -0,0 +1,15 @@
+/**
+ * RFC 2136 Provider module
+ * Exports the RFC 2136 dynamic update provider implementation
+ */
+const RFC2136Provider = require('./provider');
+const { convertRecord, convertToRfc2136Format } = require('./converter');
+const { validateRecord } = require('./validator');
+
+// Export the provider class as default
+module.exports = RFC2136Provider;
+
+// Also export utility functions
+module.exports.convertRecord = convertRecord;
+module.exports.convertToRfc2136Format = convertToRfc2136Format;
+module.exports.validateRecord = validateRecord;
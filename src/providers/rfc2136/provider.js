@@ -0,0 +1,722 @@
+/**
+ * RFC 2136 DNS Provider
+ * Core implementation of the DNSProvider interface for authoritative servers
+ * that accept dynamic updates (BIND, Knot, PowerDNS and others)
+ */
+const crypto = require('crypto');
+const DNSProvider = require('../base');
+const logger = require('../../utils/logger');
+const { TYPES, CLASSES, OPCODES, encodeRdata, encodeMessage, decodeMessage, getRcodeName } = require('./wire');
+const { createKey, signMessage, createResponseVerifier } = require('./tsig');
+const { exchange } = require('./transport');
+const { convertToRfc2136Format, convertRecord, getRecordId } = require('./converter');
+const { validateRecord } = require('./validator');
+
+class RFC2136Provider extends DNSProvider {
+  constructor(config) {
+    super(config);
+
+    logger.trace('RFC2136Provider.constructor: Initialising with config');
+
+    this.server = config.rfc2136Server;
+    this.port = config.rfc2136Port;
+    this.zone = config.rfc2136Zone;
+    this.timeout = config.rfc2136Timeout;
+
+    // TSIG key is optional, servers may allow updates by address instead
+    this.key = null;
+    if (config.rfc2136KeyName && config.rfc2136KeySecret) {
+      this.key = createKey(config.rfc2136KeyName, config.rfc2136KeySecret, config.rfc2136KeyAlgorithm);
+      logger.trace(`RFC2136Provider.constructor: Using TSIG key ${this.key.name} (${this.key.algorithm})`);
+    } else {
+      logger.trace('RFC2136Provider.constructor: No TSIG key configured, messages will be unsigned');
+    }
+
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize by transferring the zone to verify access
+   */
+  async init() {
+    logger.trace(`RFC2136Provider.init: Starting initialization for zone "${this.zone}" on ${this.server}:${this.port}`);
+
+    try {
+      if (!this.key) {
+        logger.warn('No TSIG key configured for RFC 2136, DNS UPDATE messages will not be signed');
+      }
+
+      // A zone transfer confirms the server is authoritative and accepts our key
+      this.initialized = true;
+      await this.refreshRecordCache();
+
+      logger.success(`Connected to DNS server ${this.server} for zone ${this.zone}`);
+
+      return true;
+    } catch (error) {
+      this.initialized = false;
+      logger.error(`Failed to initialize RFC 2136 provider: ${error.message}`);
+      logger.trace(`RFC2136Provider.init: Error details: ${error.stack || error.message}`);
+      throw new Error(`Failed to initialize RFC 2136 provider: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a random message ID
+   */
+  nextMessageId() {
+    return crypto.randomInt(0, 0x10000);
+  }
+
+  /**
+   * Sign a message if a TSIG key is configured
+   * @param {Buffer} message - Encoded message
+   * @returns {Object} - { message, verifier }
+   */
+  prepareMessage(message) {
+    if (!this.key) {
+      return { message, verifier: null };
+    }
+
+    const signed = signMessage(message, this.key);
+    return {
+      message: signed.message,
+      verifier: createResponseVerifier(this.key, signed.mac)
+    };
+  }
+
+  /**
+   * Transfer the zone (AXFR) and return all supported records
+   * @returns {Promise<Array>} - Records in standard format
+   */
+  async transferZone() {
+    logger.trace(`RFC2136Provider.transferZone: Requesting AXFR for ${this.zone}`);
+
+    const id = this.nextMessageId();
+    const { message, verifier } = this.prepareMessage(encodeMessage({
+      id,
+      opcode: OPCODES.QUERY,
+      questions: [{ name: this.zone, type: 'AXFR', class: CLASSES.IN }]
+    }));
+
+    const records = [];
+    let soaCount = 0;
+    let messageCount = 0;
+
+    await exchange({ host: this.server, port: this.port, timeout: this.timeout }, message, (buffer) => {
+      const response = decodeMessage(buffer);
+      messageCount++;
+
+      if (response.id !== id) {
+        throw new Error(`Unexpected message ID ${response.id} in zone transfer response`);
+      }
+
+      // Verify first so TSIG failures are reported rather than a bare NOTAUTH
+      if (verifier) {
+        verifier.verify(buffer, response);
+      }
+
+      if (response.rcode !== 0) {
+        throw new Error(`Zone transfer for ${this.zone} was refused: ${getRcodeName(response.rcode)}`);
+      }
+
+      for (const answer of response.answers) {
+        if (answer.type === 'SOA') {
+          soaCount++;
+          continue;
+        }
+
+        const record = convertRecord(answer);
+        if (record) {
+          records.push(record);
+        }
+      }
+
+      // The transfer ends with a repeat of the opening SOA record
+      return soaCount >= 2;
+    });
+
+    if (verifier) {
+      verifier.finish();
+    }
+
+    logger.trace(`RFC2136Provider.transferZone: Received ${records.length} records in ${messageCount} messages`);
+    return records;
+  }
+
+  /**
+   * Send an UPDATE message containing the given changes
+   * @param {Array<Object>} updates - Update section records { name, type, class, ttl, rdata }
+   */
+  async sendUpdate(updates) {
+    logger.trace(`RFC2136Provider.sendUpdate: Sending UPDATE with ${updates.length} changes`);
+
+    const id = this.nextMessageId();
+    const { message, verifier } = this.prepareMessage(encodeMessage({
+      id,
+      opcode: OPCODES.UPDATE,
+      // For UPDATE the question section is the zone section
+      questions: [{ name: this.zone, type: 'SOA', class: CLASSES.IN }],
+      authorities: updates
+    }));
+
+    let response = null;
+
+    await exchange({ host: this.server, port: this.port, timeout: this.timeout }, message, (buffer) => {
+      response = decodeMessage(buffer);
+
+      if (response.id !== id) {
+        throw new Error(`Unexpected message ID ${response.id} in UPDATE response`);
+      }
+
+      if (verifier) {
+        verifier.verify(buffer, response);
+      }
+
+      return true;
+    });
+
+    if (response.rcode !== 0) {
+      throw new Error(`DNS server rejected the update: ${getRcodeName(response.rcode)}`);
+    }
+
+    logger.trace('RFC2136Provider.sendUpdate: UPDATE accepted by server');
+  }
+
+  /**
+   * Build the update section entry that adds a record
+   * @param {Object} record - Record in standard format
+   */
+  buildAddition(record) {
+    const wireRecord = convertToRfc2136Format(record);
+
+    return {
+      name: wireRecord.name,
+      type: TYPES[wireRecord.type],
+      class: CLASSES.IN,
+      ttl: wireRecord.ttl,
+      rdata: encodeRdata(wireRecord.type, wireRecord.data)
+    };
+  }
+
+  /**
+   * Build the update section entry that deletes a single record
+   * @param {Object} record - Record in standard format
+   */
+  buildDeletion(record) {
+    const wireRecord = convertToRfc2136Format(record);
+
+    // Class NONE with TTL 0 deletes only the RR matching this data (RFC 2136 2.5.4)
+    return {
+      name: wireRecord.name,
+      type: TYPES[wireRecord.type],
+      class: CLASSES.NONE,
+      ttl: 0,
+      rdata: encodeRdata(wireRecord.type, wireRecord.data)
+    };
+  }
+
+  /**
+   * Build a standard format record as it will exist on the server
+   * @param {Object} record - Record configuration
+   */
+  toCachedRecord(record) {
+    const cachedRecord = {
+      type: record.type,
+      name: record.name,
+      content: record.content,
+      ttl: record.ttl
+    };
+
+    if (record.priority !== undefined) cachedRecord.priority = record.priority;
+    if (record.weight !== undefined) cachedRecord.weight = record.weight;
+    if (record.port !== undefined) cachedRecord.port = record.port;
+    if (record.flags !== undefined) cachedRecord.flags = record.flags;
+    if (record.tag !== undefined) cachedRecord.tag = record.tag;
+
+    cachedRecord.id = getRecordId(cachedRecord);
+    return cachedRecord;
+  }
+
+  /**
+   * Refresh the DNS record cache
+   */
+  async refreshRecordCache() {
+    logger.trace('RFC2136Provider.refreshRecordCache: Starting cache refresh');
+
+    try {
+      logger.debug(`Refreshing DNS record cache from ${this.server} via zone transfer`);
+
+      if (!this.initialized) {
+        logger.trace('RFC2136Provider.refreshRecordCache: Not initialised, initialising first');
+        await this.init();
+        return;
+      }
+
+      const records = await this.transferZone();
+      const oldRecordCount = this.recordCache.records.length;
+
+      this.recordCache = {
+        records: records,
+        lastUpdated: Date.now()
+      };
+
+      logger.debug(`Cached ${this.recordCache.records.length} DNS records from ${this.server}`);
+      logger.trace(`RFC2136Provider.refreshRecordCache: Cache updated from ${oldRecordCount} to ${this.recordCache.records.length} records`);
+
+      // In TRACE mode, output the entire cache for debugging
+      if (logger.level >= 4) { // TRACE level
+        logger.trace('RFC2136Provider.refreshRecordCache: Current cache contents:');
+        this.recordCache.records.forEach((record, index) => {
+          logger.trace(`Record[${index}]: type=${record.type}, name=${record.name}, content=${record.content}`);
+        });
+      }
+
+      return this.recordCache.records;
+    } catch (error) {
+      logger.error(`Failed to refresh DNS record cache: ${error.message}`);
+      logger.trace(`RFC2136Provider.refreshRecordCache: Error details: ${error.stack || error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a record in the cache
+   */
+  updateRecordInCache(record) {
+    logger.trace(`RFC2136Provider.updateRecordInCache: Updating record in cache: ID=${record.id}, type=${record.type}, name=${record.name}`);
+
+    const index = this.recordCache.records.findIndex(
+      r => r.id === record.id
+    );
+
+    if (index !== -1) {
+      logger.trace(`RFC2136Provider.updateRecordInCache: Found existing record at index ${index}, replacing`);
+      this.recordCache.records[index] = record;
+    } else {
+      logger.trace(`RFC2136Provider.updateRecordInCache: Record not found in cache, adding new record`);
+      this.recordCache.records.push(record);
+    }
+  }
+
+  /**
+   * Remove a record from the cache
+   */
+  removeRecordFromCache(id) {
+    logger.trace(`RFC2136Provider.removeRecordFromCache: Removing record ID=${id} from cache`);
+
+    const initialLength = this.recordCache.records.length;
+    this.recordCache.records = this.recordCache.records.filter(
+      record => record.id !== id
+    );
+
+    const removed = initialLength - this.recordCache.records.length;
+    logger.trace(`RFC2136Provider.removeRecordFromCache: Removed ${removed} records from cache`);
+  }
+
+  /**
+   * List DNS records with optional filtering
+   */
+  async listRecords(params = {}) {
+    logger.trace(`RFC2136Provider.listRecords: Listing records with params: ${JSON.stringify(params)}`);
+
+    try {
+      // If specific filters are used other than type and name, bypass cache
+      const bypassCache = Object.keys(params).some(
+        key => !['type', 'name'].includes(key)
+      );
+
+      const records = bypassCache
+        ? await this.transferZone()
+        : await this.getRecordsFromCache();
+
+      if (bypassCache) {
+        logger.debug('Bypassing cache due to complex filters');
+      }
+
+      // Zone transfers return the whole zone, so apply filters manually
+      const filteredRecords = records.filter(record => {
+        let match = true;
+
+        if (params.type && record.type !== params.type) {
+          match = false;
+        }
+
+        if (params.name && record.name !== params.name) {
+          match = false;
+        }
+
+        return match;
+      });
+
+      logger.trace(`RFC2136Provider.listRecords: Filtering returned ${filteredRecords.length} records`);
+
+      return filteredRecords;
+    } catch (error) {
+      logger.error(`Failed to list DNS records: ${error.message}`);
+      logger.trace(`RFC2136Provider.listRecords: Error details: ${error.stack || error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new DNS record
+   */
+  async createRecord(record) {
+    logger.trace(`RFC2136Provider.createRecord: Creating record type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.initialized) {
+        logger.trace('RFC2136Provider.createRecord: Not initialised, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      await this.sendUpdate([this.buildAddition(record)]);
+
+      const createdRecord = this.toCachedRecord(record);
+      logger.trace(`RFC2136Provider.createRecord: Record created successfully, ID=${createdRecord.id}`);
+
+      // Update the cache with the new record
+      this.updateRecordInCache(createdRecord);
+
+      // Log at INFO level which record was created
+      logger.info(`✨ Created ${record.type} record for ${record.name}`);
+      logger.success(`Created ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.created++;
+        logger.trace(`RFC2136Provider.createRecord: Incremented global.statsCounter.created to ${global.statsCounter.created}`);
+      }
+
+      return createdRecord;
+    } catch (error) {
+      logger.error(`Failed to create ${record.type} record for ${record.name}: ${error.message}`);
+      logger.trace(`RFC2136Provider.createRecord: Error details: ${error.stack || error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing DNS record
+   * The old record is removed and the new one added in a single atomic UPDATE
+   */
+  async updateRecord(id, record) {
+    logger.trace(`RFC2136Provider.updateRecord: Updating record ID=${id}, type=${record.type}, name=${record.name}, content=${record.content}`);
+
+    try {
+      if (!this.initialized) {
+        logger.trace('RFC2136Provider.updateRecord: Not initialised, initialising first');
+        await this.init();
+      }
+
+      // Validate the record first
+      validateRecord(record);
+
+      const existing = this.recordCache.records.find(r => r.id === id);
+      if (!existing) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      await this.sendUpdate([
+        this.buildDeletion(existing),
+        this.buildAddition(record)
+      ]);
+
+      const updatedRecord = this.toCachedRecord(record);
+      logger.trace(`RFC2136Provider.updateRecord: Record updated successfully, ID=${updatedRecord.id}`);
+
+      // Record IDs are derived from the content, so replace the old entry
+      this.removeRecordFromCache(id);
+      this.updateRecordInCache(updatedRecord);
+
+      // Log at INFO level which record was updated
+      logger.info(`📝 Updated ${record.type} record for ${record.name}`);
+      logger.success(`Updated ${record.type} record for ${record.name}`);
+
+      // Update stats counter if available
+      if (global.statsCounter) {
+        global.statsCounter.updated++;
+        logger.trace(`RFC2136Provider.updateRecord: Incremented global.statsCounter.updated to ${global.statsCounter.updated}`);
+      }
+
+      return updatedRecord;
+    } catch (error) {
+      logger.error(`Failed to update ${record.type} record for ${record.name}: ${error.message}`);
+      logger.trace(`RFC2136Provider.updateRecord: Error details: ${error.stack || error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a DNS record
+   */
+  async deleteRecord(id) {
+    logger.trace(`RFC2136Provider.deleteRecord: Deleting record ID=${id}`);
+
+    try {
+      if (!this.initialized) {
+        logger.trace('RFC2136Provider.deleteRecord: Not initialised, initialising first');
+        await this.init();
+      }
+
+      // The record data is needed to delete a single record
+      const recordToDelete = this.recordCache.records.find(r => r.id === id);
+      if (!recordToDelete) {
+        throw new Error(`Record ${id} not found in cache`);
+      }
+
+      logger.info(`🗑️ Deleting DNS record: ${recordToDelete.name} (${recordToDelete.type})`);
+
+      logger.trace('RFC2136Provider.deleteRecord: Sending UPDATE to delete record');
+      await this.sendUpdate([this.buildDeletion(recordToDelete)]);
+
+      // Update the cache
+      this.removeRecordFromCache(id);
+
+      logger.debug(`Deleted DNS record with ID ${id}`);
+      logger.trace('RFC2136Provider.deleteRecord: Record deletion successful');
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete DNS record with ID ${id}: ${error.message}`);
+      logger.trace(`RFC2136Provider.deleteRecord: Error details: ${error.stack || error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Batch process multiple DNS records at once
+   */
+  async batchEnsureRecords(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      logger.trace('RFC2136Provider.batchEnsureRecords: No record configs provided, skipping');
+      return [];
+    }
+
+    logger.debug(`Batch processing ${recordConfigs.length} DNS records`);
+    logger.trace(`RFC2136Provider.batchEnsureRecords: Starting batch processing of ${recordConfigs.length} records`);
+
+    try {
+      // Refresh cache if needed
+      await this.getRecordsFromCache();
+
+      // Process each record configuration
+      const results = [];
+      const pendingChanges = {
+        create: [],
+        update: [],
+        unchanged: []
+      };
+
+      // First pass: examine all records and sort into categories
+      logger.trace('RFC2136Provider.batchEnsureRecords: First pass - examining records');
+
+      for (const recordConfig of recordConfigs) {
+        try {
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Processing record ${recordConfig.name} (${recordConfig.type})`);
+
+          // Handle apex domains that need IP lookup
+          if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+            logger.trace(`RFC2136Provider.batchEnsureRecords: Record needs IP lookup: ${recordConfig.name}`);
+
+            // Get public IP asynchronously
+            const ip = await this.config.getPublicIP();
+            if (ip) {
+              logger.trace(`RFC2136Provider.batchEnsureRecords: Retrieved IP address: ${ip}`);
+              recordConfig.content = ip;
+              logger.debug(`Retrieved public IP for apex domain ${recordConfig.name}: ${ip}`);
+            } else {
+              logger.trace(`RFC2136Provider.batchEnsureRecords: Failed to retrieve IP address`);
+              throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+            }
+            // Remove the flag to avoid confusion
+            delete recordConfig.needsIpLookup;
+          }
+
+          // Validate the record
+          validateRecord(recordConfig);
+
+          // Find the existing record of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
+
+          if (existing) {
+            logger.trace(`RFC2136Provider.batchEnsureRecords: Found existing record ID=${existing.id}`);
+
+            // Check if update is needed
+            const needsUpdate = this.recordNeedsUpdate(existing, recordConfig);
+            logger.trace(`RFC2136Provider.batchEnsureRecords: Record ${recordConfig.name} needs update: ${needsUpdate}`);
+
+            if (needsUpdate) {
+              pendingChanges.update.push({
+                id: existing.id,
+                record: recordConfig,
+                existing
+              });
+            } else {
+              pendingChanges.unchanged.push({
+                record: recordConfig,
+                existing
+              });
+
+              // Update stats counter if available
+              if (global.statsCounter) {
+                global.statsCounter.upToDate++;
+                logger.trace(`RFC2136Provider.batchEnsureRecords: Incremented global.statsCounter.upToDate to ${global.statsCounter.upToDate}`);
+              }
+            }
+          } else {
+            logger.trace(`RFC2136Provider.batchEnsureRecords: No existing record found, needs creation`);
+
+            // Need to create a new record
+            pendingChanges.create.push({
+              record: recordConfig
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing ${recordConfig.name}: ${error.message}`);
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Error details: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+            logger.trace(`RFC2136Provider.batchEnsureRecords: Incremented global.statsCounter.errors to ${global.statsCounter.errors}`);
+          }
+        }
+      }
+
+      // Second pass: apply all changes
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
+      logger.trace('RFC2136Provider.batchEnsureRecords: Second pass - applying changes');
+
+      // Create new records
+      for (const { record } of pendingChanges.create) {
+        try {
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Creating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be created
+          logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+          const result = await this.createRecord(record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to create ${record.type} record for ${record.name}: ${error.message}`);
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Create error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Update existing records
+      for (const { id, record } of pendingChanges.update) {
+        try {
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Updating record ${record.name} (${record.type})`);
+          // Log at INFO level which record will be updated
+          logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+          const result = await this.updateRecord(id, record);
+          results.push(result);
+        } catch (error) {
+          logger.error(`Failed to update ${record.type} record for ${record.name}: ${error.message}`);
+          logger.trace(`RFC2136Provider.batchEnsureRecords: Update error: ${error.message}`);
+
+          if (global.statsCounter) {
+            global.statsCounter.errors++;
+          }
+        }
+      }
+
+      // Add unchanged records to results too
+      for (const { existing } of pendingChanges.unchanged) {
+        results.push(existing);
+      }
+
+      logger.trace(`RFC2136Provider.batchEnsureRecords: Batch processing complete, returning ${results.length} results`);
+      return results;
+    } catch (error) {
+      logger.error(`Failed to batch process DNS records: ${error.message}`);
+      logger.trace(`RFC2136Provider.batchEnsureRecords: Error details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a record needs to be updated
+   */
+  recordNeedsUpdate(existing, newRecord) {
+    logger.trace(`RFC2136Provider.recordNeedsUpdate: Comparing records for ${newRecord.name}`);
+    logger.trace(`RFC2136Provider.recordNeedsUpdate: Existing: ${JSON.stringify(existing)}`);
+    logger.trace(`RFC2136Provider.recordNeedsUpdate: New: ${JSON.stringify(newRecord)}`);
+
+    // Cached records are already in standard format, just normalise trailing dots and case
+    let existingContent = existing.content;
+    let newContent = newRecord.content;
+
+    if (['CNAME', 'MX', 'SRV', 'NS'].includes(newRecord.type)) {
+      existingContent = (existingContent || '').replace(/\.$/, '').toLowerCase();
+      newContent = (newContent || '').replace(/\.$/, '').toLowerCase();
+    }
+
+    let needsUpdate = false;
+
+    // Compare content
+    if (existingContent !== newContent) {
+      logger.trace(`RFC2136Provider.recordNeedsUpdate: Content different: ${existingContent} vs ${newContent}`);
+      needsUpdate = true;
+    }
+
+    // Compare TTL
+    if (existing.ttl !== newRecord.ttl) {
+      logger.trace(`RFC2136Provider.recordNeedsUpdate: TTL different: ${existing.ttl} vs ${newRecord.ttl}`);
+      needsUpdate = true;
+    }
+
+    // Type-specific field comparisons
+    switch (newRecord.type) {
+      case 'MX':
+        if (existing.priority !== newRecord.priority) {
+          logger.trace(`RFC2136Provider.recordNeedsUpdate: MX priority different: ${existing.priority} vs ${newRecord.priority}`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'SRV':
+        if (existing.priority !== newRecord.priority ||
+            existing.weight !== newRecord.weight ||
+            existing.port !== newRecord.port) {
+          logger.trace(`RFC2136Provider.recordNeedsUpdate: SRV fields different`);
+          needsUpdate = true;
+        }
+        break;
+
+      case 'CAA':
+        if (existing.flags !== newRecord.flags ||
+            existing.tag !== newRecord.tag) {
+          logger.trace(`RFC2136Provider.recordNeedsUpdate: CAA fields different`);
+          needsUpdate = true;
+        }
+        break;
+    }
+
+    // If an update is needed, log the specific differences at DEBUG level
+    if (needsUpdate && logger.level >= 3) { // DEBUG level or higher
+      logger.debug(`Record ${newRecord.name} needs update:`);
+      if (existingContent !== newContent)
+        logger.debug(` - Content: ${existingContent} → ${newContent}`);
+      if (existing.ttl !== newRecord.ttl)
+        logger.debug(` - TTL: ${existing.ttl} → ${newRecord.ttl}`);
+    }
+
+    logger.trace(`RFC2136Provider.recordNeedsUpdate: Final result - needs update: ${needsUpdate}`);
+    return needsUpdate;
+  }
+}
+
+module.exports = RFC2136Provider;
@@ -0,0 +1,82 @@
+/**
+ * TCP transport for the RFC 2136 provider
+ * DNS over TCP frames each message with a 2 byte length prefix (RFC 1035 4.2.2)
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Send a DNS message over TCP and pass each response message to a handler
+ * @param {Object} options - { host, port, timeout }
+ * @param {Buffer} message - Encoded DNS message
+ * @param {Function} onMessage - Called with each response; return true when the exchange is complete
+ * @returns {Promise<void>} - Resolves once the handler reports completion
+ */
+function exchange({ host, port, timeout }, message, onMessage) {
+  logger.trace(`rfc2136.transport: Connecting to ${host}:${port}`);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let received = Buffer.alloc(0);
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    socket.setTimeout(timeout, () => {
+      finish(new Error(`Timed out after ${timeout}ms waiting for DNS server ${host}:${port}`));
+    });
+
+    socket.on('connect', () => {
+      logger.trace(`rfc2136.transport: Connected, sending ${message.length} byte message`);
+
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(message.length);
+      socket.write(Buffer.concat([length, message]));
+    });
+
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+
+      // Process every complete message in the buffer
+      while (received.length >= 2) {
+        const messageLength = received.readUInt16BE(0);
+        if (received.length < messageLength + 2) break;
+
+        const response = received.subarray(2, messageLength + 2);
+        received = received.subarray(messageLength + 2);
+
+        try {
+          if (onMessage(response)) {
+            finish();
+            return;
+          }
+        } catch (error) {
+          finish(error);
+          return;
+        }
+      }
+    });
+
+    socket.on('error', (error) => {
+      finish(new Error(`DNS server ${host}:${port} connection failed: ${error.message}`));
+    });
+
+    socket.on('close', () => {
+      finish(new Error(`DNS server ${host}:${port} closed the connection before the response was complete`));
+    });
+  });
+}
+
+module.exports = {
+  exchange
+};
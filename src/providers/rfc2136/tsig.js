@@ -0,0 +1,274 @@
+/**
+ * TSIG (RFC 8945) message signing for the RFC 2136 provider
+ * Signs outgoing requests and verifies signed server responses
+ */
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { TYPES, CLASSES, encodeName, decodeName, encodeResourceRecord, getRcodeName } = require('./wire');
+
+// Supported TSIG algorithms mapped to their wire names and Node.js digests
+const ALGORITHMS = {
+  'hmac-md5': { wireName: 'hmac-md5.sig-alg.reg.int', digest: 'md5' },
+  'hmac-sha1': { wireName: 'hmac-sha1', digest: 'sha1' },
+  'hmac-sha224': { wireName: 'hmac-sha224', digest: 'sha224' },
+  'hmac-sha256': { wireName: 'hmac-sha256', digest: 'sha256' },
+  'hmac-sha384': { wireName: 'hmac-sha384', digest: 'sha384' },
+  'hmac-sha512': { wireName: 'hmac-sha512', digest: 'sha512' }
+};
+
+// Allowed clock skew in seconds
+const FUDGE = 300;
+
+/**
+ * Create a TSIG key object from configuration values
+ * @param {string} name - Key name as configured on the DNS server
+ * @param {string} secret - Base64 encoded shared secret
+ * @param {string} algorithm - Algorithm name (e.g. hmac-sha256)
+ * @returns {Object} - Key object used for signing
+ */
+function createKey(name, secret, algorithm = 'hmac-sha256') {
+  const normalisedAlgorithm = algorithm.toLowerCase().replace(/\.$/, '');
+  const algorithmInfo = ALGORITHMS[normalisedAlgorithm] ||
+    Object.values(ALGORITHMS).find(info => info.wireName === normalisedAlgorithm);
+
+  if (!algorithmInfo) {
+    throw new Error(`Unsupported TSIG algorithm: ${algorithm}. Supported algorithms: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  return {
+    name: name.toLowerCase().replace(/\.$/, ''),
+    algorithm: algorithmInfo.wireName,
+    digest: algorithmInfo.digest,
+    secret: Buffer.from(secret, 'base64')
+  };
+}
+
+/**
+ * Encode a 48-bit time signed value followed by the fudge
+ * @param {number} timeSigned - Seconds since epoch
+ * @param {number} fudge - Allowed clock skew
+ * @returns {Buffer} - Encoded timers
+ */
+function encodeTimers(timeSigned, fudge) {
+  const timers = Buffer.alloc(8);
+  timers.writeUInt16BE(Math.floor(timeSigned / 0x100000000), 0);
+  timers.writeUInt32BE(timeSigned % 0x100000000, 2);
+  timers.writeUInt16BE(fudge, 6);
+  return timers;
+}
+
+/**
+ * Encode the TSIG variables that are included in the MAC
+ * @param {Object} key - TSIG key
+ * @param {number} timeSigned - Seconds since epoch
+ * @param {number} fudge - Allowed clock skew
+ * @param {number} error - TSIG error code
+ * @param {Buffer} otherData - Other data field
+ * @returns {Buffer} - Encoded variables
+ */
+function encodeVariables(key, timeSigned, fudge, error, otherData) {
+  const classAndTtl = Buffer.alloc(6);
+  classAndTtl.writeUInt16BE(CLASSES.ANY, 0);
+  classAndTtl.writeUInt32BE(0, 2);
+
+  const trailer = Buffer.alloc(4);
+  trailer.writeUInt16BE(error, 0);
+  trailer.writeUInt16BE(otherData.length, 2);
+
+  return Buffer.concat([
+    encodeName(key.name),
+    classAndTtl,
+    encodeName(key.algorithm),
+    encodeTimers(timeSigned, fudge),
+    trailer,
+    otherData
+  ]);
+}
+
+/**
+ * Compute an HMAC over the given parts
+ * @param {Object} key - TSIG key
+ * @param {Array<Buffer>} parts - Data to include in the MAC
+ * @returns {Buffer} - MAC
+ */
+function computeMac(key, parts) {
+  const hmac = crypto.createHmac(key.digest, key.secret);
+  parts.forEach(part => hmac.update(part));
+  return hmac.digest();
+}
+
+/**
+ * Encode a MAC prefixed with its 16-bit length
+ * @param {Buffer} mac - MAC
+ * @returns {Buffer} - Length prefixed MAC
+ */
+function encodeMacWithLength(mac) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(mac.length);
+  return Buffer.concat([length, mac]);
+}
+
+/**
+ * Sign an encoded DNS message by appending a TSIG record
+ * @param {Buffer} message - Encoded message without TSIG
+ * @param {Object} key - TSIG key
+ * @returns {Object} - { message, mac } with the signed message and the request MAC
+ */
+function signMessage(message, key) {
+  const timeSigned = Math.floor(Date.now() / 1000);
+  const otherData = Buffer.alloc(0);
+  const mac = computeMac(key, [
+    message,
+    encodeVariables(key, timeSigned, FUDGE, 0, otherData)
+  ]);
+
+  const originalId = message.readUInt16BE(0);
+  const macFields = Buffer.alloc(2);
+  macFields.writeUInt16BE(mac.length);
+  const trailer = Buffer.alloc(6);
+  trailer.writeUInt16BE(originalId, 0);
+  trailer.writeUInt16BE(0, 2);
+  trailer.writeUInt16BE(otherData.length, 4);
+
+  const tsigRecord = encodeResourceRecord({
+    name: key.name,
+    type: TYPES.TSIG,
+    class: CLASSES.ANY,
+    ttl: 0,
+    rdata: Buffer.concat([
+      encodeName(key.algorithm),
+      encodeTimers(timeSigned, FUDGE),
+      macFields,
+      mac,
+      trailer
+    ])
+  });
+
+  const signed = Buffer.concat([message, tsigRecord]);
+  signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+
+  logger.trace(`rfc2136.tsig: Signed message ${originalId} with key ${key.name} (${key.algorithm})`);
+
+  return { message: signed, mac };
+}
+
+/**
+ * Parse the RDATA of a TSIG record
+ * @param {Buffer} buffer - Full DNS message
+ * @param {Object} record - Decoded TSIG record from wire.decodeMessage
+ * @returns {Object} - Parsed TSIG fields
+ */
+function parseTsigRecord(buffer, record) {
+  const algorithm = decodeName(buffer, record.rdataOffset);
+  let offset = algorithm.offset;
+
+  const timeSigned = buffer.readUInt16BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 2);
+  const fudge = buffer.readUInt16BE(offset + 6);
+  const macSize = buffer.readUInt16BE(offset + 8);
+  offset += 10;
+
+  const mac = buffer.subarray(offset, offset + macSize);
+  offset += macSize;
+
+  const otherLength = buffer.readUInt16BE(offset + 4);
+
+  return {
+    algorithm: algorithm.name.toLowerCase(),
+    timeSigned,
+    fudge,
+    mac,
+    originalId: buffer.readUInt16BE(offset),
+    error: buffer.readUInt16BE(offset + 2),
+    otherData: buffer.subarray(offset + 6, offset + 6 + otherLength)
+  };
+}
+
+/**
+ * Create a verifier for the response(s) to a signed request
+ * Handles single responses as well as multi-message zone transfers,
+ * where only every few messages are required to carry a signature
+ * @param {Object} key - TSIG key
+ * @param {Buffer} requestMac - MAC of the signed request
+ * @returns {Object} - { verify(buffer, message), finish() }
+ */
+function createResponseVerifier(key, requestMac) {
+  let priorMac = requestMac;
+  let firstMessage = true;
+  let unsignedMessages = [];
+
+  return {
+    /**
+     * Verify a single response message
+     * @param {Buffer} buffer - Raw response message
+     * @param {Object} message - Decoded response message
+     */
+    verify(buffer, message) {
+      const tsigRecord = message.additionals[message.additionals.length - 1];
+
+      if (!tsigRecord || tsigRecord.type !== 'TSIG') {
+        if (firstMessage) {
+          throw new Error(`DNS server response is not signed (rcode ${getRcodeName(message.rcode)})`);
+        }
+
+        // Intermediate zone transfer messages may be unsigned
+        unsignedMessages.push(buffer);
+        return;
+      }
+
+      const tsig = parseTsigRecord(buffer, tsigRecord);
+
+      if (tsig.error !== 0) {
+        throw new Error(`DNS server rejected TSIG signature: ${getRcodeName(tsig.error)}`);
+      }
+
+      if (tsig.algorithm !== key.algorithm || tsigRecord.name.toLowerCase() !== key.name) {
+        throw new Error('DNS server response is signed with an unexpected TSIG key');
+      }
+
+      // Rebuild the message as it was before the TSIG record was added
+      const unsigned = Buffer.from(buffer.subarray(0, tsigRecord.start));
+      unsigned.writeUInt16BE(tsig.originalId, 0);
+      unsigned.writeUInt16BE(buffer.readUInt16BE(10) - 1, 10);
+
+      const variables = firstMessage
+        ? encodeVariables(key, tsig.timeSigned, tsig.fudge, tsig.error, tsig.otherData)
+        : encodeTimers(tsig.timeSigned, tsig.fudge);
+
+      const expectedMac = computeMac(key, [
+        encodeMacWithLength(priorMac),
+        ...unsignedMessages,
+        unsigned,
+        variables
+      ]);
+
+      if (expectedMac.length !== tsig.mac.length || !crypto.timingSafeEqual(expectedMac, tsig.mac)) {
+        throw new Error('DNS server response has an invalid TSIG signature');
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (Math.abs(now - tsig.timeSigned) > tsig.fudge) {
+        throw new Error('DNS server response TSIG signature has expired, check the clocks are in sync');
+      }
+
+      priorMac = tsig.mac;
+      firstMessage = false;
+      unsignedMessages = [];
+    },
+
+    /**
+     * Ensure the final message of a response stream was signed
+     */
+    finish() {
+      if (unsignedMessages.length > 0) {
+        throw new Error('Final message of the DNS server response is not signed');
+      }
+    }
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  createKey,
+  signMessage,
+  createResponseVerifier
+};
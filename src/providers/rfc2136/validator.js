@@ -0,0 +1,134 @@
+/**
+ * RFC 2136-specific record validation utilities
+ */
+const net = require('net');
+const logger = require('../../utils/logger');
+
+/**
+ * Validate a record configuration for RFC 2136 dynamic updates
+ * @param {Object} record - The record to validate
+ * @throws {Error} - If validation fails
+ */
+function validateRecord(record) {
+  logger.trace(`rfc2136.validator: Validating record ${record.name} (${record.type})`);
+
+  // Common validations
+  if (!record.type) {
+    logger.trace(`rfc2136.validator: Record type is missing`);
+    throw new Error('Record type is required');
+  }
+
+  if (!record.name) {
+    logger.trace(`rfc2136.validator: Record name is missing`);
+    throw new Error('Record name is required');
+  }
+
+  // Type-specific validations
+  switch (record.type) {
+    case 'A':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: IP address is missing for A record`);
+        throw new Error('IP address is required for A records');
+      }
+
+      // Simple IP validation
+      if (!net.isIPv4(record.content)) {
+        logger.trace(`rfc2136.validator: Invalid IPv4 format: ${record.content}`);
+        throw new Error(`Invalid IPv4 address format: ${record.content}`);
+      }
+      break;
+
+    case 'AAAA':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: IPv6 address is missing for AAAA record`);
+        throw new Error('IPv6 address is required for AAAA records');
+      }
+
+      // The address is encoded into the UPDATE message, so it must be valid
+      if (!net.isIPv6(record.content)) {
+        logger.trace(`rfc2136.validator: Invalid IPv6 format: ${record.content}`);
+        throw new Error(`Invalid IPv6 address format: ${record.content}`);
+      }
+      break;
+
+    case 'CNAME':
+    case 'TXT':
+    case 'NS':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: Content is missing for ${record.type} record`);
+        throw new Error(`Content is required for ${record.type} records`);
+      }
+      break;
+
+    case 'MX':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: Mail server is missing for MX record`);
+        throw new Error('Mail server is required for MX records');
+      }
+      // Set default priority if missing
+      if (record.priority === undefined) {
+        logger.trace(`rfc2136.validator: Setting default priority (10) for MX record`);
+        record.priority = 10;
+      }
+      break;
+
+    case 'SRV':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: Target is missing for SRV record`);
+        throw new Error('Target is required for SRV records');
+      }
+      // Set defaults for SRV fields
+      if (record.priority === undefined) {
+        logger.trace(`rfc2136.validator: Setting default priority (1) for SRV record`);
+        record.priority = 1;
+      }
+      if (record.weight === undefined) {
+        logger.trace(`rfc2136.validator: Setting default weight (1) for SRV record`);
+        record.weight = 1;
+      }
+      if (record.port === undefined) {
+        logger.trace(`rfc2136.validator: Port is missing for SRV record`);
+        throw new Error('Port is required for SRV records');
+      }
+      break;
+
+    case 'CAA':
+      if (!record.content) {
+        logger.trace(`rfc2136.validator: Value is missing for CAA record`);
+        throw new Error('Value is required for CAA records');
+      }
+      if (record.flags === undefined) {
+        logger.trace(`rfc2136.validator: Setting default flags (0) for CAA record`);
+        record.flags = 0;
+      }
+      if (!record.tag) {
+        logger.trace(`rfc2136.validator: Tag is missing for CAA record`);
+        throw new Error('Tag is required for CAA records');
+      }
+      break;
+
+    default:
+      logger.trace(`rfc2136.validator: Unsupported record type: ${record.type}`);
+      throw new Error(`Record type ${record.type} is not supported by the RFC 2136 provider`);
+  }
+
+  // RFC 2136-specific validations
+
+  // Silently remove 'proxied' property if present since plain DNS servers don't support proxying
+  if (record.proxied !== undefined) {
+    delete record.proxied;
+    logger.trace(`rfc2136.validator: Removed 'proxied' property as RFC 2136 doesn't support it`);
+  }
+
+  // TTL is an unsigned 32-bit value on the wire
+  if (record.ttl === undefined || record.ttl < 0) {
+    logger.trace(`rfc2136.validator: Setting TTL to 0 from ${record.ttl}`);
+    record.ttl = 0;
+  }
+
+  logger.trace(`rfc2136.validator: Record validation successful`);
+}
+
+module.exports = {
+  validateRecord
+};
@@ -0,0 +1,477 @@
+/**
+ * DNS wire format utilities for the RFC 2136 provider
+ * Encodes and decodes the subset of DNS messages needed for
+ * dynamic updates (RFC 2136) and zone transfers (RFC 5936)
+ */
+
+// Record type codes
+const TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  TSIG: 250,
+  AXFR: 252,
+  ANY: 255,
+  CAA: 257
+};
+
+// Reverse lookup of record type names
+const TYPE_NAMES = Object.fromEntries(
+  Object.entries(TYPES).map(([name, code]) => [code, name])
+);
+
+// Record classes
+const CLASSES = {
+  IN: 1,
+  NONE: 254,
+  ANY: 255
+};
+
+// Opcodes
+const OPCODES = {
+  QUERY: 0,
+  UPDATE: 5
+};
+
+// Response codes (including the TSIG error codes from RFC 8945)
+const RCODE_NAMES = {
+  0: 'NOERROR',
+  1: 'FORMERR',
+  2: 'SERVFAIL',
+  3: 'NXDOMAIN',
+  4: 'NOTIMP',
+  5: 'REFUSED',
+  6: 'YXDOMAIN',
+  7: 'YXRRSET',
+  8: 'NXRRSET',
+  9: 'NOTAUTH',
+  10: 'NOTZONE',
+  16: 'BADSIG',
+  17: 'BADKEY',
+  18: 'BADTIME'
+};
+
+/**
+ * Remove a trailing dot from a domain name
+ * @param {string} name - Domain name
+ * @returns {string} - Domain name without trailing dot
+ */
+function stripTrailingDot(name) {
+  return name && name.endsWith('.') ? name.slice(0, -1) : name;
+}
+
+/**
+ * Encode a domain name in uncompressed wire format
+ * @param {string} name - Domain name (with or without trailing dot)
+ * @returns {Buffer} - Encoded name
+ */
+function encodeName(name) {
+  const labels = stripTrailingDot(name || '').split('.').filter(label => label.length > 0);
+  const parts = [];
+
+  for (const label of labels) {
+    const labelBuffer = Buffer.from(label, 'utf8');
+    if (labelBuffer.length > 63) {
+      throw new Error(`DNS label too long: ${label}`);
+    }
+    parts.push(Buffer.from([labelBuffer.length]), labelBuffer);
+  }
+
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a (possibly compressed) domain name from a message
+ * @param {Buffer} buffer - Full DNS message
+ * @param {number} offset - Offset of the name
+ * @returns {Object} - { name, offset } where offset points past the name
+ */
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let nextOffset = null;
+  let jumps = 0;
+
+  while (true) {
+    const length = buffer[position];
+
+    if (length === undefined) {
+      throw new Error('Truncated domain name in DNS message');
+    }
+
+    // Compression pointer
+    if ((length & 0xc0) === 0xc0) {
+      if (nextOffset === null) {
+        nextOffset = position + 2;
+      }
+      position = buffer.readUInt16BE(position) & 0x3fff;
+
+      if (++jumps > 64) {
+        throw new Error('Too many compression pointers in DNS message');
+      }
+      continue;
+    }
+
+    position++;
+
+    if (length === 0) {
+      break;
+    }
+
+    labels.push(buffer.toString('utf8', position, position + length));
+    position += length;
+  }
+
+  return {
+    name: labels.join('.'),
+    offset: nextOffset !== null ? nextOffset : position
+  };
+}
+
+/**
+ * Encode one or more character-strings (as used by TXT records)
+ * @param {string} text - Text to encode, split into 255 byte chunks
+ * @returns {Buffer} - Encoded character-strings
+ */
+function encodeCharacterStrings(text) {
+  const data = Buffer.from(text, 'utf8');
+  const parts = [];
+
+  for (let i = 0; i < data.length || i === 0; i += 255) {
+    const chunk = data.subarray(i, i + 255);
+    parts.push(Buffer.from([chunk.length]), chunk);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode an IPv6 address into 16 bytes
+ * @param {string} address - IPv6 address in text form
+ * @returns {Buffer} - Encoded address
+ */
+function encodeIPv6(address) {
+  const [head, tail] = address.includes('::') ? address.split('::') : [address, null];
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail !== null ? 8 - headGroups.length - tailGroups.length : 0;
+
+  const groups = [
+    ...headGroups,
+    ...new Array(missing).fill('0'),
+    ...tailGroups
+  ];
+
+  if (groups.length !== 8) {
+    throw new Error(`Invalid IPv6 address: ${address}`);
+  }
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, index) => {
+    buffer.writeUInt16BE(parseInt(group || '0', 16), index * 2);
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode 16 bytes into a compressed IPv6 address string
+ * @param {Buffer} buffer - Encoded address
+ * @returns {string} - IPv6 address in text form
+ */
+function decodeIPv6(buffer) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(i).toString(16));
+  }
+
+  // Find the longest run of zero groups to compress
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== '0') continue;
+
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === '0') length++;
+
+    if (length > bestLength && length > 1) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Encode record data for a given record type
+ * @param {string} type - Record type name
+ * @param {Object} data - Record data fields
+ * @returns {Buffer} - Encoded RDATA
+ */
+function encodeRdata(type, data) {
+  switch (type) {
+    case 'A':
+      return Buffer.from(data.address.split('.').map(octet => parseInt(octet, 10)));
+
+    case 'AAAA':
+      return encodeIPv6(data.address);
+
+    case 'CNAME':
+    case 'NS':
+      return encodeName(data.target);
+
+    case 'MX': {
+      const preference = Buffer.alloc(2);
+      preference.writeUInt16BE(data.priority);
+      return Buffer.concat([preference, encodeName(data.target)]);
+    }
+
+    case 'TXT':
+      return encodeCharacterStrings(data.text);
+
+    case 'SRV': {
+      const header = Buffer.alloc(6);
+      header.writeUInt16BE(data.priority, 0);
+      header.writeUInt16BE(data.weight, 2);
+      header.writeUInt16BE(data.port, 4);
+      return Buffer.concat([header, encodeName(data.target)]);
+    }
+
+    case 'CAA': {
+      const tag = Buffer.from(data.tag, 'ascii');
+      return Buffer.concat([
+        Buffer.from([data.flags, tag.length]),
+        tag,
+        Buffer.from(data.value, 'utf8')
+      ]);
+    }
+
+    default:
+      throw new Error(`Unsupported record type for RFC 2136 updates: ${type}`);
+  }
+}
+
+/**
+ * Decode record data for a given record type
+ * @param {string} type - Record type name
+ * @param {Buffer} buffer - Full DNS message (for name decompression)
+ * @param {number} offset - Offset of the RDATA
+ * @param {number} length - Length of the RDATA
+ * @returns {Object|null} - Decoded data fields, null for unsupported types
+ */
+function decodeRdata(type, buffer, offset, length) {
+  switch (type) {
+    case 'A':
+      return { address: Array.from(buffer.subarray(offset, offset + 4)).join('.') };
+
+    case 'AAAA':
+      return { address: decodeIPv6(buffer.subarray(offset, offset + 16)) };
+
+    case 'CNAME':
+    case 'NS':
+      return { target: decodeName(buffer, offset).name };
+
+    case 'MX':
+      return {
+        priority: buffer.readUInt16BE(offset),
+        target: decodeName(buffer, offset + 2).name
+      };
+
+    case 'TXT': {
+      const strings = [];
+      let position = offset;
+      while (position < offset + length) {
+        const stringLength = buffer[position];
+        strings.push(buffer.toString('utf8', position + 1, position + 1 + stringLength));
+        position += 1 + stringLength;
+      }
+      return { text: strings.join('') };
+    }
+
+    case 'SRV':
+      return {
+        priority: buffer.readUInt16BE(offset),
+        weight: buffer.readUInt16BE(offset + 2),
+        port: buffer.readUInt16BE(offset + 4),
+        target: decodeName(buffer, offset + 6).name
+      };
+
+    case 'CAA': {
+      const tagLength = buffer[offset + 1];
+      return {
+        flags: buffer[offset],
+        tag: buffer.toString('ascii', offset + 2, offset + 2 + tagLength),
+        value: buffer.toString('utf8', offset + 2 + tagLength, offset + length)
+      };
+    }
+
+    case 'SOA': {
+      const mname = decodeName(buffer, offset);
+      const rname = decodeName(buffer, mname.offset);
+      return {
+        mname: mname.name,
+        rname: rname.name,
+        serial: buffer.readUInt32BE(rname.offset)
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Encode a resource record
+ * @param {Object} rr - { name, type, class, ttl, rdata (Buffer) }
+ * @returns {Buffer} - Encoded resource record
+ */
+function encodeResourceRecord(rr) {
+  const rdata = rr.rdata || Buffer.alloc(0);
+  const fixed = Buffer.alloc(10);
+
+  fixed.writeUInt16BE(typeof rr.type === 'number' ? rr.type : TYPES[rr.type], 0);
+  fixed.writeUInt16BE(rr.class, 2);
+  fixed.writeUInt32BE(rr.ttl || 0, 4);
+  fixed.writeUInt16BE(rdata.length, 8);
+
+  return Buffer.concat([encodeName(rr.name), fixed, rdata]);
+}
+
+/**
+ * Encode a DNS message
+ * @param {Object} message - { id, opcode, flags, questions, answers, authorities, additionals }
+ * For UPDATE messages the sections are zone, prerequisite, update and additional
+ * @returns {Buffer} - Encoded message
+ */
+function encodeMessage(message) {
+  const questions = message.questions || [];
+  const answers = message.answers || [];
+  const authorities = message.authorities || [];
+  const additionals = message.additionals || [];
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(message.id, 0);
+  header.writeUInt16BE(((message.opcode || 0) << 11) | (message.flags || 0), 2);
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(authorities.length, 8);
+  header.writeUInt16BE(additionals.length, 10);
+
+  const questionBuffers = questions.map(question => {
+    const fixed = Buffer.alloc(4);
+    fixed.writeUInt16BE(TYPES[question.type], 0);
+    fixed.writeUInt16BE(question.class || CLASSES.IN, 2);
+    return Buffer.concat([encodeName(question.name), fixed]);
+  });
+
+  return Buffer.concat([
+    header,
+    ...questionBuffers,
+    ...answers.map(encodeResourceRecord),
+    ...authorities.map(encodeResourceRecord),
+    ...additionals.map(encodeResourceRecord)
+  ]);
+}
+
+/**
+ * Decode a DNS message
+ * @param {Buffer} buffer - Encoded message
+ * @returns {Object} - Decoded message with header fields and record sections
+ */
+function decodeMessage(buffer) {
+  const flags = buffer.readUInt16BE(2);
+  const counts = [
+    buffer.readUInt16BE(4),
+    buffer.readUInt16BE(6),
+    buffer.readUInt16BE(8),
+    buffer.readUInt16BE(10)
+  ];
+
+  const message = {
+    id: buffer.readUInt16BE(0),
+    opcode: (flags >> 11) & 0x0f,
+    rcode: flags & 0x0f,
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: []
+  };
+
+  let offset = 12;
+
+  for (let i = 0; i < counts[0]; i++) {
+    const decoded = decodeName(buffer, offset);
+    message.questions.push({
+      name: decoded.name,
+      type: TYPE_NAMES[buffer.readUInt16BE(decoded.offset)] || buffer.readUInt16BE(decoded.offset)
+    });
+    offset = decoded.offset + 4;
+  }
+
+  const sections = ['answers', 'authorities', 'additionals'];
+
+  sections.forEach((section, index) => {
+    for (let i = 0; i < counts[index + 1]; i++) {
+      const start = offset;
+      const decoded = decodeName(buffer, offset);
+      const typeCode = buffer.readUInt16BE(decoded.offset);
+      const rdLength = buffer.readUInt16BE(decoded.offset + 8);
+      const rdataOffset = decoded.offset + 10;
+      const type = TYPE_NAMES[typeCode] || typeCode;
+
+      message[section].push({
+        name: decoded.name,
+        type,
+        class: buffer.readUInt16BE(decoded.offset + 2),
+        ttl: buffer.readUInt32BE(decoded.offset + 4),
+        start,
+        rdataOffset,
+        rdLength,
+        data: type === 'TSIG' ? null : decodeRdata(type, buffer, rdataOffset, rdLength)
+      });
+
+      offset = rdataOffset + rdLength;
+    }
+  });
+
+  return message;
+}
+
+/**
+ * Get a readable name for a response code
+ * @param {number} rcode - Response code
+ * @returns {string} - Response code name
+ */
+function getRcodeName(rcode) {
+  return RCODE_NAMES[rcode] || `RCODE${rcode}`;
+}
+
+module.exports = {
+  TYPES,
+  TYPE_NAMES,
+  CLASSES,
+  OPCODES,
+  stripTrailingDot,
+  encodeName,
+  decodeName,
+  encodeRdata,
+  decodeRdata,
+  encodeResourceRecord,
+  encodeMessage,
+  decodeMessage,
+  getRcodeName
+};
@@ -80,23 +80,53 @@ function findRecordInCache(type, name) {
   return null;
 }
 
+/**
+ * Find all values of a record set in the cache
+ * Override to handle Route53's trailing dots in names
+ */
+function findRecordsInCache(type, name) {
+  const normalizedName = name.endsWith('.') ? name.slice(0, -1) : name;
+  
+  return this.recordCache.records.filter(r => {
+    const recordName = r.name.endsWith('.') ? r.name.slice(0, -1) : r.name;
+    return r.type === type && recordName === normalizedName;
+  });
+}
+
+/**
+ * Get a record set from the cache, with all its values in recordSet
+ * Route53 only deletes a record set when all its values are given
+ */
+function getRecordSetFromCache(type, name) {
+  const records = this.findRecordsInCache(type, name);
+  
+  if (records.length === 0) {
+    return null;
+  }
+  
+  return { ...records[0], recordSet: records };
+}
+
 /**
  * Update a record in the cache
+ * A record set written with several values replaces all cached values of its name and type
  */
 function updateRecordInCache(record) {
   logger.trace(`Route53Provider.updateRecordInCache: Updating record in cache: name=${record.name}, type=${record.type}`);
   
-  const index = this.recordCache.records.findIndex(
-    r => r.name === record.name && r.type === record.type
-  );
+  const { recordSet, ...cachedRecord } = record;
+  const values = recordSet
+    ? recordSet.map(member => ({ ...member, id: record.id, type: record.type, name: record.name, ttl: record.ttl }))
+    : [cachedRecord];
   
-  if (index !== -1) {
-    logger.trace(`Route53Provider.updateRecordInCache: Found existing record at index ${index}, replacing`);
-    this.recordCache.records[index] = record;
+  if (this.findRecordsInCache(record.type, record.name).length > 0) {
+    logger.trace(`Route53Provider.updateRecordInCache: Found existing record, replacing`);
+    this.removeRecordFromCache(record.name, record.type);
   } else {
     logger.trace(`Route53Provider.updateRecordInCache: Record not found in cache, adding new record`);
-    this.recordCache.records.push(record);
   }
+  
+  this.recordCache.records.push(...values);
 }
 
 /**
@@ -105,10 +135,14 @@ function updateRecordInCache(record) {
 function removeRecordFromCache(name, type) {
   logger.trace(`Route53Provider.removeRecordFromCache: Removing record name=${name}, type=${type} from cache`);
   
+  // Normalize the names, record IDs carry the name with its trailing dot
+  const normalizedName = name.endsWith('.') ? name.slice(0, -1) : name;
+  
   const initialLength = this.recordCache.records.length;
-  this.recordCache.records = this.recordCache.records.filter(
-    record => !(record.name === name && record.type === type)
-  );
+  this.recordCache.records = this.recordCache.records.filter(record => {
+    const recordName = record.name.endsWith('.') ? record.name.slice(0, -1) : record.name;
+    return !(recordName === normalizedName && record.type === type);
+  });
   
   const removed = initialLength - this.recordCache.records.length;
   logger.trace(`Route53Provider.removeRecordFromCache: Removed ${removed} records from cache`);
@@ -117,6 +151,8 @@ function removeRecordFromCache(name, type) {
 module.exports = {
   fetchAllRecords,
   findRecordInCache,
+  findRecordsInCache,
+  getRecordSetFromCache,
   updateRecordInCache,
   removeRecordFromCache
 };
\ No newline at end of file
@@ -24,49 +24,51 @@ function convertToRoute53Format(record, zone) {
     ResourceRecords: []
   };
   
-  // Process record content based on type
-  switch (record.type) {
-    case 'A':
-    case 'AAAA':
-    case 'TXT':
-    case 'NS':
-      route53Record.ResourceRecords.push({
-        Value: record.content
-      });
-      break;
-      
-    case 'CNAME':
-      // Route53 requires CNAME values to end with a dot
-      route53Record.ResourceRecords.push({
-        Value: ensureTrailingDot(record.content)
-      });
-      break;
+  // Process record content based on type, a record set written with several values lists them in recordSet
+  for (const member of record.recordSet || [record]) {
+    switch (record.type) {
+      case 'A':
+      case 'AAAA':
+      case 'TXT':
+      case 'NS':
+        route53Record.ResourceRecords.push({
+          Value: member.content
+        });
+        break;
       
-    case 'MX':
-      route53Record.ResourceRecords.push({
-        Value: `${record.priority || 10} ${ensureTrailingDot(record.content)}`
-      });
-      break;
+      case 'CNAME':
+        // Route53 requires CNAME values to end with a dot
+        route53Record.ResourceRecords.push({
+          Value: ensureTrailingDot(member.content)
+        });
+        break;
       
-    case 'SRV':
-      route53Record.ResourceRecords.push({
-        Value: `${record.priority || 10} ${record.weight || 10} ${record.port || 80} ${ensureTrailingDot(record.content)}`
-      });
-      break;
+      case 'MX':
+        route53Record.ResourceRecords.push({
+          Value: `${member.priority || 10} ${ensureTrailingDot(member.content)}`
+        });
+        break;
       
-    case 'CAA':
-      route53Record.ResourceRecords.push({
-        Value: `${record.flags || 0} ${record.tag || 'issue'} "${record.content}"`
-      });
-      break;
+      case 'SRV':
+        route53Record.ResourceRecords.push({
+          Value: `${member.priority || 10} ${member.weight || 10} ${member.port || 80} ${ensureTrailingDot(member.content)}`
+        });
+        break;
       
-    default:
-      // Fallback for any other record types
-      if (record.content) {
+      case 'CAA':
         route53Record.ResourceRecords.push({
-          Value: record.content
+          Value: `${member.flags || 0} ${member.tag || 'issue'} "${member.content}"`
         });
-      }
+        break;
+      
+      default:
+        // Fallback for any other record types
+        if (member.content) {
+          route53Record.ResourceRecords.push({
+            Value: member.content
+          });
+        }
+    }
   }
   
   logger.trace(`route53.converter: Converted to Route53 format: ${JSON.stringify(route53Record)}`);
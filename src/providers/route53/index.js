@@ -9,6 +9,8 @@ const { standardizeRecords, recordNeedsUpdate } = require('./recordUtils');
 const { 
   fetchAllRecords,
   findRecordInCache,
+  findRecordsInCache,
+  getRecordSetFromCache,
   updateRecordInCache,
   removeRecordFromCache
 } = require('./cacheUtils');
@@ -16,6 +18,7 @@ const {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
   batchEnsureRecords
 } = require('./operationUtils');
 
@@ -31,9 +34,12 @@ module.exports.standardizeRecords = standardizeRecords;
 module.exports.recordNeedsUpdate = recordNeedsUpdate;
 module.exports.fetchAllRecords = fetchAllRecords;
 module.exports.findRecordInCache = findRecordInCache;
+module.exports.findRecordsInCache = findRecordsInCache;
+module.exports.getRecordSetFromCache = getRecordSetFromCache;
 module.exports.updateRecordInCache = updateRecordInCache;
 module.exports.removeRecordFromCache = removeRecordFromCache;
 module.exports.createRecord = createRecord;
 module.exports.updateRecord = updateRecord;
 module.exports.deleteRecord = deleteRecord;
+module.exports.deleteRecordValue = deleteRecordValue;
 module.exports.batchEnsureRecords = batchEnsureRecords;
\ No newline at end of file
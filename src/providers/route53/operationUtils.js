@@ -127,6 +127,10 @@ async function createRecord(record) {
       createdRecord.tag = record.tag;
     }
     
+    if (record.recordSet) {
+      createdRecord.recordSet = record.recordSet;
+    }
+    
     // Update the cache with the new record
     this.updateRecordInCache(createdRecord);
     
@@ -193,8 +197,8 @@ async function updateRecord(id, record) {
       await this.init();
     }
     
-    // First, find the existing record to delete
-    const existing = await this.findRecordInCache(recordType, recordName);
+    // First, find the existing record set to delete, with all its values
+    const existing = this.getRecordSetFromCache(recordType, recordName);
     
     if (!existing) {
       throw new Error(`Record ${recordName} (${recordType}) not found for update`);
@@ -249,6 +253,10 @@ async function updateRecord(id, record) {
       updatedRecord.tag = record.tag;
     }
     
+    if (record.recordSet) {
+      updatedRecord.recordSet = record.recordSet;
+    }
+    
     // Update the cache
     this.updateRecordInCache(updatedRecord);
     
@@ -299,11 +307,13 @@ async function deleteRecord(id) {
       await this.init();
     }
     
-    // Find the existing record to delete
-    const existing = await this.findRecordInCache(recordType, recordName);
+    // Find the existing record set to delete, with all its values
+    const existing = this.getRecordSetFromCache(recordType, recordName);
     
     if (!existing) {
-      throw new Error(`Record ${recordName} (${recordType}) not found for deletion`);
+      // Deleting one value of a record set deletes all of them
+      logger.debug(`Record ${recordName} (${recordType}) not found in cache, already deleted with its record set`);
+      return true;
     }
     
     // Find the record in cache before deleting to log info
@@ -349,6 +359,50 @@ async function deleteRecord(id) {
   }
 }
 
+/**
+ * Delete a single value of a record set by writing the record set with its other values
+ */
+async function deleteRecordValue(record) {
+  const existing = this.getRecordSetFromCache(record.type, record.name);
+  const remaining = existing ? existing.recordSet.filter(r => !this.isSameRecordValue(r, record)) : [];
+  
+  if (!existing || remaining.length === existing.recordSet.length) {
+    logger.debug(`Value ${record.content} of ${record.name} (${record.type}) not found in cache`);
+    return true;
+  }
+  
+  if (remaining.length === 0) {
+    return this.deleteRecord(record.id);
+  }
+  
+  logger.info(`🗑️ Deleting DNS record value: ${record.name} (${record.type} ${record.content})`);
+  
+  const recordSet = { ...remaining[0], recordSet: remaining };
+  const params = {
+    HostedZoneId: this.zoneId,
+    ChangeBatch: {
+      Comment: 'Updated by TráfegoDNS',
+      Changes: [
+        {
+          Action: 'DELETE',
+          ResourceRecordSet: convertToRoute53Format(existing, this.zone)
+        },
+        {
+          Action: 'CREATE',
+          ResourceRecordSet: convertToRoute53Format(recordSet, this.zone)
+        }
+      ]
+    }
+  };
+  
+  const command = new ChangeResourceRecordSetsCommand(params);
+  await this.route53.send(command);
+  
+  this.updateRecordInCache(recordSet);
+  
+  return true;
+}
+
 /**
  * Batch process multiple DNS records at once
  * Route53 supports batching changes in a single API call, which is more efficient
@@ -426,8 +480,8 @@ async function batchEnsureRecords(recordConfigs) {
             }
           }
           
-          // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          // Find the existing value of the record set this configuration is paired with
+          const existing = this.findRecordForConfig(recordConfig, recordConfigs);
           
           if (existing) {
             logger.trace(`Route53Provider.batchEnsureRecords: Found existing record name=${existing.name}`);
@@ -475,8 +529,17 @@ async function batchEnsureRecords(recordConfigs) {
       
       // Second pass: apply all changes
       logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      
+      // In dry-run mode only report what would change
+      if (this.config.dryRun) {
+        return this.planChanges(pendingChanges);
+      }
+      
       logger.trace('Route53Provider.batchEnsureRecords: Second pass - applying changes');
       
+      // The values of a record set are written together, Route53 has no changes for single values
+      const changes = this.mergeRecordSetChanges(pendingChanges, recordConfigs);
+      
       let batchSucceeded = true;
       
       // For Route53, we can batch multiple changes in a single API call
@@ -484,12 +547,12 @@ async function batchEnsureRecords(recordConfigs) {
       const MAX_CHANGES_PER_BATCH = 100; // Set conservatively below Route53's limit
       
       // Process creates and updates in batches
-      if (pendingChanges.create.length > 0 || pendingChanges.update.length > 0) {
+      if (changes.create.length > 0 || changes.update.length > 0) {
         // Combine all creates and updates into a single array of changes
         const allChanges = [];
         
         // Add creates
-        for (const { record } of pendingChanges.create) {
+        for (const { record } of changes.create) {
           allChanges.push({
             Action: 'CREATE',
             ResourceRecordSet: convertToRoute53Format(record, this.zone)
@@ -497,11 +560,11 @@ async function batchEnsureRecords(recordConfigs) {
         }
   
         // Add updates (which are DELETE + CREATE in Route53)
-        for (const { existing, record } of pendingChanges.update) {
-          // Need to delete the old record first
+        for (const { existing, record } of changes.update) {
+          // Need to delete the old record set first, with all its values
           allChanges.push({
             Action: 'DELETE',
-            ResourceRecordSet: convertToRoute53Format(existing, this.zone)
+            ResourceRecordSet: convertToRoute53Format(this.getRecordSetFromCache(existing.type, existing.name) || existing, this.zone)
           });
           
           // Then create the new version
@@ -577,11 +640,11 @@ async function batchEnsureRecords(recordConfigs) {
       if (batchSucceeded) {
         // Collect all records to return in results
         // For creates and updates, we need to refresh the cache to get the latest records
-        if (pendingChanges.create.length > 0 || pendingChanges.update.length > 0) {
+        if (changes.create.length > 0 || changes.update.length > 0) {
           await this.refreshRecordCache();
           
           // Add created records to results
-          for (const { record } of pendingChanges.create) {
+          for (const { record } of changes.create) {
             const createdRecord = this.findRecordInCache(record.type, record.name);
             if (createdRecord) {
               results.push(createdRecord);
@@ -589,7 +652,7 @@ async function batchEnsureRecords(recordConfigs) {
           }
           
           // Add updated records to results
-          for (const { record } of pendingChanges.update) {
+          for (const { record } of changes.update) {
             const updatedRecord = this.findRecordInCache(record.type, record.name);
             if (updatedRecord) {
               results.push(updatedRecord);
@@ -598,7 +661,7 @@ async function batchEnsureRecords(recordConfigs) {
         }
         
         // Add unchanged records to results
-        for (const { existing } of pendingChanges.unchanged) {
+        for (const { existing } of changes.unchanged) {
           results.push(existing);
         }
       } else {
@@ -608,7 +671,7 @@ async function batchEnsureRecords(recordConfigs) {
         await this.refreshRecordCache();
         
         // Create new records
-        for (const { record } of pendingChanges.create) {
+        for (const { record } of changes.create) {
           try {
             // Check if this record already exists in the updated cache
             // This is the key fix - avoid trying to create records that might have been
@@ -668,7 +731,7 @@ async function batchEnsureRecords(recordConfigs) {
         }
   
         // Update existing records
-        for (const { id, record } of pendingChanges.update) {
+        for (const { id, record } of changes.update) {
           try {
             const recordKey = `${record.type}:${record.name}`;
             if (processedRecords.has(recordKey)) {
@@ -700,7 +763,7 @@ async function batchEnsureRecords(recordConfigs) {
         }
   
         // Add unchanged records to results too
-        for (const { existing } of pendingChanges.unchanged) {
+        for (const { existing } of changes.unchanged) {
           results.push(existing);
         }
       }
@@ -718,5 +781,6 @@ module.exports = {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
   batchEnsureRecords
 };
\ No newline at end of file
@@ -19,6 +19,8 @@ const {
 const { 
   fetchAllRecords,
   findRecordInCache,
+  findRecordsInCache,
+  getRecordSetFromCache,
   updateRecordInCache,
   removeRecordFromCache
 } = require('./cacheUtils');
@@ -26,6 +28,7 @@ const {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
   batchEnsureRecords
 } = require('./operationUtils');
 
@@ -55,11 +58,14 @@ class Route53Provider extends DNSProvider {
     this.recordNeedsUpdate = recordNeedsUpdate.bind(this);
     this.fetchAllRecords = fetchAllRecords.bind(this);
     this.findRecordInCache = findRecordInCache.bind(this);
+    this.findRecordsInCache = findRecordsInCache.bind(this);
+    this.getRecordSetFromCache = getRecordSetFromCache.bind(this);
     this.updateRecordInCache = updateRecordInCache.bind(this);
     this.removeRecordFromCache = removeRecordFromCache.bind(this);
     this.createRecord = createRecord.bind(this);
     this.updateRecord = updateRecord.bind(this);
     this.deleteRecord = deleteRecord.bind(this);
+    this.deleteRecordValue = deleteRecordValue.bind(this);
     this.batchEnsureRecords = batchEnsureRecords.bind(this);
     
     logger.trace('Route53Provider.constructor: AWS Route53 client initialised');
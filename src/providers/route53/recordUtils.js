@@ -5,9 +5,10 @@ const logger = require('../../utils/logger');
 
 /**
  * Standardize Route53 records to internal format
+ * Every value of a record set becomes a record of its own, sharing the ID of the record set
  */
 function standardizeRecords(route53Records) {
-  return route53Records.map(record => {
+  return route53Records.flatMap(record => {
     // Create a standardized record with common fields
     const standardRecord = {
       id: `${record.Name}:${record.Type}`, // Route53 doesn't have record IDs, create a composite key
@@ -18,36 +19,7 @@ function standardizeRecords(route53Records) {
     
     // Process resource records based on type
     if (record.ResourceRecords && record.ResourceRecords.length > 0) {
-      // For most record types with simple values
-      if (['A', 'AAAA', 'CNAME', 'TXT', 'NS'].includes(record.Type)) {
-        standardRecord.content = record.ResourceRecords[0].Value;
-        
-        // For TXT records, remove quotes if present
-        if (record.Type === 'TXT' && standardRecord.content.startsWith('"') && standardRecord.content.endsWith('"')) {
-          standardRecord.content = standardRecord.content.slice(1, -1);
-        }
-      } 
-      // For MX records, extract priority and content
-      else if (record.Type === 'MX') {
-        const parts = record.ResourceRecords[0].Value.split(' ');
-        standardRecord.priority = parseInt(parts[0], 10);
-        standardRecord.content = parts.slice(1).join(' ');
-      }
-      // For SRV records, parse the complex format
-      else if (record.Type === 'SRV') {
-        const parts = record.ResourceRecords[0].Value.split(' ');
-        standardRecord.priority = parseInt(parts[0], 10);
-        standardRecord.weight = parseInt(parts[1], 10);
-        standardRecord.port = parseInt(parts[2], 10);
-        standardRecord.content = parts[3];
-      }
-      // For CAA records, extract flags, tag, and value
-      else if (record.Type === 'CAA') {
-        const parts = record.ResourceRecords[0].Value.split(' ');
-        standardRecord.flags = parseInt(parts[0], 10);
-        standardRecord.tag = parts[1].replace(/"/g, '');
-        standardRecord.content = parts[2].replace(/"/g, '');
-      }
+      return record.ResourceRecords.map(resourceRecord => parseResourceValue({ ...standardRecord }, resourceRecord.Value));
     }
     // Handle alias records
     else if (record.AliasTarget) {
@@ -60,10 +32,48 @@ function standardizeRecords(route53Records) {
       };
     }
     
-    return standardRecord;
+    return [standardRecord];
   });
 }
 
+/**
+ * Read a value of a record set into a standardized record
+ */
+function parseResourceValue(standardRecord, value) {
+  // For most record types with simple values
+  if (['A', 'AAAA', 'CNAME', 'TXT', 'NS'].includes(standardRecord.type)) {
+    standardRecord.content = value;
+    
+    // For TXT records, remove quotes if present
+    if (standardRecord.type === 'TXT' && standardRecord.content.startsWith('"') && standardRecord.content.endsWith('"')) {
+      standardRecord.content = standardRecord.content.slice(1, -1);
+    }
+  } 
+  // For MX records, extract priority and content
+  else if (standardRecord.type === 'MX') {
+    const parts = value.split(' ');
+    standardRecord.priority = parseInt(parts[0], 10);
+    standardRecord.content = parts.slice(1).join(' ');
+  }
+  // For SRV records, parse the complex format
+  else if (standardRecord.type === 'SRV') {
+    const parts = value.split(' ');
+    standardRecord.priority = parseInt(parts[0], 10);
+    standardRecord.weight = parseInt(parts[1], 10);
+    standardRecord.port = parseInt(parts[2], 10);
+    standardRecord.content = parts[3];
+  }
+  // For CAA records, extract flags, tag, and value
+  else if (standardRecord.type === 'CAA') {
+    const parts = value.split(' ');
+    standardRecord.flags = parseInt(parts[0], 10);
+    standardRecord.tag = parts[1].replace(/"/g, '');
+    standardRecord.content = parts[2].replace(/"/g, '');
+  }
+  
+  return standardRecord;
+}
+
 /**
  * Check if a record needs to be updated
  */
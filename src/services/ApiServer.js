@@ -0,0 +1,334 @@
+/**
+ * API Server Service
+ * Responsible for exposing the running state over a small JSON HTTP API
+ */
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class ApiServer {
+  /**
+   * @param {Object} config - Configuration manager instance
+   * @param {Object} eventBus - Event bus instance
+   * @param {Object} services - Running services
+   * @param {DNSManager} services.dnsManager - DNS manager
+   * @param {TraefikMonitor|DirectMonitor} services.hostnameMonitor - Monitor publishing the hostnames
+   */
+  constructor(config, eventBus, { dnsManager, hostnameMonitor }) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dnsManager = dnsManager;
+    this.hostnameMonitor = hostnameMonitor;
+    this.server = null;
+    this.startedAt = new Date().toISOString();
+    
+    // Route table keyed by "METHOD /path"
+    this.routes = {
+      'GET /api/status': () => this.getStatus(),
+      'GET /api/records/tracked': () => this.getTrackedRecords(),
+      'GET /api/records/history': (query) => this.getRecordHistory(query),
+      'GET /api/records/cache': () => this.getCachedRecords(),
+      'GET /api/stats': () => this.getStats(),
+      'GET /api/hostnames': () => this.getHostnames(),
+      'GET /api/ips': () => this.getPublicIPs(),
+      'POST /api/poll': () => this.triggerPoll(),
+      'POST /api/cache/refresh': () => this.refreshCache(),
+      'POST /api/cleanup': () => this.triggerCleanup()
+    };
+  }
+  
+  /**
+   * Start listening for API requests
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.apiPort, this.config.apiHost, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    
+    if (!this.config.apiToken) {
+      logger.warn('Management API is running without API_TOKEN, the POST endpoints are disabled until it is set');
+    }
+    
+    logger.success(`Management API listening on ${this.config.apiHost}:${this.config.apiPort}`);
+    return true;
+  }
+  
+  /**
+   * Stop the API server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.debug('Management API stopped');
+  }
+  
+  /**
+   * Handle an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${pathname.replace(/\/+$/, '')}`;
+    
+    logger.debug(`Management API request: ${route}`);
+    
+    try {
+      if (!this.isAuthorised(req)) {
+        return this.sendJson(res, 401, { error: 'Unauthorised' });
+      }
+      
+      const handler = this.routes[route];
+      
+      if (!handler) {
+        const pathExists = Object.keys(this.routes).some(key => key.endsWith(` ${pathname.replace(/\/+$/, '')}`));
+        return this.sendJson(res, pathExists ? 405 : 404, { error: pathExists ? 'Method not allowed' : 'Not found' });
+      }
+      
+      // POST endpoints change DNS records, so they are only open to requests carrying the token
+      if (req.method === 'POST' && !this.config.apiToken) {
+        return this.sendJson(res, 403, { error: 'Set API_TOKEN to enable the POST endpoints' });
+      }
+      
+      const { status = 200, body } = await handler(searchParams);
+      this.sendJson(res, status, body);
+    } catch (error) {
+      logger.error(`Management API error for ${route}: ${error.message}`);
+      this.sendJson(res, 500, { error: error.message });
+    }
+  }
+  
+  /**
+   * Check the bearer token when API_TOKEN is set
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} - True if the request may proceed
+   */
+  isAuthorised(req) {
+    if (!this.config.apiToken) {
+      return true;
+    }
+    
+    const expected = Buffer.from(`Bearer ${this.config.apiToken}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+    
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+  
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+  
+  /**
+   * Overview of the running instance
+   */
+  getStatus() {
+    const packageJson = require(path.join(__dirname, '..', '..', 'package.json'));
+    
+    return {
+      body: {
+        version: packageJson.version,
+        startedAt: this.startedAt,
+        providers: this.dnsManager.providers.map(context => ({
+          provider: context.name,
+          zone: context.zone,
+          cachedRecords: context.dnsProvider.recordCache.records.length,
+          cacheUpdatedAt: this.formatTimestamp(context.dnsProvider.recordCache.lastUpdated)
+        })),
+        lastPoll: this.hostnameMonitor.lastPollTime,
+        lastRun: this.dnsManager.lastRun ? this.dnsManager.lastRun.timestamp : null,
+        hostnameCount: this.hostnameMonitor.lastHostnames.length,
+        trackedRecordCount: this.dnsManager.recordTracker.getAllTrackedRecords().length,
+        trackerLoadFailed: this.dnsManager.recordTracker.loadFailed,
+        cleanupOrphaned: this.config.cleanupOrphaned,
+        dryRun: this.config.dryRun,
+        txtRegistryOwnerId: this.config.txtRegistryEnabled ? this.config.txtRegistryOwnerId : null
+      }
+    };
+  }
+  
+  /**
+   * Records created and tracked by TráfegoDNS
+   */
+  getTrackedRecords() {
+    return {
+      body: {
+        records: this.dnsManager.recordTracker.getAllTrackedRecords()
+      }
+    };
+  }
+  
+  /**
+   * Change history of tracked records, newest first
+   * Supports the name and limit query parameters
+   * @param {URLSearchParams} query - Query parameters
+   */
+  getRecordHistory(query) {
+    const limit = query.has('limit') ? parseInt(query.get('limit'), 10) : 100;
+    
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { status: 400, body: { error: 'limit must be a positive integer' } };
+    }
+    
+    const history = this.dnsManager.recordTracker.getHistory({
+      name: query.get('name') || undefined,
+      limit
+    });
+    
+    if (!history) {
+      return { status: 404, body: { error: 'Record history is only kept with TRACKER_STORE=sqlite' } };
+    }
+    
+    return {
+      body: {
+        history
+      }
+    };
+  }
+  
+  /**
+   * Provider record caches, per provider zone
+   */
+  getCachedRecords() {
+    return {
+      body: {
+        providers: this.dnsManager.providers.map(context => ({
+          provider: context.name,
+          zone: context.zone,
+          updatedAt: this.formatTimestamp(context.dnsProvider.recordCache.lastUpdated),
+          records: context.dnsProvider.recordCache.records
+        }))
+      }
+    };
+  }
+  
+  /**
+   * Statistics of the last processing run
+   */
+  getStats() {
+    const { lastRun } = this.dnsManager;
+    
+    return {
+      body: {
+        timestamp: lastRun ? lastRun.timestamp : null,
+        stats: lastRun ? lastRun.stats : null,
+        processedHostnames: lastRun ? lastRun.processedHostnames : []
+      }
+    };
+  }
+  
+  /**
+   * Hostnames discovered by the last poll
+   */
+  getHostnames() {
+    return {
+      body: {
+        lastPoll: this.hostnameMonitor.lastPollTime,
+        hostnames: this.hostnameMonitor.lastHostnames,
+        wildcardCandidates: this.hostnameMonitor.lastWildcardCandidates
+      }
+    };
+  }
+  
+  /**
+   * Current public IP addresses
+   */
+  getPublicIPs() {
+    const { ipv4, ipv6, lastCheck } = this.config.ipCache;
+    
+    return {
+      body: {
+        ipv4: ipv4 || null,
+        ipv6: ipv6 || null,
+        lastCheck: this.formatTimestamp(lastCheck)
+      }
+    };
+  }
+  
+  /**
+   * Force a poll of Traefik, or of the container labels in direct mode
+   */
+  async triggerPoll() {
+    if (this.hostnameMonitor.isPolling) {
+      return { status: 409, body: { error: 'A poll is already in progress' } };
+    }
+    
+    logger.info('Poll requested through the management API');
+    await this.hostnameMonitor.poll();
+    
+    // DNS records are processed asynchronously once the routers are published
+    return {
+      status: 202,
+      body: {
+        message: 'Poll completed, DNS records are being processed',
+        lastPoll: this.hostnameMonitor.lastPollTime,
+        hostnameCount: this.hostnameMonitor.lastHostnames.length
+      }
+    };
+  }
+  
+  /**
+   * Force a refresh of the provider record caches
+   */
+  async refreshCache() {
+    logger.info('DNS cache refresh requested through the management API');
+    const providers = await this.dnsManager.refreshAllRecordCaches();
+    
+    return {
+      body: {
+        message: 'DNS record cache refreshed',
+        providers
+      }
+    };
+  }
+  
+  /**
+   * Trigger orphaned record cleanup
+   */
+  async triggerCleanup() {
+    logger.info('Orphaned record cleanup requested through the management API');
+    const completed = await this.dnsManager.cleanupAllOrphanedRecords();
+    
+    if (!completed) {
+      const error = this.dnsManager.recordTracker.loadFailed
+        ? 'Tracked DNS records could not be loaded, cleanup is disabled'
+        : 'No active hostnames have been processed yet';
+      return { status: 409, body: { error } };
+    }
+    
+    return {
+      body: {
+        message: 'Orphaned record cleanup completed',
+        trackedRecordCount: this.dnsManager.recordTracker.getAllTrackedRecords().length
+      }
+    };
+  }
+  
+  /**
+   * Format a millisecond timestamp, null if never set
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {string|null} - ISO timestamp
+   */
+  formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+}
+
+module.exports = ApiServer;
@@ -1,39 +1,103 @@
 /**
  * DNS Manager Service
- * Responsible for managing DNS records through the selected provider
+ * Responsible for managing DNS records through the configured providers
  */
 const { DNSProviderFactory } = require('../providers');
 const logger = require('../utils/logger');
 const EventTypes = require('../events/EventTypes');
-const { extractDnsConfigFromLabels } = require('../utils/dns');
+const { extractDnsConfigsFromLabels, getLabelValue } = require('../utils/dns');
 const RecordTracker = require('../utils/recordTracker');
+const TxtRegistry = require('../utils/txtRegistry');
+
+// Settings that are read when they are used, changing them doesn't need new provider instances
+const PROVIDER_INDEPENDENT_SETTINGS = new Set([
+  'operationMode',
+  'kubernetesApiUrl',
+  'kubernetesToken',
+  'kubernetesCaFile',
+  'kubernetesNamespace',
+  'kubernetesAnnotationPrefix',
+  'pollInterval',
+  'watchDockerEvents',
+  'dockerSocket',
+  'dockerHosts',
+  'dockerCertPath',
+  'dockerSwarmMode',
+  'cleanupOrphaned',
+  'cleanupGracePolls',
+  'cleanupGracePeriod',
+  'preservedHostnames',
+  'dryRun',
+  'defaultManage',
+  'cacheRefreshInterval',
+  'ipRefreshInterval',
+  'traefikApiUrl',
+  'traefikApiUsername',
+  'traefikApiPassword',
+  'traefikLabelPrefix',
+  'traefikIncludeEntrypoints',
+  'traefikExcludeEntrypoints',
+  'traefikIncludeProviders',
+  'traefikExcludeProviders',
+  'traefikIncludeStatuses',
+  'traefikExcludeStatuses',
+  'traefikIncludeRouters',
+  'traefikExcludeRouters',
+  'apiEnabled',
+  'apiHost',
+  'apiPort',
+  'apiToken',
+  'metricsEnabled',
+  'metricsHost',
+  'metricsPort',
+  'metricsToken',
+  'dataDir',
+  'trackerStore',
+  'trackerDatabase'
+]);
 
 class DNSManager {
   constructor(config, eventBus) {
     this.config = config;
     this.eventBus = eventBus;
-    this.dnsProvider = DNSProviderFactory.createProvider(config);
     
     // Initialise record tracker
     this.recordTracker = new RecordTracker(config);
     
+    // Ownership registry kept in TXT records next to the managed records
+    this.txtRegistry = new TxtRegistry(config);
+    
+    // Create a provider instance for each zone of each configured provider, the first one is the primary
+    this.providers = this.createProviderContexts();
+    this.dnsProvider = this.providers[0].dnsProvider;
+    
     // Track which preserved records we've already logged to avoid spam
     this.loggedPreservedRecords = new Set();
     
+    // Track which hostnames outside every zone we've already warned about
+    this.loggedUnroutedHostnames = new Set();
+    
+    // Track which records owned by other instances we've already warned about
+    this.loggedForeignRecords = new Set();
+    
+    // Whether the refused cleanup of an unreadable tracker has been logged
+    this.loggedTrackerLoadFailure = false;
+    
     // Initialise counters for statistics
-    this.stats = {
-      created: 0,
-      updated: 0,
-      upToDate: 0,
-      errors: 0,
-      total: 0
-    };
+    this.resetStats();
     
     // Track previous poll statistics to reduce logging noise
     this.previousStats = {
       upToDateCount: 0
     };
     
+    // Results of the last processing run, used for on-demand cleanup and reporting
+    this.lastRun = null;
+    
+    // Changes collected in dry-run mode and the last plan logged, to reduce logging noise
+    this.plan = [];
+    this.previousPlan = null;
+    
     // Subscribe to relevant events
     this.setupEventSubscriptions();
   }
@@ -44,7 +108,20 @@ class DNSManager {
   async init() {
     try {
       logger.debug('Initializing DNS Manager...');
-      await this.dnsProvider.init();
+      
+      for (const context of this.providers) {
+        logger.debug(`Initializing ${context.name} DNS provider for zone ${context.zone || '(zone ID)'}...`);
+        await context.dnsProvider.init();
+        
+        if (this.txtRegistry.enabled) {
+          await this.loadRegistryOwnership(context);
+        }
+      }
+      
+      if (this.config.dryRun) {
+        logger.warn('Dry-run mode is enabled: DNS changes will be planned and logged but not applied');
+      }
+      
       logger.success('DNS Manager initialised successfully');
       return true;
     } catch (error) {
@@ -53,6 +130,143 @@ class DNSManager {
     }
   }
   
+  /**
+   * Create the provider contexts of every zone of every configured provider
+   * @returns {Array<Object>} - Provider contexts, the primary provider first
+   */
+  createProviderContexts() {
+    return this.config.dnsProviders.flatMap(name =>
+      this.config.getProviderZones(name).map(zone => this.createProviderContext(name, zone))
+    );
+  }
+  
+  /**
+   * Replace the provider contexts after the provider configuration changed
+   * The new providers are initialised first, the current ones are kept if that fails
+   * @returns {Promise<boolean>} - True if the new providers are in use
+   */
+  async reloadProviders() {
+    try {
+      logger.info('DNS provider settings changed, reinitialising DNS providers...');
+      
+      const providers = this.createProviderContexts();
+      for (const context of providers) {
+        await context.dnsProvider.init();
+        
+        if (this.txtRegistry.enabled) {
+          await this.loadRegistryOwnership(context);
+        }
+      }
+      
+      this.providers = providers;
+      this.dnsProvider = providers[0].dnsProvider;
+      this.loggedUnroutedHostnames = new Set();
+      
+      // Hostnames of the last run belong to the old provider zones
+      this.lastRun = null;
+      
+      logger.success(`DNS providers reinitialised: ${providers.map(context => `${context.name} (${context.zone})`).join(', ')}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to reinitialise DNS providers, keeping the current providers: ${error.message}`);
+      this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+        source: 'DNSManager.reloadProviders',
+        error: error.message
+      });
+      return false;
+    }
+  }
+  
+  /**
+   * Create the provider, configuration and tracker for one zone of a DNS provider
+   * Every zone gets its own provider instance, so zone IDs and record caches are kept per zone
+   * @param {string} name - DNS provider name
+   * @param {string} zone - Zone managed by the provider instance
+   * @returns {Object} - Provider context
+   */
+  createProviderContext(name, zone) {
+    const providerConfig = this.config.forProvider(name, zone);
+    const dnsProvider = DNSProviderFactory.createProvider(providerConfig);
+    
+    this.instrumentProvider(dnsProvider, name, zone);
+    
+    // Values added by hand to managed record sets are told apart through the tracker
+    const recordTracker = this.recordTracker.forProvider(name, zone, dnsProvider);
+    dnsProvider.recordTracker = recordTracker;
+    
+    return {
+      name,
+      zone,
+      config: providerConfig,
+      dnsProvider,
+      recordTracker
+    };
+  }
+  
+  /**
+   * Time the API operations of a provider and publish each call for metrics
+   * @param {DNSProvider} dnsProvider - Provider instance
+   * @param {string} name - DNS provider name
+   * @param {string} zone - Zone managed by the provider instance
+   */
+  instrumentProvider(dnsProvider, name, zone) {
+    const operations = ['refreshRecordCache', 'createRecord', 'updateRecord', 'deleteRecord'];
+    
+    for (const operation of operations) {
+      const method = dnsProvider[operation];
+      
+      if (typeof method !== 'function') {
+        continue;
+      }
+      
+      dnsProvider[operation] = async (...args) => {
+        const startTime = Date.now();
+        let success = false;
+        
+        try {
+          const result = await method.apply(dnsProvider, args);
+          success = true;
+          return result;
+        } finally {
+          this.eventBus.publish(EventTypes.DNS_PROVIDER_CALL, {
+            provider: name,
+            zone,
+            operation,
+            success,
+            duration: Date.now() - startTime
+          });
+        }
+      };
+    }
+  }
+  
+  /**
+   * Find the provider zone responsible for a hostname
+   * The zone that is the longest matching suffix of the hostname wins
+   * @param {string} hostname - Fully qualified hostname
+   * @param {Array<Object>} providers - Provider contexts to choose from
+   * @returns {Object|null} - Provider context, null if the hostname is outside every zone
+   */
+  getProviderForHostname(hostname, providers = this.providers) {
+    const name = hostname.toLowerCase().replace(/\.$/, '');
+    let match = null;
+    let matchLength = -1;
+    
+    for (const context of providers) {
+      const zone = context.zone.toLowerCase().replace(/\.$/, '');
+      
+      // A provider without a zone name (Route53 with only a zone ID) accepts every hostname
+      if (!zone || name === zone || name.endsWith(`.${zone}`)) {
+        if (zone.length > matchLength) {
+          match = context;
+          matchLength = zone.length;
+        }
+      }
+    }
+    
+    return match;
+  }
+  
   /**
    * Set up event subscriptions
    */
@@ -62,6 +276,16 @@ class DNSManager {
       const { hostnames, containerLabels } = data;
       await this.processHostnames(hostnames, containerLabels);
     });
+    
+    // Apply changes from the configuration file
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, async (data) => {
+      this.recordTracker.loadPreservedHostnames();
+      this.resetLoggedPreservedRecords();
+      
+      if (data.changed.some(setting => !PROVIDER_INDEPENDENT_SETTINGS.has(setting))) {
+        await this.reloadProviders();
+      }
+    });
   }
   
   /**
@@ -70,45 +294,64 @@ class DNSManager {
    * @param {Object} containerLabels - Map of container IDs to their labels
    */
   async processHostnames(hostnames, containerLabels) {
+    const startTime = Date.now();
+    
     try {
       logger.debug(`DNS Manager processing ${hostnames.length} hostnames`);
       
-      // Reset statistics for this processing run
+      // Use the same provider contexts for the whole run, even if they are reloaded meanwhile
+      const providers = this.providers;
+      
+      // Reset statistics and the dry-run plan for this processing run
       this.resetStats();
+      this.plan = [];
       
       // Track processed hostnames for cleanup
       const processedHostnames = [];
       
-      // Collect all DNS record configurations to batch process
-      const dnsRecordConfigs = [];
+      // Collect DNS record configurations and processed hostnames per provider zone to batch process
+      const dnsRecordConfigs = new Map(providers.map(context => [context, []]));
+      const providerHostnames = new Map(providers.map(context => [context, []]));
+      
+      // Router and container that requested each hostname, kept in the record history
+      const recordSources = new Map();
       
       // Process each hostname
       for (const hostname of hostnames) {
+        let providerStats = null;
+        
         try {
           this.stats.total++;
           
+          // Create fully qualified domain name and find the provider zone it belongs to
+          const fqdn = this.ensureFqdn(hostname, this.config.getProviderDomain());
+          const context = this.getProviderForHostname(fqdn, providers);
+          
+          if (!context) {
+            if (!this.loggedUnroutedHostnames.has(fqdn)) {
+              logger.warn(`Skipping ${fqdn}: hostname is not in any configured zone`);
+              this.loggedUnroutedHostnames.add(fqdn);
+            } else {
+              logger.debug(`Skipping ${fqdn}: hostname is not in any configured zone`);
+            }
+            continue;
+          }
+          
+          providerStats = this.stats.providers[context.name];
+          providerStats.total++;
+          
           // Find container labels for this hostname if possible
           const labels = containerLabels[hostname] || {};
           
           // Get label prefixes for easier reference
           const genericLabelPrefix = this.config.genericLabelPrefix;
-          const providerLabelPrefix = this.config.dnsLabelPrefix;
+          const providerLabelPrefix = context.config.dnsLabelPrefix;
           
           // Check if we should manage DNS based on global setting and labels
-          // First check generic labels
-          let manageLabel = labels[`${genericLabelPrefix}manage`];
-          let skipLabel = labels[`${genericLabelPrefix}skip`];
-          
-          // Then check provider-specific labels which take precedence
-          if (labels[`${providerLabelPrefix}manage`] !== undefined) {
-            manageLabel = labels[`${providerLabelPrefix}manage`];
-            logger.debug(`Found provider-specific manage label: ${providerLabelPrefix}manage=${manageLabel}`);
-          }
-          
-          if (labels[`${providerLabelPrefix}skip`] !== undefined) {
-            skipLabel = labels[`${providerLabelPrefix}skip`];
-            logger.debug(`Found provider-specific skip label: ${providerLabelPrefix}skip=${skipLabel}`);
-          }
+          // Labels scoped to the hostname or its router come first, then provider-specific and generic labels
+          const labelScope = { hostname: fqdn, router: labels.routerName };
+          const manageLabel = getLabelValue(labels, genericLabelPrefix, providerLabelPrefix, 'manage', undefined, labelScope);
+          const skipLabel = getLabelValue(labels, genericLabelPrefix, providerLabelPrefix, 'skip', undefined, labelScope);
           
           // Determine whether to manage this hostname's DNS
           let shouldManage = this.config.defaultManage;
@@ -130,63 +373,96 @@ class DNSManager {
             continue;
           }
           
-          // Create fully qualified domain name
-          const fqdn = this.ensureFqdn(hostname, this.config.getProviderDomain());
           processedHostnames.push(fqdn);
+          providerHostnames.get(context).push(fqdn);
           
-          // Extract DNS configuration
-          const recordConfig = extractDnsConfigFromLabels(
+          // Extract DNS configuration, record groups give a hostname several records
+          const recordConfigs = extractDnsConfigsFromLabels(
             labels, 
-            this.config,
+            context.config,
             fqdn
           );
           
           // Add to batch instead of processing immediately
-          dnsRecordConfigs.push(recordConfig);
+          dnsRecordConfigs.get(context).push(...recordConfigs);
+          recordSources.set(fqdn.toLowerCase(), {
+            router: labels.routerName,
+            container: labels.containerName
+          });
           
         } catch (error) {
-          this.stats.errors++;
+          if (providerStats) {
+            providerStats.errors++;
+          } else {
+            this.stats.errors++;
+          }
           logger.error(`Error processing hostname ${hostname}: ${error.message}`);
         }
       }
       
-      // Batch process all DNS records
-      if (dnsRecordConfigs.length > 0) {
-        logger.debug(`Batch processing ${dnsRecordConfigs.length} DNS record configurations`);
-        const processedRecords = await this.dnsProvider.batchEnsureRecords(dnsRecordConfigs);
+      // Batch process the DNS records of each provider zone
+      const failedProviders = new Set();
+      
+      for (const context of providers) {
+        const recordConfigs = dnsRecordConfigs.get(context);
         
-        // Track all created/updated records
-        if (processedRecords && processedRecords.length > 0) {
-          for (const record of processedRecords) {
-            // Only track records that have an ID (successfully created/updated)
-            if (record && record.id) {
-              // Check if this is a new record or just an update
-              const isTracked = this.recordTracker.isTracked(record);
-              
-              if (isTracked) {
-                // Update the tracked record with the latest ID
-                this.recordTracker.updateRecordId(record, record);
-              } else {
-                // Track new record
-                this.recordTracker.trackRecord(record);
-              }
-            }
-          }
+        if (recordConfigs.length === 0) {
+          continue;
+        }
+        
+        try {
+          await this.processProviderRecords(context, recordConfigs, recordSources);
+        } catch (error) {
+          failedProviders.add(context);
+          this.stats.providers[context.name].errors++;
+          logger.error(`Error processing DNS records for ${context.name} zone ${context.zone}: ${error.message}`);
+          this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+            source: `DNSManager.processHostnames (${context.name}:${context.zone})`,
+            error: error.message
+          });
         }
       }
       
+      // Roll the provider counts up into the totals
+      for (const providerStats of Object.values(this.stats.providers)) {
+        this.stats.created += providerStats.created;
+        this.stats.updated += providerStats.updated;
+        this.stats.upToDate += providerStats.upToDate;
+        this.stats.errors += providerStats.errors;
+      }
+      
       // Log summary stats if we have records
       this.logStats();
       
+      // Remember this run for on-demand cleanup and reporting
+      this.lastRun = {
+        timestamp: new Date().toISOString(),
+        stats: this.stats,
+        processedHostnames,
+        providerHostnames
+      };
+      
       // Cleanup orphaned records if configured
       if (this.config.cleanupOrphaned && processedHostnames.length > 0) {
-        await this.cleanupOrphanedRecords(processedHostnames);
+        for (const context of providers) {
+          // Don't remove records of a provider zone whose updates just failed
+          if (failedProviders.has(context)) {
+            continue;
+          }
+          
+          await this.cleanupOrphanedRecords(context, providerHostnames.get(context));
+        }
+      }
+      
+      if (this.config.dryRun) {
+        this.logPlan();
       }
       
       // Publish event with results
       this.eventBus.publish(EventTypes.DNS_RECORDS_UPDATED, {
         stats: this.stats,
-        processedHostnames
+        processedHostnames,
+        duration: Date.now() - startTime
       });
       
       return {
@@ -203,11 +479,295 @@ class DNSManager {
     }
   }
 
+  /**
+   * Batch process the DNS records of a single provider and track the results
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations for the provider
+   * @param {Map<string, Object>} recordSources - Router and container by hostname
+   */
+  async processProviderRecords(context, recordConfigs, recordSources = new Map()) {
+    const providerStats = this.stats.providers[context.name];
+    
+    if (this.txtRegistry.enabled) {
+      // Leave the records of other instances alone
+      recordConfigs = await this.filterForeignRecords(context, recordConfigs);
+      
+      // Claim the hostnames before their records are written, registry records aren't counted in the statistics
+      const ttl = context.config.recordDefaults.TXT.ttl;
+      const hostnames = new Set(recordConfigs.map(recordConfig => recordConfig.name.toLowerCase()));
+      const registryConfigs = Array.from(hostnames, hostname => this.txtRegistry.createRegistryRecord(hostname, ttl));
+      
+      await this.ensureRecords(context, registryConfigs, this.createStatsCounter(), recordSources);
+    }
+    
+    logger.debug(`Batch processing ${recordConfigs.length} DNS record configurations for ${context.name} zone ${context.zone}`);
+    
+    await this.ensureRecords(context, recordConfigs, providerStats, recordSources);
+  }
+  
+  /**
+   * Ensure a batch of records with the provider of a zone and track the results
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations for the provider
+   * @param {Object} statsCounter - Statistics counters the provider counts its changes in
+   * @param {Map<string, Object>} recordSources - Router and container by hostname
+   */
+  async ensureRecords(context, recordConfigs, statsCounter, recordSources) {
+    if (recordConfigs.length === 0) {
+      return;
+    }
+    
+    // Providers count their changes in the global stats counter
+    global.statsCounter = statsCounter;
+    context.dnsProvider.plannedChanges = [];
+    
+    let processedRecords;
+    try {
+      processedRecords = await context.dnsProvider.batchEnsureRecords(recordConfigs);
+    } finally {
+      global.statsCounter = null;
+    }
+    
+    await this.removeSurplusRecords(context, recordConfigs);
+    
+    // Nothing was applied, so there is nothing to track
+    if (this.config.dryRun) {
+      for (const change of context.dnsProvider.plannedChanges) {
+        this.plan.push({ ...change, context });
+      }
+      return;
+    }
+    
+    // Track all created/updated records
+    if (processedRecords && processedRecords.length > 0) {
+      for (const processedRecord of processedRecords) {
+        // Only track records that have an ID (successfully created/updated)
+        if (!processedRecord || !processedRecord.id) {
+          continue;
+        }
+        
+        for (const record of this.getConfiguredValues(context, processedRecord, recordConfigs)) {
+          // A value that was updated in place is still tracked under the value it replaced
+          const trackedRecord = context.recordTracker.getTrackedRecord(record) || this.findReplacedValue(context, record);
+          const details = this.getTrackingDetails(context, record, recordSources);
+          
+          if (trackedRecord) {
+            // Update the tracked record with the latest ID and value
+            context.recordTracker.updateRecordId(trackedRecord, record, details);
+          } else {
+            // Track new record
+            context.recordTracker.trackRecord(record, details);
+          }
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the values of a processed record that the batch configured, each one is tracked on its own
+   * A record written as a whole record set carries all values of the set, values added by hand are left untracked
+   * @param {Object} context - Provider context
+   * @param {Object} record - Processed DNS record
+   * @param {Array<Object>} recordConfigs - Record configurations of the batch
+   * @returns {Array<Object>} - One record per configured value
+   */
+  getConfiguredValues(context, record, recordConfigs) {
+    if (!record.recordSet) {
+      return [record];
+    }
+    
+    return record.recordSet
+      .filter(member => recordConfigs.includes(member))
+      .map(member => ({ ...member, id: record.id, type: record.type, name: record.name }));
+  }
+  
+  /**
+   * Find the tracked value of a record set that a newly processed value replaced
+   * A tracked value that no cached record of the set has any more was updated to another value
+   * @param {Object} context - Provider context
+   * @param {Object} record - Processed DNS record that isn't tracked yet
+   * @returns {Object|null} - Tracked record of the replaced value, null if the value is new
+   */
+  findReplacedValue(context, record) {
+    const cachedRecords = context.dnsProvider.findRecordsInCache(record.type, record.name);
+    const currentValues = new Set(cachedRecords.map(cached => context.recordTracker.getTrackedRecord(cached)));
+    
+    return context.recordTracker.getTrackedRecordSet(record)
+      .find(trackedRecord => !currentValues.has(trackedRecord)) || null;
+  }
+  
+  /**
+   * Remove the values of managed record sets that are no longer configured, e.g. after a record group was removed
+   * Only values tracked as created by this instance are removed, values added by hand are left alone
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations of the batch
+   */
+  async removeSurplusRecords(context, recordConfigs) {
+    for (const record of context.dnsProvider.getSurplusRecords(recordConfigs)) {
+      const recordFqdn = this.getRecordFqdn(context, record);
+      const content = context.dnsProvider.getRecordFieldValue(record, 'content');
+      
+      if (!context.recordTracker.isTracked(record) || this.recordTracker.shouldPreserveHostname(recordFqdn)) {
+        logger.debug(`Keeping DNS record not managed by this instance: ${recordFqdn} (${record.type} ${content})`);
+        continue;
+      }
+      
+      if (this.config.dryRun) {
+        this.plan.push({
+          action: 'delete',
+          type: record.type,
+          name: recordFqdn,
+          changes: [`content: ${content}`],
+          context
+        });
+        continue;
+      }
+      
+      logger.info(`🗑️ Removing DNS record no longer in its record set: ${recordFqdn} (${record.type} ${content})`);
+      
+      try {
+        await context.dnsProvider.deleteRecordValue(record);
+        context.recordTracker.untrackRecord(record);
+        
+        this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
+          name: recordFqdn,
+          type: record.type,
+          provider: context.name,
+          zone: context.zone
+        });
+      } catch (error) {
+        logger.error(`Error deleting DNS record ${recordFqdn} (${record.type} ${content}): ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Get the details the record tracker keeps about a processed record
+   * @param {Object} context - Provider context
+   * @param {Object} record - Processed DNS record
+   * @param {Map<string, Object>} recordSources - Router and container by hostname
+   * @returns {Object} - Record content and the router and container that requested it
+   */
+  getTrackingDetails(context, record, recordSources = new Map()) {
+    const hostname = this.getRegistryHostname(record, this.getRecordFqdn(context, record));
+    const source = recordSources.get(hostname) || {};
+    
+    return {
+      content: context.dnsProvider.getRecordFieldValue(record, 'content'),
+      router: source.router,
+      container: source.container
+    };
+  }
+  
+  /**
+   * Remove the record configurations of hostnames registered to another instance
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations for the provider
+   * @returns {Promise<Array<Object>>} - Record configurations this instance may manage
+   */
+  async filterForeignRecords(context, recordConfigs) {
+    const records = await context.dnsProvider.getRecordsFromCache();
+    const owners = this.getRegistryOwners(context, records);
+    
+    return recordConfigs.filter(recordConfig => {
+      const owner = owners.get(recordConfig.name.toLowerCase());
+      
+      if (!owner || owner === this.txtRegistry.ownerId) {
+        return true;
+      }
+      
+      const recordKey = `${recordConfig.name}-${owner}`;
+      const message = `Skipping ${recordConfig.name}: hostname is owned by TráfegoDNS instance ${owner}`;
+      
+      if (!this.loggedForeignRecords.has(recordKey)) {
+        logger.warn(message);
+        this.loggedForeignRecords.add(recordKey);
+      } else {
+        logger.debug(message);
+      }
+      
+      return false;
+    });
+  }
+  
+  /**
+   * Read the ownership registry of a provider zone
+   * Records registered to this instance are tracked again, which restores a lost tracker file
+   * @param {Object} context - Provider context
+   */
+  async loadRegistryOwnership(context) {
+    const records = await context.dnsProvider.getRecordsFromCache(true);
+    const owners = this.getRegistryOwners(context, records);
+    const ownerId = this.txtRegistry.ownerId;
+    const ownedCount = Array.from(owners.values()).filter(owner => owner === ownerId).length;
+    
+    logger.info(`TXT registry of ${context.name} zone ${context.zone}: ${ownedCount} hostnames owned by ${ownerId}, ${owners.size - ownedCount} by other instances`);
+    
+    if (this.config.dryRun) {
+      return;
+    }
+    
+    for (const record of records) {
+      const hostname = this.getRegistryHostname(record, this.getRecordFqdn(context, record));
+      
+      if (owners.get(hostname) === ownerId && !context.recordTracker.isTracked(record)) {
+        logger.debug(`Tracking DNS record registered to ${ownerId}: ${record.name} (${record.type})`);
+        context.recordTracker.trackRecord(record, this.getTrackingDetails(context, record));
+      }
+    }
+  }
+  
+  /**
+   * Collect the registered owners of the hostnames of a provider zone
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} records - Records of the zone
+   * @returns {Map<string, string>} - Owner ID by hostname
+   */
+  getRegistryOwners(context, records) {
+    return this.txtRegistry.collectOwners(
+      records,
+      record => this.getRecordFqdn(context, record),
+      record => context.dnsProvider.getRecordFieldValue(record, 'content')
+    );
+  }
+  
+  /**
+   * Get the hostname a record belongs to in the ownership registry
+   * Registry records belong to the hostname they register, other records to their own name
+   * @param {Object} record - DNS record
+   * @param {string} recordFqdn - Fully qualified name of the record
+   * @returns {string} - Hostname
+   */
+  getRegistryHostname(record, recordFqdn) {
+    if (record.type === 'TXT') {
+      const hostname = this.txtRegistry.getOwnedHostname(recordFqdn);
+      
+      if (hostname) {
+        return hostname;
+      }
+    }
+    
+    return recordFqdn;
+  }
+  
   /**
    * Reset statistics counters
    */
   resetStats() {
-    this.stats = {
+    this.stats = this.createStatsCounter();
+    this.stats.providers = {};
+    
+    for (const context of this.providers) {
+      this.stats.providers[context.name] = this.createStatsCounter();
+    }
+  }
+  
+  /**
+   * Create an empty set of statistics counters
+   * @returns {Object} - Statistics counters
+   */
+  createStatsCounter() {
+    return {
       created: 0,
       updated: 0,
       upToDate: 0,
@@ -216,6 +776,25 @@ class DNSManager {
     };
   }
   
+  /**
+   * Describe how a statistic is split across providers
+   * @param {string} key - Statistic name
+   * @returns {string} - Breakdown such as " (cloudflare: 2, route53: 1)", empty with a single provider
+   */
+  formatProviderBreakdown(key) {
+    const providerNames = Object.keys(this.stats.providers);
+    
+    if (providerNames.length < 2) {
+      return '';
+    }
+    
+    const parts = providerNames
+      .filter(name => this.stats.providers[name][key] > 0)
+      .map(name => `${name}: ${this.stats.providers[name][key]}`);
+    
+    return ` (${parts.join(', ')})`;
+  }
+  
   /**
    * Reset logged preserved records tracking
    */
@@ -229,7 +808,7 @@ class DNSManager {
   logStats() {
     if (this.stats.total > 0) {
       if (this.stats.created > 0) {
-        logger.success(`Created ${this.stats.created} new DNS records`);
+        logger.success(`Created ${this.stats.created} new DNS records${this.formatProviderBreakdown('created')}`);
         
         // Publish event for each creation (for metrics/monitoring)
         this.eventBus.publish(EventTypes.DNS_RECORD_CREATED, {
@@ -238,7 +817,7 @@ class DNSManager {
       }
       
       if (this.stats.updated > 0) {
-        logger.success(`Updated ${this.stats.updated} existing DNS records`);
+        logger.success(`Updated ${this.stats.updated} existing DNS records${this.formatProviderBreakdown('updated')}`);
         
         // Publish event for each update
         this.eventBus.publish(EventTypes.DNS_RECORD_UPDATED, {
@@ -251,10 +830,10 @@ class DNSManager {
         const hasUpToDateChanged = this.previousStats.upToDateCount !== this.stats.upToDate;
         
         if (hasUpToDateChanged) {
-          logger.info(`${this.stats.upToDate} DNS records are up to date`);
+          logger.info(`${this.stats.upToDate} DNS records are up to date${this.formatProviderBreakdown('upToDate')}`);
         } else {
           // Log at debug level instead of info when nothing has changed
-          logger.debug(`${this.stats.upToDate} DNS records are up to date`);
+          logger.debug(`${this.stats.upToDate} DNS records are up to date${this.formatProviderBreakdown('upToDate')}`);
         }
         
         // Update for next comparison
@@ -262,11 +841,54 @@ class DNSManager {
       }
       
       if (this.stats.errors > 0) {
-        logger.warn(`Encountered ${this.stats.errors} errors processing DNS records`);
+        logger.warn(`Encountered ${this.stats.errors} errors processing DNS records${this.formatProviderBreakdown('errors')}`);
       }
     }
   }
   
+  /**
+   * Log the changes collected in dry-run mode as a plan, grouped by provider zone
+   * An unchanged plan is logged at debug level to avoid repeating it on every poll
+   */
+  logPlan() {
+    const symbols = { create: '+', update: '~', delete: '-' };
+    const counts = { create: 0, update: 0, delete: 0 };
+    const lines = [];
+    
+    for (const context of this.providers) {
+      const changes = this.plan.filter(change => change.context === context);
+      
+      if (changes.length === 0) {
+        continue;
+      }
+      
+      lines.push(`${context.name} zone ${context.zone}:`);
+      
+      for (const change of changes) {
+        const details = change.changes.length > 0 ? ` (${change.changes.join(', ')})` : '';
+        lines.push(`  ${symbols[change.action]} ${change.action} ${change.type} ${change.name}${details}`);
+        counts[change.action]++;
+      }
+    }
+    
+    const summary = `Plan: ${counts.create} to create, ${counts.update} to update, ${counts.delete} to delete`;
+    const planText = lines.join('\n');
+    const level = planText === this.previousPlan ? 'debug' : 'info';
+    
+    this.previousPlan = planText;
+    
+    if (lines.length === 0) {
+      logger[level]('📋 Dry run: no changes, DNS records match the current configuration');
+      return;
+    }
+    
+    logger[level]('📋 Dry run: the following DNS changes would be made');
+    for (const line of lines) {
+      logger[level](`  ${line}`);
+    }
+    logger[level](`📋 ${summary}`);
+  }
+  
   /**
    * Ensure a hostname is a fully qualified domain name
    */
@@ -278,14 +900,167 @@ class DNSManager {
   }
   
   /**
-   * Clean up orphaned DNS records
+   * Force a refresh of the record cache of every provider zone
+   * @returns {Promise<Array<Object>>} - Number of cached records per provider zone
+   */
+  async refreshAllRecordCaches() {
+    const results = [];
+    
+    for (const context of this.providers) {
+      await context.dnsProvider.refreshRecordCache();
+      results.push({
+        provider: context.name,
+        zone: context.zone,
+        records: context.dnsProvider.recordCache.records.length
+      });
+    }
+    
+    this.eventBus.publish(EventTypes.DNS_CACHE_REFRESHED, { providers: results });
+    return results;
+  }
+  
+  /**
+   * Reconstruct the fully qualified name of a record of a provider zone
+   * @param {Object} context - Provider context
+   * @param {Object} record - DNS record, with a relative or fully qualified name
+   * @returns {string} - Lowercase fully qualified name
+   */
+  getRecordFqdn(context, record) {
+    const domainName = context.zone.toLowerCase();
+    
+    if (record.name === '@') {
+      return domainName;
+    }
+    
+    // Check if the record name already contains the domain, otherwise append it
+    let recordFqdn = record.name.toLowerCase().replace(/\.$/, '');
+    if (!recordFqdn.endsWith(domainName)) {
+      recordFqdn = `${recordFqdn}.${domainName}`;
+    }
+    
+    // Check for domain duplication (e.g., example.com.example.com)
+    const doublePattern = new RegExp(`${domainName}\\.${domainName}$`, 'i');
+    if (doublePattern.test(recordFqdn)) {
+      // Remove the duplicated domain part
+      recordFqdn = recordFqdn.replace(doublePattern, domainName);
+      logger.debug(`Fixed duplicated domain in record: ${recordFqdn}`);
+    }
+    
+    return recordFqdn;
+  }
+  
+  /**
+   * Clean up orphaned records of every provider zone, using the hostnames of the last run
+   * Runs regardless of CLEANUP_ORPHANED, as it is requested explicitly
+   * @returns {Promise<boolean>} - False if there is no previous run with active hostnames to compare against
+   */
+  async cleanupAllOrphanedRecords() {
+    if (!this.lastRun || this.lastRun.processedHostnames.length === 0) {
+      logger.warn('Skipping orphaned record cleanup: no active hostnames have been processed yet');
+      return false;
+    }
+    
+    if (this.recordTracker.loadFailed) {
+      logger.warn('Skipping orphaned record cleanup: the tracked DNS records could not be loaded');
+      return false;
+    }
+    
+    this.plan = [];
+    
+    for (const context of this.providers) {
+      await this.cleanupOrphanedRecords(context, this.lastRun.providerHostnames.get(context) || [], false);
+    }
+    
+    if (this.config.dryRun) {
+      this.logPlan();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check if an orphaned record has been missing long enough to be deleted
+   * The record is marked in the tracker the first time, later checks count the polls it stays missing for
+   * @param {Object} context - Provider context
+   * @param {Object} record - Orphaned DNS record
+   * @param {boolean} countPoll - Whether this check counts as a poll the record was missing from
+   * @returns {boolean} - True if the record can be deleted
+   */
+  isGracePeriodOver(context, record, countPoll) {
+    const { cleanupGracePolls, cleanupGracePeriod } = this.config;
+    
+    if (cleanupGracePolls <= 1 && cleanupGracePeriod <= 0) {
+      return true;
+    }
+    
+    let mark;
+    if (this.config.dryRun) {
+      mark = context.recordTracker.getOrphanedMark(record);
+    } else {
+      // Records owned through the TXT registry may not be tracked yet
+      if (!context.recordTracker.isTracked(record)) {
+        context.recordTracker.trackRecord(record, this.getTrackingDetails(context, record));
+      }
+      
+      if (!context.recordTracker.getOrphanedMark(record)) {
+        logger.info(`⏳ DNS record ${record.displayName} (${record.type}) is orphaned, it will be removed if it stays missing for ${this.formatGracePeriod()}`);
+      }
+      
+      mark = context.recordTracker.markOrphaned(record, countPoll);
+    }
+    
+    if (!mark) {
+      return false;
+    }
+    
+    const orphanedFor = Date.now() - new Date(mark.orphanedAt).getTime();
+    
+    if (mark.orphanedPolls < cleanupGracePolls || orphanedFor < cleanupGracePeriod) {
+      logger.debug(`Keeping orphaned DNS record during the grace period: ${record.displayName} (${record.type}), missing for ${mark.orphanedPolls} polls since ${mark.orphanedAt}`);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Describe the cleanup grace period
+   * @returns {string} - Description such as "3 polls and 15 minutes"
    */
-  async cleanupOrphanedRecords(activeHostnames) {
+  formatGracePeriod() {
+    const { cleanupGracePolls, cleanupGracePeriod } = this.config;
+    const period = cleanupGracePeriod % 60000 === 0
+      ? `${cleanupGracePeriod / 60000} minutes`
+      : `${cleanupGracePeriod / 1000} seconds`;
+    
+    return `${cleanupGracePolls} polls and ${period}`;
+  }
+  
+  /**
+   * Clean up orphaned DNS records of a provider
+   * @param {Object} context - Provider context
+   * @param {Array<string>} activeHostnames - Active hostnames routed to the provider
+   * @param {boolean} countPoll - Whether this cleanup counts as a poll towards the grace period
+   */
+  async cleanupOrphanedRecords(context, activeHostnames, countPoll = true) {
+    // Without the tracked records it's unknown which records were created by this tool
+    if (this.recordTracker.loadFailed) {
+      const message = 'Skipping orphaned record cleanup: the tracked DNS records could not be loaded, restore the tracker file or database and restart';
+      
+      if (!this.loggedTrackerLoadFailure) {
+        logger.warn(message);
+        this.loggedTrackerLoadFailure = true;
+      } else {
+        logger.debug(message);
+      }
+      return;
+    }
+    
     try {
-      logger.debug('Checking for orphaned DNS records...');
+      logger.debug(`Checking for orphaned DNS records in ${context.name} zone ${context.zone}...`);
       
       // Get all DNS records for our zone (from cache when possible)
-      const allRecords = await this.dnsProvider.getRecordsFromCache(true); // Force refresh
+      const allRecords = await context.dnsProvider.getRecordsFromCache(true); // Force refresh
       
       // Normalize active hostnames for comparison
       const normalizedActiveHostnames = new Set(activeHostnames.map(host => host.toLowerCase()));
@@ -293,14 +1068,15 @@ class DNSManager {
       // Log all active hostnames in trace mode
       logger.trace(`Active hostnames: ${Array.from(normalizedActiveHostnames).join(', ')}`);
       
+      // Owners registered in the zone, which take precedence over the tracker file
+      const registryOwners = this.txtRegistry.enabled ? this.getRegistryOwners(context, allRecords) : null;
+      
       // Find records that were created by this tool but no longer exist in Traefik
       const orphanedRecords = [];
-      const domainSuffix = `.${this.config.getProviderDomain()}`;
-      const domainName = this.config.getProviderDomain().toLowerCase();
       
       for (const record of allRecords) {
         // Skip apex domain/root records
-        if (record.name === '@' || record.name === this.config.getProviderDomain()) {
+        if (record.name === '@' || record.name === context.zone) {
           logger.debug(`Skipping apex record: ${record.name}`);
           continue;
         }
@@ -311,15 +1087,29 @@ class DNSManager {
           continue;
         }
         
-        // Check if this record is tracked by our tool
-        if (!this.recordTracker.isTracked(record)) {
+        // Reconstruct the FQDN from record name format
+        const recordFqdn = this.getRecordFqdn(context, record);
+        
+        // Registry records are handled together with the hostname they register
+        const hostname = registryOwners ? this.getRegistryHostname(record, recordFqdn) : recordFqdn;
+        const owner = registryOwners ? registryOwners.get(hostname) : undefined;
+        
+        if (owner && owner !== this.txtRegistry.ownerId) {
+          logger.debug(`Skipping record owned by TráfegoDNS instance ${owner}: ${recordFqdn} (${record.type})`);
+          continue;
+        }
+        
+        // Check if this record is tracked by our tool, unless the registry already says it's ours
+        if (!owner && !context.recordTracker.isTracked(record)) {
           // Support legacy records with comment for backward compatibility
-          if (this.config.dnsProvider === 'cloudflare' && 
+          if (context.name === 'cloudflare' && 
               (record.comment === 'Managed by Traefik DNS Manager' || 
                record.comment === 'Managed by TráfegoDNS')) {
             // This is a legacy record created before we implemented tracking
             logger.debug(`Found legacy managed record with comment: ${record.name} (${record.type})`);
-            this.recordTracker.trackRecord(record);
+            if (!this.config.dryRun) {
+              context.recordTracker.trackRecord(record, this.getTrackingDetails(context, record));
+            }
           } else {
             // Not tracked and not a legacy record - skip it
             logger.debug(`Skipping non-managed record: ${record.name} (${record.type})`);
@@ -327,35 +1117,11 @@ class DNSManager {
           }
         }
         
-        // Reconstruct the FQDN from record name format
-        let recordFqdn;
-        if (record.name === '@') {
-          recordFqdn = domainName;
-        } else {
-          // Check if the record name already contains the domain
-          const recordName = record.name.toLowerCase();
-          if (recordName.endsWith(domainName)) {
-            // Already has domain name, use as is
-            recordFqdn = recordName;
-          } else {
-            // Need to append domain
-            recordFqdn = `${recordName}${domainSuffix}`;
-          }
-        }
-        
-        // Check for domain duplication (e.g., example.com.example.com)
-        const doublePattern = new RegExp(`${domainName}\\.${domainName}$`, 'i');
-        if (doublePattern.test(recordFqdn)) {
-          // Remove the duplicated domain part
-          recordFqdn = recordFqdn.replace(doublePattern, domainName);
-          logger.debug(`Fixed duplicated domain in record: ${recordFqdn}`);
-        }
-        
         // Log each record for debugging
         logger.debug(`Checking record FQDN: ${recordFqdn} (${record.type})`);
         
         // Check if this record should be preserved
-        if (this.recordTracker.shouldPreserveHostname(recordFqdn)) {
+        if (this.recordTracker.shouldPreserveHostname(hostname)) {
           // Create a unique key for this record for tracking log messages
           const recordKey = `${recordFqdn}-${record.type}`;
           
@@ -368,55 +1134,83 @@ class DNSManager {
             logger.debug(`Preserving DNS record (in preserved list): ${recordFqdn} (${record.type})`);
           }
           
+          if (!this.config.dryRun) {
+            context.recordTracker.clearOrphaned(record);
+          }
+          
           continue;
         }
         
-        // Check if this record is still active
-        if (!normalizedActiveHostnames.has(recordFqdn)) {
+        // Check if this record is still active (records outside the zone keep their full name)
+        if (!normalizedActiveHostnames.has(hostname) &&
+            !normalizedActiveHostnames.has(record.name.toLowerCase())) {
           logger.debug(`Found orphaned record: ${recordFqdn} (${record.type})`);
           orphanedRecords.push({
             ...record,
             displayName: recordFqdn // Save the normalized display name
           });
+        } else if (!this.config.dryRun && context.recordTracker.clearOrphaned(record)) {
+          logger.info(`Hostname ${hostname} is active again, keeping DNS record ${recordFqdn} (${record.type})`);
+        }
+      }
+      
+      // Orphaned records are marked first and only deleted once the grace period is over
+      const expiredRecords = orphanedRecords.filter(record => this.isGracePeriodOver(context, record, countPoll));
+      context.recordTracker.saveOrphanedMarks();
+      
+      // In dry-run mode only add the deletions to the plan
+      if (this.config.dryRun) {
+        for (const record of orphanedRecords) {
+          this.plan.push({
+            action: 'delete',
+            type: record.type,
+            name: record.displayName,
+            changes: expiredRecords.includes(record) ? [] : [`after the grace period of ${this.formatGracePeriod()}`],
+            context
+          });
         }
+        return;
       }
       
       // Delete orphaned records
-      if (orphanedRecords.length > 0) {
-        logger.info(`Found ${orphanedRecords.length} orphaned DNS records to clean up`);
+      if (expiredRecords.length > 0) {
+        logger.info(`Found ${expiredRecords.length} orphaned DNS records to clean up in ${context.name} zone ${context.zone}`);
         
-        for (const record of orphanedRecords) {
+        for (const record of expiredRecords) {
           // Use the saved display name for logging
           const displayName = record.displayName || 
-                             (record.name === '@' ? this.config.getProviderDomain() 
-                                                 : `${record.name}.${this.config.getProviderDomain()}`);
+                             (record.name === '@' ? context.zone 
+                                                 : `${record.name}.${context.zone}`);
                              
           logger.info(`🗑️ Removing orphaned DNS record: ${displayName} (${record.type})`);
           
           try {
-            await this.dnsProvider.deleteRecord(record.id);
+            // Only this value is deleted, so values added by hand to the same record set are kept
+            await context.dnsProvider.deleteRecordValue(record);
             
             // Remove record from tracker
-            this.recordTracker.untrackRecord(record);
+            context.recordTracker.untrackRecord(record);
             
             // Publish delete event
             this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
               name: displayName,
-              type: record.type
+              type: record.type,
+              provider: context.name,
+              zone: context.zone
             });
           } catch (error) {
             logger.error(`Error deleting orphaned record ${displayName}: ${error.message}`);
           }
         }
         
-        logger.success(`Removed ${orphanedRecords.length} orphaned DNS records`);
+        logger.success(`Removed ${expiredRecords.length} orphaned DNS records`);
       } else {
         logger.debug('No orphaned DNS records found');
       }
     } catch (error) {
       logger.error(`Error cleaning up orphaned records: ${error.message}`);
       this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
-        source: 'DNSManager.cleanupOrphanedRecords',
+        source: `DNSManager.cleanupOrphanedRecords (${context.name}:${context.zone})`,
         error: error.message
       });
     }
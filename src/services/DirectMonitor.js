@@ -0,0 +1,307 @@
+/**
+ * Direct Monitor Service
+ * Responsible for finding hostnames in Docker container labels without the Traefik API,
+ * for hosts running another reverse proxy or no proxy at all
+ */
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const { analyseRule } = require('../utils/traefik');
+const { getLabelValue } = require('../utils/dns');
+
+// Router protocols whose rule labels are read, matching the routers TraefikMonitor polls
+const ROUTER_PROTOCOLS = ['http', 'tcp'];
+
+class DirectMonitor {
+  /**
+   * @param {ConfigManager} config - Configuration
+   * @param {EventBus} eventBus - Event bus
+   * @param {DockerMonitor} dockerMonitor - Source of the container labels
+   */
+  constructor(config, eventBus, dockerMonitor) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dockerMonitor = dockerMonitor;
+    
+    // Track previous poll statistics to reduce logging noise
+    this.previousStats = {
+      hostnameCount: 0
+    };
+    
+    // Lock to prevent parallel polling
+    this.isPolling = false;
+    
+    // Poll timer reference
+    this.pollTimer = null;
+    
+    // Hostnames discovered by the last successful poll
+    this.lastHostnames = [];
+    this.lastWildcardCandidates = [];
+    this.lastPollTime = null;
+    
+    // Problems that have been reported already, they are found again on every poll
+    this.loggedRuleErrors = new Set();
+    this.loggedWildcardCandidates = new Set();
+    this.loggedDuplicateHostnames = new Set();
+    
+    this.setupEventSubscriptions();
+  }
+  
+  /**
+   * Initialize the Direct Monitor
+   */
+  async init() {
+    logger.debug('Testing connection to Docker...');
+    
+    const connected = await this.dockerMonitor.testConnection();
+    if (!connected) {
+      logger.error('Failed to initialize Direct Monitor: Docker is not reachable');
+      throw new Error(`Failed to connect to Docker at ${this.dockerMonitor.hosts.map(host => host.address).join(', ')}`);
+    }
+    
+    logger.success('Direct mode: hostnames are read from Docker container labels');
+    return true;
+  }
+  
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    // Containers that started or stopped are published straight away, without waiting for the next poll
+    this.eventBus.subscribe(EventTypes.DOCKER_LABELS_UPDATED, (data) => {
+      if (data.triggerContainer) {
+        logger.debug(`Container ${data.triggerContainer} changed, publishing hostnames from container labels`);
+        this.poll(false);
+      }
+    });
+    
+    // Restart the poll timer with the new interval
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, (data) => {
+      if (data.changed.includes('pollInterval') && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+        logger.info(`Container poll interval changed to ${this.config.pollInterval}ms`);
+      }
+    });
+  }
+  
+  /**
+   * Start the polling process
+   */
+  async startPolling() {
+    await this.poll();
+    
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    
+    logger.debug(`Container polling started with interval of ${this.config.pollInterval}ms`);
+    return true;
+  }
+  
+  /**
+   * Stop the polling process
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.debug('Container polling stopped');
+    }
+  }
+  
+  /**
+   * Read the hostnames of the running containers and publish them
+   * The same events as a Traefik poll are published, so DNS records are processed the same way
+   * @param {boolean} refreshContainers - List the containers first, false to use the current label cache
+   */
+  async poll(refreshContainers = true) {
+    if (this.isPolling) {
+      logger.debug('Skipping poll - another poll cycle is already in progress');
+      return;
+    }
+    
+    this.isPolling = true;
+    const pollStartTime = Date.now();
+    
+    try {
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+      
+      if (refreshContainers) {
+        await this.dockerMonitor.updateContainerLabelsCache();
+      }
+      
+      const { containerLabelsCache, containerIdToName } = this.dockerMonitor;
+      const { hostnames, containerLabels, wildcardCandidates } = this.processContainers(containerLabelsCache, containerIdToName);
+      
+      // Only log hostname count if it changed from previous poll
+      if (this.previousStats.hostnameCount !== hostnames.length) {
+        logger.info(`Processing ${hostnames.length} hostnames from container labels for DNS management`);
+      } else {
+        logger.debug(`Processing ${hostnames.length} hostnames from container labels for DNS management`);
+      }
+      
+      this.previousStats.hostnameCount = hostnames.length;
+      
+      this.lastHostnames = hostnames;
+      this.lastWildcardCandidates = wildcardCandidates;
+      this.lastPollTime = new Date().toISOString();
+      
+      this.eventBus.publish(EventTypes.TRAEFIK_ROUTERS_UPDATED, {
+        hostnames,
+        containerLabels
+      });
+      
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, {
+        routerCount: containerIdToName.size,
+        hostnameCount: hostnames.length,
+        duration: Date.now() - pollStartTime
+      });
+    } catch (error) {
+      logger.error(`Error reading hostnames from container labels: ${error.message}`);
+      
+      this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+        source: 'DirectMonitor.poll',
+        error: error.message
+      });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+  
+  /**
+   * Collect the hostnames and DNS labels of every container
+   * @param {Object} containerLabelsCache - Labels by container ID and name
+   * @param {Map<string, string>} containerIdToName - Container names by ID
+   * @returns {Object} - Hostnames, labels by hostname and wildcard candidates
+   */
+  processContainers(containerLabelsCache, containerIdToName) {
+    const hostnames = [];
+    const containerLabels = {};
+    const wildcardCandidates = [];
+    const genericPrefix = this.config.genericLabelPrefix;
+    
+    for (const [containerId, containerName] of containerIdToName) {
+      const labels = containerLabelsCache[containerId] || {};
+      
+      // Every provider's labels are passed on, they all start with the generic prefix
+      const dnsLabels = {};
+      for (const [key, value] of Object.entries(labels)) {
+        if (key.startsWith(genericPrefix)) {
+          dnsLabels[key] = value;
+        }
+      }
+      
+      const { sources, wildcards } = this.getContainerHostnames(containerName, labels);
+      
+      for (const wildcard of wildcards) {
+        wildcardCandidates.push({ container: containerName, ...wildcard });
+      }
+      
+      for (const { hostname, routerName, protocol } of sources) {
+        if (containerLabels[hostname]) {
+          if (containerLabels[hostname].containerName !== containerName) {
+            this.reportDuplicateHostname(hostname, containerLabels[hostname].containerName, containerName);
+          }
+          continue;
+        }
+        
+        hostnames.push(hostname);
+        containerLabels[hostname] = {
+          // Cloudflare only proxies HTTP traffic, TCP hostnames are unproxied unless a label says otherwise
+          ...(protocol === 'tcp' ? { [`${genericPrefix}proxied`]: 'false' } : {}),
+          ...dnsLabels,
+          ...(routerName ? { routerName } : {}),
+          containerName
+        };
+        
+        logger.trace(`Found hostname "${hostname}" on container "${containerName}"${routerName ? ` (router ${routerName})` : ''}`);
+      }
+    }
+    
+    return { hostnames, containerLabels, wildcardCandidates };
+  }
+  
+  /**
+   * Get the hostnames of a container from its hostname label and its Traefik router rule labels
+   * @param {string} containerName - Name of the container, used in log messages
+   * @param {Object} labels - Container labels
+   * @returns {Object} - Hostnames with the router and protocol they come from, and wildcard candidates
+   */
+  getContainerHostnames(containerName, labels) {
+    const sources = [];
+    const wildcards = [];
+    
+    // dns.hostname=a.example.com,b.example.com
+    const hostnameLabel = getLabelValue(labels, this.config.genericLabelPrefix, this.config.dnsLabelPrefix, 'hostname', null);
+    if (hostnameLabel) {
+      for (const hostname of hostnameLabel.split(',').map(value => value.trim()).filter(Boolean)) {
+        sources.push({ hostname, protocol: 'http' });
+      }
+    }
+    
+    // traefik.http.routers.<name>.rule and traefik.tcp.routers.<name>.rule, unless Traefik is disabled for the container
+    const traefikPrefix = this.config.traefikLabelPrefix;
+    if (labels[`${traefikPrefix}enable`] === 'false') {
+      return { sources, wildcards };
+    }
+    
+    for (const [key, rule] of Object.entries(labels)) {
+      if (!key.startsWith(traefikPrefix)) {
+        continue;
+      }
+      
+      const [protocol, section, routerName, setting, ...rest] = key.slice(traefikPrefix.length).split('.');
+      if (!ROUTER_PROTOCOLS.includes(protocol) || section !== 'routers' || setting !== 'rule' || rest.length > 0) {
+        continue;
+      }
+      
+      let analysis;
+      try {
+        analysis = analyseRule(rule, protocol);
+      } catch (error) {
+        this.reportOnce(this.loggedRuleErrors, `${containerName}:${key}:${rule}`,
+          `Unable to parse ${key} of container ${containerName}: ${error.message}`, 'warn');
+        continue;
+      }
+      
+      for (const hostname of analysis.hostnames) {
+        sources.push({ hostname, routerName, protocol });
+      }
+      
+      for (const wildcard of analysis.wildcards) {
+        wildcards.push({ router: routerName, protocol, ...wildcard });
+        
+        const suggestion = wildcard.hostname ? `, a wildcard record for ${wildcard.hostname} would cover it` : '';
+        this.reportOnce(this.loggedWildcardCandidates, `${containerName}:${routerName}:${wildcard.pattern}`,
+          `🃏 Router ${routerName} of container ${containerName} matches hostnames by the pattern ${wildcard.pattern}, no DNS record is created for it${suggestion}`, 'info');
+      }
+    }
+    
+    return { sources, wildcards };
+  }
+  
+  /**
+   * Report a hostname claimed by more than one container, the first container keeps it
+   */
+  reportDuplicateHostname(hostname, firstContainer, otherContainer) {
+    this.reportOnce(this.loggedDuplicateHostnames, `${hostname}:${otherContainer}`,
+      `Hostname ${hostname} is also claimed by container ${otherContainer}, using the labels of ${firstContainer}`, 'warn');
+  }
+  
+  /**
+   * Log a message at the given level the first time, and at debug level afterwards
+   * @param {Set<string>} logged - Keys of the messages logged already
+   * @param {string} key - Key of this message
+   * @param {string} message - Message to log
+   * @param {string} level - Logger method for the first time
+   */
+  reportOnce(logged, key, message, level) {
+    if (logged.has(key)) {
+      logger.debug(message);
+      return;
+    }
+    
+    logger[level](message);
+    logged.add(key);
+  }
+}
+
+module.exports = DirectMonitor;
@@ -1,22 +1,37 @@
 /**
  * Docker Monitor Service
- * Responsible for monitoring Docker container events
+ * Responsible for monitoring Docker container events on one or more Docker hosts,
+ * and Swarm service events in Swarm mode
  */
 const Docker = require('dockerode');
 const logger = require('../utils/logger');
 const EventTypes = require('../events/EventTypes');
 const { getLabelValue } = require('../utils/dns');
+const { parseDockerHost, getDockerOptions } = require('../utils/docker');
+
+// Delay before reconnecting the event stream of a Docker host (ms)
+const RECONNECT_DELAY = 10000;
 
 class DockerMonitor {
   constructor(config, eventBus) {
     this.config = config;
     this.eventBus = eventBus;
     
-    // Initialize Docker client
-    this.docker = new Docker({
-      socketPath: config.dockerSocket
+    // Docker hosts with their client and event stream, DOCKER_SOCKET unless DOCKER_HOSTS is set
+    const dockerHosts = config.dockerHosts && config.dockerHosts.length > 0 ? config.dockerHosts : [config.dockerSocket];
+    this.hosts = dockerHosts.map(value => {
+      const dockerHost = parseDockerHost(value);
+      return {
+        ...dockerHost,
+        docker: new Docker(getDockerOptions(dockerHost, config.dockerCertPath)),
+        events: null,
+        containers: null
+      };
     });
     
+    // Client of the first host, which also lists Swarm services
+    this.docker = this.hosts[0].docker;
+    
     // Track last event time to prevent duplicate polling
     this.lastEventTime = 0;
     
@@ -26,8 +41,11 @@ class DockerMonitor {
     // Container ID to name mapping
     this.containerIdToName = new Map();
     
-    // Event stream reference
-    this.events = null;
+    // Swarm task container ID to service name mapping
+    this.taskServices = new Map();
+    
+    // Container ID to the name of the Docker host it runs on
+    this.containerHosts = new Map();
   }
   
   /**
@@ -40,11 +58,10 @@ class DockerMonitor {
       
       logger.debug('Starting Docker event monitoring...');
       
-      // Get the event stream
-      this.events = await this.getEvents();
-      
-      // Set up event listeners
-      this.setupEventListeners();
+      // Every host has its own event stream, a host that is down is retried without stopping the others
+      for (const host of this.hosts) {
+        await this.watchHost(host);
+      }
       
       logger.success('Docker event monitoring started successfully');
       return true;
@@ -58,28 +75,75 @@ class DockerMonitor {
     }
   }
   
+  /**
+   * Open the event stream of a Docker host, retrying after a delay if the host can't be reached
+   * @param {Object} host - Docker host
+   */
+  async watchHost(host) {
+    try {
+      host.events = await this.getEvents(host);
+      this.setupEventListeners(host);
+      logger.debug(`Watching Docker events on ${host.name} (${host.address})`);
+    } catch (error) {
+      logger.error(`Failed to watch Docker events on ${host.name}: ${error.message}`);
+      this.reconnectHost(host);
+    }
+  }
+  
+  /**
+   * Close the event stream of a Docker host and open it again after a delay
+   * @param {Object} host - Docker host
+   */
+  reconnectHost(host) {
+    this.stopWatchingHost(host);
+    
+    host.reconnectTimer = setTimeout(() => {
+      host.reconnectTimer = null;
+      this.watchHost(host);
+    }, RECONNECT_DELAY);
+  }
+  
   /**
    * Stop watching Docker events
    */
   stopWatching() {
-    if (this.events) {
+    for (const host of this.hosts) {
+      if (host.reconnectTimer) {
+        clearTimeout(host.reconnectTimer);
+        host.reconnectTimer = null;
+      }
+      
+      this.stopWatchingHost(host);
+    }
+    
+    logger.debug('Docker event monitoring stopped');
+  }
+  
+  /**
+   * Close the event stream of a Docker host
+   * @param {Object} host - Docker host
+   */
+  stopWatchingHost(host) {
+    if (host.events) {
       try {
-        this.events.destroy();
-        this.events = null;
-        logger.debug('Docker event monitoring stopped');
+        const events = host.events;
+        host.events = null;
+        events.destroy();
       } catch (error) {
-        logger.error(`Error stopping Docker event monitoring: ${error.message}`);
+        logger.error(`Error stopping Docker event monitoring on ${host.name}: ${error.message}`);
       }
     }
   }
   
   /**
-   * Set up event listeners for Docker events
+   * Set up event listeners for the Docker events of a host
+   * @param {Object} host - Docker host
    */
-  setupEventListeners() {
-    if (!this.events) return;
+  setupEventListeners(host) {
+    const events = host.events;
+    if (!events) return;
     
-    this.events.on('data', (data) => {
+    events.on('data', (data) => {
       try {
         // More robust JSON parsing with fallbacks
         let event;
@@ -115,11 +179,22 @@ class DockerMonitor {
         
         // Now that we have a valid event object, process it
         if (
+          event.Type === 'service' &&
+          ['create', 'update', 'remove'].includes(event.Action)
+        ) {
+          const serviceName = event.Actor.Attributes.name || 'unknown';
+          logger.debug(`Docker service ${event.Action} event detected for ${serviceName} on ${host.name}`);
+          
+          this.scheduleLabelsUpdate(serviceName);
+        } else if (
           event.Type === 'container' && 
           ['start', 'stop', 'die', 'destroy'].includes(event.status)
         ) {
           const containerName = event.Actor.Attributes.name || 'unknown';
-          logger.debug(`Docker ${event.status} event detected for ${containerName}`);
+          
+          // Swarm tasks are reported by their container, their labels are on the service
+          const serviceName = event.Actor.Attributes['com.docker.swarm.service.name'] || this.getServiceName(event.Actor.ID);
+          logger.debug(`Docker ${event.status} event detected for ${containerName}${serviceName ? ` (task of service ${serviceName})` : ''} on ${host.name}`);
           
           // Publish Docker event
           this.eventBus.publish(
@@ -133,27 +208,7 @@ class DockerMonitor {
             }
           );
           
-          // Prevent too frequent updates by checking time since last event
-          const now = Date.now();
-          if (now - this.lastEventTime < 3000) {
-            logger.debug('Skipping Docker event processing (rate limiting)');
-            return;
-          }
-          
-          this.lastEventTime = now;
-          
-          // Wait a moment for Traefik to update its routers
-          setTimeout(async () => {
-            // Update container labels cache
-            await this.updateContainerLabelsCache();
-            
-            // Publish labels updated event
-            this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
-              containerLabelsCache: this.containerLabelsCache,
-              containerIdToName: this.containerIdToName,
-              triggerContainer: containerName
-            });
-          }, 3000);
+          this.scheduleLabelsUpdate(serviceName || containerName);
         }
       } catch (error) {
         logger.error(`Error processing Docker event: ${error.message}`);
@@ -162,15 +217,55 @@ class DockerMonitor {
       }
     });
     
-    this.events.on('error', (error) => {
-      logger.error(`Docker event stream error: ${error.message}`);
+    events.on('error', (error) => {
+      logger.error(`Docker event stream error on ${host.name}: ${error.message}`);
       
       // Try to reconnect after a delay
-      this.stopWatching();
-      setTimeout(() => this.startWatching(), 10000);
+      this.reconnectHost(host);
     });
     
-    logger.debug('Docker event listeners set up');
+    // Remote hosts can close the stream without an error, e.g. when the Docker daemon restarts
+    events.on('end', () => {
+      if (host.events === events) {
+        logger.warn(`Docker event stream on ${host.name} closed, reconnecting`);
+        this.reconnectHost(host);
+      }
+    });
+    
+    logger.debug(`Docker event listeners set up for ${host.name}`);
+  }
+  
+  /**
+   * Update the container labels cache after a Docker event and publish the labels
+   * @param {string} triggerContainer - Name of the container or service the event was about
+   */
+  scheduleLabelsUpdate(triggerContainer) {
+    // Prevent too frequent updates by checking time since last event
+    const now = Date.now();
+    if (now - this.lastEventTime < 3000) {
+      logger.debug('Skipping Docker event processing (rate limiting)');
+      return;
+    }
+    
+    this.lastEventTime = now;
+    
+    // Wait a moment for Traefik to update its routers
+    setTimeout(async () => {
+      try {
+        // Update container labels cache
+        await this.updateContainerLabelsCache();
+        
+        // Publish labels updated event
+        this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
+          containerLabelsCache: this.containerLabelsCache,
+          containerIdToName: this.containerIdToName,
+          containerHosts: this.containerHosts,
+          triggerContainer
+        });
+      } catch (error) {
+        logger.error(`Error processing Docker event for ${triggerContainer}: ${error.message}`);
+      }
+    }, 3000);
   }
   
   /**
@@ -178,7 +273,13 @@ class DockerMonitor {
    */
   async updateContainerLabelsCache() {
     try {
-      const containers = await this.listContainers();
+      const hostContainers = await this.listHostContainers();
+      const containers = hostContainers.flatMap(({ containers }) => containers);
+      
+      // In a Swarm the labels Traefik reads are on the services, they are cached like container labels
+      const services = this.config.dockerSwarmMode ? await this.listServices() : [];
+      const labelSources = [...containers, ...services.map(service => this.getServiceEntry(service))];
+      
       const newCache = {};
       const genericPrefix = this.config.genericLabelPrefix;
       const providerPrefix = this.config.dnsLabelPrefix;
@@ -186,6 +287,15 @@ class DockerMonitor {
       // New ID to name mapping
       const containerIdToName = new Map();
       const containerNameToId = new Map();
+      const taskServices = new Map();
+      const containerHosts = new Map();
+      
+      // Record the host of every container, labels of all hosts share one cache
+      for (const { host, containers } of hostContainers) {
+        for (const container of containers) {
+          containerHosts.set(container.Id, host.name);
+        }
+      }
       
       // For tracking changes - track IDs, names, and their relationships
       const previousIds = new Set();        // Track previous container IDs
@@ -196,8 +306,8 @@ class DockerMonitor {
       
       // Build maps of previous container relationships
       for (const [key, labels] of Object.entries(this.containerLabelsCache)) {
-        // If key looks like a container ID (long hex string)
-        if (key.length > 12 && /^[0-9a-f]+$/.test(key)) {
+        // If key is a known ID or looks like a container ID (long hex string)
+        if (this.containerIdToName.has(key) || (key.length > 12 && /^[0-9a-f]+$/.test(key))) {
           previousIds.add(key);
         } else {
           // Otherwise assume it's a container name
@@ -205,22 +315,31 @@ class DockerMonitor {
         }
       }
       
-      // Process current containers
-      containers.forEach(container => {
+      // Process current containers and services
+      labelSources.forEach(container => {
         const id = container.Id;
         const labels = container.Labels || {};
         currentIds.add(id);
         newCache[id] = labels;
         
+        // Containers of Swarm tasks carry the name of their service
+        if (labels['com.docker.swarm.service.name']) {
+          taskServices.set(id, labels['com.docker.swarm.service.name']);
+        }
+        
         // Also index by container name for easier lookup
         if (container.Names && container.Names.length > 0) {
           const name = container.Names[0].replace(/^\//, '');
           currentNames.add(name);
-          newCache[name] = labels;
           
-          // Track container ID to name and vice versa
+          // Track container ID to name and vice versa, a name used on several hosts keeps the first container
           containerIdToName.set(id, name);
-          containerNameToId.set(name, id);
+          if (containerNameToId.has(name)) {
+            logger.debug(`Container name ${name} is used on ${containerHosts.get(containerNameToId.get(name))} and ${containerHosts.get(id)}, labels by name are those of the first`);
+          } else {
+            containerNameToId.set(name, id);
+            newCache[name] = labels;
+          }
           
           // Check for DNS-specific labels and log them for debugging
           const dnsLabels = {};
@@ -238,12 +357,12 @@ class DockerMonitor {
             }
           }
           
-          // Compare with previous labels to detect changes
-          const hasPreviousLabels = this.containerLabelsCache[name];
+          // Compare with previous labels to detect changes, by ID first as the name can belong to a container on another host
+          const hasPreviousLabels = this.containerLabelsCache[id] || this.containerLabelsCache[name];
           let dnsLabelsChanged = false;
           
           if (hasPreviousLabels) {
-            const prevLabels = this.containerLabelsCache[name];
+            const prevLabels = hasPreviousLabels;
             
             // Check if any DNS labels changed
             for (const [key, value] of Object.entries(dnsLabels)) {
@@ -273,7 +392,8 @@ class DockerMonitor {
           
           // Only log at INFO level if there are changes or new containers
           if (dnsLabelsChanged && Object.keys(dnsLabels).length > 0) {
-            logger.info(`Container ${name} has DNS labels: ${JSON.stringify(dnsLabels)}`);
+            const onHost = this.hosts.length > 1 && containerHosts.has(id) ? ` on ${containerHosts.get(id)}` : '';
+            logger.info(`Container ${name}${onHost} has DNS labels: ${JSON.stringify(dnsLabels)}`);
             
             // Check for important label settings - use getLabelValue for consistent precedence
             const proxiedLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'proxied', null);
@@ -347,8 +467,8 @@ class DockerMonitor {
         const uniqueChanges = new Set();
         
         for (const item of changedItems) {
-          // If it looks like a container ID
-          if (item.length > 12 && /^[0-9a-f]+$/.test(item)) {
+          // If it is a known ID or looks like a container ID
+          if (containerIdToName.has(item) || this.containerIdToName.has(item) || (item.length > 12 && /^[0-9a-f]+$/.test(item))) {
             // Check if we have a name for this ID
             const name = containerIdToName.get(item) || this.containerIdToName.get(item);
             if (name && dnsLabelChanges[name]) {
@@ -372,13 +492,16 @@ class DockerMonitor {
       // Update the cache and ID-name mapping
       this.containerLabelsCache = newCache;
       this.containerIdToName = containerIdToName;
+      this.taskServices = taskServices;
+      this.containerHosts = containerHosts;
       
-      logger.debug(`Updated container labels cache with ${containers.length} containers`);
+      logger.debug(`Updated container labels cache with ${containers.length} containers${this.config.dockerSwarmMode ? ` and ${services.length} services` : ''}`);
       
       // Publish an immediate event with the updated labels
       this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
         containerLabelsCache: this.containerLabelsCache,
         containerIdToName: this.containerIdToName,
+        containerHosts: this.containerHosts,
         triggerSource: 'updateContainerLabelsCache',
         hasChanges: changedItems.length > 0
       });
@@ -391,39 +514,103 @@ class DockerMonitor {
   }
   
   /**
-   * Get Docker events stream
+   * Get Docker events stream of a host, service events are only watched on the first host
+   * @param {Object} host - Docker host (defaults to the first host)
    */
-  async getEvents(filters = { type: ['container'] }) {
+  async getEvents(host = this.hosts[0]) {
+    const watchServices = this.config.dockerSwarmMode && host === this.hosts[0];
+    
     try {
-      return await this.docker.getEvents({
-        filters
+      return await host.docker.getEvents({
+        filters: { type: watchServices ? ['container', 'service'] : ['container'] }
       });
     } catch (error) {
-      logger.error(`Failed to get Docker events: ${error.message}`);
+      logger.error(`Failed to get Docker events from ${host.name}: ${error.message}`);
       throw error;
     }
   }
   
   /**
-   * List all running containers
+   * List all running containers of every host
    */
   async listContainers() {
+    const hostContainers = await this.listHostContainers();
+    return hostContainers.flatMap(({ containers }) => containers);
+  }
+  
+  /**
+   * List the running containers of every host
+   * A host that can't be reached keeps the containers of its last listing, so its DNS records aren't
+   * treated as orphaned while it is down. The listing only fails when no host can be reached.
+   * @returns {Promise<Array<Object>>} - Hosts with their containers
+   */
+  async listHostContainers() {
+    const hostContainers = [];
+    let lastError = null;
+    
+    for (const host of this.hosts) {
+      try {
+        host.containers = await host.docker.listContainers({
+          all: false // Only running containers
+        });
+      } catch (error) {
+        lastError = error;
+        logger.error(`Failed to list containers on ${host.name}: ${error.message}`);
+        
+        if (this.hosts.length === 1) {
+          throw error;
+        }
+        
+        if (!host.containers) {
+          continue;
+        }
+        
+        logger.warn(`Using the last known containers of Docker host ${host.name}`);
+      }
+      
+      hostContainers.push({ host, containers: host.containers });
+    }
+    
+    if (hostContainers.length === 0) {
+      throw lastError;
+    }
+    
+    return hostContainers;
+  }
+  
+  /**
+   * List all Swarm services through the first Docker host, this only works on a manager node
+   */
+  async listServices() {
     try {
-      return await this.docker.listContainers({
-        all: false // Only running containers
-      });
+      return await this.docker.listServices();
     } catch (error) {
-      logger.error(`Failed to list containers: ${error.message}`);
+      logger.error(`Failed to list Swarm services: ${error.message}. Swarm mode needs access to a manager node`);
       throw error;
     }
   }
   
+  /**
+   * Describe a Swarm service in the shape of a container from listContainers,
+   * so its labels (deploy.labels in a stack file) go through the same processing
+   * @param {Object} service - Swarm service from listServices
+   * @returns {Object} - Container-like object with the service ID, name and labels
+   */
+  getServiceEntry(service) {
+    return {
+      Id: service.ID,
+      Names: [service.Spec.Name],
+      Labels: service.Spec.Labels || {}
+    };
+  }
+  
   /**
    * Get container details by ID
    */
   async getContainer(id) {
     try {
-      const container = this.docker.getContainer(id);
+      const host = this.hosts.find(host => host.name === this.containerHosts.get(id)) || this.hosts[0];
+      const container = host.docker.getContainer(id);
       const details = await container.inspect();
       return details;
     } catch (error) {
@@ -447,16 +634,41 @@ class DockerMonitor {
   }
   
   /**
-   * Test the connection to the Docker socket
+   * Get the Swarm service name of a task container, null if it isn't a task
+   */
+  getServiceName(id) {
+    return this.taskServices.get(id) || null;
+  }
+  
+  /**
+   * Get the name of the Docker host a container runs on, null if it isn't known
+   */
+  getContainerHost(id) {
+    return this.containerHosts.get(id) || null;
+  }
+  
+  /**
+   * Test the connection to every Docker host
+   * @returns {Promise<boolean>} - True if at least one host can be reached
    */
   async testConnection() {
-    try {
-      const info = await this.docker.info();
-      return true;
-    } catch (error) {
-      logger.error(`Failed to connect to Docker: ${error.message}`);
-      return false;
+    let connected = false;
+    
+    for (const host of this.hosts) {
+      try {
+        const info = await host.docker.info();
+        connected = true;
+        
+        // Services can only be listed on a manager node
+        if (this.config.dockerSwarmMode && host === this.hosts[0] && !(info.Swarm && info.Swarm.ControlAvailable)) {
+          logger.warn('Docker Swarm mode is enabled but this Docker host is not a Swarm manager, services cannot be listed');
+        }
+      } catch (error) {
+        logger.error(`Failed to connect to Docker on ${host.name} (${host.address}): ${error.message}`);
+      }
     }
+    
+    return connected;
   }
 }
 
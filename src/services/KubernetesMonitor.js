@@ -0,0 +1,444 @@
+/**
+ * Kubernetes Monitor Service
+ * Responsible for finding hostnames in Ingress, Traefik IngressRoute and IngressRouteTCP objects
+ * and publishing them like a Traefik poll
+ */
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const KubernetesClient = require('../utils/kubernetesClient');
+const { analyseRule, getWildcardHostname } = require('../utils/traefik');
+
+// Watched resources, the Traefik CRDs moved from traefik.containo.us to traefik.io in Traefik v3
+const RESOURCES = [
+  { kind: 'Ingress', plural: 'ingresses', apiPaths: ['/apis/networking.k8s.io/v1'], protocol: 'http' },
+  { kind: 'IngressRoute', plural: 'ingressroutes', apiPaths: ['/apis/traefik.io/v1alpha1', '/apis/traefik.containo.us/v1alpha1'], protocol: 'http' },
+  { kind: 'IngressRouteTCP', plural: 'ingressroutetcps', apiPaths: ['/apis/traefik.io/v1alpha1', '/apis/traefik.containo.us/v1alpha1'], protocol: 'tcp' }
+];
+
+// Wait for a burst of watch events to settle before listing the objects again (ms)
+const WATCH_DEBOUNCE = 1000;
+
+// Delay before a failed watch is started again (ms)
+const WATCH_RETRY_DELAY = 10000;
+
+class KubernetesMonitor {
+  constructor(config, eventBus) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.client = new KubernetesClient(config);
+    
+    // List and watch state of every resource
+    this.resources = RESOURCES.map(resource => ({
+      ...resource,
+      apiPath: null,
+      resourceVersion: null,
+      watching: false,
+      stream: null
+    }));
+    
+    // Track previous poll statistics to reduce logging noise
+    this.previousStats = {
+      hostnameCount: 0
+    };
+    
+    // Lock to prevent parallel polling
+    this.isPolling = false;
+    
+    // Poll and watch timers
+    this.pollTimer = null;
+    this.watchTimer = null;
+    this.stopped = false;
+    
+    // Hostnames discovered by the last successful poll
+    this.lastHostnames = [];
+    this.lastWildcardCandidates = [];
+    this.lastPollTime = null;
+    
+    // Problems that have been reported already, they are found again on every poll
+    this.loggedRuleErrors = new Set();
+    this.loggedWildcardCandidates = new Set();
+    this.loggedDuplicateHostnames = new Set();
+    this.loggedMissingResources = new Set();
+    
+    this.setupEventSubscriptions();
+  }
+  
+  /**
+   * Initialize the Kubernetes Monitor
+   */
+  async init() {
+    logger.debug('Testing connection to the Kubernetes API...');
+    
+    const connected = await this.client.testConnection();
+    if (!connected) {
+      throw new Error(`Failed to connect to the Kubernetes API at ${this.config.kubernetesApiUrl}`);
+    }
+    
+    const namespace = this.config.kubernetesNamespace || 'all namespaces';
+    logger.success(`Successfully connected to the Kubernetes API, watching ${namespace}`);
+    return true;
+  }
+  
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    // Restart the poll timer with the new interval
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, (data) => {
+      if (data.changed.includes('pollInterval') && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+        logger.info(`Kubernetes poll interval changed to ${this.config.pollInterval}ms`);
+      }
+    });
+  }
+  
+  /**
+   * Start polling, objects are also watched so changes are published straight away
+   */
+  async startPolling() {
+    this.stopped = false;
+    await this.poll();
+    
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    
+    logger.debug(`Kubernetes polling started with interval of ${this.config.pollInterval}ms`);
+    return true;
+  }
+  
+  /**
+   * Stop polling and close the watches
+   */
+  stopPolling() {
+    this.stopped = true;
+    
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    
+    clearTimeout(this.watchTimer);
+    
+    for (const state of this.resources) {
+      if (state.stream) {
+        state.stream.destroy();
+        state.stream = null;
+      }
+    }
+    
+    logger.debug('Kubernetes polling stopped');
+  }
+  
+  /**
+   * List the watched objects and publish their hostnames
+   * The same events as a Traefik poll are published, so DNS records are processed the same way
+   */
+  async poll() {
+    if (this.isPolling) {
+      logger.debug('Skipping poll - another poll cycle is already in progress');
+      return;
+    }
+    
+    this.isPolling = true;
+    const pollStartTime = Date.now();
+    
+    try {
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+      
+      const objects = [];
+      for (const state of this.resources) {
+        for (const item of await this.listResource(state)) {
+          objects.push({ kind: state.kind, protocol: state.protocol, item });
+        }
+      }
+      logger.debug(`Found ${objects.length} Ingress and IngressRoute objects in Kubernetes`);
+      
+      const { hostnames, containerLabels, wildcardCandidates } = this.processObjects(objects);
+      
+      // Only log hostname count if it changed from previous poll
+      if (this.previousStats.hostnameCount !== hostnames.length) {
+        logger.info(`Processing ${hostnames.length} hostnames from Kubernetes for DNS management`);
+      } else {
+        logger.debug(`Processing ${hostnames.length} hostnames from Kubernetes for DNS management`);
+      }
+      
+      this.previousStats.hostnameCount = hostnames.length;
+      
+      this.lastHostnames = hostnames;
+      this.lastWildcardCandidates = wildcardCandidates;
+      this.lastPollTime = new Date().toISOString();
+      
+      this.eventBus.publish(EventTypes.TRAEFIK_ROUTERS_UPDATED, {
+        hostnames,
+        containerLabels
+      });
+      
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, {
+        routerCount: objects.length,
+        hostnameCount: hostnames.length,
+        duration: Date.now() - pollStartTime
+      });
+    } catch (error) {
+      logger.error(`Error polling the Kubernetes API: ${error.message}`);
+      
+      this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+        source: 'KubernetesMonitor.poll',
+        error: error.message
+      });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+  
+  /**
+   * List the objects of a resource and make sure it is watched
+   * @param {Object} state - Resource state
+   * @returns {Promise<Array<Object>>} - Objects, empty if the resource doesn't exist in the cluster
+   */
+  async listResource(state) {
+    for (const apiPath of state.apiPath ? [state.apiPath] : state.apiPaths) {
+      let result;
+      try {
+        result = await this.client.list({ apiPath, plural: state.plural });
+      } catch (error) {
+        // The Traefik CRDs are only there if Traefik was installed with them
+        if (error.response && error.response.status === 404) {
+          continue;
+        }
+        throw new Error(`Failed to list ${state.kind} objects: ${error.message}`);
+      }
+      
+      state.apiPath = apiPath;
+      state.resourceVersion = result.resourceVersion;
+      this.loggedMissingResources.delete(state.kind);
+      this.startWatch(state);
+      
+      return result.items;
+    }
+    
+    if (!this.loggedMissingResources.has(state.kind)) {
+      logger.info(`${state.kind} resources are not available in this cluster, skipping them`);
+      this.loggedMissingResources.add(state.kind);
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Watch a resource for changes, the watch is started again whenever the API server closes it
+   * @param {Object} state - Resource state
+   */
+  async startWatch(state) {
+    if (state.watching || this.stopped) {
+      return;
+    }
+    
+    state.watching = true;
+    let closed = false;
+    
+    const restart = (error) => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      state.watching = false;
+      state.stream = null;
+      
+      if (this.stopped) {
+        return;
+      }
+      
+      if (error) {
+        logger.warn(`Kubernetes watch of ${state.kind} objects failed: ${error.message}, retrying in ${WATCH_RETRY_DELAY / 1000}s`);
+        setTimeout(() => this.startWatch(state), WATCH_RETRY_DELAY);
+      } else {
+        this.startWatch(state);
+      }
+    };
+    
+    try {
+      const resource = { apiPath: state.apiPath, plural: state.plural };
+      state.stream = await this.client.watch(resource, state.resourceVersion, event => this.handleWatchEvent(state, event));
+      state.stream.on('end', () => restart());
+      state.stream.on('error', error => restart(error));
+      logger.debug(`Watching ${state.kind} objects from resource version ${state.resourceVersion}`);
+    } catch (error) {
+      restart(error);
+    }
+  }
+  
+  /**
+   * Handle an event of a watch
+   * @param {Object} state - Resource state
+   * @param {Object} event - Watch event with its type and object
+   */
+  handleWatchEvent(state, event) {
+    const { type, object } = event;
+    
+    // The resource version is too old, the objects are listed again for a new one
+    if (type === 'ERROR') {
+      logger.debug(`Kubernetes watch of ${state.kind} objects returned an error: ${object && object.message}`);
+      if (object && object.code === 410) {
+        state.resourceVersion = null;
+        this.schedulePoll();
+      }
+      return;
+    }
+    
+    if (object && object.metadata && object.metadata.resourceVersion) {
+      state.resourceVersion = object.metadata.resourceVersion;
+    }
+    
+    if (type !== 'BOOKMARK') {
+      logger.debug(`${state.kind} ${object.metadata.namespace}/${object.metadata.name} ${type.toLowerCase()}`);
+      this.schedulePoll();
+    }
+  }
+  
+  /**
+   * Poll once a burst of watch events has settled
+   */
+  schedulePoll() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = setTimeout(() => this.poll(), WATCH_DEBOUNCE);
+  }
+  
+  /**
+   * Collect the hostnames and DNS annotations of the objects
+   * @param {Array<Object>} objects - Objects with their kind and router protocol
+   * @returns {Object} - Hostnames, labels by hostname and wildcard candidates
+   */
+  processObjects(objects) {
+    const hostnames = [];
+    const containerLabels = {};
+    const wildcardCandidates = [];
+    const genericPrefix = this.config.genericLabelPrefix;
+    
+    for (const { kind, protocol, item } of objects) {
+      const objectName = `${kind} ${item.metadata.namespace}/${item.metadata.name}`;
+      const dnsLabels = this.getDnsLabels(item.metadata.annotations || {});
+      const { sources, wildcards } = this.getObjectHostnames(kind, objectName, item);
+      
+      for (const wildcard of wildcards) {
+        wildcardCandidates.push({ object: objectName, protocol, ...wildcard });
+        
+        const suggestion = wildcard.hostname ? `, a wildcard record for ${wildcard.hostname} would cover it` : '';
+        this.reportOnce(this.loggedWildcardCandidates, `${objectName}:${wildcard.pattern}`,
+          `🃏 ${objectName} matches hostnames by the pattern ${wildcard.pattern}, no DNS record is created for it${suggestion}`, 'info');
+      }
+      
+      for (const hostname of sources) {
+        if (containerLabels[hostname]) {
+          if (containerLabels[hostname].containerName !== objectName) {
+            this.reportOnce(this.loggedDuplicateHostnames, `${hostname}:${objectName}`,
+              `Hostname ${hostname} is also claimed by ${objectName}, using the annotations of ${containerLabels[hostname].containerName}`, 'warn');
+          }
+          continue;
+        }
+        
+        hostnames.push(hostname);
+        containerLabels[hostname] = {
+          // Cloudflare only proxies HTTP traffic, TCP hostnames are unproxied unless an annotation says otherwise
+          ...(protocol === 'tcp' ? { [`${genericPrefix}proxied`]: 'false' } : {}),
+          ...dnsLabels,
+          ...(kind === 'Ingress' ? {} : { routerName: `${item.metadata.namespace}/${item.metadata.name}` }),
+          containerName: objectName
+        };
+        
+        logger.trace(`Found hostname "${hostname}" in ${objectName}`);
+      }
+    }
+    
+    return { hostnames, containerLabels, wildcardCandidates };
+  }
+  
+  /**
+   * Get the hostnames of an object
+   * Ingress rules name their host, IngressRoute routes have a Traefik rule in their match
+   * @param {string} kind - Kind of the object
+   * @param {string} objectName - Kind, namespace and name of the object, used in log messages
+   * @param {Object} item - Kubernetes object
+   * @returns {Object} - Literal hostnames and wildcard candidates
+   */
+  getObjectHostnames(kind, objectName, item) {
+    const spec = item.spec || {};
+    const sources = [];
+    const wildcards = [];
+    
+    if (kind === 'Ingress') {
+      for (const rule of spec.rules || []) {
+        if (!rule.host) {
+          continue;
+        }
+        
+        if (rule.host.includes('*')) {
+          wildcards.push({ pattern: rule.host, hostname: getWildcardHostname(rule.host) });
+        } else {
+          sources.push(rule.host);
+        }
+      }
+      
+      return { sources, wildcards };
+    }
+    
+    const protocol = kind === 'IngressRouteTCP' ? 'tcp' : 'http';
+    for (const route of spec.routes || []) {
+      if (!route.match) {
+        continue;
+      }
+      
+      try {
+        const analysis = analyseRule(route.match, protocol);
+        sources.push(...analysis.hostnames);
+        wildcards.push(...analysis.wildcards);
+      } catch (error) {
+        this.reportOnce(this.loggedRuleErrors, `${objectName}:${route.match}`,
+          `Unable to parse the match of ${objectName}: ${error.message}`, 'warn');
+      }
+    }
+    
+    return { sources, wildcards };
+  }
+  
+  /**
+   * Map the annotations of an object to DNS labels
+   * Annotations such as dns.proxied are used as they are, and with the annotation prefix
+   * trafegodns.io/proxied becomes dns.proxied and trafegodns.io/cloudflare.proxied becomes dns.cloudflare.proxied
+   * @param {Object} annotations - Object annotations
+   * @returns {Object} - DNS labels
+   */
+  getDnsLabels(annotations) {
+    const genericPrefix = this.config.genericLabelPrefix;
+    const annotationPrefix = this.config.kubernetesAnnotationPrefix;
+    const labels = {};
+    
+    for (const [key, value] of Object.entries(annotations)) {
+      if (annotationPrefix && key.startsWith(annotationPrefix)) {
+        labels[`${genericPrefix}${key.slice(annotationPrefix.length)}`] = value;
+      } else if (key.startsWith(genericPrefix)) {
+        labels[key] = value;
+      }
+    }
+    
+    return labels;
+  }
+  
+  /**
+   * Log a message at the given level the first time, and at debug level afterwards
+   * @param {Set<string>} logged - Keys of the messages logged already
+   * @param {string} key - Key of this message
+   * @param {string} message - Message to log
+   * @param {string} level - Logger method for the first time
+   */
+  reportOnce(logged, key, message, level) {
+    if (logged.has(key)) {
+      logger.debug(message);
+      return;
+    }
+    
+    logger[level](message);
+    logged.add(key);
+  }
+}
+
+module.exports = KubernetesMonitor;
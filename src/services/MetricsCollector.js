@@ -0,0 +1,132 @@
+/**
+ * Metrics Collector Service
+ * Responsible for building Prometheus metrics from application events
+ */
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const { MetricsRegistry } = require('../utils/metrics');
+
+const PREFIX = 'trafegodns_';
+
+class MetricsCollector {
+  constructor(config, eventBus) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.registry = new MetricsRegistry();
+    
+    // Last successful cache refresh per provider zone, used for the cache age gauge
+    this.cacheRefreshTimes = new Map();
+    
+    this.createMetrics();
+    
+    // Subscribe to the events the metrics are built from
+    this.setupEventSubscriptions();
+  }
+  
+  /**
+   * Register all metrics
+   */
+  createMetrics() {
+    const registry = this.registry;
+    
+    this.recordsCreated = registry.counter(`${PREFIX}records_created_total`, 'DNS records created');
+    this.recordsUpdated = registry.counter(`${PREFIX}records_updated_total`, 'DNS records updated');
+    this.recordsDeleted = registry.counter(`${PREFIX}records_deleted_total`, 'DNS records deleted');
+    this.recordsUpToDate = registry.gauge(`${PREFIX}records_up_to_date`, 'DNS records that were up to date in the last sync');
+    this.recordErrors = registry.counter(`${PREFIX}record_errors_total`, 'Errors processing DNS records');
+    this.errors = registry.counter(`${PREFIX}errors_total`, 'Errors reported by source');
+    
+    this.polls = registry.counter(`${PREFIX}polls_total`, 'Completed Traefik polls');
+    this.pollDuration = registry.histogram(
+      `${PREFIX}poll_duration_seconds`,
+      'Duration of Traefik polls',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    );
+    this.pollHostnames = registry.gauge(`${PREFIX}poll_hostnames`, 'Hostnames found in the last Traefik poll');
+    this.pollRouters = registry.gauge(`${PREFIX}poll_routers`, 'Routers found in the last Traefik poll');
+    
+    this.syncDuration = registry.histogram(
+      `${PREFIX}sync_duration_seconds`,
+      'Duration of DNS record syncs',
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+    );
+    this.lastSync = registry.gauge(`${PREFIX}last_sync_timestamp_seconds`, 'Unix time of the last completed DNS record sync');
+    
+    this.providerRequests = registry.counter(`${PREFIX}provider_requests_total`, 'DNS provider API operations');
+    this.providerRequestDuration = registry.histogram(
+      `${PREFIX}provider_request_duration_seconds`,
+      'Latency of DNS provider API operations',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    );
+    this.cacheAge = registry.gauge(`${PREFIX}cache_age_seconds`, 'Age of the DNS record cache per provider zone');
+  }
+  
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    this.eventBus.subscribe(EventTypes.TRAEFIK_POLL_COMPLETED, (data) => {
+      this.polls.inc();
+      this.pollHostnames.set({}, data.hostnameCount || 0);
+      this.pollRouters.set({}, data.routerCount || 0);
+      
+      if (data.duration !== undefined) {
+        this.pollDuration.observe({}, data.duration / 1000);
+      }
+    });
+    
+    this.eventBus.subscribe(EventTypes.DNS_RECORDS_UPDATED, (data) => {
+      const providers = (data.stats && data.stats.providers) || {};
+      
+      for (const [provider, stats] of Object.entries(providers)) {
+        this.recordsCreated.inc({ provider }, stats.created);
+        this.recordsUpdated.inc({ provider }, stats.updated);
+        this.recordErrors.inc({ provider }, stats.errors);
+        this.recordsUpToDate.set({ provider }, stats.upToDate);
+      }
+      
+      if (data.duration !== undefined) {
+        this.syncDuration.observe({}, data.duration / 1000);
+      }
+      
+      this.lastSync.set({}, Math.floor(Date.now() / 1000));
+    });
+    
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_DELETED, (data) => {
+      this.recordsDeleted.inc({ provider: data.provider || this.config.dnsProvider });
+    });
+    
+    this.eventBus.subscribe(EventTypes.ERROR_OCCURRED, (data) => {
+      this.errors.inc({ source: data.source || 'unknown' });
+    });
+    
+    this.eventBus.subscribe(EventTypes.DNS_PROVIDER_CALL, (data) => {
+      const { provider, zone, operation, success, duration } = data;
+      
+      this.providerRequests.inc({ provider, operation, status: success ? 'success' : 'error' });
+      this.providerRequestDuration.observe({ provider, operation }, duration / 1000);
+      
+      if (operation === 'refreshRecordCache' && success) {
+        this.cacheRefreshTimes.set(`${provider}:${zone}`, { provider, zone, timestamp: Date.now() });
+      }
+    });
+    
+    logger.debug('Metrics collector subscribed to application events');
+  }
+  
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    // Cache age depends on the time of the scrape
+    this.cacheAge.reset();
+    for (const { provider, zone, timestamp } of this.cacheRefreshTimes.values()) {
+      this.cacheAge.set({ provider, zone }, (Date.now() - timestamp) / 1000);
+    }
+    
+    return this.registry.render();
+  }
+}
+
+module.exports = MetricsCollector;
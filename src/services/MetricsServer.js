@@ -0,0 +1,108 @@
+/**
+ * Metrics Server Service
+ * Responsible for serving the Prometheus metrics on /metrics, independently of the management API
+ */
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('../utils/logger');
+
+class MetricsServer {
+  /**
+   * @param {Object} config - Configuration manager instance
+   * @param {MetricsCollector} metricsCollector - Metrics collector to render
+   */
+  constructor(config, metricsCollector) {
+    this.config = config;
+    this.metricsCollector = metricsCollector;
+    this.server = null;
+  }
+  
+  /**
+   * Start listening for scrapes
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.metricsPort, this.config.metricsHost, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    
+    logger.success(`Prometheus metrics listening on ${this.config.metricsHost}:${this.config.metricsPort}/metrics`);
+    return true;
+  }
+  
+  /**
+   * Stop the metrics server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.debug('Metrics server stopped');
+  }
+  
+  /**
+   * Handle an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    try {
+      if (!this.isAuthorised(req)) {
+        return this.sendText(res, 401, 'Unauthorised\n');
+      }
+      
+      if (pathname.replace(/\/+$/, '') !== '/metrics') {
+        return this.sendText(res, 404, 'Not found\n');
+      }
+      
+      if (req.method !== 'GET') {
+        return this.sendText(res, 405, 'Method not allowed\n');
+      }
+      
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.metricsCollector.render());
+    } catch (error) {
+      logger.error(`Metrics server error: ${error.message}`);
+      this.sendText(res, 500, `${error.message}\n`);
+    }
+  }
+  
+  /**
+   * Check the bearer token when METRICS_TOKEN is set
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} - True if the request may proceed
+   */
+  isAuthorised(req) {
+    if (!this.config.metricsToken) {
+      return true;
+    }
+    
+    const expected = Buffer.from(`Bearer ${this.config.metricsToken}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+    
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+  
+  /**
+   * Send a plain text response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {string} body - Response body
+   */
+  sendText(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(body);
+  }
+}
+
+module.exports = MetricsServer;
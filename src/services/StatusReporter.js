@@ -85,20 +85,51 @@ class StatusReporter {
       console.log(''); // Empty line for spacing
       
       // DNS Provider Section
-      logger.info('🌐 DNS PROVIDER');
-      logger.info(`  🟢 Provider: ${this.config.dnsProvider}`);
-      // Mask any sensitive tokens for security
-      const maskedToken = this.config.cloudflareToken ? 'Configured' : 'Not configured';
-      logger.info(`  🔑 Auth: ${maskedToken}`);
-      logger.info(`  🌐 Zone: ${this.config.getProviderDomain()}`);
+      logger.info(this.config.dnsProviders.length > 1 ? '🌐 DNS PROVIDERS' : '🌐 DNS PROVIDER');
+      for (const provider of this.config.dnsProviders) {
+        logger.info(`  🟢 Provider: ${provider}`);
+        if (provider === 'cloudflare') {
+          // Mask any sensitive tokens for security
+          const maskedToken = this.config.cloudflareToken ? 'Configured' : 'Not configured';
+          logger.info(`  🔑 Auth: ${maskedToken}`);
+        }
+        const zones = this.config.getProviderZones(provider);
+        logger.info(`  🌐 ${zones.length > 1 ? 'Zones' : 'Zone'}: ${zones.join(', ')}`);
+      }
       console.log(''); // Empty line for spacing
       
       // Connectivity Section
       logger.info('🔄 CONNECTIVITY');
-      logger.info(`  🟢 Traefik API: Connected at ${this.config.traefikApiUrl}`);
-      const authStatus = this.config.traefikApiUsername ? 'Enabled' : 'Disabled';
-      logger.info(`  🔐 Basic Auth: ${authStatus}`);
-      logger.info(`  🐳 Docker Socket: Accessible`);
+      if (this.config.operationMode === 'direct') {
+        logger.info('  🏷️ Mode: Direct (hostnames from container labels, Traefik API not used)');
+      } else if (this.config.operationMode === 'kubernetes') {
+        logger.info(`  ☸️ Kubernetes API: ${this.config.kubernetesApiUrl}`);
+        logger.info(`  📦 Namespace: ${this.config.kubernetesNamespace || 'All namespaces'}`);
+      } else {
+        logger.info(`  🟢 Traefik API: Connected at ${this.config.traefikApiUrl}`);
+        const authStatus = this.config.traefikApiUsername ? 'Enabled' : 'Disabled';
+        logger.info(`  🔐 Basic Auth: ${authStatus}`);
+        
+        // Router filters that are set, e.g. "exclude providers internal"
+        const routerFilters = [];
+        for (const mode of ['Include', 'Exclude']) {
+          for (const filter of ['Entrypoints', 'Providers', 'Statuses', 'Routers']) {
+            const value = this.config[`traefik${mode}${filter}`];
+            if (value && value.length > 0) {
+              routerFilters.push(`${mode.toLowerCase()} ${filter.toLowerCase()} ${Array.isArray(value) ? value.join(', ') : value}`);
+            }
+          }
+        }
+        logger.info(`  🚦 Router Filters: ${routerFilters.length > 0 ? routerFilters.join('; ') : 'None'}`);
+      }
+      if (this.config.operationMode !== 'kubernetes') {
+        const swarmMode = this.config.dockerSwarmMode ? ' (Swarm mode, service labels included)' : '';
+        if (this.config.dockerHosts.length > 0) {
+          logger.info(`  🐳 Docker Hosts: ${this.config.dockerHosts.join(', ')}${swarmMode}`);
+        } else {
+          logger.info(`  🐳 Docker Socket: Accessible${swarmMode}`);
+        }
+      }
       console.log(''); // Empty line for spacing
       
       // Network Section
@@ -119,11 +150,28 @@ class StatusReporter {
       logger.info(`  ⏱️ TTL: ${this.config.defaultTTL} ${this.config.defaultTTL === 1 ? '(Auto)' : ''}`);
       console.log(''); // Empty line for spacing
       
+      // Where tracked records are kept
+      const dataDir = path.resolve(this.config.dataDir);
+      const trackerLocation = this.config.trackerStore === 'sqlite'
+        ? `SQLite (${path.resolve(dataDir, this.config.trackerDatabase)})`
+        : `JSON (${path.join(dataDir, 'dns-records.json')})`;
+      
+      // Grace period of the orphan cleanup, when one is set
+      const gracePeriod = this.config.cleanupGracePolls > 1 || this.config.cleanupGracePeriod > 0
+        ? ` (after ${this.config.cleanupGracePolls} polls and ${this.config.cleanupGracePeriod / 1000}s)`
+        : '';
+      
       // Settings Section
       logger.info('⚙️ SETTINGS');
       logger.info(`  📊 Log Level: ${logger.levelNames[logger.level]}`);
+      logger.info(`  📄 Config File: ${this.config.configFile || 'None (environment variables only)'}`);
       logger.info(`  🐳 Docker Events: ${this.config.watchDockerEvents ? 'Yes' : 'No'}`);
-      logger.info(`  🧹 Cleanup Orphaned: ${this.config.cleanupOrphaned ? 'Yes' : 'No'}`);
+      logger.info(`  🧹 Cleanup Orphaned: ${this.config.cleanupOrphaned ? `Yes${gracePeriod}` : 'No'}`);
+      logger.info(`  💾 Record Tracker: ${trackerLocation}`);
+      logger.info(`  🧪 Dry Run: ${this.config.dryRun ? 'Yes (changes are only reported)' : 'No'}`);
+      logger.info(`  🏷️ TXT Registry: ${this.config.txtRegistryEnabled ? `Owner ${this.config.txtRegistryOwnerId}` : 'Disabled'}`);
+      logger.info(`  🔌 Management API: ${this.config.apiEnabled ? `Port ${this.config.apiPort}` : 'Disabled'}`);
+      logger.info(`  📈 Prometheus Metrics: ${this.config.metricsEnabled ? `Port ${this.config.metricsPort}` : 'Disabled'}`);
       
       // Add preserved hostnames if available
       if (this.recordTracker && this.recordTracker.preservedHostnames) {
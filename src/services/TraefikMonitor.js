@@ -5,8 +5,33 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const EventTypes = require('../events/EventTypes');
-const { extractHostnamesFromRule } = require('../utils/traefik');
+const { analyseRule } = require('../utils/traefik');
 const { getLabelValue } = require('../utils/dns');
+const { getTraefikDefaultName } = require('../utils/docker');
+
+// Router protocols polled for hostnames, UDP routers have no rule and so no hostname to publish
+const ROUTER_PROTOCOLS = ['http', 'tcp'];
+
+// Traefik providers whose routers and services are defined by container labels
+const CONTAINER_PROVIDERS = ['docker', 'swarm'];
+
+/**
+ * Split a Traefik router or service name into its name and provider, e.g. web@docker
+ * @param {string} name - Name with an optional @provider suffix
+ * @returns {Array<string>} - Name and provider (undefined without a suffix)
+ */
+function splitProviderName(name) {
+  const separator = name.lastIndexOf('@');
+  return separator > 0 ? [name.slice(0, separator), name.slice(separator + 1)] : [name, undefined];
+}
+
+/**
+ * Check whether routers and services of a provider come from container labels,
+ * names without a provider suffix are treated as container names
+ */
+function isContainerProvider(provider) {
+  return !provider || CONTAINER_PROVIDERS.includes(provider);
+}
 
 class TraefikMonitor {
   constructor(config, eventBus) {
@@ -14,18 +39,7 @@ class TraefikMonitor {
     this.eventBus = eventBus;
     
     // Initialize HTTP client
-    this.client = axios.create({
-      baseURL: config.traefikApiUrl,
-      timeout: 5000
-    });
-    
-    // Add basic auth if configured
-    if (config.traefikApiUsername && config.traefikApiPassword) {
-      this.client.defaults.auth = {
-        username: config.traefikApiUsername,
-        password: config.traefikApiPassword
-      };
-    }
+    this.client = this.createClient();
     
     // Track previous poll statistics to reduce logging noise
     this.previousStats = {
@@ -47,10 +61,44 @@ class TraefikMonitor {
     // Last container ID to name mapping
     this.lastContainerIdToName = new Map();
     
+    // Routers of the last successful listing per protocol, used while a non-HTTP listing fails
+    this.lastProtocolRouters = new Map();
+    
+    // Hostnames discovered by the last successful poll
+    this.lastHostnames = [];
+    this.lastWildcardCandidates = [];
+    this.lastPollTime = null;
+    
+    // Routers whose invalid rule, hostname patterns or ambiguous containers have been reported already
+    this.loggedRuleErrors = new Set();
+    this.loggedWildcardCandidates = new Set();
+    this.loggedAmbiguousMatches = new Set();
+    
     // Subscribe to Docker label updates
     this.setupEventSubscriptions();
   }
   
+  /**
+   * Create the HTTP client for the Traefik API
+   * @returns {Object} - Axios instance
+   */
+  createClient() {
+    const client = axios.create({
+      baseURL: this.config.traefikApiUrl,
+      timeout: 5000
+    });
+    
+    // Add basic auth if configured
+    if (this.config.traefikApiUsername && this.config.traefikApiPassword) {
+      client.defaults.auth = {
+        username: this.config.traefikApiUsername,
+        password: this.config.traefikApiPassword
+      };
+    }
+    
+    return client;
+  }
+  
   /**
    * Initialize the Traefik Monitor
    */
@@ -86,6 +134,23 @@ class TraefikMonitor {
       this.lastContainerIdToName = containerIdToName || new Map();
       logger.debug('Updated Docker container labels cache in TraefikMonitor');
     });
+    
+    // Apply changes from the configuration file
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, (data) => {
+      const { changed } = data;
+      
+      if (['traefikApiUrl', 'traefikApiUsername', 'traefikApiPassword'].some(setting => changed.includes(setting))) {
+        this.client = this.createClient();
+        logger.info(`Traefik API client updated for ${this.config.traefikApiUrl}`);
+      }
+      
+      // Restart the poll timer with the new interval
+      if (changed.includes('pollInterval') && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = setInterval(() => this.pollTraefikAPI(), this.config.pollInterval);
+        logger.info(`Traefik poll interval changed to ${this.config.pollInterval}ms`);
+      }
+    });
   }
   
   /**
@@ -113,6 +178,13 @@ class TraefikMonitor {
     }
   }
   
+  /**
+   * Poll for hostnames, shared with DirectMonitor so either can be the hostname monitor
+   */
+  poll() {
+    return this.pollTraefikAPI();
+  }
+  
   /**
    * Test the connection to the Traefik API
    */
@@ -139,6 +211,7 @@ class TraefikMonitor {
     
     // Set polling lock
     this.isPolling = true;
+    const pollStartTime = Date.now();
     
     try {
       // Publish poll started event
@@ -148,10 +221,10 @@ class TraefikMonitor {
       
       // Get all routers from Traefik
       const routers = await this.getRouters();
-      logger.debug(`Found ${Object.keys(routers).length} routers in Traefik`);
+      logger.debug(`Found ${routers.length} routers in Traefik`);
       
       // Collect hostname data
-      const { hostnames, containerLabels } = this.processRouters(routers);
+      const { hostnames, containerLabels, wildcardCandidates } = this.processRouters(routers);
       
       // Only log hostname count if it changed from previous poll
       const hasChanged = this.previousStats.hostnameCount !== hostnames.length;
@@ -166,6 +239,11 @@ class TraefikMonitor {
       // Update the previous count for next comparison
       this.previousStats.hostnameCount = hostnames.length;
       
+      // Remember the discovered hostnames for status reporting
+      this.lastHostnames = hostnames;
+      this.lastWildcardCandidates = wildcardCandidates;
+      this.lastPollTime = new Date().toISOString();
+      
       // Merge router labels with Docker container labels
       const mergedLabels = this.mergeContainerLabels(containerLabels, this.lastDockerLabels);
       
@@ -177,8 +255,9 @@ class TraefikMonitor {
       
       // Publish poll completed event
       this.eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, {
-        routerCount: Object.keys(routers).length,
-        hostnameCount: hostnames.length
+        routerCount: routers.length,
+        hostnameCount: hostnames.length,
+        duration: Date.now() - pollStartTime
       });
     } catch (error) {
       logger.error(`Error polling Traefik API: ${error.message}`);
@@ -194,56 +273,212 @@ class TraefikMonitor {
   }
   
   /**
-   * Get all HTTP routers from Traefik
+   * Get all HTTP and TCP routers from Traefik
+   * @returns {Promise<Array<Object>>} - Routers with their name and protocol
    */
   async getRouters() {
+    const routers = [];
+    
+    for (const protocol of ROUTER_PROTOCOLS) {
+      try {
+        const protocolRouters = await this.getProtocolRouters(protocol);
+        
+        this.lastProtocolRouters.set(protocol, protocolRouters);
+        routers.push(...protocolRouters);
+      } catch (error) {
+        // The poll fails without the HTTP routers only, so one failing TCP listing doesn't hold up the HTTP hostnames
+        if (protocol === 'http') {
+          logger.error(`Failed to get Traefik HTTP routers: ${error.message}`);
+          throw error;
+        }
+        
+        // The routers of the last listing are kept, so their records aren't cleaned up as orphans
+        const lastRouters = this.lastProtocolRouters.get(protocol) || [];
+        
+        logger.warn(`Failed to get Traefik ${protocol.toUpperCase()} routers, using the ${lastRouters.length} routers of the last poll: ${error.message}`);
+        routers.push(...lastRouters);
+      }
+    }
+    
+    return routers;
+  }
+  
+  /**
+   * Get the routers of one protocol from Traefik
+   * @param {string} protocol - Router protocol (http or tcp)
+   * @returns {Promise<Array<Object>>} - Routers with their name and protocol
+   */
+  async getProtocolRouters(protocol) {
     try {
-      const response = await this.client.get('/http/routers');
-      return response.data;
+      const response = await this.client.get(`/${protocol}/routers`);
+      
+      // The API lists routers as an array of objects carrying their name, older versions keyed them by name
+      const entries = Array.isArray(response.data)
+        ? response.data.map(router => [router.name, router])
+        : Object.entries(response.data || {});
+      
+      return entries.map(([name, router]) => ({ ...router, name: router.name || name, protocol }));
     } catch (error) {
       // Check for specific error types for better error messages
       if (error.code === 'ECONNREFUSED') {
-        logger.error(`Connection refused to Traefik API at ${this.config.traefikApiUrl}. Is Traefik running?`);
         throw new Error(`Connection refused to Traefik API at ${this.config.traefikApiUrl}. Is Traefik running?`);
       }
       
       if (error.response && error.response.status === 401) {
-        logger.error('Authentication failed for Traefik API. Check your username and password.');
         throw new Error('Authentication failed for Traefik API. Check your username and password.');
       }
       
-      logger.error(`Failed to get Traefik routers: ${error.message}`);
       throw error;
     }
   }
   
   /**
    * Process routers to extract hostnames and container labels
+   * @param {Array<Object>} routers - Routers returned by getRouters
    */
   processRouters(routers) {
     const hostnames = [];
     const containerLabels = {};
+    const wildcardCandidates = [];
     
-    for (const [routerName, router] of Object.entries(routers)) {
-      if (router.rule && router.rule.includes('Host')) {
-        // Extract all hostnames from the rule
-        const routerHostnames = extractHostnamesFromRule(router.rule);
+    for (const router of routers) {
+      const { name: routerName, protocol } = router;
+      
+      const skipReason = this.getRouterSkipReason(router);
+      if (skipReason) {
+        logger.debug(`Skipping ${protocol} router ${routerName}: ${skipReason}`);
+        continue;
+      }
+      
+      const { hostnames: routerHostnames, wildcards } = this.analyseRouterRule(router);
+      
+      for (const wildcard of wildcards) {
+        wildcardCandidates.push({ router: routerName, protocol, ...wildcard });
+        this.reportWildcardCandidate(routerName, wildcard);
+      }
+      
+      for (const hostname of routerHostnames) {
+        hostnames.push(hostname);
+        
+        // A hostname routed over both HTTP and TCP keeps the labels of its HTTP router
+        if (containerLabels[hostname] && protocol !== 'http') {
+          continue;
+        }
+        
+        // Store router service information with hostname for later lookup
+        containerLabels[hostname] = {
+          [`${this.config.traefikLabelPrefix}${protocol}.routers.${routerName}.service`]: router.service,
+          routerName: routerName,
+          routerProtocol: protocol
+        };
         
-        for (const hostname of routerHostnames) {
-          hostnames.push(hostname);
-          
-          // Store router service information with hostname for later lookup
-          containerLabels[hostname] = {
-            [`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`]: router.service,
-            routerName: routerName
-          };
-          
-          logger.trace(`Processed router "${routerName}" for hostname "${hostname}" with service "${router.service}"`);
+        // Cloudflare only proxies HTTP traffic, TCP hostnames are unproxied unless a container label says otherwise
+        if (protocol === 'tcp') {
+          containerLabels[hostname][`${this.config.genericLabelPrefix}proxied`] = 'false';
         }
+        
+        logger.trace(`Processed ${protocol} router "${routerName}" for hostname "${hostname}" with service "${router.service}"`);
       }
     }
     
-    return { hostnames, containerLabels };
+    return { hostnames, containerLabels, wildcardCandidates };
+  }
+  
+  /**
+   * Check a router against the entrypoint, provider, status and name filters
+   * @param {Object} router - Router returned by getRouters
+   * @returns {string|null} - Why the router is skipped, null if its hostnames are published
+   */
+  getRouterSkipReason(router) {
+    const config = this.config;
+    const provider = (router.provider || router.name.split('@')[1] || '').toLowerCase();
+    const status = (router.status || 'enabled').toLowerCase();
+    
+    if (config.traefikIncludeProviders.length > 0 && !config.traefikIncludeProviders.includes(provider)) {
+      return `provider ${provider || 'unknown'} is not included`;
+    }
+    
+    if (config.traefikExcludeProviders.includes(provider)) {
+      return `provider ${provider} is excluded`;
+    }
+    
+    if (config.traefikIncludeStatuses.length > 0 && !config.traefikIncludeStatuses.includes(status)) {
+      return `status ${status} is not included`;
+    }
+    
+    if (config.traefikExcludeStatuses.includes(status)) {
+      return `status ${status} is excluded`;
+    }
+    
+    // The router is published as long as one of its entrypoints is included and not excluded
+    const entryPoints = router.entryPoints || [];
+    const publishedEntryPoints = entryPoints.filter(entryPoint =>
+      (config.traefikIncludeEntrypoints.length === 0 || config.traefikIncludeEntrypoints.includes(entryPoint)) &&
+      !config.traefikExcludeEntrypoints.includes(entryPoint)
+    );
+    
+    if (publishedEntryPoints.length === 0 && (entryPoints.length > 0 || config.traefikIncludeEntrypoints.length > 0)) {
+      return `none of its entrypoints (${entryPoints.join(', ') || 'none'}) are published`;
+    }
+    
+    if (config.traefikIncludeRouters && !new RegExp(config.traefikIncludeRouters).test(router.name)) {
+      return `name doesn't match ${config.traefikIncludeRouters}`;
+    }
+    
+    if (config.traefikExcludeRouters && new RegExp(config.traefikExcludeRouters).test(router.name)) {
+      return `name matches ${config.traefikExcludeRouters}`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Analyse the rule of a router for its hostnames and hostname patterns
+   * HTTP routers match on Host, TCP routers on the TLS server name with HostSNI
+   * @param {Object} router - Router returned by getRouters
+   * @returns {Object} - Literal hostnames and wildcard candidates of the router
+   */
+  analyseRouterRule(router) {
+    if (!router.rule) {
+      return { hostnames: [], wildcards: [] };
+    }
+    
+    try {
+      return analyseRule(router.rule, router.protocol);
+    } catch (error) {
+      const key = `${router.protocol}:${router.name}:${router.rule}`;
+      const message = `Unable to parse the rule of ${router.protocol} router ${router.name}: ${error.message}`;
+      
+      // Warn once per rule, the router is seen again on every poll
+      if (!this.loggedRuleErrors.has(key)) {
+        logger.warn(message);
+        this.loggedRuleErrors.add(key);
+      } else {
+        logger.debug(message);
+      }
+      
+      return { hostnames: [], wildcards: [] };
+    }
+  }
+  
+  /**
+   * Report a hostname pattern of a router, which doesn't get a DNS record of its own
+   * @param {string} routerName - Name of the router
+   * @param {Object} wildcard - Pattern and covering wildcard hostname from analyseRule
+   */
+  reportWildcardCandidate(routerName, wildcard) {
+    const key = `${routerName}:${wildcard.pattern}`;
+    const suggestion = wildcard.hostname
+      ? `, a wildcard record for ${wildcard.hostname} would cover it`
+      : '';
+    const message = `Router ${routerName} matches hostnames by the pattern ${wildcard.pattern}, no DNS record is created for it${suggestion}`;
+    
+    if (!this.loggedWildcardCandidates.has(key)) {
+      logger.info(`🃏 ${message}`);
+      this.loggedWildcardCandidates.add(key);
+    } else {
+      logger.debug(message);
+    }
   }
   
   /**
@@ -268,83 +503,63 @@ class TraefikMonitor {
       containerIdToName = this.lastContainerIdToName;
     }
     
+    // The cache holds the labels by ID and by name, every container is matched once by its ID
+    const containers = [];
+    for (const [containerId, containerName] of containerIdToName) {
+      if (dockerLabelsCache[containerId]) {
+        containers.push({ containerId, containerName, labels: dockerLabelsCache[containerId] });
+      }
+    }
+    containers.sort((a, b) => a.containerName.localeCompare(b.containerName));
+    
     // For each hostname
     for (const [hostname, routerLabels] of Object.entries(routerContainerLabels)) {
-      const routerName = routerLabels.routerName;
-      const serviceName = routerLabels[`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`];
-      
-      logger.debug(`Looking for container labels for hostname=${hostname}, router=${routerName}, service=${serviceName}`);
-      
-      // Look for matching containers in the Docker labels cache
-      let matchFound = false;
-      
-      // First try by service name directly
-      for (const [containerId, containerLabels] of Object.entries(dockerLabelsCache)) {
-        // Various ways a container might be related to this router/service
-        if (
-          containerId.includes(serviceName) || 
-          containerLabels[`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`] === serviceName ||
-          containerLabels[`${this.config.traefikLabelPrefix}http.services.${serviceName}.loadbalancer.server.port`]
-        ) {
-          // Get container name if available
-          const containerName = containerIdToName.get(containerId) || containerId;
-          logger.debug(`Found matching container ${containerName} for hostname ${hostname}`);
-          
-          // Extract DNS-specific labels
-          const dnsLabels = {};
-          // First collect provider-specific labels
-          for (const [key, value] of Object.entries(containerLabels)) {
-            if (key.startsWith(providerPrefix)) {
-              dnsLabels[key] = value;
-            }
-          }
-          // Then collect generic DNS labels that don't conflict with provider-specific ones
-          for (const [key, value] of Object.entries(containerLabels)) {
-            if (key.startsWith(genericPrefix) && !key.startsWith(providerPrefix)) {
-              dnsLabels[key] = value;
-            }
-          }
-          
-          // Check if this is first poll or if the proxied setting has changed
-          const proxiedLabel = getLabelValue(containerLabels, genericPrefix, providerPrefix, 'proxied', null);
-          const previousLabels = this.lastMergedLabels?.[hostname];
-          const previousProxied = previousLabels?.[`${providerPrefix}proxied`] || previousLabels?.[`${genericPrefix}proxied`];
-          
-          // Only log at INFO level if this is the first poll or the proxied value has changed
-          if (firstPoll || previousProxied !== proxiedLabel) {
-            if (proxiedLabel === 'false') {
-              logger.info(`🔍 Found proxied=false for ${hostname} from container ${containerName}`);
-              // Track the change for summary
-              labelChanges[hostname] = 'unproxied';
-            } else if (proxiedLabel === 'true' && previousProxied === 'false') {
-              logger.info(`🔍 Found proxied=true for ${hostname} from container ${containerName}`);
-              // Track the change for summary
-              labelChanges[hostname] = 'proxied';
-            }
-          } else {
-            // Use debug level for repeated information
-            if (proxiedLabel === 'false') {
-              logger.debug(`Found proxied=false for ${hostname} from container ${containerName}`);
-            }
-          }
-          
-          // Merge the container's DNS labels into our hostname labels
-          mergedLabels[hostname] = {
-            ...mergedLabels[hostname],
-            ...dnsLabels
-          };
-          
-          if (Object.keys(dnsLabels).length > 0) {
-            logger.debug(`Applied DNS configuration for ${hostname}: ${JSON.stringify(dnsLabels)}`);
-          }
-          
-          matchFound = true;
-          break;
+      logger.debug(`Looking for container labels for hostname=${hostname}, ${routerLabels.routerProtocol || 'http'} router=${routerLabels.routerName}`);
+      
+      const match = this.findRouterContainer(routerLabels, containers);
+      if (!match) {
+        logger.debug(`No container match found for hostname ${hostname}`);
+        continue;
+      }
+      
+      const { containerName, labels: containerLabels } = match;
+      logger.debug(`Found matching container ${containerName} for hostname ${hostname}`);
+      
+      const dnsLabels = this.getDnsLabels(containerLabels);
+      
+      // Check if this is first poll or if the proxied setting has changed
+      const proxiedLabel = getLabelValue(containerLabels, genericPrefix, providerPrefix, 'proxied', null,
+        { hostname, router: routerLabels.routerName });
+      const previousLabels = this.lastMergedLabels?.[hostname];
+      const previousProxied = previousLabels?.[`${providerPrefix}proxied`] || previousLabels?.[`${genericPrefix}proxied`];
+      
+      // Only log at INFO level if this is the first poll or the proxied value has changed
+      if (firstPoll || previousProxied !== proxiedLabel) {
+        if (proxiedLabel === 'false') {
+          logger.info(`🔍 Found proxied=false for ${hostname} from container ${containerName}`);
+          // Track the change for summary
+          labelChanges[hostname] = 'unproxied';
+        } else if (proxiedLabel === 'true' && previousProxied === 'false') {
+          logger.info(`🔍 Found proxied=true for ${hostname} from container ${containerName}`);
+          // Track the change for summary
+          labelChanges[hostname] = 'proxied';
+        }
+      } else {
+        // Use debug level for repeated information
+        if (proxiedLabel === 'false') {
+          logger.debug(`Found proxied=false for ${hostname} from container ${containerName}`);
         }
       }
       
-      if (!matchFound) {
-        logger.debug(`No container match found for hostname ${hostname}`);
+      // Merge the container's DNS labels into our hostname labels
+      mergedLabels[hostname] = {
+        ...mergedLabels[hostname],
+        ...dnsLabels,
+        containerName
+      };
+      
+      if (Object.keys(dnsLabels).length > 0) {
+        logger.debug(`Applied DNS configuration for ${hostname}: ${JSON.stringify(dnsLabels)}`);
       }
     }
     
@@ -363,6 +578,107 @@ class TraefikMonitor {
     return mergedLabels;
   }
   
+  /**
+   * Find the container a router belongs to
+   * Routers of the Docker provider are named after the router labels of their container, or after the
+   * Compose service and project of a container without router labels. Routers of other providers can
+   * still reach a container through a service of the Docker provider.
+   * @param {Object} routerLabels - Router information collected by processRouters
+   * @param {Array<Object>} containers - Containers with their ID, name and labels
+   * @returns {Object|null} - Matching container, null if no container or containers with different labels match
+   */
+  findRouterContainer(routerLabels, containers) {
+    const prefix = this.config.traefikLabelPrefix;
+    const protocol = routerLabels.routerProtocol || 'http';
+    const [routerName, routerProvider] = splitProviderName(routerLabels.routerName);
+    const service = routerLabels[`${prefix}${protocol}.routers.${routerLabels.routerName}.service`] || '';
+    const [serviceName, serviceProvider = routerProvider] = splitProviderName(service);
+    
+    const hasLabel = (container, labelPrefix) => Object.keys(container.labels).some(key => key.startsWith(labelPrefix));
+    const getDefaultName = (container) => getTraefikDefaultName({ Labels: container.labels }, container.containerName);
+    
+    let candidates = [];
+    if (isContainerProvider(routerProvider)) {
+      // The router declared in the container's own rule label, or else in any of its router labels
+      candidates = containers.filter(container => container.labels[`${prefix}${protocol}.routers.${routerName}.rule`] !== undefined);
+      if (candidates.length === 0) {
+        candidates = containers.filter(container => hasLabel(container, `${prefix}${protocol}.routers.${routerName}.`));
+      }
+      
+      // The router Traefik creates for a container that declares none
+      if (candidates.length === 0) {
+        candidates = containers.filter(container =>
+          !hasLabel(container, `${prefix}${protocol}.routers.`) && getDefaultName(container) === routerName);
+      }
+    }
+    
+    // The container behind the router's service
+    if (candidates.length === 0 && serviceName && isContainerProvider(serviceProvider)) {
+      candidates = containers.filter(container =>
+        hasLabel(container, `${prefix}${protocol}.services.${serviceName}.`) ||
+        (!hasLabel(container, `${prefix}${protocol}.services.`) && getDefaultName(container) === serviceName));
+    }
+    
+    if (candidates.length <= 1) {
+      return candidates[0] || null;
+    }
+    
+    // Replicas of a service carry the same DNS labels, only different DNS labels make the match ambiguous
+    const signatures = new Set(candidates.map(container =>
+      JSON.stringify(Object.entries(this.getDnsLabels(container.labels)).sort())));
+    
+    if (signatures.size === 1) {
+      return candidates[0];
+    }
+    
+    this.reportAmbiguousMatch(routerLabels.routerName, candidates.map(container => container.containerName));
+    return null;
+  }
+  
+  /**
+   * Get the DNS labels of a container, provider-specific labels first
+   * @param {Object} labels - Container labels
+   * @returns {Object} - Labels starting with the generic or the provider label prefix
+   */
+  getDnsLabels(labels) {
+    const genericPrefix = this.config.genericLabelPrefix;
+    const providerPrefix = this.config.dnsLabelPrefix;
+    const dnsLabels = {};
+    
+    // First collect provider-specific labels
+    for (const [key, value] of Object.entries(labels)) {
+      if (key.startsWith(providerPrefix)) {
+        dnsLabels[key] = value;
+      }
+    }
+    
+    // Then collect generic DNS labels that don't conflict with provider-specific ones
+    for (const [key, value] of Object.entries(labels)) {
+      if (key.startsWith(genericPrefix) && !key.startsWith(providerPrefix)) {
+        dnsLabels[key] = value;
+      }
+    }
+    
+    return dnsLabels;
+  }
+  
+  /**
+   * Report a router matching several containers with different DNS labels, none of their labels are applied
+   * @param {string} routerName - Name of the router
+   * @param {Array<string>} containerNames - Names of the matching containers
+   */
+  reportAmbiguousMatch(routerName, containerNames) {
+    const key = `${routerName}:${containerNames.join(',')}`;
+    const message = `Router ${routerName} matches containers ${containerNames.join(', ')} with different DNS labels, using the default settings for its hostnames`;
+    
+    if (!this.loggedAmbiguousMatches.has(key)) {
+      logger.warn(message);
+      this.loggedAmbiguousMatches.add(key);
+    } else {
+      logger.debug(message);
+    }
+  }
+  
   /**
    * Get all HTTP services from Traefik
    */
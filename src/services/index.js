@@ -4,12 +4,22 @@
  */
 const DNSManager = require('./DNSManager');
 const TraefikMonitor = require('./TraefikMonitor');
+const DirectMonitor = require('./DirectMonitor');
+const KubernetesMonitor = require('./KubernetesMonitor');
 const DockerMonitor = require('./DockerMonitor');
 const StatusReporter = require('./StatusReporter');
+const ApiServer = require('./ApiServer');
+const MetricsCollector = require('./MetricsCollector');
+const MetricsServer = require('./MetricsServer');
 
 module.exports = {
   DNSManager,
   TraefikMonitor,
+  DirectMonitor,
+  KubernetesMonitor,
   DockerMonitor,
-  StatusReporter
+  StatusReporter,
+  ApiServer,
+  MetricsCollector,
+  MetricsServer
 };
\ No newline at end of file
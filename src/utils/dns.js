@@ -27,16 +27,46 @@ function isApexDomain(hostname, zone) {
 }
 
 /**
- * Get label value with provider-specific precedence
+ * Get label value with scope and provider-specific precedence
+ * Labels of a record group (dns.records.<index>.<key>) come first, then labels scoped to the
+ * hostname (dns.hosts.<hostname>.<key>) and the router (dns.routers.<router>.<key>), then
+ * provider-specific and generic labels
  * @param {Object} labels - Container labels
  * @param {string} genericPrefix - Generic label prefix 
  * @param {string} providerPrefix - Provider-specific label prefix
  * @param {string} key - Label key (without prefix)
  * @param {*} defaultValue - Default value if label not found
+ * @param {Object} scope - Record group index, hostname and router name the value is read for (optional)
  * @returns {*} - Label value
  */
-function getLabelValue(labels, genericPrefix, providerPrefix, key, defaultValue) {
-  // First check provider-specific label
+function getLabelValue(labels, genericPrefix, providerPrefix, key, defaultValue, scope = {}) {
+  const scopedKeys = [];
+  
+  if (scope.record !== undefined && scope.record !== null) {
+    scopedKeys.push(`${genericPrefix}records.${scope.record}.${key}`);
+  }
+  
+  if (scope.hostname) {
+    scopedKeys.push(`${genericPrefix}hosts.${scope.hostname}.${key}`);
+  }
+  
+  if (scope.router) {
+    scopedKeys.push(`${genericPrefix}routers.${scope.router}.${key}`);
+    
+    // Routers from the Traefik API carry a provider suffix their labels don't have, e.g. app@docker
+    const separator = scope.router.lastIndexOf('@');
+    if (separator > 0) {
+      scopedKeys.push(`${genericPrefix}routers.${scope.router.slice(0, separator)}.${key}`);
+    }
+  }
+  
+  for (const scopedKey of scopedKeys) {
+    if (labels[scopedKey] !== undefined) {
+      return labels[scopedKey];
+    }
+  }
+  
+  // Then check provider-specific label
   if (labels[`${providerPrefix}${key}`] !== undefined) {
     return labels[`${providerPrefix}${key}`];
   }
@@ -63,16 +93,67 @@ function getMinimumTTL(provider) {
       return 30;  // DigitalOcean minimum TTL is 30 seconds
     case 'route53':
       return 60;  // Route53 minimum TTL is 60 seconds
+    case 'hetzner':
+      return 60;  // Hetzner minimum TTL is 60 seconds
+    case 'rfc2136':
+      return 0;  // Dynamic updates accept any TTL
+    case 'powerdns':
+      return 0;  // PowerDNS accepts any TTL
     default:
       return 1;  // Default minimum
   }
 }
 
+/**
+ * Get the indexes of the record groups in container labels (dns.records.<index>.<key>), in order
+ * @param {Object} labels - Container labels
+ * @param {string} genericPrefix - Generic label prefix
+ * @returns {Array<number>} - Record group indexes
+ */
+function getRecordGroupIndexes(labels, genericPrefix) {
+  const groupPrefix = `${genericPrefix}records.`;
+  const indexes = new Set();
+  
+  for (const key of Object.keys(labels)) {
+    if (!key.startsWith(groupPrefix)) {
+      continue;
+    }
+    
+    const index = key.slice(groupPrefix.length).split('.')[0];
+    if (/^\d+$/.test(index)) {
+      indexes.add(parseInt(index, 10));
+    }
+  }
+  
+  return Array.from(indexes).sort((a, b) => a - b);
+}
+
+/**
+ * Extract the DNS configurations of a hostname from container labels
+ * Every record group (dns.records.<index>.<key>) adds a record, without groups the hostname has one record
+ * @param {Object} labels - Container labels
+ * @param {Object} config - Provider configuration
+ * @param {string} hostname - Fully qualified hostname
+ * @returns {Array<Object>} - Record configurations
+ */
+function extractDnsConfigsFromLabels(labels, config, hostname) {
+  const indexes = getRecordGroupIndexes(labels, config.genericLabelPrefix);
+  
+  if (indexes.length === 0) {
+    return [extractDnsConfigFromLabels(labels, config, hostname)];
+  }
+  
+  logger.trace(`dns.extractDnsConfigsFromLabels: Found record groups ${indexes.join(', ')} for ${hostname}`);
+  return indexes.map(index => extractDnsConfigFromLabels(labels, config, hostname, index));
+}
+
 /**
  * Extract DNS configuration from container labels
+ * With a record group index the type and content come from that group only, so each group
+ * of a hostname can have its own, the other fields fall back to the labels of the hostname
  */
-function extractDnsConfigFromLabels(labels, config, hostname) {
-  logger.trace(`dns.extractDnsConfigFromLabels: Extracting DNS config for ${hostname}`);
+function extractDnsConfigFromLabels(labels, config, hostname, recordIndex = null) {
+  logger.trace(`dns.extractDnsConfigFromLabels: Extracting DNS config for ${hostname}${recordIndex !== null ? ` (record group ${recordIndex})` : ''}`);
   logger.trace(`dns.extractDnsConfigFromLabels: Label count: ${Object.keys(labels).length}`);
   
   if (logger.level >= LOG_LEVELS.TRACE) {
@@ -87,11 +168,24 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
   const genericPrefix = config.genericLabelPrefix;
   const providerPrefix = config.dnsLabelPrefix;
   
+  // Labels of the record group, this hostname or its router take precedence
+  const scope = { record: recordIndex, hostname, router: labels.routerName };
+  
+  // Labels of a record group that aren't inherited from the hostname
+  const getGroupValue = (key, defaultValue) => {
+    if (recordIndex === null) {
+      return getLabelValue(labels, genericPrefix, providerPrefix, key, defaultValue, scope);
+    }
+    
+    const value = labels[`${genericPrefix}records.${recordIndex}.${key}`];
+    return value !== undefined ? value : defaultValue;
+  };
+  
   // Check if this is an apex domain
   const isApex = isApexDomain(hostname, config.getProviderDomain());
   
   // Determine record type - first from specific labels, then from default
-  const recordTypeLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'type', null);
+  const recordTypeLabel = getGroupValue('type', null);
   let recordType = recordTypeLabel || (isApex ? 'A' : config.defaultRecordType);
   
   logger.trace(`dns.extractDnsConfigFromLabels: Using record type: ${recordType} (from ${recordTypeLabel ? 'label' : 'default'})`);
@@ -104,11 +198,11 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
   const recordConfig = {
     type: recordType,
     name: hostname,
-    ttl: parseInt(getLabelValue(labels, genericPrefix, providerPrefix, 'ttl', defaults.ttl), 10)
+    ttl: parseInt(getLabelValue(labels, genericPrefix, providerPrefix, 'ttl', defaults.ttl, scope), 10)
   };
   
   // Handle content based on record type and apex status
-  let content = getLabelValue(labels, genericPrefix, providerPrefix, 'content', null);
+  let content = getGroupValue('content', null);
   
   // If content isn't specified in labels
   if (!content) {
@@ -141,7 +235,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
   
   // Handle proxied status ONLY for providers that support it (Cloudflare)
   if (['A', 'AAAA', 'CNAME'].includes(recordConfig.type) && config.dnsProvider === 'cloudflare') {
-    const proxiedLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'proxied', null);
+    const proxiedLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'proxied', null, scope);
     logger.debug(`Processing proxied status for ${hostname}: Label value = ${proxiedLabel}`);
     
     // Create a simple cache to track if we've already logged this hostname's proxied status
@@ -149,7 +243,9 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
       global.proxiedStatusCache = {};
     }
     
-    const previousValue = global.proxiedStatusCache[hostname];
+    // Record groups of a hostname can differ in their proxied status
+    const cacheKey = recordIndex !== null ? `${hostname}#${recordIndex}` : hostname;
+    const previousValue = global.proxiedStatusCache[cacheKey];
     
     if (proxiedLabel !== null) {
       // Explicitly check against string 'false' to ensure proper conversion to boolean
@@ -166,7 +262,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
         }
         
         // Update the cache
-        global.proxiedStatusCache[hostname] = false;
+        global.proxiedStatusCache[cacheKey] = false;
       } else {
         recordConfig.proxied = true;
         
@@ -178,7 +274,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
         }
         
         // Update the cache
-        global.proxiedStatusCache[hostname] = true;
+        global.proxiedStatusCache[cacheKey] = true;
       }
     } else {
       recordConfig.proxied = defaults.proxied;
@@ -191,7 +287,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
       }
       
       // Update the cache
-      global.proxiedStatusCache[hostname] = undefined;
+      global.proxiedStatusCache[cacheKey] = undefined;
     }
   }
   
@@ -199,7 +295,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
   switch (recordConfig.type) {
     case 'MX':
       recordConfig.priority = parseInt(
-        getLabelValue(labels, genericPrefix, providerPrefix, 'priority', defaults.priority), 
+        getLabelValue(labels, genericPrefix, providerPrefix, 'priority', defaults.priority, scope), 
         10
       );
       logger.trace(`dns.extractDnsConfigFromLabels: MX priority set to ${recordConfig.priority}`);
@@ -207,15 +303,15 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
       
     case 'SRV':
       recordConfig.priority = parseInt(
-        getLabelValue(labels, genericPrefix, providerPrefix, 'priority', defaults.priority), 
+        getLabelValue(labels, genericPrefix, providerPrefix, 'priority', defaults.priority, scope), 
         10
       );
       recordConfig.weight = parseInt(
-        getLabelValue(labels, genericPrefix, providerPrefix, 'weight', defaults.weight), 
+        getLabelValue(labels, genericPrefix, providerPrefix, 'weight', defaults.weight, scope), 
         10
       );
       recordConfig.port = parseInt(
-        getLabelValue(labels, genericPrefix, providerPrefix, 'port', defaults.port), 
+        getLabelValue(labels, genericPrefix, providerPrefix, 'port', defaults.port, scope), 
         10
       );
       logger.trace(`dns.extractDnsConfigFromLabels: SRV fields - priority: ${recordConfig.priority}, weight: ${recordConfig.weight}, port: ${recordConfig.port}`);
@@ -223,10 +319,10 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
       
     case 'CAA':
       recordConfig.flags = parseInt(
-        getLabelValue(labels, genericPrefix, providerPrefix, 'flags', defaults.flags), 
+        getLabelValue(labels, genericPrefix, providerPrefix, 'flags', defaults.flags, scope), 
         10
       );
-      recordConfig.tag = getLabelValue(labels, genericPrefix, providerPrefix, 'tag', defaults.tag);
+      recordConfig.tag = getLabelValue(labels, genericPrefix, providerPrefix, 'tag', defaults.tag, scope);
       logger.trace(`dns.extractDnsConfigFromLabels: CAA fields - flags: ${recordConfig.flags}, tag: ${recordConfig.tag}`);
       break;
   }
@@ -238,6 +334,7 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
 module.exports = {
   isApexDomain,
   extractDnsConfigFromLabels,
+  extractDnsConfigsFromLabels,
   getLabelValue,
   getMinimumTTL
 };
\ No newline at end of file
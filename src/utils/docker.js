@@ -1,8 +1,14 @@
 /**
  * Docker-related utility functions
  */
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
 
+// Ports of the Docker API over TCP, without and with TLS
+const DOCKER_TCP_PORT = 2375;
+const DOCKER_TLS_PORT = 2376;
+
 /**
  * Extract container name from Docker container
  * @param {Object} container - Docker container object
@@ -84,10 +90,97 @@ function getComposeService(container) {
   return container.Labels['com.docker.compose.service'];
 }
 
+/**
+ * Get the name Traefik's Docker provider gives the router and service it creates for a container
+ * without router labels, from its Compose service and project or else from its name
+ * @param {Object} container - Docker container object
+ * @param {string} containerName - Name of the container (or Swarm service) without leading slash
+ * @returns {string} - Router and service name without the provider suffix
+ */
+function getTraefikDefaultName(container, containerName) {
+  const service = getComposeService(container);
+  const name = service ? `${service}_${getComposeProject(container)}` : containerName;
+  
+  // Traefik joins the runs of letters and digits with dashes, e.g. web_shop becomes web-shop
+  return name.split(/[^\p{L}\p{N}]+/u).filter(Boolean).join('-');
+}
+
+/**
+ * Parse a Docker host such as /var/run/docker.sock, unix:///var/run/docker.sock or backend1=tcp://10.0.0.5:2376
+ * @param {string} value - Docker host, optionally preceded by a name and an equals sign
+ * @returns {Object} - Name and address of the host, with its socket path or its host and port
+ * @throws {Error} If the address is not a unix socket or a tcp:// address
+ */
+function parseDockerHost(value) {
+  const separator = value.indexOf('=');
+  const named = separator > 0 && !value.slice(0, separator).includes('/');
+  const name = named ? value.slice(0, separator).trim() : null;
+  const address = (named ? value.slice(separator + 1) : value).trim();
+  
+  if (address.startsWith('/') || address.startsWith('unix://')) {
+    return { name: name || 'local', address, socketPath: address.replace(/^unix:\/\//, '') };
+  }
+  
+  const match = /^tcp:\/\/(\[[^\]]+\]|[^/:]+)(?::(\d+))?\/?$/.exec(address);
+  if (!match) {
+    throw new Error(`Invalid Docker host "${value}", expected a unix socket or tcp://host:port`);
+  }
+  
+  const host = match[1].replace(/^\[|\]$/g, '');
+  return { name: name || host, address, host, port: match[2] ? parseInt(match[2], 10) : null };
+}
+
+/**
+ * Get the dockerode options of a Docker host
+ * TCP hosts use TLS when ca.pem, cert.pem and key.pem are found in certPath/<host name> or in certPath itself.
+ * Without certificates only a host given with a port other than the TLS port is connected to over plain HTTP
+ * @param {Object} dockerHost - Docker host returned by parseDockerHost
+ * @param {string} certPath - Directory of the TLS certificates (optional)
+ * @returns {Object} - Options for a dockerode client
+ * @throws {Error} If a host that needs TLS has no certificates
+ */
+function getDockerOptions(dockerHost, certPath = null) {
+  if (dockerHost.socketPath) {
+    return { socketPath: dockerHost.socketPath };
+  }
+  
+  const certDir = certPath
+    ? [path.join(certPath, dockerHost.name), certPath].find(dir => fs.existsSync(path.join(dir, 'ca.pem')))
+    : null;
+  
+  if (!certDir) {
+    // A host without a port, or on the TLS port, expects TLS and isn't silently connected to without it
+    if (!dockerHost.port || dockerHost.port === DOCKER_TLS_PORT) {
+      const searched = certPath ? `in ${path.join(certPath, dockerHost.name)} or ${certPath}` : 'because DOCKER_CERT_PATH is not set';
+      throw new Error(`No TLS certificates (ca.pem, cert.pem, key.pem) found for Docker host ${dockerHost.name} ${searched}. To connect without TLS give the port explicitly, e.g. tcp://${dockerHost.host}:${DOCKER_TCP_PORT}`);
+    }
+    
+    if (certPath) {
+      logger.warn(`No TLS certificates found for Docker host ${dockerHost.name} in ${certPath}, connecting without TLS on port ${dockerHost.port}`);
+    } else {
+      logger.debug(`Connecting to Docker host ${dockerHost.name} without TLS on port ${dockerHost.port}`);
+    }
+    
+    return { host: dockerHost.host, port: dockerHost.port, protocol: 'http' };
+  }
+  
+  return {
+    host: dockerHost.host,
+    port: dockerHost.port || DOCKER_TLS_PORT,
+    protocol: 'https',
+    ca: fs.readFileSync(path.join(certDir, 'ca.pem')),
+    cert: fs.readFileSync(path.join(certDir, 'cert.pem')),
+    key: fs.readFileSync(path.join(certDir, 'key.pem'))
+  };
+}
+
 module.exports = {
   getContainerName,
   extractLabels,
   isComposeManaged,
   getComposeProject,
-  getComposeService
+  getComposeService,
+  getTraefikDefaultName,
+  parseDockerHost,
+  getDockerOptions
 };
\ No newline at end of file
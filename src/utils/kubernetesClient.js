@@ -0,0 +1,117 @@
+/**
+ * Kubernetes API client
+ * Lists and watches cluster objects over the REST API, using the in-cluster service account by default
+ */
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Files mounted into every pod for its service account
+const SERVICE_ACCOUNT_TOKEN_FILE = '/var/run/secrets/kubernetes.io/serviceaccount/token';
+
+class KubernetesClient {
+  constructor(config) {
+    this.config = config;
+    
+    const caFile = config.kubernetesCaFile;
+    this.client = axios.create({
+      baseURL: config.kubernetesApiUrl,
+      timeout: 10000,
+      httpsAgent: new https.Agent(caFile ? { ca: fs.readFileSync(caFile) } : {})
+    });
+  }
+  
+  /**
+   * Get the request headers, the service account token is read on every request as it is rotated
+   */
+  getHeaders() {
+    let token = this.config.kubernetesToken;
+    
+    if (!token && fs.existsSync(SERVICE_ACCOUNT_TOKEN_FILE)) {
+      token = fs.readFileSync(SERVICE_ACCOUNT_TOKEN_FILE, 'utf8').trim();
+    }
+    
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+  
+  /**
+   * Get the API path of a resource, in the configured namespace or in all namespaces
+   * @param {Object} resource - Resource with its API group path (e.g. /apis/networking.k8s.io/v1) and plural name
+   */
+  getResourcePath(resource) {
+    const namespace = this.config.kubernetesNamespace;
+    return namespace
+      ? `${resource.apiPath}/namespaces/${encodeURIComponent(namespace)}/${resource.plural}`
+      : `${resource.apiPath}/${resource.plural}`;
+  }
+  
+  /**
+   * Test the connection to the API server
+   */
+  async testConnection() {
+    try {
+      await this.client.get('/version', { headers: this.getHeaders() });
+      return true;
+    } catch (error) {
+      logger.error(`Failed to connect to the Kubernetes API: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * List the objects of a resource
+   * @param {Object} resource - Resource to list
+   * @returns {Promise<Object>} - Objects and the resource version to watch from
+   */
+  async list(resource) {
+    const response = await this.client.get(this.getResourcePath(resource), { headers: this.getHeaders() });
+    
+    return {
+      items: response.data.items || [],
+      resourceVersion: response.data.metadata ? response.data.metadata.resourceVersion : undefined
+    };
+  }
+  
+  /**
+   * Watch the objects of a resource
+   * @param {Object} resource - Resource to watch
+   * @param {string} resourceVersion - Resource version to watch from
+   * @param {Function} onEvent - Called with each watch event ({ type, object })
+   * @returns {Promise<Object>} - Response stream, it ends when the API server closes the watch
+   */
+  async watch(resource, resourceVersion, onEvent) {
+    const response = await this.client.get(this.getResourcePath(resource), {
+      headers: this.getHeaders(),
+      params: { watch: 1, resourceVersion, allowWatchBookmarks: true, timeoutSeconds: 300 },
+      responseType: 'stream',
+      timeout: 0
+    });
+    
+    // Events arrive as one JSON object per line, a chunk can end in the middle of a line
+    let buffer = '';
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString();
+      
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        
+        if (!line) {
+          continue;
+        }
+        
+        try {
+          onEvent(JSON.parse(line));
+        } catch (error) {
+          logger.debug(`Unable to process Kubernetes watch event: ${error.message}`);
+        }
+      }
+    });
+    
+    return response.data;
+  }
+}
+
+module.exports = KubernetesClient;
@@ -0,0 +1,195 @@
+/**
+ * Prometheus metric utilities
+ * Minimal counters, gauges and histograms rendered in the Prometheus text format
+ */
+
+/**
+ * Build a stable key for a set of label values
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Key for the label set
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Format labels for the text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Formatted labels, empty if there are none
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  
+  if (entries.length === 0) {
+    return '';
+  }
+  
+  const formatted = entries.map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${name}="${escaped}"`;
+  });
+  
+  return `{${formatted.join(',')}}`;
+}
+
+/**
+ * Base class for labelled metrics
+ */
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map();
+  }
+  
+  /**
+   * Get the entry for a label set, creating it when missing
+   */
+  getEntry(labels, create) {
+    const key = labelKey(labels);
+    
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: { ...labels }, ...create() });
+    }
+    
+    return this.values.get(key);
+  }
+  
+  /**
+   * Render the metric samples
+   * @returns {Array<string>} - Sample lines
+   */
+  renderSamples() {
+    return Array.from(this.values.values())
+      .map(entry => `${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+  
+  /**
+   * Render the metric in the Prometheus text format
+   * @returns {string} - Metric text
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+  
+  inc(labels = {}, value = 1) {
+    this.getEntry(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * Gauge that can be set to any value
+ */
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+  
+  set(labels, value) {
+    this.getEntry(labels, () => ({ value: 0 })).value = value;
+  }
+  
+  /**
+   * Remove all values, used for gauges that are rebuilt on every scrape
+   */
+  reset() {
+    this.values.clear();
+  }
+}
+
+/**
+ * Histogram with fixed buckets
+ */
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+  
+  observe(labels, value) {
+    const entry = this.getEntry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        entry.counts[index]++;
+      }
+    });
+    
+    entry.sum += value;
+    entry.count++;
+  }
+  
+  renderSamples() {
+    const lines = [];
+    
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bucket, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bucket })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+  
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+  
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+  
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+  
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+  
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry
+};
@@ -6,15 +6,37 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const SqliteRecordStore = require('./sqliteRecordStore');
+
+// Number of previous versions of the tracker file kept, from dns-records.json.bak.1 (newest) upwards
+const BACKUP_GENERATIONS = 3;
 
 class RecordTracker {
   constructor(config) {
     this.config = config;
     this.trackedRecords = new Map();
-    this.trackerFile = path.join(process.cwd(), 'dns-records.json');
+    this.dataDir = path.resolve(process.cwd(), config.dataDir || '.');
+    this.trackerFile = path.join(this.dataDir, 'dns-records.json');
+    this.backupFiles = Array.from({ length: BACKUP_GENERATIONS }, (_, index) => `${this.trackerFile}.bak.${index + 1}`);
     this.providerDomain = config.getProviderDomain();
     this.provider = config.dnsProvider;
     
+    // Provider whose records are tracked, set on the view of each provider zone to read record values
+    this.dnsProvider = null;
+    
+    // Set when the tracked records can't be read, orphan cleanup is refused until they can
+    this.loadFailed = false;
+    
+    // Keys of records whose orphaned mark changed, saved together once per cleanup pass
+    this.unsavedOrphanedKeys = new Set();
+    
+    this.ensureDataDir();
+    
+    // Optional SQLite store, which also keeps a history of every change
+    this.store = config.trackerStore === 'sqlite'
+      ? new SqliteRecordStore(path.resolve(this.dataDir, config.trackerDatabase))
+      : null;
+    
     // Load preserved hostnames from config
     this.loadPreservedHostnames();
     
@@ -23,11 +45,11 @@ class RecordTracker {
   }
   
   /**
-   * Load preserved hostnames from environment variable
+   * Load preserved hostnames from the configuration
    */
   loadPreservedHostnames() {
     try {
-      const preservedHostnamesStr = process.env.PRESERVED_HOSTNAMES || '';
+      const preservedHostnamesStr = this.config.preservedHostnames || '';
       
       // Split by comma and trim each hostname
       this.preservedHostnames = preservedHostnamesStr
@@ -46,34 +68,164 @@ class RecordTracker {
     }
   }
   
+  /**
+   * Create the data directory if it doesn't exist yet
+   */
+  ensureDataDir() {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    } catch (error) {
+      throw new Error(`Unable to create data directory ${this.dataDir}: ${error.message}`);
+    }
+  }
+  
   /**
    * Load tracked records from file
+   * A damaged file is replaced by its newest readable backup, if none can be read the damaged files are kept
+   * for recovery and orphan cleanup is refused
    */
   loadTrackedRecords() {
-    try {
-      if (fs.existsSync(this.trackerFile)) {
-        const data = fs.readFileSync(this.trackerFile, 'utf8');
-        const records = JSON.parse(data);
-        
-        // Convert to Map for faster lookups
-        this.trackedRecords = new Map();
-        
-        // Process each record
-        for (const record of records) {
-          const key = this.getRecordKey(record.provider, record.domain, record.name, record.type);
-          this.trackedRecords.set(key, record);
+    if (this.store) {
+      this.loadStoreRecords();
+      return;
+    }
+    
+    this.loadFailed = false;
+    
+    if (!fs.existsSync(this.trackerFile) && !this.backupFiles.some(file => fs.existsSync(file))) {
+      this.trackedRecords = new Map();
+      
+      const legacyFile = this.getLegacyTrackerFile();
+      if (legacyFile) {
+        try {
+          this.trackedRecords = this.readTrackerFile(legacyFile);
+          logger.warn(`Imported ${this.trackedRecords.size} tracked DNS records from ${legacyFile}, mount ${this.dataDir} as a volume to keep them`);
+        } catch (error) {
+          logger.error(`Error importing tracked DNS records from ${legacyFile}: ${error.message}`);
         }
-        
-        logger.debug(`Loaded ${this.trackedRecords.size} tracked DNS records from ${this.trackerFile}`);
       } else {
         logger.debug(`No DNS record tracker file found at ${this.trackerFile}, starting fresh`);
-        this.trackedRecords = new Map();
+      }
+      
+      this.saveTrackedRecords();
+      return;
+    }
+    
+    try {
+      this.trackedRecords = this.readTrackerFile(this.trackerFile);
+      logger.debug(`Loaded ${this.trackedRecords.size} tracked DNS records from ${this.trackerFile}`);
+      return;
+    } catch (error) {
+      logger.error(`Error loading tracked DNS records from ${this.trackerFile}: ${error.message}`);
+    }
+    
+    const damagedFiles = [this.trackerFile];
+    
+    for (const backupFile of this.backupFiles.filter(file => fs.existsSync(file))) {
+      try {
+        const records = this.readTrackerFile(backupFile);
+        
+        damagedFiles.forEach(file => this.preserveDamagedFile(file));
+        this.trackedRecords = records;
         this.saveTrackedRecords();
+        logger.warn(`Restored ${records.size} tracked DNS records from backup ${backupFile}`);
+        return;
+      } catch (error) {
+        logger.error(`Error loading tracked DNS records from backup ${backupFile}: ${error.message}`);
+        damagedFiles.push(backupFile);
       }
+    }
+    
+    damagedFiles.forEach(file => this.preserveDamagedFile(file));
+    this.trackedRecords = new Map();
+    this.loadFailed = true;
+    logger.error('Tracked DNS records could not be loaded, orphaned record cleanup is disabled until they are restored');
+  }
+  
+  /**
+   * Read a tracker file
+   * @param {string} file - Path of the tracker file or its backup
+   * @returns {Map<string, Object>} - Tracked records by key
+   * @throws {Error} If the file can't be read or doesn't contain a list of records
+   */
+  readTrackerFile(file) {
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    
+    if (!Array.isArray(records)) {
+      throw new Error('expected a list of tracked records');
+    }
+    
+    // Convert to Map for faster lookups
+    const trackedRecords = new Map();
+    
+    for (const record of records) {
+      const key = this.getRecordKey(record.provider, record.domain, record.name, record.type, record.value);
+      trackedRecords.set(key, record);
+    }
+    
+    return trackedRecords;
+  }
+  
+  /**
+   * Get the tracker file of versions that kept it in the working directory, e.g. /app/dns-records.json
+   * in the Docker image, so its records keep their ownership after DATA_DIR is set
+   * @returns {string|null} - Path of the old tracker file, null if there is none
+   */
+  getLegacyTrackerFile() {
+    const legacyFile = path.join(process.cwd(), 'dns-records.json');
+    
+    return legacyFile !== this.trackerFile && fs.existsSync(legacyFile) ? legacyFile : null;
+  }
+  
+  /**
+   * Move a tracker file that can't be read out of the way, so it isn't overwritten
+   * @param {string} file - Path of the damaged file
+   */
+  preserveDamagedFile(file) {
+    if (!fs.existsSync(file)) {
+      return;
+    }
+    
+    const damagedFile = `${file}.damaged-${Date.now()}`;
+    
+    try {
+      fs.renameSync(file, damagedFile);
+      logger.warn(`Kept unreadable tracker file as ${damagedFile}`);
+    } catch (error) {
+      logger.error(`Error moving unreadable tracker file ${file}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Load tracked records from the SQLite store
+   * An empty store is filled from the JSON tracker file once, so switching stores keeps existing records
+   */
+  loadStoreRecords() {
+    this.trackedRecords = new Map();
+    
+    this.loadFailed = false;
+    
+    try {
+      const importFile = fs.existsSync(this.trackerFile) ? this.trackerFile : this.getLegacyTrackerFile();
+      
+      if (this.store.isEmpty() && importFile) {
+        const records = this.readTrackerFile(importFile);
+        
+        this.store.importRecords(Array.from(records.entries()));
+        logger.info(`Imported ${records.size} tracked DNS records from ${importFile} into ${this.store.file}`);
+      }
+      
+      for (const record of this.store.loadRecords()) {
+        const key = this.getRecordKey(record.provider, record.domain, record.name, record.type, record.value);
+        this.trackedRecords.set(key, record);
+      }
+      
+      logger.debug(`Loaded ${this.trackedRecords.size} tracked DNS records from ${this.store.file}`);
     } catch (error) {
-      logger.error(`Error loading tracked DNS records: ${error.message}`);
-      // Start with empty tracking if file load fails
       this.trackedRecords = new Map();
+      this.loadFailed = true;
+      logger.error(`Error loading tracked DNS records from ${this.store.file}: ${error.message}`);
+      logger.error('Orphaned record cleanup is disabled until the tracked DNS records can be loaded');
     }
   }
   
@@ -83,43 +235,184 @@ class RecordTracker {
   saveTrackedRecords() {
     try {
       const records = Array.from(this.trackedRecords.values());
-      fs.writeFileSync(this.trackerFile, JSON.stringify(records, null, 2), 'utf8');
+      this.writeTrackerFile(JSON.stringify(records, null, 2));
       logger.debug(`Saved ${records.length} tracked DNS records to ${this.trackerFile}`);
     } catch (error) {
       logger.error(`Error saving tracked DNS records: ${error.message}`);
     }
   }
   
+  /**
+   * Replace the tracker file atomically
+   * The contents are written to a temporary file that is renamed over the tracker file, so a crash
+   * leaves either the old or the new file; the old file becomes the newest backup
+   * @param {string} contents - New file contents
+   */
+  writeTrackerFile(contents) {
+    const tempFile = `${this.trackerFile}.${process.pid}.tmp`;
+    
+    try {
+      const fd = fs.openSync(tempFile, 'w');
+      try {
+        fs.writeFileSync(fd, contents, 'utf8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      if (fs.existsSync(this.trackerFile)) {
+        this.rotateBackups();
+      }
+      
+      this.replaceTrackerFile(tempFile, contents);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+  }
+  
+  /**
+   * Copy the tracker file to the newest backup, after moving every backup one generation up
+   * and dropping the oldest
+   */
+  rotateBackups() {
+    for (let index = this.backupFiles.length - 1; index > 0; index--) {
+      if (fs.existsSync(this.backupFiles[index - 1])) {
+        fs.renameSync(this.backupFiles[index - 1], this.backupFiles[index]);
+      }
+    }
+    
+    fs.copyFileSync(this.trackerFile, this.backupFiles[0]);
+  }
+  
+  /**
+   * Rename the temporary file over the tracker file
+   * A tracker file that is bind mounted on its own can't be replaced, it is written in place instead
+   * @param {string} tempFile - Path of the temporary file
+   * @param {string} contents - New file contents
+   */
+  replaceTrackerFile(tempFile, contents) {
+    try {
+      fs.renameSync(tempFile, this.trackerFile);
+    } catch (error) {
+      if (error.code !== 'EBUSY' && error.code !== 'EXDEV') {
+        throw error;
+      }
+      
+      if (!this.loggedInPlaceWrites) {
+        logger.warn(`${this.trackerFile} can't be replaced atomically (${error.code}), mount its directory instead of the file`);
+        this.loggedInPlaceWrites = true;
+      }
+      
+      fs.writeFileSync(this.trackerFile, contents, 'utf8');
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+  
   /**
    * Create a unique key for a record
+   * Every value of a record set is tracked on its own, records tracked without a value have a key of name and type only
+   */
+  getRecordKey(provider, domain, name, type, value) {
+    const key = `${provider}:${domain}:${name}:${type}`;
+    return (value === undefined || value === null ? key : `${key}:${value}`).toLowerCase();
+  }
+  
+  /**
+   * Get the value a record is tracked by
+   * @param {Object} record - DNS record
+   * @returns {string|undefined} - Record value, undefined when the tracker has no provider to read it with
+   */
+  getRecordValue(record) {
+    return this.dnsProvider ? this.dnsProvider.getRecordValue(record) : undefined;
+  }
+  
+  /**
+   * Find the key a record is tracked under
+   * Records tracked before every value of a record set was tracked on its own are found by name and type,
+   * as long as their tracked content, if there is one, is the content of the record
+   * @param {Object} record - DNS record
+   * @returns {string|null} - Tracker key, null if the record isn't tracked
+   */
+  findTrackedKey(record) {
+    const key = this.getRecordKey(this.provider, this.providerDomain, record.name, record.type, this.getRecordValue(record));
+    
+    if (this.trackedRecords.has(key)) {
+      return key;
+    }
+    
+    const legacyKey = this.getRecordKey(this.provider, this.providerDomain, record.name, record.type);
+    const legacyRecord = this.trackedRecords.get(legacyKey);
+    
+    if (!legacyRecord || legacyRecord.value !== undefined) {
+      return null;
+    }
+    
+    if (legacyRecord.content === undefined || legacyRecord.content === null || !this.dnsProvider) {
+      return legacyKey;
+    }
+    
+    const content = this.dnsProvider.getRecordFieldValue(record, 'content');
+    return String(legacyRecord.content).toLowerCase() === String(content).toLowerCase() ? legacyKey : null;
+  }
+  
+  /**
+   * Get the tracked record of a DNS record
+   * @param {Object} record - DNS record
+   * @returns {Object|null} - Tracked record, null if the record isn't tracked
+   */
+  getTrackedRecord(record) {
+    const key = this.findTrackedKey(record);
+    return key ? this.trackedRecords.get(key) : null;
+  }
+  
+  /**
+   * Get the tracked values of the record set a record belongs to
+   * @param {Object} record - DNS record
+   * @returns {Array<Object>} - Tracked records with the name and type of the record
    */
-  getRecordKey(provider, domain, name, type) {
-    return `${provider}:${domain}:${name}:${type}`.toLowerCase();
+  getTrackedRecordSet(record) {
+    const name = String(record.name).toLowerCase();
+    
+    return this.getCurrentProviderRecords().filter(trackedRecord =>
+      String(trackedRecord.name).toLowerCase() === name && trackedRecord.type === record.type
+    );
   }
   
   /**
    * Track a new DNS record
+   * @param {Object} record - DNS record
+   * @param {Object} details - Record content and the router and container that requested it
    */
-  trackRecord(record) {
+  trackRecord(record, details = {}) {
+    const value = this.getRecordValue(record);
     const key = this.getRecordKey(
       this.provider,
       this.providerDomain,
       record.name,
-      record.type
+      record.type,
+      value
     );
     
-    this.trackedRecords.set(key, {
+    const trackedRecord = {
       id: record.id,
       provider: this.provider,
       domain: this.providerDomain,
       name: record.name,
       type: record.type,
+      value,
+      content: details.content,
+      router: details.router,
+      container: details.container,
       createdAt: new Date().toISOString(),
       managedBy: 'TráfegoDNS'
-    });
+    };
+    
+    this.trackedRecords.set(key, trackedRecord);
     
     // Save after each new record to prevent data loss
-    this.saveTrackedRecords();
+    this.persistRecord(key, trackedRecord);
+    this.addHistory('create', trackedRecord, { newContent: details.content });
     
     logger.debug(`Tracked new DNS record: ${record.name} (${record.type})`);
   }
@@ -128,38 +421,46 @@ class RecordTracker {
    * Remove a tracked record
    */
   untrackRecord(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
-    
-    const wasTracked = this.trackedRecords.delete(key);
+    const key = this.findTrackedKey(record);
     
-    if (wasTracked) {
-      // Save after removing a record
-      this.saveTrackedRecords();
-      logger.debug(`Removed tracked DNS record: ${record.name} (${record.type})`);
+    if (!key) {
+      return false;
     }
     
-    return wasTracked;
+    const trackedRecord = this.trackedRecords.get(key);
+    this.trackedRecords.delete(key);
+    
+    // Save after removing a record
+    this.removePersistedRecord(key);
+    this.addHistory('delete', trackedRecord, { oldContent: trackedRecord.content });
+    logger.debug(`Removed tracked DNS record: ${record.name} (${record.type})`);
+    
+    return true;
   }
   
   /**
    * Check if a record is tracked
    */
   isTracked(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
-    
-    return this.trackedRecords.has(key);
+    return this.findTrackedKey(record) !== null;
   }
   
+  /**
+   * Get a tracker view for another provider and domain
+   * The view shares tracked records and the tracker file with this tracker
+   * @param {string} provider - DNS provider name
+   * @param {string} domain - Provider domain
+   * @param {DNSProvider} [dnsProvider] - Provider instance the record values are read with
+   * @returns {RecordTracker} - Tracker scoped to the provider
+   */
+  forProvider(provider, domain, dnsProvider = null) {
+    const view = Object.create(this);
+    view.provider = provider;
+    view.providerDomain = domain;
+    view.dnsProvider = dnsProvider;
+    return view;
+  }
+
   /**
    * Get all tracked records
    */
@@ -214,23 +515,225 @@ class RecordTracker {
   
   /**
    * Update a record ID (when a record is updated/recreated)
+   * A tracked value that was updated to another value is tracked under the new value from then on
+   * Nothing is saved when the ID, value, content and source of the record are unchanged
+   * @param {Object} record - Tracked record, from getTrackedRecord or getTrackedRecordSet
+   * @param {Object} newRecord - DNS record after processing
+   * @param {Object} details - Record content and the router and container that requested it
    */
-  updateRecordId(oldRecord, newRecord) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      oldRecord.name,
-      oldRecord.type
-    );
+  updateRecordId(record, newRecord, details = {}) {
+    const key = this.getRecordKey(record.provider, record.domain, record.name, record.type, record.value);
     
-    if (this.trackedRecords.has(key)) {
-      const record = this.trackedRecords.get(key);
+    if (this.trackedRecords.get(key) === record) {
+      const value = this.getRecordValue(newRecord);
+      const newKey = this.getRecordKey(this.provider, this.providerDomain, record.name, record.type, value);
+      const oldContent = record.content;
+      const contentChanged = details.content !== undefined && String(details.content) !== String(oldContent);
+      const idChanged = String(record.id) !== String(newRecord.id);
+      const sourceChanged = (details.router !== undefined && details.router !== record.router) ||
+        (details.container !== undefined && details.container !== record.container);
+      
+      if (!contentChanged && !idChanged && !sourceChanged && newKey === key) {
+        return;
+      }
+      
+      if (newKey !== key) {
+        this.trackedRecords.delete(key);
+        this.removePersistedRecord(key);
+        record.value = value;
+      }
+      
       record.id = newRecord.id;
+      record.content = details.content !== undefined ? details.content : record.content;
+      record.router = details.router !== undefined ? details.router : record.router;
+      record.container = details.container !== undefined ? details.container : record.container;
       record.updatedAt = new Date().toISOString();
-      this.trackedRecords.set(key, record);
+      this.trackedRecords.set(newKey, record);
+      this.persistRecord(newKey, record);
+      
+      // Records tracked before their content was recorded have nothing to compare with
+      if (contentChanged && oldContent !== undefined && oldContent !== null) {
+        this.addHistory('update', record, { oldContent, newContent: record.content });
+      }
+      
+      logger.debug(`Updated tracked DNS record ID: ${record.name} (${record.type})`);
+    }
+  }
+  
+  /**
+   * Save a single tracked record
+   * The SQLite store writes only this record, the JSON file is rewritten as a whole
+   * @param {string} key - Tracker key of the record
+   * @param {Object} record - Tracked record
+   */
+  persistRecord(key, record) {
+    if (!this.store) {
+      this.saveTrackedRecords();
+      return;
+    }
+    
+    try {
+      this.store.saveRecord(key, record);
+    } catch (error) {
+      logger.error(`Error saving tracked DNS record ${record.name} (${record.type}): ${error.message}`);
+    }
+  }
+  
+  /**
+   * Remove a single record from the saved tracked records
+   * @param {string} key - Tracker key of the record
+   */
+  removePersistedRecord(key) {
+    if (!this.store) {
       this.saveTrackedRecords();
-      logger.debug(`Updated tracked DNS record ID: ${oldRecord.name} (${oldRecord.type})`);
+      return;
     }
+    
+    try {
+      this.store.deleteRecord(key);
+    } catch (error) {
+      logger.error(`Error removing tracked DNS record ${key}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Add a change to the record history, only kept by the SQLite store
+   * @param {string} action - create, update or delete
+   * @param {Object} record - Tracked record
+   * @param {Object} contents - Old and new content of the record
+   */
+  addHistory(action, record, { oldContent, newContent } = {}) {
+    if (!this.store) {
+      return;
+    }
+    
+    try {
+      this.store.addHistory({
+        action,
+        provider: record.provider,
+        domain: record.domain,
+        name: record.name,
+        type: record.type,
+        oldContent: oldContent === undefined || oldContent === null ? null : String(oldContent),
+        newContent: newContent === undefined || newContent === null ? null : String(newContent),
+        router: record.router,
+        container: record.container
+      });
+    } catch (error) {
+      logger.error(`Error saving DNS record history: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the change history of tracked records, newest first
+   * @param {Object} filter - Filter options
+   * @param {string} [filter.name] - Only changes of this record name
+   * @param {number} [filter.limit] - Maximum number of entries
+   * @returns {Array<Object>|null} - History entries, null if no history is kept
+   */
+  getHistory(filter = {}) {
+    return this.store ? this.store.getHistory(filter) : null;
+  }
+  
+  /**
+   * Mark a tracked record as orphaned, or count another poll it has been orphaned for
+   * The mark is saved by saveOrphanedMarks
+   * @param {Object} record - DNS record
+   * @param {boolean} countPoll - Whether this check counts as a poll the record was missing from
+   * @returns {Object|null} - Time the record was first found orphaned and the number of polls since, null if not tracked
+   */
+  markOrphaned(record, countPoll = true) {
+    const key = this.findTrackedKey(record);
+    
+    const trackedRecord = key ? this.trackedRecords.get(key) : null;
+    
+    if (!trackedRecord) {
+      return null;
+    }
+    
+    if (!trackedRecord.orphanedAt) {
+      trackedRecord.orphanedAt = new Date().toISOString();
+      trackedRecord.orphanedPolls = 0;
+    }
+    
+    if (countPoll) {
+      trackedRecord.orphanedPolls = (trackedRecord.orphanedPolls || 0) + 1;
+    }
+    
+    this.unsavedOrphanedKeys.add(key);
+    logger.debug(`Marked DNS record as orphaned: ${record.name} (${record.type}), missing for ${trackedRecord.orphanedPolls} polls`);
+    
+    return {
+      orphanedAt: trackedRecord.orphanedAt,
+      orphanedPolls: trackedRecord.orphanedPolls
+    };
+  }
+  
+  /**
+   * Clear the orphaned mark of a tracked record whose hostname is active again
+   * The change is saved by saveOrphanedMarks
+   * @param {Object} record - DNS record
+   * @returns {boolean} - True if the record was marked
+   */
+  clearOrphaned(record) {
+    const key = this.findTrackedKey(record);
+    
+    const trackedRecord = key ? this.trackedRecords.get(key) : null;
+    
+    if (!trackedRecord || !trackedRecord.orphanedAt) {
+      return false;
+    }
+    
+    delete trackedRecord.orphanedAt;
+    delete trackedRecord.orphanedPolls;
+    this.unsavedOrphanedKeys.add(key);
+    logger.debug(`Cleared orphaned mark of DNS record: ${record.name} (${record.type})`);
+    
+    return true;
+  }
+  
+  /**
+   * Save the orphaned marks changed since the last call at once, rather than every mark on its own
+   */
+  saveOrphanedMarks() {
+    const entries = Array.from(this.unsavedOrphanedKeys)
+      .filter(key => this.trackedRecords.has(key))
+      .map(key => [key, this.trackedRecords.get(key)]);
+    
+    this.unsavedOrphanedKeys.clear();
+    
+    if (entries.length === 0) {
+      return;
+    }
+    
+    if (!this.store) {
+      this.saveTrackedRecords();
+      return;
+    }
+    
+    try {
+      this.store.importRecords(entries);
+    } catch (error) {
+      logger.error(`Error saving orphaned marks of tracked DNS records: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the orphaned mark of a tracked record
+   * @param {Object} record - DNS record
+   * @returns {Object|null} - Time the record was first found orphaned and the number of polls since, null if not marked
+   */
+  getOrphanedMark(record) {
+    const trackedRecord = this.getTrackedRecord(record);
+    
+    if (!trackedRecord || !trackedRecord.orphanedAt) {
+      return null;
+    }
+    
+    return {
+      orphanedAt: trackedRecord.orphanedAt,
+      orphanedPolls: trackedRecord.orphanedPolls || 0
+    };
   }
 }
 
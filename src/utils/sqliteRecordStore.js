@@ -0,0 +1,240 @@
+/**
+ * SQLite Record Store
+ * Persists tracked DNS records and a history of their changes in a SQLite database
+ */
+const logger = require('./logger');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    key TEXT PRIMARY KEY,
+    id TEXT,
+    provider TEXT NOT NULL,
+    domain TEXT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    value TEXT,
+    content TEXT,
+    router TEXT,
+    container TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    managed_by TEXT,
+    orphaned_at TEXT,
+    orphaned_polls INTEGER
+  );
+  
+  CREATE TABLE IF NOT EXISTS record_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    action TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    domain TEXT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    old_content TEXT,
+    new_content TEXT,
+    router TEXT,
+    container TEXT
+  );
+  
+  CREATE INDEX IF NOT EXISTS record_history_name ON record_history (name);
+`;
+
+// Columns added to the records table after its first version
+const ADDED_RECORD_COLUMNS = {
+  orphaned_at: 'TEXT',
+  orphaned_polls: 'INTEGER',
+  value: 'TEXT'
+};
+
+class SqliteRecordStore {
+  /**
+   * @param {string} file - Path of the database file
+   */
+  constructor(file) {
+    let DatabaseSync;
+    try {
+      // Loaded here so the JSON tracker keeps working on Node.js versions without SQLite
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new Error(`SQLite record tracking needs Node.js 22.5 or later (running ${process.version})`);
+    }
+    
+    this.file = file;
+    this.db = new DatabaseSync(file);
+    this.db.exec(SCHEMA);
+    this.migrate();
+    
+    this.statements = {
+      selectRecords: this.db.prepare('SELECT * FROM records'),
+      countRecords: this.db.prepare('SELECT COUNT(*) AS count FROM records'),
+      upsertRecord: this.db.prepare(`
+        INSERT INTO records (key, id, provider, domain, name, type, value, content, router, container, created_at, updated_at, managed_by, orphaned_at, orphaned_polls)
+        VALUES (:key, :id, :provider, :domain, :name, :type, :value, :content, :router, :container, :createdAt, :updatedAt, :managedBy, :orphanedAt, :orphanedPolls)
+        ON CONFLICT (key) DO UPDATE SET
+          id = excluded.id,
+          value = excluded.value,
+          content = excluded.content,
+          router = excluded.router,
+          container = excluded.container,
+          updated_at = excluded.updated_at,
+          orphaned_at = excluded.orphaned_at,
+          orphaned_polls = excluded.orphaned_polls
+      `),
+      deleteRecord: this.db.prepare('DELETE FROM records WHERE key = ?'),
+      insertHistory: this.db.prepare(`
+        INSERT INTO record_history (timestamp, action, provider, domain, name, type, old_content, new_content, router, container)
+        VALUES (:timestamp, :action, :provider, :domain, :name, :type, :oldContent, :newContent, :router, :container)
+      `)
+    };
+    
+    logger.debug(`Opened SQLite record store ${file}`);
+  }
+  
+  /**
+   * Add the columns of newer versions to a database created by an older version
+   */
+  migrate() {
+    const columns = new Set(this.db.prepare('PRAGMA table_info(records)').all().map(column => column.name));
+    
+    for (const [column, type] of Object.entries(ADDED_RECORD_COLUMNS)) {
+      if (!columns.has(column)) {
+        this.db.exec(`ALTER TABLE records ADD COLUMN ${column} ${type}`);
+        logger.debug(`Added column ${column} to the records table of ${this.file}`);
+      }
+    }
+  }
+  
+  /**
+   * Load all tracked records
+   * @returns {Array<Object>} - Tracked records in the tracker format
+   */
+  loadRecords() {
+    return this.statements.selectRecords.all().map(row => ({
+      id: row.id,
+      provider: row.provider,
+      domain: row.domain,
+      name: row.name,
+      type: row.type,
+      value: row.value === null ? undefined : row.value,
+      content: row.content,
+      router: row.router,
+      container: row.container,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at || undefined,
+      managedBy: row.managed_by,
+      orphanedAt: row.orphaned_at || undefined,
+      orphanedPolls: row.orphaned_polls === null ? undefined : row.orphaned_polls
+    }));
+  }
+  
+  /**
+   * Check if the store has no tracked records yet
+   */
+  isEmpty() {
+    return this.statements.countRecords.get().count === 0;
+  }
+  
+  /**
+   * Insert or update a tracked record
+   * @param {string} key - Tracker key of the record
+   * @param {Object} record - Tracked record
+   */
+  saveRecord(key, record) {
+    this.statements.upsertRecord.run({
+      key,
+      id: record.id === undefined || record.id === null ? null : String(record.id),
+      provider: record.provider,
+      domain: record.domain || null,
+      name: record.name,
+      type: record.type,
+      value: record.value === undefined ? null : record.value,
+      content: record.content === undefined ? null : String(record.content),
+      router: record.router || null,
+      container: record.container || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt || null,
+      managedBy: record.managedBy || null,
+      orphanedAt: record.orphanedAt || null,
+      orphanedPolls: record.orphanedPolls === undefined ? null : record.orphanedPolls
+    });
+  }
+  
+  /**
+   * Insert or update records in a single transaction, used to migrate the JSON tracker file and to save
+   * the orphaned marks of a cleanup pass
+   * @param {Array<Array>} entries - Pairs of tracker key and record
+   */
+  importRecords(entries) {
+    this.db.exec('BEGIN');
+    try {
+      for (const [key, record] of entries) {
+        this.saveRecord(key, record);
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a tracked record
+   * @param {string} key - Tracker key of the record
+   */
+  deleteRecord(key) {
+    this.statements.deleteRecord.run(key);
+  }
+  
+  /**
+   * Add an entry to the change history
+   * @param {Object} entry - History entry
+   * @param {string} entry.action - create, update or delete
+   */
+  addHistory(entry) {
+    this.statements.insertHistory.run({
+      timestamp: new Date().toISOString(),
+      action: entry.action,
+      provider: entry.provider,
+      domain: entry.domain || null,
+      name: entry.name,
+      type: entry.type,
+      oldContent: entry.oldContent === undefined ? null : entry.oldContent,
+      newContent: entry.newContent === undefined ? null : entry.newContent,
+      router: entry.router || null,
+      container: entry.container || null
+    });
+  }
+  
+  /**
+   * Get the change history, newest first
+   * @param {Object} filter - Filter options
+   * @param {string} [filter.name] - Only changes of this record name
+   * @param {number} [filter.limit] - Maximum number of entries
+   * @returns {Array<Object>} - History entries
+   */
+  getHistory({ name, limit = 100 } = {}) {
+    // Providers that keep relative record names are matched by the fully qualified name as well
+    const where = name
+      ? "WHERE name = :name COLLATE NOCASE OR name || '.' || domain = :name COLLATE NOCASE"
+      : '';
+    const rows = this.db
+      .prepare(`SELECT * FROM record_history ${where} ORDER BY id DESC LIMIT :limit`)
+      .all(name ? { name, limit } : { limit });
+    
+    return rows.map(row => ({
+      timestamp: row.timestamp,
+      action: row.action,
+      provider: row.provider,
+      domain: row.domain,
+      name: row.name,
+      type: row.type,
+      oldContent: row.old_content,
+      newContent: row.new_content,
+      router: row.router,
+      container: row.container
+    }));
+  }
+}
+
+module.exports = SqliteRecordStore;
@@ -2,37 +2,115 @@
  * Traefik-related utility functions
  */
 const logger = require('./logger');
+const { parseRule, collectMatchers } = require('./traefikRule');
+
+// Matchers of literal hostnames and of hostname patterns, per router protocol
+const HOST_MATCHERS = {
+  http: { literal: ['host', 'hostheader'], pattern: ['hostregexp'] },
+  tcp: { literal: ['hostsni'], pattern: ['hostsniregexp'] }
+};
 
 /**
- * Extract hostnames from a Traefik router rule
- * Supports both v1 and v2 formats
- * @param {string} rule - Traefik router rule
- * @returns {Array<string>} - Array of extracted hostnames
+ * Get the wildcard record name that covers a hostname pattern
+ * Understands Host(`*.example.com`), v2 HostRegexp(`{sub:[a-z]+}.example.com`)
+ * and v3 HostRegexp(`^[a-z]+\.example\.com$`) patterns of a single leading label
+ * @param {string} pattern - Hostname pattern of a matcher
+ * @returns {string|null} - Wildcard hostname such as *.example.com, null if the pattern has no single wildcard label
  */
-function extractHostnamesFromRule(rule) {
-  logger.trace(`traefik.extractHostnamesFromRule: Extracting hostnames from rule: ${rule}`);
-  
-  const hostnames = [];
+function getWildcardHostname(pattern) {
+  if (/^\*\.[A-Za-z0-9.-]+$/.test(pattern)) {
+    return pattern.toLowerCase();
+  }
   
-  // Handle Traefik v2 format: Host(`example.com`)
-  const v2HostRegex = /Host\(`([^`]+)`\)/g;
-  let match;
+  const v2Match = /^\{[^{}]+\}\.([A-Za-z0-9.-]+)$/.exec(pattern);
+  if (v2Match) {
+    return `*.${v2Match[1]}`.toLowerCase();
+  }
   
-  while ((match = v2HostRegex.exec(rule)) !== null) {
-    logger.trace(`traefik.extractHostnamesFromRule: Found v2 hostname: ${match[1]}`);
-    hostnames.push(match[1]);
+  const v3Match = /^(?:\(\?i\))?\^?(.+?)\\\.((?:[A-Za-z0-9-]+\\\.)*[A-Za-z0-9-]+)\$?$/.exec(pattern);
+  if (v3Match && !v3Match[1].includes('\\.')) {
+    return `*.${v3Match[2].replace(/\\\./g, '.')}`.toLowerCase();
   }
   
-  // Handle Traefik v1 format: Host:example.com
-  const v1HostRegex = /Host:([a-zA-Z0-9.-]+)/g;
+  return null;
+}
+
+/**
+ * Analyse a Traefik router rule for the hostnames it routes
+ * Only hostnames of positive literal matchers get DNS records, negated matchers are ignored
+ * and hostname patterns are returned as candidates for wildcard records
+ * @param {string} rule - Traefik router rule
+ * @param {string} protocol - Router protocol (http or tcp)
+ * @returns {Object} - Literal hostnames and wildcard candidates with their pattern and wildcard hostname
+ * @throws {Error} If the rule can't be parsed
+ */
+function analyseRule(rule, protocol = 'http') {
+  logger.trace(`traefik.analyseRule: Analysing ${protocol} rule: ${rule}`);
+  
+  const matchers = HOST_MATCHERS[protocol] || HOST_MATCHERS.http;
+  const hostnames = [];
+  const wildcards = [];
   
-  while ((match = v1HostRegex.exec(rule)) !== null) {
-    logger.trace(`traefik.extractHostnamesFromRule: Found v1 hostname: ${match[1]}`);
-    hostnames.push(match[1]);
+  for (const matcher of collectMatchers(parseRule(rule))) {
+    const name = matcher.name.toLowerCase();
+    const literal = matchers.literal.includes(name);
+    
+    if (!literal && !matchers.pattern.includes(name)) {
+      continue;
+    }
+    
+    if (matcher.negated) {
+      logger.trace(`traefik.analyseRule: Ignoring negated ${matcher.name} matcher: ${matcher.values.join(', ')}`);
+      continue;
+    }
+    
+    for (const value of matcher.values) {
+      // The HostSNI(`*`) catch-all matches every connection and has no hostname
+      if (value === '*') {
+        continue;
+      }
+      
+      if (literal && !value.includes('*')) {
+        logger.trace(`traefik.analyseRule: Found hostname: ${value}`);
+        hostnames.push(value);
+      } else {
+        logger.trace(`traefik.analyseRule: Found hostname pattern: ${value}`);
+        wildcards.push({ pattern: value, hostname: getWildcardHostname(value) });
+      }
+    }
   }
   
-  logger.trace(`traefik.extractHostnamesFromRule: Extracted ${hostnames.length} hostnames: ${hostnames.join(', ')}`);
-  return hostnames;
+  logger.trace(`traefik.analyseRule: Extracted ${hostnames.length} hostnames and ${wildcards.length} patterns`);
+  return { hostnames, wildcards };
+}
+
+/**
+ * Extract hostnames from a Traefik router rule
+ * Supports the v1, v2 and v3 formats
+ * @param {string} rule - Traefik router rule
+ * @returns {Array<string>} - Array of extracted hostnames, empty if the rule is invalid
+ */
+function extractHostnamesFromRule(rule) {
+  try {
+    return analyseRule(rule, 'http').hostnames;
+  } catch (error) {
+    logger.debug(`traefik.extractHostnamesFromRule: Unable to parse rule ${rule}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Extract hostnames from the HostSNI matchers of a Traefik TCP router rule
+ * @param {string} rule - Traefik TCP router rule
+ * @returns {Array<string>} - Array of extracted hostnames, empty if the rule is invalid
+ */
+function extractSniHostnamesFromRule(rule) {
+  try {
+    return analyseRule(rule, 'tcp').hostnames;
+  } catch (error) {
+    logger.debug(`traefik.extractSniHostnamesFromRule: Unable to parse rule ${rule}: ${error.message}`);
+    return [];
+  }
 }
 
 /**
@@ -80,7 +158,10 @@ function extractServiceName(router) {
 }
 
 module.exports = {
+  analyseRule,
+  getWildcardHostname,
   extractHostnamesFromRule,
+  extractSniHostnamesFromRule,
   findLabelsForRouter,
   extractServiceName
 };
\ No newline at end of file
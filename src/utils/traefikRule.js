@@ -0,0 +1,240 @@
+/**
+ * Traefik rule parser
+ * Tokenizes and parses Traefik router rules into an expression tree of matchers
+ * Supports the v2/v3 expression syntax and the v1 Name:value format
+ */
+
+/**
+ * Split a rule into tokens
+ * @param {string} rule - Traefik router rule
+ * @returns {Array<Object>} - Tokens with their type, value and position
+ * @throws {Error} If the rule contains an unexpected character or an unterminated string
+ */
+function tokenize(rule) {
+  const tokens = [];
+  let position = 0;
+  
+  while (position < rule.length) {
+    const char = rule[position];
+    
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    
+    const operator = rule.slice(position, position + 2);
+    if (operator === '&&' || operator === '||') {
+      tokens.push({ type: operator, position });
+      position += 2;
+      continue;
+    }
+    
+    if ('!(),'.includes(char)) {
+      tokens.push({ type: char, position });
+      position++;
+      continue;
+    }
+    
+    // Backtick strings are raw, double quoted strings support backslash escapes
+    if (char === '`' || char === '"') {
+      let value = '';
+      let end = position + 1;
+      
+      while (end < rule.length && rule[end] !== char) {
+        if (char === '"' && rule[end] === '\\' && end + 1 < rule.length) {
+          end++;
+        }
+        value += rule[end];
+        end++;
+      }
+      
+      if (end >= rule.length) {
+        throw new Error(`Unterminated string at position ${position}`);
+      }
+      
+      tokens.push({ type: 'string', value, position });
+      position = end + 1;
+      continue;
+    }
+    
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rule.slice(position));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+      position += identifier[0].length;
+      continue;
+    }
+    
+    throw new Error(`Unexpected character "${char}" at position ${position}`);
+  }
+  
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the tokens of a rule
+ * Grammar: or := and ('||' and)*, and := unary ('&&' unary)*,
+ * unary := '!' unary | '(' or ')' | matcher, matcher := identifier '(' [string (',' string)*] ')'
+ */
+class RuleParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+  
+  peek() {
+    return this.tokens[this.index];
+  }
+  
+  /**
+   * Consume the next token, which must have the expected type
+   */
+  expect(type, description) {
+    const token = this.tokens[this.index];
+    
+    if (!token || token.type !== type) {
+      const found = token ? `at position ${token.position}` : 'at the end of the rule';
+      throw new Error(`Expected ${description} ${found}`);
+    }
+    
+    this.index++;
+    return token;
+  }
+  
+  parse() {
+    const expression = this.parseOr();
+    const token = this.peek();
+    
+    if (token) {
+      throw new Error(`Unexpected "${token.value || token.type}" at position ${token.position}`);
+    }
+    
+    return expression;
+  }
+  
+  parseOr() {
+    const operands = [this.parseAnd()];
+    
+    while (this.peek() && this.peek().type === '||') {
+      this.index++;
+      operands.push(this.parseAnd());
+    }
+    
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+  
+  parseAnd() {
+    const operands = [this.parseUnary()];
+    
+    while (this.peek() && this.peek().type === '&&') {
+      this.index++;
+      operands.push(this.parseUnary());
+    }
+    
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+  
+  parseUnary() {
+    const token = this.peek();
+    
+    if (token && token.type === '!') {
+      this.index++;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    
+    if (token && token.type === '(') {
+      this.index++;
+      const expression = this.parseOr();
+      this.expect(')', 'a closing parenthesis');
+      return expression;
+    }
+    
+    return this.parseMatcher();
+  }
+  
+  parseMatcher() {
+    const name = this.expect('identifier', 'a matcher').value;
+    this.expect('(', `an opening parenthesis after ${name}`);
+    
+    const values = [];
+    if (this.peek() && this.peek().type !== ')') {
+      values.push(this.expect('string', `a quoted value for ${name}`).value);
+      
+      while (this.peek() && this.peek().type === ',') {
+        this.index++;
+        values.push(this.expect('string', `a quoted value for ${name}`).value);
+      }
+    }
+    
+    this.expect(')', `a closing parenthesis for ${name}`);
+    return { type: 'matcher', name, values };
+  }
+}
+
+/**
+ * Parse a Traefik v1 rule such as Host:a.example.com,b.example.com;PathPrefix:/api
+ * @param {string} rule - Traefik v1 router rule
+ * @returns {Object} - Expression tree
+ */
+function parseV1Rule(rule) {
+  const matchers = rule
+    .split(';')
+    .filter(segment => segment.trim())
+    .map(segment => {
+      const separator = segment.indexOf(':');
+      
+      if (separator < 1) {
+        throw new Error(`Invalid matcher "${segment.trim()}"`);
+      }
+      
+      return {
+        type: 'matcher',
+        name: segment.slice(0, separator).trim(),
+        values: segment.slice(separator + 1).split(',').map(value => value.trim()).filter(Boolean)
+      };
+    });
+  
+  return matchers.length === 1 ? matchers[0] : { type: 'and', operands: matchers };
+}
+
+/**
+ * Parse a Traefik router rule
+ * @param {string} rule - Traefik router rule
+ * @returns {Object} - Expression tree of or, and, not and matcher nodes
+ * @throws {Error} If the rule is not valid
+ */
+function parseRule(rule) {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error('Rule is empty');
+  }
+  
+  // v1 rules have no parentheses and separate the matcher name and values with a colon
+  if (!rule.includes('(') && /^\s*[A-Za-z]+\s*:/.test(rule)) {
+    return parseV1Rule(rule);
+  }
+  
+  return new RuleParser(tokenize(rule)).parse();
+}
+
+/**
+ * Collect the matchers of an expression tree with their polarity
+ * @param {Object} expression - Expression tree returned by parseRule
+ * @returns {Array<Object>} - Matchers with a negated flag, true below an odd number of negations
+ */
+function collectMatchers(expression, negated = false) {
+  switch (expression.type) {
+    case 'matcher':
+      return [{ name: expression.name, values: expression.values, negated }];
+    
+    case 'not':
+      return collectMatchers(expression.operand, !negated);
+    
+    default:
+      return expression.operands.flatMap(operand => collectMatchers(operand, negated));
+  }
+}
+
+module.exports = {
+  tokenize,
+  parseRule,
+  collectMatchers
+};
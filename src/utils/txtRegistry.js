@@ -0,0 +1,120 @@
+/**
+ * TXT Ownership Registry
+ * Records which TráfegoDNS instance manages a DNS record in a companion TXT record,
+ * so ownership is kept in the zone itself and survives the loss of the tracker file
+ */
+const logger = require('./logger');
+
+const HERITAGE = 'trafegodns';
+
+class TxtRegistry {
+  constructor(config) {
+    this.config = config;
+  }
+  
+  /**
+   * Check if the registry is enabled
+   */
+  get enabled() {
+    return this.config.txtRegistryEnabled;
+  }
+  
+  /**
+   * Owner ID of this instance
+   */
+  get ownerId() {
+    return this.config.txtRegistryOwnerId;
+  }
+  
+  /**
+   * Get the name of the registry record of a hostname
+   * @param {string} hostname - Fully qualified hostname of the managed record
+   * @returns {string} - Name of the companion TXT record
+   */
+  getRegistryName(hostname) {
+    return `${this.config.txtRegistryPrefix}${hostname}`.toLowerCase();
+  }
+  
+  /**
+   * Get the hostname a registry record belongs to
+   * @param {string} name - Fully qualified name of a TXT record
+   * @returns {string|null} - Hostname of the managed record, null if the name isn't a registry name
+   */
+  getOwnedHostname(name) {
+    const prefix = this.config.txtRegistryPrefix.toLowerCase();
+    const recordName = name.toLowerCase();
+    
+    if (!recordName.startsWith(prefix) || recordName.length === prefix.length) {
+      return null;
+    }
+    
+    return recordName.slice(prefix.length);
+  }
+  
+  /**
+   * Create the registry record configuration for a hostname owned by this instance
+   * @param {string} hostname - Fully qualified hostname of the managed record
+   * @param {number} ttl - TTL of the registry record
+   * @returns {Object} - TXT record configuration
+   */
+  createRegistryRecord(hostname, ttl) {
+    return {
+      type: 'TXT',
+      name: this.getRegistryName(hostname),
+      content: `heritage=${HERITAGE},owner=${this.ownerId}`,
+      ttl
+    };
+  }
+  
+  /**
+   * Read the owner from the content of a registry record
+   * @param {string} content - TXT record content
+   * @returns {string|null} - Owner ID, null if the record wasn't written by TráfegoDNS
+   */
+  parseOwner(content) {
+    if (typeof content !== 'string') {
+      return null;
+    }
+    
+    const fields = {};
+    for (const field of content.replace(/^"(.*)"$/, '$1').split(',')) {
+      const [key, ...value] = field.split('=');
+      fields[key.trim()] = value.join('=').trim();
+    }
+    
+    if (fields.heritage !== HERITAGE || !fields.owner) {
+      return null;
+    }
+    
+    return fields.owner;
+  }
+  
+  /**
+   * Collect the owners of the hostnames of a zone from its registry records
+   * @param {Array<Object>} records - Records of the zone
+   * @param {Function} getFqdn - Returns the fully qualified name of a record
+   * @param {Function} getContent - Returns the content of a record
+   * @returns {Map<string, string>} - Owner ID by hostname
+   */
+  collectOwners(records, getFqdn, getContent) {
+    const owners = new Map();
+    
+    for (const record of records) {
+      if (record.type !== 'TXT') {
+        continue;
+      }
+      
+      const hostname = this.getOwnedHostname(getFqdn(record));
+      const owner = hostname ? this.parseOwner(getContent(record)) : null;
+      
+      if (owner) {
+        logger.trace(`TxtRegistry: ${hostname} is owned by ${owner}`);
+        owners.set(hostname, owner);
+      }
+    }
+    
+    return owners;
+  }
+}
+
+module.exports = TxtRegistry;